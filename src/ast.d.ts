@@ -12,11 +12,14 @@ export interface SelectStatement extends AstBase {
   type: 'select'
   distinct: boolean
   columns: SelectColumn[]
-  from?: FromTable | FromSubquery | FromFunction
+  from?: FromSource
   joins: JoinClause[]
   where?: ExprNode
   groupBy: ExprNode[]
+  // ROLLUP, CUBE, or GROUPING SETS: indices into groupBy, one list per set
+  groupingSets?: number[][]
   having?: ExprNode
+  qualify?: ExprNode // filters rows on window function results
   orderBy: OrderByItem[]
   limit?: number
   offset?: number
@@ -37,14 +40,26 @@ export interface SetOperationStatement extends AstBase {
 
 export interface WithStatement extends AstBase {
   type: 'with'
+  // WITH RECURSIVE: each CTE may reference its own name
+  recursive?: boolean
   ctes: CTEDefinition[]
   query: Statement
 }
 
 export type Statement = SelectStatement | SetOperationStatement | WithStatement
 
+// EXPLAIN [ANALYZE] query: only valid as the outermost statement, so it is
+// kept out of Statement, which also types subqueries and CTE bodies
+export interface ExplainStatement extends AstBase {
+  type: 'explain'
+  analyze: boolean
+  query: Statement
+}
+
 export interface CTEDefinition extends AstBase {
   name: string
+  // Optional column list, e.g. `nums(i) AS (...)`, renaming output columns
+  columns?: string[]
   query: Statement
 }
 
@@ -68,6 +83,41 @@ export interface FromFunction extends AstBase {
   columnAliases: string[]
 }
 
+// PIVOT and UNPIVOT reshape the source they follow, so their output
+// columns depend on the source's columns and are only known at plan time
+export type FromSource = FromTable | FromSubquery | FromFunction | FromPivot | FromUnpivot
+
+// source PIVOT (agg [AS alias], ... FOR column IN (value [AS alias], ...))
+export interface FromPivot extends AstBase {
+  type: 'pivot'
+  source: FromSource
+  aggregates: DerivedColumn[]
+  column: string
+  values: PivotValue[]
+  alias?: string
+}
+
+export interface PivotValue extends AstBase {
+  value: SqlPrimitive
+  alias?: string
+}
+
+// source UNPIVOT [INCLUDE NULLS] (valueColumn FOR nameColumn IN (column [AS label], ...))
+export interface FromUnpivot extends AstBase {
+  type: 'unpivot'
+  source: FromSource
+  valueColumn: string
+  nameColumn: string
+  columns: UnpivotColumn[]
+  includeNulls: boolean
+  alias?: string
+}
+
+export interface UnpivotColumn extends AstBase {
+  name: string
+  label?: string // value of nameColumn for this column, defaults to its name
+}
+
 export type ArithmeticOp = '+' | '-' | '*' | '/' | '%'
 
 export type BinaryOp = 'AND' | 'OR' | 'LIKE' | '||' | ComparisonOp | ArithmeticOp
@@ -85,6 +135,14 @@ export interface IdentifierNode extends AstBase {
   prefix?: string
 }
 
+// Placeholder bound to a value from the `params` option: `?` and `$1` are
+// positional (1-based), `:name` is named
+export interface ParamNode extends AstBase {
+  type: 'param'
+  index?: number
+  name?: string
+}
+
 export interface UnaryNode extends AstBase {
   type: 'unary'
   op: 'NOT' | 'IS NULL' | 'IS NOT NULL' | '-'
@@ -104,6 +162,11 @@ export interface FunctionNode extends AstBase {
   args: ExprNode[]
   distinct?: boolean
   filter?: ExprNode
+  // ORDER BY inside the argument list, or the WITHIN GROUP ordering
+  orderBy?: OrderByItem[]
+  limit?: number
+  // orderBy came from WITHIN GROUP, and its expression is also the last argument
+  withinGroup?: boolean
 }
 
 export interface WindowFunctionNode extends AstBase {
@@ -112,9 +175,25 @@ export interface WindowFunctionNode extends AstBase {
   args: ExprNode[]
   partitionBy: ExprNode[]
   orderBy: OrderByItem[]
+  frame?: WindowFrame
 }
 
-export type CastType = 'TEXT' | 'STRING' | 'VARCHAR' | 'INTEGER' | 'INT' | 'BIGINT' | 'FLOAT' | 'REAL' | 'DOUBLE' | 'BOOLEAN' | 'BOOL' | 'TIMESTAMP'
+// ROWS counts physical rows from the current row; RANGE compares ORDER BY
+// values, so peers (rows with equal sort keys) share a frame
+export interface WindowFrame {
+  mode: 'ROWS' | 'RANGE'
+  start: FrameBound
+  end: FrameBound
+}
+
+export interface FrameBound {
+  type: 'UNBOUNDED PRECEDING' | 'PRECEDING' | 'CURRENT ROW' | 'FOLLOWING' | 'UNBOUNDED FOLLOWING'
+  // distance for PRECEDING / FOLLOWING: a row count for ROWS, a value
+  // difference for RANGE
+  offset?: number
+}
+
+export type CastType = 'TEXT' | 'STRING' | 'VARCHAR' | 'INTEGER' | 'INT' | 'BIGINT' | 'FLOAT' | 'REAL' | 'DOUBLE' | 'BOOLEAN' | 'BOOL' | 'TIMESTAMP' | 'TIMESTAMPTZ'
 
 export interface CastNode extends AstBase {
   type: 'cast'
@@ -158,14 +237,23 @@ export interface SubqueryNode extends AstBase {
   subquery: Statement
 }
 
-export type IntervalUnit = 'DAY' | 'MONTH' | 'YEAR' | 'HOUR' | 'MINUTE' | 'SECOND'
+export type IntervalUnit = 'DAY' | 'MONTH' | 'YEAR' | 'HOUR' | 'MINUTE' | 'SECOND' | 'WEEK' | 'QUARTER' | 'MILLISECOND'
 
+// A compound interval like INTERVAL '1 day 3 hours' parses to a sum of
+// single-unit interval nodes
 export interface IntervalNode extends AstBase {
   type: 'interval'
   value: number
   unit: IntervalUnit
 }
 
+// Runtime value of an interval expression, or of the difference of two dates
+export interface Interval {
+  months: number
+  days: number
+  milliseconds: number
+}
+
 export interface StarNode extends AstBase {
   type: 'star'
 }
@@ -192,6 +280,7 @@ export type ExprNode =
   | IntervalNode
   | StarNode
   | SubscriptNode
+  | ParamNode
 
 export interface StarColumn extends AstBase {
   type: 'star'
@@ -0,0 +1,36 @@
+/**
+ * @import { SpillStore, SqlPrimitive } from '../types.js'
+ */
+
+/**
+ * Creates a spill store that keeps spilled rows in memory. It is the default
+ * when a memory budget is set without a store: operators still materialize
+ * and release their input, but the rows stay on the heap. Hosts can pass a
+ * store backed by OPFS, IndexedDB or files to move them out of memory.
+ *
+ * @returns {SpillStore}
+ */
+export function memorySpillStore() {
+  /** @type {Map<string, SqlPrimitive[][][]>} */
+  const files = new Map()
+  return {
+    write(file, rows) {
+      const chunks = files.get(file)
+      if (chunks) {
+        chunks.push(rows)
+      } else {
+        files.set(file, [rows])
+      }
+      return Promise.resolve()
+    },
+    async *read(file) {
+      for (const chunk of files.get(file) ?? []) {
+        yield chunk
+      }
+    },
+    delete(file) {
+      files.delete(file)
+      return Promise.resolve()
+    },
+  }
+}
@@ -1,13 +1,23 @@
-import { keyify } from './utils.js'
+import { isPromiseLike } from '../backend/batch.js'
+import { addToComoments, addToMoments, comomentsValue, finiteNumber, isComomentAggregate, isMomentAggregate, mergeComoments, mergeMoments, momentsValue, newComoments, newMoments } from './moments.js'
+import { addToHyperLogLog, addToQuantileSketch, addToTopK, estimateHyperLogLog, newHyperLogLog, newQuantileSketch, newTopK, quantileSketchValue, topKValues } from './sketches.js'
+import { compareValues, keyify } from './utils.js'
 
 /**
- * @import { SqlPrimitive } from '../types.js'
+ * @import { AggregateUserDefinedFunction, SqlPrimitive } from '../types.js'
+ * @import { Comoments, Moments } from './moments.js'
+ * @import { HyperLogLog, QuantileSketch, TopKSketch } from './sketches.js'
  */
 
 /**
  * Incremental state for one streamable aggregate. Shared by the streaming
  * aggregate executor and the scanColumn fast path so COUNT/COUNTIF/SUM/AVG/
- * MIN/MAX fold semantics live in one place.
+ * MIN/MAX fold semantics live in one place. Variance-style aggregates keep
+ * running moments, MODE and ENTROPY count each distinct value, and the
+ * approximate aggregates fold into fixed-size sketches. Aggregate UDFs keep
+ * their own state, which is a promise while an async step is pending.
+ * An ordered MODE sees its values in ORDER BY order and keeps the first of
+ * tied values.
  *
  * @typedef {{
  *   count: number,
@@ -15,34 +25,134 @@ import { keyify } from './utils.js'
  *   min: SqlPrimitive,
  *   max: SqlPrimitive,
  *   seen: Set<unknown> | null,
+ *   moments?: Moments,
+ *   comoments?: Comoments,
+ *   frequencies?: Map<unknown, { value: SqlPrimitive, count: number }>,
+ *   ordered?: boolean,
+ *   hll?: HyperLogLog,
+ *   quantiles?: QuantileSketch,
+ *   fraction?: number,
+ *   topK?: TopKSketch,
+ *   udf?: AggregateUserDefinedFunction,
+ *   state?: unknown,
  * }} Accumulator
  */
 
 /**
  * @param {string} funcName
  * @param {boolean} [distinct]
+ * @param {AggregateUserDefinedFunction} [udf] - the aggregate UDF named funcName
+ * @param {SqlPrimitive} [param] - the fraction of APPROX_QUANTILE or the k of APPROX_TOP_K, checked by sketchParamError
  * @returns {Accumulator}
  */
-export function newAccumulator(funcName, distinct) {
+export function newAccumulator(funcName, distinct, udf, param) {
+  const moments = isMomentAggregate(funcName) ? newMoments() : undefined
+  const comoments = isComomentAggregate(funcName) ? newComoments() : undefined
+  const frequencies = funcName === 'MODE' || funcName === 'ENTROPY' ? new Map() : undefined
+  const dedupe = funcName === 'COUNT' || udf || moments || comoments || frequencies
   return {
     count: 0,
     sum: 0,
     min: null,
     max: null,
-    seen: funcName === 'COUNT' && distinct ? new Set() : null,
+    seen: distinct && dedupe ? new Set() : null,
+    moments,
+    comoments,
+    frequencies,
+    hll: funcName === 'APPROX_COUNT_DISTINCT' ? newHyperLogLog() : undefined,
+    quantiles: funcName === 'APPROX_QUANTILE' ? newQuantileSketch() : undefined,
+    fraction: funcName === 'APPROX_QUANTILE' ? Number(param) : undefined,
+    topK: funcName === 'APPROX_TOP_K' ? newTopK(Number(param)) : undefined,
+    udf,
+    state: udf?.init(),
+  }
+}
+
+/**
+ * Counts the values an accumulator holds that grow with its input: DISTINCT
+ * values, MODE and ENTROPY frequencies, and sketch items. The state of
+ * aggregate UDFs is opaque, so it is not counted.
+ *
+ * @param {Accumulator} acc
+ * @returns {number}
+ */
+export function accumulatorEntries(acc) {
+  return (acc.seen?.size ?? 0) + (acc.frequencies?.size ?? 0) + (acc.hll?.hashes?.size ?? 0) +
+    (acc.quantiles?.size ?? 0) + (acc.topK?.counters.size ?? 0)
+}
+
+/**
+ * Checks the constant argument of a sketch aggregate. Returns an error
+ * message for an invalid APPROX_QUANTILE fraction or APPROX_TOP_K count.
+ *
+ * @param {string} funcName
+ * @param {SqlPrimitive} param
+ * @returns {string | undefined}
+ */
+export function sketchParamError(funcName, param) {
+  const num = Number(param)
+  if (funcName === 'APPROX_QUANTILE' && !(param != null && num >= 0 && num <= 1)) {
+    return `fraction must be between 0 and 1, got ${param}`
+  }
+  if (funcName === 'APPROX_TOP_K' && !(param != null && Number.isInteger(num) && num > 0)) {
+    return `k must be a positive integer, got ${param}`
   }
 }
 
 /**
  * Folds one value into an accumulator, matching the buffered semantics in
  * evaluate.js: COUNT counts non-null, COUNTIF counts truthy, MIN/MAX compare
- * raw values, SUM/AVG only accumulate finite numbers.
+ * raw values, SUM/AVG and the statistical aggregates only accumulate
+ * finite numbers. Two-variable aggregates like CORR(y, x) take x as the first
+ * of moreArgs, and skip pairs where either is missing.
+ *
+ * Aggregate UDFs receive every argument, NULLs included. They, COUNT, the
+ * statistical aggregates, MODE and ENTROPY skip repeated arguments under
+ * DISTINCT. An async update returns a promise; later updates
+ * chain onto it, but callers should await it to bound the pending work.
  *
  * @param {string} funcName
  * @param {Accumulator} acc
  * @param {SqlPrimitive} value
+ * @param {SqlPrimitive[]} [moreArgs] - arguments after the first, for aggregate UDFs and two-variable aggregates
+ * @returns {void | Promise<void>}
  */
-export function updateAccumulator(funcName, acc, value) {
+export function updateAccumulator(funcName, acc, value, moreArgs) {
+  const { udf } = acc
+  if (udf) {
+    const args = moreArgs ? [value, ...moreArgs] : [value]
+    if (!isFirstSeen(acc, args)) return
+    const { state } = acc
+    const next = isPromiseLike(state)
+      ? Promise.resolve(state).then(resolved => udf.update(resolved, ...args))
+      : udf.update(state, ...args)
+    acc.state = next
+    if (isPromiseLike(next)) {
+      return Promise.resolve(next).then(resolved => {
+        if (acc.state === next) acc.state = resolved
+      })
+    }
+    return
+  }
+  if (acc.moments) {
+    const num = finiteNumber(value)
+    if (num !== undefined && isFirstSeen(acc, [num])) addToMoments(acc.moments, num)
+    return
+  }
+  if (acc.comoments) {
+    const y = finiteNumber(value)
+    const x = finiteNumber(moreArgs?.[0])
+    if (y !== undefined && x !== undefined && isFirstSeen(acc, [y, x])) addToComoments(acc.comoments, y, x)
+    return
+  }
+  if (acc.frequencies) {
+    if (value == null || !isFirstSeen(acc, [value])) return
+    const key = keyify(value)
+    const entry = acc.frequencies.get(key)
+    if (entry) entry.count++
+    else acc.frequencies.set(key, { value, count: 1 })
+    return
+  }
   switch (funcName) {
   case 'COUNT':
     if (value == null) break
@@ -58,6 +168,18 @@ export function updateAccumulator(funcName, acc, value) {
   case 'MAX':
     if (value != null && (acc.max === null || value > acc.max)) acc.max = value
     break
+  case 'APPROX_COUNT_DISTINCT':
+    if (value != null && acc.hll) addToHyperLogLog(acc.hll, keyify(value))
+    break
+  case 'APPROX_QUANTILE': {
+    if (value == null || !acc.quantiles) break
+    const num = Number(value)
+    if (Number.isFinite(num)) addToQuantileSketch(acc.quantiles, num)
+    break
+  }
+  case 'APPROX_TOP_K':
+    if (value != null && acc.topK) addToTopK(acc.topK, value)
+    break
   default: { // SUM, AVG
     if (value == null) break
     const num = Number(value)
@@ -70,13 +192,133 @@ export function updateAccumulator(funcName, acc, value) {
 }
 
 /**
- * Reduces an accumulator to its final aggregate value.
+ * Removes a value previously folded in by updateAccumulator, so a sliding
+ * window frame can drop rows that leave it. Only COUNT, COUNTIF, SUM, AVG,
+ * MODE and ENTROPY are invertible; MIN and MAX must be maintained some other
+ * way, and moment-based aggregates with mergeAccumulators.
  *
  * @param {string} funcName
  * @param {Accumulator} acc
- * @returns {SqlPrimitive}
+ * @param {SqlPrimitive} value
+ */
+export function removeFromAccumulator(funcName, acc, value) {
+  if (acc.frequencies) {
+    if (value == null) return
+    const key = keyify(value)
+    const entry = acc.frequencies.get(key)
+    if (entry && --entry.count === 0) acc.frequencies.delete(key)
+    return
+  }
+  switch (funcName) {
+  case 'COUNT':
+    if (value != null) acc.count--
+    break
+  case 'COUNTIF':
+    if (value) acc.count--
+    break
+  case 'SUM':
+  case 'AVG': {
+    if (value == null) break
+    const num = Number(value)
+    if (Number.isFinite(num)) {
+      acc.sum -= num
+      acc.count--
+      // Reset so floating point residue does not leak into an empty frame
+      if (acc.count === 0) acc.sum = 0
+    }
+    break
+  }
+  default:
+    throw new Error(`Cannot remove values from ${funcName} accumulator`)
+  }
+}
+
+/**
+ * Combines the accumulators of a moment-based aggregate (variances,
+ * SKEWNESS, KURTOSIS, CORR, COVAR_* and REGR_*) over disjoint rows into a new
+ * accumulator. Removing a value from running moments cancels badly when it
+ * dwarfs the values that remain, while merging stays accurate.
+ *
+ * @param {string} funcName
+ * @param {Accumulator} a
+ * @param {Accumulator} b
+ * @returns {Accumulator}
+ */
+export function mergeAccumulators(funcName, a, b) {
+  const acc = newAccumulator(funcName)
+  if (a.moments && b.moments) acc.moments = mergeMoments(a.moments, b.moments)
+  if (a.comoments && b.comoments) acc.comoments = mergeComoments(a.comoments, b.comoments)
+  return acc
+}
+
+/**
+ * Folds the arguments of many rows into an aggregate UDF accumulator, in row
+ * order. Once an update turns out to be async, a UDF with merge folds each
+ * remaining row into a fresh state concurrently and merges the results in
+ * row order, so slow updates overlap like async cells do.
+ *
+ * @param {Accumulator} acc
+ * @param {SqlPrimitive[][]} rows - argument values of each row
+ * @returns {Promise<void>}
+ */
+export async function updateUdfAccumulator(acc, rows) {
+  const { udf } = acc
+  if (!udf) throw new Error('Expected an aggregate UDF accumulator')
+  let i = 0
+  while (i < rows.length) {
+    const [value, ...moreArgs] = rows[i++]
+    const pending = updateAccumulator('', acc, value, moreArgs)
+    if (pending) {
+      await pending
+      if (udf.merge) break
+    }
+  }
+  const { merge } = udf
+  if (!merge || i === rows.length) return
+
+  const remaining = rows.slice(i).filter(args => isFirstSeen(acc, args))
+  const partials = await Promise.all(remaining.map(async args => udf.update(await udf.init(), ...args)))
+  let state = await acc.state
+  for (const partial of partials) {
+    state = await merge(state, partial)
+  }
+  acc.state = state
+}
+
+/**
+ * Reports whether a DISTINCT aggregate has not folded these arguments
+ * yet, marking them as seen. Always true without DISTINCT.
+ *
+ * @param {Accumulator} acc
+ * @param {SqlPrimitive[]} args
+ * @returns {boolean}
+ */
+function isFirstSeen(acc, args) {
+  if (!acc.seen) return true
+  const key = keyify(...args)
+  if (acc.seen.has(key)) return false
+  acc.seen.add(key)
+  return true
+}
+
+/**
+ * Reduces an accumulator to its final aggregate value. Only aggregate UDFs
+ * can finalize asynchronously.
+ *
+ * @param {string} funcName
+ * @param {Accumulator} acc
+ * @returns {SqlPrimitive | Promise<SqlPrimitive>}
  */
 export function finalizeAccumulator(funcName, acc) {
+  const { udf, state } = acc
+  if (udf) {
+    return isPromiseLike(state) ? Promise.resolve(state).then(resolved => udf.finalize(resolved)) : udf.finalize(state)
+  }
+  if (acc.moments) return momentsValue(funcName, acc.moments)
+  if (acc.comoments) return comomentsValue(funcName, acc.comoments)
+  if (acc.frequencies) {
+    return funcName === 'MODE' ? frequentValue(acc.frequencies, acc.ordered) : entropy(acc.frequencies)
+  }
   switch (funcName) {
   case 'COUNT': return acc.seen ? acc.seen.size : acc.count
   case 'COUNTIF': return acc.count
@@ -84,6 +326,50 @@ export function finalizeAccumulator(funcName, acc) {
   case 'AVG': return acc.count === 0 ? null : acc.sum / acc.count
   case 'MIN': return acc.min
   case 'MAX': return acc.max
+  case 'APPROX_COUNT_DISTINCT': return acc.hll ? estimateHyperLogLog(acc.hll) : 0
+  case 'APPROX_QUANTILE': return acc.quantiles ? quantileSketchValue(acc.quantiles, acc.fraction ?? 0.5) : null
+  case 'APPROX_TOP_K': return acc.topK ? topKValues(acc.topK) : []
   default: return null
   }
 }
+
+/**
+ * The most frequent value. Ties go to the smallest value, so the result does
+ * not depend on the order values arrived or left a window frame in, unless
+ * firstSeen asks for the first one seen. Null when there are no values.
+ *
+ * @param {Map<unknown, { value: SqlPrimitive, count: number }>} frequencies
+ * @param {boolean} [firstSeen]
+ * @returns {SqlPrimitive}
+ */
+function frequentValue(frequencies, firstSeen) {
+  /** @type {SqlPrimitive} */
+  let best = null
+  let bestCount = 0
+  for (const { value, count } of frequencies.values()) {
+    if (count > bestCount || count === bestCount && !firstSeen && compareValues(value, best) < 0) {
+      best = value
+      bestCount = count
+    }
+  }
+  return best
+}
+
+/**
+ * Shannon entropy in bits of the distribution of values. Null when there
+ * are no values.
+ *
+ * @param {Map<unknown, { value: SqlPrimitive, count: number }>} frequencies
+ * @returns {number | null}
+ */
+function entropy(frequencies) {
+  let total = 0
+  for (const { count } of frequencies.values()) total += count
+  if (total === 0) return null
+  let bits = 0
+  for (const { count } of frequencies.values()) {
+    const p = count / total
+    bits -= p * Math.log2(p)
+  }
+  return bits
+}
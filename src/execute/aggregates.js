@@ -1,22 +1,31 @@
 import { dataSourceColumns } from '../backend/dataSource.js'
+import { memorySpillStore } from '../backend/spillStore.js'
 import { derivedAlias } from '../expression/alias.js'
 import { evaluateExpr } from '../expression/evaluate.js'
 import { finalizeAccumulator, newAccumulator, updateAccumulator } from './accumulator.js'
 import { executePlan, executeScan, selectColumnNames } from './execute.js'
 import { normalizeScanColumnResult } from './scanColumn.js'
-import { sortEntriesByTerms } from './sort.js'
-import { planStreamingAggregates, streamingHashAggregateRows, streamingScalarAggregateRows } from './streamingAggregate.js'
-import { keyify } from './utils.js'
+import { externalSortRows, sortEntriesByTerms } from './sort.js'
+import { MAX_SPILL_LEVEL, SPILL_PARTITIONS, deletePartition, deletePartitions, estimateRowBytes, flushPartitions, hasSpillBudget, newPartitionWriter, overSpillBudget, partitionOf, readSpillFile, rowValues, spilledRow, writePartition } from './spill.js'
+import { planStreamingAggregates, planStreamingGroupingSets, streamingHashAggregateRows, streamingScalarAggregateRows } from './streamingAggregate.js'
+import { groupingKey, keyify } from './utils.js'
 import { yieldToEventLoop } from './yield.js'
 
 /**
- * @import { AsyncCells, AsyncDataSource, AsyncRow, DerivedColumn, ExecuteContext, QueryResults, SelectColumn, SqlPrimitive } from '../types.js'
+ * @import { AsyncCells, AsyncDataSource, AsyncRow, DerivedColumn, ExecuteContext, ExprNode, QueryResults, SelectColumn, SqlPrimitive } from '../types.js'
  * @import { HashAggregateNode, ScalarAggregateNode } from '../plan/types.js'
  */
 
 // Yield to the event loop every this many iterations so that aborts can actually fire
 const YIELD_INTERVAL = 4000
 
+/**
+ * A group that passed HAVING: its output row, and the row, rows and
+ * expressions its ORDER BY terms are evaluated against.
+ *
+ * @typedef {{ row: AsyncRow, rows: AsyncRow[], outputRow: AsyncRow, exprs?: ExprNode[] }} AggregateEntry
+ */
+
 /**
  * Projects aggregate columns from a group of rows
  *
@@ -84,85 +93,146 @@ function aggregateContextRow(group, aggregateRow) {
  */
 export function executeHashAggregate(plan, context) {
   const child = executePlan({ plan: plan.child, context })
-  const streaming = planStreamingAggregates(plan, child.columns)
+  const { groupingSets } = plan
+  // Each grouping set yields at most one group per input row, and the empty
+  // set yields its group even for empty input
+  const maxRows = groupingSets && child.maxRows !== undefined
+    ? Math.max(child.maxRows, 1) * groupingSets.length
+    : child.maxRows
+  const streaming = groupingSets
+    ? planStreamingGroupingSets({ ...plan, groupingSets }, child.columns, context.functions)
+    : planStreamingAggregates(plan, child.columns, context.functions)
   if (streaming) {
     return {
       columns: selectColumnNames(plan.columns, child.columns),
-      maxRows: child.maxRows,
+      maxRows,
       rows: streamingHashAggregateRows({ plan, streaming, child, context }),
     }
   }
+  const sets = groupingSets ?? [{ keys: plan.groupBy.map((_, i) => i), ...plan }]
+  // Spilling partitions the rows of one set by key, so grouping sets and
+  // the single group of an empty GROUP BY stay in memory
+  const spills = hasSpillBudget(context) && !groupingSets && plan.groupBy.length > 0
   return {
     columns: selectColumnNames(plan.columns, child.columns),
-    maxRows: child.maxRows,
+    maxRows,
     async *rows() {
-      // Collect all rows
-      /** @type {AsyncRow[]} */
-      const allRows = []
-      let collectCount = 0
-      for await (const row of child.rows()) {
-        if (++collectCount % YIELD_INTERVAL === 0) {
-          await yieldToEventLoop()
-          context.signal?.throwIfAborted()
-        }
-        allRows.push(row)
-      }
-      context.signal?.throwIfAborted()
-
-      // Group rows by GROUP BY keys.
-      // Each chunk dispatches all per-row key evaluations in parallel so
-      // async cells (e.g. lazy parquet decode) overlap; the await is at the
-      // chunk boundary. Synchronous cells stay cheap because we skip the
-      // inner Promise.all wrapper when there's a single GROUP BY expression.
-      /** @type {Map<any, AsyncRow[]>} */
-      const groups = new Map()
-      const { groupBy } = plan
-      const singleKey = groupBy.length === 1
-      const singleExpr = singleKey ? groupBy[0] : null
-
-      for (let chunkStart = 0; chunkStart < allRows.length; chunkStart += YIELD_INTERVAL) {
-        if (chunkStart > 0) {
-          await yieldToEventLoop()
-          context.signal?.throwIfAborted()
-        }
-        const chunkEnd = Math.min(chunkStart + YIELD_INTERVAL, allRows.length)
-        const chunkLen = chunkEnd - chunkStart
-        /** @type {Promise<any>[]} */
-        const pending = new Array(chunkLen)
-        if (singleKey) {
-          for (let j = 0; j < chunkLen; j++) {
-            pending[j] = evaluateExpr({ node: singleExpr, row: allRows[chunkStart + j], context })
+      const { orderBy } = plan
+      if (spills) {
+        // each batch of rows holds whole groups, so its groups are final
+        async function* spilledEntries() {
+          for await (const rows of spillingRowBatches({ child, groupBy: plan.groupBy, context })) {
+            yield* aggregateEntries(await groupRows(rows))
           }
+        }
+        if (orderBy?.length) {
+          yield* externalSortRows({ entries: spilledEntries(), orderBy, context })
         } else {
-          for (let j = 0; j < chunkLen; j++) {
-            const row = allRows[chunkStart + j]
-            pending[j] = Promise.all(groupBy.map(expr => evaluateExpr({ node: expr, row, context })))
+          for await (const { outputRow } of spilledEntries()) {
+            yield outputRow
           }
         }
-        const chunkKeys = await Promise.all(pending)
+        return
+      }
+
+      const groups = await groupRows(await collectRows(child, context))
+      for (let g = 0; g < sets.length; g++) {
+        if (!sets[g].keys.length && !groups[g].size) groups[g].set(true, [])
+      }
+
+      /** @type {AggregateEntry[]} */
+      const aggregateRows = []
+      for await (const entry of aggregateEntries(groups)) {
+        aggregateRows.push(entry)
+      }
+
+      const outputRows = orderBy?.length
+        ? await sortEntriesByTerms({
+          entries: aggregateRows,
+          orderBy,
+          context,
+        })
+        : aggregateRows
+
+      for (const { outputRow } of outputRows) {
+        yield outputRow
+      }
+    },
+  }
+
+  /**
+   * Groups rows by GROUP BY keys, in each grouping set.
+   * Each chunk dispatches all per-row key evaluations in parallel so
+   * async cells (e.g. lazy parquet decode) overlap; the await is at the
+   * chunk boundary. Synchronous cells stay cheap because we skip the
+   * inner Promise.all wrapper when there's a single GROUP BY expression.
+   *
+   * @param {AsyncRow[]} allRows
+   * @returns {Promise<Map<any, AsyncRow[]>[]>}
+   */
+  async function groupRows(allRows) {
+    /** @type {Map<any, AsyncRow[]>[]} */
+    const groups = sets.map(() => new Map())
+    const { groupBy } = plan
+    const singleKey = groupBy.length === 1
+    const singleExpr = singleKey ? groupBy[0] : null
+
+    for (let chunkStart = 0; chunkStart < allRows.length; chunkStart += YIELD_INTERVAL) {
+      if (chunkStart > 0) {
+        await yieldToEventLoop()
+        context.signal?.throwIfAborted()
+      }
+      const chunkEnd = Math.min(chunkStart + YIELD_INTERVAL, allRows.length)
+      const chunkLen = chunkEnd - chunkStart
+      /** @type {Promise<any>[]} */
+      const pending = new Array(chunkLen)
+      if (singleKey) {
+        for (let j = 0; j < chunkLen; j++) {
+          pending[j] = evaluateExpr({ node: singleExpr, row: allRows[chunkStart + j], context })
+        }
+      } else {
         for (let j = 0; j < chunkLen; j++) {
-          const key = singleKey ? keyify(chunkKeys[j]) : keyify(...chunkKeys[j])
           const row = allRows[chunkStart + j]
-          let group = groups.get(key)
+          pending[j] = Promise.all(groupBy.map(expr => evaluateExpr({ node: expr, row, context })))
+        }
+      }
+      const chunkKeys = await Promise.all(pending)
+      for (let j = 0; j < chunkLen; j++) {
+        const row = allRows[chunkStart + j]
+        for (let g = 0; g < sets.length; g++) {
+          const key = groupingSets
+            ? groupingKey(sets[g].keys, singleKey ? [chunkKeys[j]] : chunkKeys[j])
+            : singleKey ? keyify(chunkKeys[j]) : keyify(...chunkKeys[j])
+          let group = groups[g].get(key)
           if (!group) {
             group = []
-            groups.set(key, group)
+            groups[g].set(key, group)
           }
           group.push(row)
         }
       }
+    }
+    return groups
+  }
 
-      /** @type {{ row: AsyncRow, rows: AsyncRow[], outputRow: AsyncRow }[]} */
-      const aggregateRows = []
-
-      for (const group of groups.values()) {
-        const asyncRow = projectAggregateColumns(plan.columns, group, context)
+  /**
+   * Projects the groups of each set, applying HAVING, and yields their
+   * output rows with the rows and expressions to sort them by.
+   *
+   * @param {Map<any, AsyncRow[]>[]} groups - groups of each set
+   * @returns {AsyncGenerator<AggregateEntry>}
+   */
+  async function* aggregateEntries(groups) {
+    for (let g = 0; g < sets.length; g++) {
+      const { columns, having, orderBy } = sets[g]
+      for (const group of groups[g].values()) {
+        const asyncRow = projectAggregateColumns(columns, group, context)
         const contextRow = aggregateContextRow(group, asyncRow)
 
         // Apply HAVING filter
-        if (plan.having) {
+        if (having) {
           const passes = await evaluateExpr({
-            node: plan.having,
+            node: having,
             row: contextRow,
             rows: group,
             context,
@@ -170,21 +240,117 @@ export function executeHashAggregate(plan, context) {
           if (!passes) continue
         }
 
-        aggregateRows.push({ row: contextRow, rows: group, outputRow: asyncRow })
+        yield { row: contextRow, rows: group, outputRow: asyncRow, exprs: orderBy?.map(term => term.expr) }
       }
+    }
+  }
+}
 
-      const outputRows = plan.orderBy?.length
-        ? await sortEntriesByTerms({
-          entries: aggregateRows,
-          orderBy: plan.orderBy,
-          context,
-        })
-        : aggregateRows
+/**
+ * Collects every row of the input.
+ *
+ * @param {QueryResults} child
+ * @param {ExecuteContext} context
+ * @returns {Promise<AsyncRow[]>}
+ */
+async function collectRows(child, context) {
+  /** @type {AsyncRow[]} */
+  const allRows = []
+  let collectCount = 0
+  for await (const row of child.rows()) {
+    if (++collectCount % YIELD_INTERVAL === 0) {
+      await yieldToEventLoop()
+      context.signal?.throwIfAborted()
+    }
+    allRows.push(row)
+  }
+  context.signal?.throwIfAborted()
+  return allRows
+}
 
-      for (const { outputRow } of outputRows) {
-        yield outputRow
+/**
+ * Collects the input of a GROUP BY under the query's memory or row budget,
+ * as a Grace hash aggregate. Input that fits the budget is yielded as one
+ * batch. Otherwise every row is written to a spill partition by the hash of
+ * its GROUP BY values, and each partition is yielded in turn, split again on
+ * the next bits of the hash while it still does not fit. Each batch holds
+ * all the rows of its groups, though one group larger than the budget
+ * still has to fit in memory.
+ *
+ * @param {object} options
+ * @param {QueryResults} options.child
+ * @param {ExprNode[]} options.groupBy
+ * @param {ExecuteContext} options.context
+ * @param {number} [options.level] - partitioning passes so far
+ * @returns {AsyncGenerator<AsyncRow[]>}
+ */
+async function* spillingRowBatches({ child, groupBy, context, level = 0 }) {
+  // Past the last level the hash has no bits left to split on
+  if (level >= MAX_SPILL_LEVEL) {
+    yield await collectRows(child, context)
+    return
+  }
+  const store = context.spillStore ?? memorySpillStore()
+  const writer = newPartitionWriter(store, 'aggregate')
+  /** @type {{ row: AsyncRow, values: SqlPrimitive[] }[]} */
+  let buffered = []
+  let bytes = 0
+  let spilled = false
+  /** @type {string[]} */
+  let columns = []
+  /**
+   * @param {AsyncRow} row
+   * @param {SqlPrimitive[]} values
+   */
+  async function spill(row, values) {
+    const keys = await Promise.all(groupBy.map(expr => evaluateExpr({ node: expr, row, context })))
+    await writePartition(writer, partitionOf(keyify(...keys), level), values)
+  }
+  try {
+    let count = 0
+    for await (const row of child.rows()) {
+      if (++count % YIELD_INTERVAL === 0) {
+        await yieldToEventLoop()
+        context.signal?.throwIfAborted()
       }
-    },
+      const values = await rowValues(row)
+      if (spilled) {
+        await spill(row, values)
+        continue
+      }
+      buffered.push({ row, values })
+      bytes += estimateRowBytes(values)
+      if (overSpillBudget(context, buffered.length, bytes)) {
+        spilled = true
+        columns = row.columns
+        for (const entry of buffered) await spill(entry.row, entry.values)
+        buffered = []
+      }
+    }
+    context.signal?.throwIfAborted()
+    if (!spilled) {
+      yield buffered.map(({ row }) => row)
+      return
+    }
+
+    await flushPartitions(writer)
+    for (let partition = 0; partition < SPILL_PARTITIONS; partition++) {
+      const file = writer.files[partition]
+      if (file === undefined) continue
+      /** @type {QueryResults} */
+      const partitionRows = {
+        columns,
+        async *rows() {
+          for await (const record of readSpillFile(store, file)) {
+            yield spilledRow(columns, record, 0)
+          }
+        },
+      }
+      yield* spillingRowBatches({ child: partitionRows, groupBy, context, level: level + 1 })
+      await deletePartition(writer, partition)
+    }
+  } finally {
+    await deletePartitions(writer)
   }
 }
 
@@ -212,7 +378,7 @@ export function executeScalarAggregate(plan, context) {
   const child = columnScan?.fallback
     ? executeScan(columnScan.fallback.plan, context, columnScan.fallback.result)
     : executePlan({ plan: plan.child, context })
-  const streaming = planStreamingAggregates(plan, child.columns)
+  const streaming = planStreamingAggregates(plan, child.columns, context.functions)
   if (streaming) {
     return {
       columns: selectColumnNames(plan.columns, child.columns),
@@ -399,7 +565,7 @@ function extractColumnAggSpec({ expr, alias }, starColumn) {
   if (expr.type !== 'function') return
   if (expr.filter) return // FILTER not supported in fast path
   const funcName = expr.funcName.toUpperCase()
-  if (!['COUNT', 'SUM', 'AVG', 'MIN', 'MAX'].includes(funcName)) return
+  if (!['COUNT', 'SUM', 'AVG', 'MIN', 'MAX', 'APPROX_COUNT_DISTINCT'].includes(funcName)) return
 
   // Argument must be a plain column identifier, except COUNT(*), which counts
   // the lengths of filtered chunks from an arbitrary physical column.
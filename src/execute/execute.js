@@ -2,8 +2,10 @@ import { selectedRowCount } from '../backend/batch.js'
 import { batchesToRows } from '../backend/batchAdapters.js'
 import { dataSourceColumns, memorySource } from '../backend/dataSource.js'
 import { derivedAlias } from '../expression/alias.js'
+import { dateArithmetic, intervalMillis, isInterval, isTimeZone, newInterval, toDate } from '../expression/date.js'
 import { compileBatchExpression } from '../expression/batch.js'
 import { evaluateExpr } from '../expression/evaluate.js'
+import { bindParams } from '../parse/params.js'
 import { parseSql } from '../parse/parse.js'
 import { planSql, planStatement } from '../plan/plan.js'
 import { collectColumnsFromExpr, statementScope } from '../plan/columns.js'
@@ -11,10 +13,14 @@ import { validateScan, validateTable } from '../validation/tables.js'
 import { executeHashAggregate, executeScalarAggregate } from './aggregates.js'
 import { batchResult } from './batchResults.js'
 import { distinctBatches, filterBatches, limitBatches, projectExpressionBatches } from './batches.js'
-import { executeHashJoin, executeNestedLoopJoin, executePositionalJoin } from './join.js'
+import { executeExplain } from './explain.js'
+import { executeHashJoin, executeNestedLoopJoin, executePositionalJoin, executeSpatialJoin } from './join.js'
+import { executePivot, executeUnpivot } from './pivot.js'
+import { executeRecursiveCTE, executeWorkTable } from './recursive.js'
 import { referencesRowScope } from './rowScope.js'
 import { normalizeScanColumnResult } from './scanColumn.js'
 import { executeSort } from './sort.js'
+import { traceQuery, traceScanBatches, trackPlanStats } from './stats.js'
 import { addBounds, minBounds, stableRowKey } from './utils.js'
 import { executeWindow } from './window.js'
 import { yieldToEventLoop } from './yield.js'
@@ -34,8 +40,17 @@ const YIELD_INTERVAL = 4000
  * @param {ExecuteSqlOptions} options
  * @returns {QueryResults}
  */
-export function executeSql({ tables, query, functions, signal }) {
-  const parsed = typeof query === 'string' ? parseSql({ query, functions }) : query
+export function executeSql({ tables, query, functions, params, signal, onEvent, maxRecursion, maxRecursiveRows, timeZone, memoryBudget, rowBudget, spillStore }) {
+  if (timeZone !== undefined && !isTimeZone(timeZone)) {
+    throw new RangeError(`Unknown time zone: ${timeZone}`)
+  }
+  if (memoryBudget !== undefined && !(memoryBudget > 0)) {
+    throw new RangeError(`memoryBudget must be a positive number of bytes, got ${memoryBudget}`)
+  }
+  if (rowBudget !== undefined && !(Number.isInteger(rowBudget) && rowBudget > 0)) {
+    throw new RangeError(`rowBudget must be a positive integer, got ${rowBudget}`)
+  }
+  const parsed = bindParams(typeof query === 'string' ? parseSql({ query, functions }) : query, params)
 
   // Normalize tables: convert arrays to AsyncDataSource
   /** @type {Record<string, AsyncDataSource>} */
@@ -48,7 +63,7 @@ export function executeSql({ tables, query, functions, signal }) {
     }
   }
 
-  const scope = statementScope(parsed)
+  const scope = statementScope(parsed.type === 'explain' ? parsed.query : parsed)
   // CTEs are resolved at plan time for FROM/JOIN positions. Subqueries inside
   // expressions are re-planned during execution, so capture the CTE maps here
   // and thread them through the context so those re-plans can still resolve
@@ -57,7 +72,7 @@ export function executeSql({ tables, query, functions, signal }) {
   const ctePlans = new Map()
   /** @type {Map<string, string[]>} */
   const cteColumns = new Map()
-  const context = { tables: normalizedTables, functions, signal, scope, ctePlans, cteColumns }
+  const context = { tables: normalizedTables, functions, signal, onEvent, scope, ctePlans, cteColumns, maxRecursion, maxRecursiveRows, timeZone, memoryBudget, rowBudget, spillStore }
   const plan = planSql({ query: parsed, functions, tables: normalizedTables, ctePlans, cteColumns })
   return executePlan({ plan, context })
 }
@@ -75,6 +90,7 @@ export function executeStatement({ query, context, outerScope }) {
   const plan = planStatement({
     stmt: query,
     tables: context.tables,
+    functions: context.functions,
     ctePlans: context.ctePlans,
     cteColumns: context.cteColumns,
     outerScope,
@@ -93,6 +109,17 @@ export function executeStatement({ query, context, outerScope }) {
  * @returns {QueryResults}
  */
 export function executePlan({ plan, context }) {
+  if (context.onEvent && !context.queryStats) return traceQuery(plan, context)
+  const result = executeNode(plan, context)
+  return context.planStats ? trackPlanStats(result, plan, context) : result
+}
+
+/**
+ * @param {QueryPlan} plan
+ * @param {ExecuteContext} context
+ * @returns {QueryResults}
+ */
+function executeNode(plan, context) {
   if (plan.type === 'Scan') {
     return executeScan(plan, context)
   } else if (plan.type === 'SingleRow') {
@@ -107,6 +134,8 @@ export function executePlan({ plan, context }) {
     return executeHashJoin(plan, context)
   } else if (plan.type === 'NestedLoopJoin') {
     return executeNestedLoopJoin(plan, context)
+  } else if (plan.type === 'SpatialJoin') {
+    return executeSpatialJoin(plan, context)
   } else if (plan.type === 'PositionalJoin') {
     return executePositionalJoin(plan, context)
   } else if (plan.type === 'HashAggregate') {
@@ -127,6 +156,16 @@ export function executePlan({ plan, context }) {
     return executeTableFunction(plan, context)
   } else if (plan.type === 'Window') {
     return executeWindow(plan, context)
+  } else if (plan.type === 'Pivot') {
+    return executePivot(plan, context)
+  } else if (plan.type === 'Unpivot') {
+    return executeUnpivot(plan, context)
+  } else if (plan.type === 'RecursiveCTE') {
+    return executeRecursiveCTE(plan, context)
+  } else if (plan.type === 'WorkTable') {
+    return executeWorkTable(plan, context)
+  } else if (plan.type === 'Explain') {
+    return executeExplain(plan, context)
   }
   return { columns: [], async *rows() {} }
 }
@@ -162,6 +201,8 @@ function executeTableFunction(plan, context) {
     return executeUnnest(plan, context)
   } else if (plan.funcName === 'JSON_EACH') {
     return executeJsonEach(plan, context)
+  } else if (plan.funcName === 'GENERATE_SERIES' || plan.funcName === 'RANGE') {
+    return executeSeries(plan, context)
   }
   throw new Error(`Unsupported table function: ${plan.funcName}`)
 }
@@ -248,6 +289,79 @@ function executeJsonEach(plan, context) {
   }
 }
 
+/**
+ * GENERATE_SERIES and RANGE: numbers from start (default 0) to stop in steps
+ * (default 1), or timestamps from start to stop in interval steps.
+ * GENERATE_SERIES includes stop and RANGE stops before it. Null arguments
+ * give no rows.
+ *
+ * @param {TableFunctionNode} plan
+ * @param {ExecuteContext} context
+ * @returns {QueryResults}
+ */
+function executeSeries(plan, context) {
+  const columns = plan.columnNames
+  const [columnName] = columns
+  const signature = `${plan.funcName}([start, ]stop[, step])`
+  const inclusive = plan.funcName === 'GENERATE_SERIES'
+  return {
+    columns,
+    async *rows() {
+      /** @type {AsyncRow} */
+      const row = context.outerRow ?? { columns: [], cells: {} }
+      const args = await Promise.all(plan.args.map(arg => evaluateExpr({ node: arg, row, rowIndex: 1, context })))
+      if (args.length === 1) args.unshift(0)
+      const [start, stop, step = 1] = args
+      if (start == null || stop == null || step == null) return
+
+      if (isInterval(step)) {
+        const startDate = toDate(start)
+        const stopDate = toDate(stop)
+        if (startDate == null || stopDate == null) {
+          throw new Error(`${signature}: start and stop must be timestamps when step is an interval`)
+        }
+        const direction = Math.sign(intervalMillis(step))
+        if (!direction) throw new Error(`${signature}: step must not be zero`)
+        const end = stopDate.getTime()
+        // add multiples of the step to start, rather than adding the step
+        // repeatedly, so that month steps from Jan 31 stay at month ends
+        for (let i = 0; ; i++) {
+          const interval = newInterval(step.months * i, step.days * i, step.milliseconds * i)
+          const value = dateArithmetic('+', start, interval, context.timeZone) ?? null
+          const time = toDate(value)?.getTime() ?? NaN
+          const past = direction > 0 ? time > end : time < end
+          if (past || !inclusive && time === end) return
+          context.signal?.throwIfAborted()
+          if (i > 0 && i % YIELD_INTERVAL === 0) {
+            await yieldToEventLoop()
+            context.signal?.throwIfAborted()
+          }
+          yield { columns, cells: { [columnName]: () => Promise.resolve(value) } }
+        }
+      }
+
+      const from = Number(start)
+      const to = Number(stop)
+      const by = Number(step)
+      if (!isFinite(from) || !isFinite(to) || !isFinite(by)) {
+        throw new Error(`${signature}: arguments must be numbers, or timestamps with an interval step`)
+      }
+      if (by === 0) throw new Error(`${signature}: step must not be zero`)
+      for (let i = 0; ; i++) {
+        const value = from + by * i
+        const past = by > 0 ? value > to : value < to
+        if (past || !inclusive && value === to) return
+        context.signal?.throwIfAborted()
+        if (i > 0 && i % YIELD_INTERVAL === 0) {
+          await yieldToEventLoop()
+          context.signal?.throwIfAborted()
+        }
+        yield { columns, cells: { [columnName]: () => Promise.resolve(value) } }
+      }
+    },
+  }
+}
+
 /**
  * Derives output column names from SELECT columns and available child columns.
  *
@@ -312,7 +426,7 @@ export function executeScan(plan, context, existingColumnResult) {
       ? false
       : columnResult.appliedLimitOffset
     const residualFilter = plan.hints.where && !columnResult.appliedWhere
-      ? compileBatchExpression(plan.hints.where, columns)
+      ? compileBatchExpression(plan.hints.where, columns, context.timeZone)
       : undefined
 
     /** @returns {AsyncIterable<AsyncBatch>} */
@@ -442,10 +556,16 @@ function executePreparedScan({ plan, prepared, context, table }) {
     : undefined
   const canUseBatches = !residual.filter || residualFilter !== undefined
 
+  /** @returns {AsyncIterable<AsyncBatch>} */
+  function preparedBatches() {
+    const batches = prepared.batches({ signal })
+    return context.onEvent ? traceScanBatches(batches, plan.table, context) : batches
+  }
+
   /** @returns {AsyncIterable<AsyncBatch>} */
   function makeBatches() {
     /** @type {AsyncIterable<AsyncBatch>} */
-    let batches = prepared.batches({ signal })
+    let batches = preparedBatches()
     if (residualFilter) {
       const targetRows = residual.limit === undefined
         ? undefined
@@ -476,7 +596,7 @@ function executePreparedScan({ plan, prepared, context, table }) {
   return {
     ...metadata,
     async *rows() {
-      let result = batchesToRows(prepared.batches({ signal }), columns, signal)
+      let result = batchesToRows(preparedBatches(), columns, signal)
       if (residual.filter) result = filterRows(result, residual.filter, context, residual.limit)
       if (residual.limit !== undefined || residual.offset) {
         result = limitRows(result, residual.limit, residual.offset, signal)
@@ -718,7 +838,7 @@ async function* limitRows(rows, limit = Infinity, offset = 0, signal) {
 function compileUnscopedBatchExpression(expression, columns, context) {
   return referencesRowScope(expression, columns, context)
     ? undefined
-    : compileBatchExpression(expression, columns)
+    : compileBatchExpression(expression, columns, context.timeZone)
 }
 
 /**
@@ -1065,12 +1185,12 @@ function batchProjection(planColumns, outputColumns, childColumns, context) {
         projections.push({ type: 'column', columnIndex: index })
         continue
       }
-      const expression = compileBatchExpression(column.expr, childColumns)
+      const expression = compileBatchExpression(column.expr, childColumns, context.timeZone)
       if (!expression) return undefined
       projections.push({ type: 'expression', expression })
       continue
     }
-    const expression = compileBatchExpression(column.expr, childColumns)
+    const expression = compileBatchExpression(column.expr, childColumns, context.timeZone)
     if (!expression) return undefined
     projections.push({ type: 'expression', expression })
   }
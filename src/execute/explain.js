@@ -0,0 +1,47 @@
+import { asyncRow } from '../backend/dataSource.js'
+import { explainPlan } from '../plan/explain.js'
+import { executePlan } from './execute.js'
+import { yieldToEventLoop } from './yield.js'
+
+/**
+ * @import { ExecuteContext, PlanStats, QueryResults } from '../types.js'
+ * @import { ExplainNode, QueryPlan } from '../plan/types.js'
+ */
+
+// Yield to the event loop every 4000 iterations so that aborts can actually fire
+const YIELD_INTERVAL = 4000
+
+/**
+ * Executes an Explain plan node, yielding one row per line of the rendered
+ * child plan in a single `plan` column. For EXPLAIN ANALYZE the child is run
+ * first, reading every cell of every row as `collect` would.
+ *
+ * @param {ExplainNode} plan
+ * @param {ExecuteContext} context
+ * @returns {QueryResults}
+ */
+export function executeExplain(plan, context) {
+  const columns = ['plan']
+  return {
+    columns,
+    async *rows() {
+      /** @type {WeakMap<QueryPlan, PlanStats> | undefined} */
+      let stats
+      if (plan.analyze) {
+        stats = context.planStats ?? new WeakMap()
+        const child = executePlan({ plan: plan.child, context: { ...context, planStats: stats } })
+        let i = 0
+        for await (const row of child.rows()) {
+          if (++i % YIELD_INTERVAL === 0) {
+            await yieldToEventLoop()
+            context.signal?.throwIfAborted()
+          }
+          await Promise.all(child.columns.map(name => row.cells[name]()))
+        }
+      }
+      for (const line of explainPlan({ plan: plan.child, stats }).split('\n')) {
+        yield asyncRow({ plan: line }, columns)
+      }
+    },
+  }
+}
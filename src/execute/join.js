@@ -1,11 +1,17 @@
+import { memorySpillStore } from '../backend/spillStore.js'
 import { evaluateExpr } from '../expression/evaluate.js'
+import { buildRTree, searchRTree } from '../spatial/rtree.js'
+import { valueBbox } from '../spatial/spatial.js'
 import { keyify, maxBounds } from './utils.js'
 import { executePlan } from './execute.js'
+import { MAX_SPILL_LEVEL, SPILL_PARTITIONS, deletePartition, deletePartitions, estimateRowBytes, flushPartitions, hasSpillBudget, newPartitionWriter, overSpillBudget, partitionOf, readSpillFile, rowValues, spilledRow, writePartition } from './spill.js'
 import { yieldToEventLoop } from './yield.js'
 
 /**
- * @import { AsyncCells, AsyncRow, ExecuteContext, QueryResults } from '../types.js'
- * @import { HashJoinNode, NestedLoopJoinNode, PositionalJoinNode } from '../plan/types.js'
+ * @import { AsyncCells, AsyncRow, ExecuteContext, ExprNode, QueryResults, SpillStore, SqlPrimitive } from '../types.js'
+ * @import { HashJoinNode, NestedLoopJoinNode, PositionalJoinNode, SpatialJoinNode } from '../plan/types.js'
+ * @import { RTreeEntry } from '../spatial/rtree.js'
+ * @import { PartitionWriter } from './spill.js'
  */
 
 // Yield to the event loop every 4000 iterations so that aborts can actually fire
@@ -235,11 +241,288 @@ export function executeHashJoin(plan, context) {
     async *rows() {
       const leftTable = plan.leftAlias
       const rightTable = plan.rightAlias
-      const { residual } = plan
       const build = swap ? left : right
       const probe = swap ? right : left
       const buildKeys = swap ? plan.leftKeys : plan.rightKeys
       const probeKeys = swap ? plan.rightKeys : plan.leftKeys
+
+      /** @type {HashJoin} */
+      const join = {
+        residual: plan.residual,
+        merge(probeRow, buildRow) {
+          return swap
+            ? mergeRows(buildRow, probeRow, leftTable, rightTable)
+            : mergeRows(probeRow, buildRow, leftTable, rightTable)
+        },
+        // Which sides must also emit their unmatched rows
+        buildOuter: plan.joinType === 'FULL' || plan.joinType === (swap ? 'LEFT' : 'RIGHT'),
+        probeOuter: plan.joinType === 'FULL' || plan.joinType === (swap ? 'RIGHT' : 'LEFT'),
+        buildCols: [],
+        probeCols: [],
+        context,
+      }
+      yield* hashJoinRows(
+        join,
+        keyedRows(build.rows(), buildKeys, context),
+        keyedRows(probe.rows(), probeKeys, context),
+        0
+      )
+    },
+  }
+}
+
+/**
+ * A hash join's settings and the column names of each side, shared by the
+ * joins of its spilled partitions.
+ *
+ * @typedef {{
+ *   residual: ExprNode | undefined,
+ *   merge: (probeRow: AsyncRow, buildRow: AsyncRow) => AsyncRow,
+ *   buildOuter: boolean,
+ *   probeOuter: boolean,
+ *   buildCols: string[],
+ *   probeCols: string[],
+ *   context: ExecuteContext,
+ * }} HashJoin
+ */
+
+/**
+ * A row with its join key, null when any key value is NULL. Rows read back
+ * from a spill store also carry their values.
+ *
+ * @typedef {{ key: JoinKey | null, row: AsyncRow, values?: SqlPrimitive[] }} KeyedRow
+ * @typedef {string | number | bigint | boolean} JoinKey
+ */
+
+/**
+ * @param {AsyncIterable<AsyncRow>} rows
+ * @param {ExprNode[]} keys
+ * @param {ExecuteContext} context
+ * @returns {AsyncGenerator<KeyedRow>}
+ */
+async function* keyedRows(rows, keys, context) {
+  for await (const row of rows) {
+    context.signal?.throwIfAborted()
+    const keyValues = await Promise.all(keys.map(node => evaluateExpr({ node, row, context })))
+    // SQL semantics: NULL never equals anything
+    const key = keyValues.some(v => v == null) ? null : keyify(...keyValues)
+    yield { key, row }
+  }
+}
+
+/**
+ * Joins two keyed streams in memory, or by partitioning both to the spill
+ * store when the build side outgrows the query's budget.
+ *
+ * @param {HashJoin} join
+ * @param {AsyncIterable<KeyedRow>} build
+ * @param {AsyncIterable<KeyedRow>} probe
+ * @param {number} level - partitioning passes so far
+ * @returns {AsyncGenerator<AsyncRow>}
+ */
+async function* hashJoinRows(join, build, probe, level) {
+  const { context, merge, residual } = join
+  // Past the last level the hash has no bits left to split on
+  const budgeted = hasSpillBudget(context) && level < MAX_SPILL_LEVEL
+
+  // Build phase: stream one side into the hash map. The full row list is
+  // only retained when unmatched build rows must be emitted afterwards;
+  // otherwise rows with NULL join keys are released immediately.
+  /** @type {Map<JoinKey, AsyncRow[]>} */
+  const hashMap = new Map()
+  /** @type {AsyncRow[] | undefined} */
+  const buildRows = join.buildOuter ? [] : undefined
+  /** @type {KeyedRow[]} */
+  const buffered = []
+  let bytes = 0
+  let innerCount = 0
+  for await (const entry of build) {
+    if (++innerCount % YIELD_INTERVAL === 0) {
+      await yieldToEventLoop()
+      context.signal?.throwIfAborted()
+    }
+    const { key, row: buildRow } = entry
+    if (!join.buildCols.length) {
+      join.buildCols = buildRow.columns
+    }
+    if (key === null && !buildRows) continue
+    if (budgeted) {
+      // Materialize the buffered rows to measure them, and to spill them
+      // if the build side does not fit
+      entry.values ??= await rowValues(buildRow)
+      buffered.push(entry)
+      bytes += estimateRowBytes(entry.values)
+      if (overSpillBudget(context, buffered.length, bytes)) {
+        // spillHashJoin partitions the rest of the build side too
+        yield* spillHashJoin(join, buffered, build, probe, level)
+        return
+      }
+    }
+    buildRows?.push(buildRow)
+    if (key === null) continue
+    let bucket = hashMap.get(key)
+    if (!bucket) {
+      bucket = []
+      hashMap.set(key, bucket)
+    }
+    bucket.push(buildRow)
+  }
+
+  /** @type {Set<AsyncRow> | undefined} */
+  const matchedBuildRows = buildRows ? new Set() : undefined
+
+  // Probe phase: stream the other side
+  for await (const { key, row: probeRow } of probe) {
+    if (!join.probeCols.length) {
+      join.probeCols = probeRow.columns
+    }
+
+    let matched = false
+    const candidates = key === null ? undefined : hashMap.get(key)
+    if (candidates?.length) {
+      for (const buildRow of candidates) {
+        if (++innerCount % YIELD_INTERVAL === 0) {
+          await yieldToEventLoop()
+          context.signal?.throwIfAborted()
+        }
+        const merged = merge(probeRow, buildRow)
+        if (residual) {
+          const ok = await evaluateExpr({ node: residual, row: merged, context })
+          if (!ok) continue
+        }
+        matched = true
+        matchedBuildRows?.add(buildRow)
+        yield merged
+      }
+    }
+
+    if (!matched && join.probeOuter) {
+      yield merge(probeRow, createNullRow(join.buildCols))
+    }
+  }
+
+  context.signal?.throwIfAborted()
+
+  // Unmatched build rows for outer joins on the build side
+  if (buildRows && matchedBuildRows) {
+    for (const buildRow of buildRows) {
+      if (!matchedBuildRows.has(buildRow)) {
+        yield merge(createNullRow(join.probeCols), buildRow)
+      }
+    }
+  }
+}
+
+/**
+ * Grace hash join: writes both sides to the spill store in partitions by
+ * join key hash, then joins each pair of partitions on its own. Matching
+ * keys always land in the same pair, and a pair that still does not fit is
+ * split again on the next bits of the hash. Rows that can never match are
+ * kept out of the partitions: unmatched NULL-key probe rows are emitted
+ * straight away, and NULL-key build rows all go to the first partition.
+ *
+ * @param {HashJoin} join
+ * @param {KeyedRow[]} buffered - build rows read so far, with their values
+ * @param {AsyncIterable<KeyedRow>} build - the rest of the build side
+ * @param {AsyncIterable<KeyedRow>} probe
+ * @param {number} level
+ * @returns {AsyncGenerator<AsyncRow>}
+ */
+async function* spillHashJoin(join, buffered, build, probe, level) {
+  const { context } = join
+  const store = context.spillStore ?? memorySpillStore()
+  const buildParts = newPartitionWriter(store, 'join')
+  const probeParts = newPartitionWriter(store, 'join')
+
+  /**
+   * @param {PartitionWriter} writer
+   * @param {KeyedRow} entry
+   */
+  async function spill(writer, { key, row, values }) {
+    const partition = key === null ? 0 : partitionOf(key, level)
+    await writePartition(writer, partition, [key, ...values ?? await rowValues(row)])
+  }
+
+  try {
+    for (const entry of buffered) {
+      await spill(buildParts, entry)
+    }
+    buffered.length = 0
+    for await (const entry of build) {
+      if (entry.key === null && !join.buildOuter) continue
+      await spill(buildParts, entry)
+    }
+    await flushPartitions(buildParts)
+
+    for await (const entry of probe) {
+      if (!join.probeCols.length) {
+        join.probeCols = entry.row.columns
+      }
+      if (entry.key === null) {
+        if (join.probeOuter) yield join.merge(entry.row, createNullRow(join.buildCols))
+        continue
+      }
+      await spill(probeParts, entry)
+    }
+    await flushPartitions(probeParts)
+
+    for (let partition = 0; partition < SPILL_PARTITIONS; partition++) {
+      yield* hashJoinRows(
+        join,
+        spilledKeyedRows(store, buildParts.files[partition], join.buildCols),
+        spilledKeyedRows(store, probeParts.files[partition], join.probeCols),
+        level + 1
+      )
+      await deletePartition(buildParts, partition)
+      await deletePartition(probeParts, partition)
+    }
+  } finally {
+    await deletePartitions(buildParts)
+    await deletePartitions(probeParts)
+  }
+}
+
+/**
+ * @param {SpillStore} store
+ * @param {string | undefined} file - a partition, undefined when empty
+ * @param {string[]} columns
+ * @returns {AsyncGenerator<KeyedRow>}
+ */
+async function* spilledKeyedRows(store, file, columns) {
+  for await (const record of readSpillFile(store, file)) {
+    const [first, ...values] = record
+    // eslint-disable-next-line no-extra-parens
+    const key = /** @type {JoinKey | null} */ (first)
+    yield { key, row: spilledRow(columns, values, 0), values }
+  }
+}
+
+/**
+ * Executes a spatial join operation. One side is buffered into an R-tree of
+ * the bounding boxes of its geometries, and each row of the other side only
+ * evaluates the join condition against rows whose boxes overlap its own.
+ *
+ * @param {SpatialJoinNode} plan
+ * @param {ExecuteContext} context
+ * @returns {QueryResults}
+ */
+export function executeSpatialJoin(plan, context) {
+  const left = executePlan({ plan: plan.left, context })
+  const right = executePlan({ plan: plan.right, context })
+  // Index the smaller side when both sizes are known, as in executeHashJoin
+  const leftSize = left.numRows ?? left.maxRows
+  const rightSize = right.numRows ?? right.maxRows
+  const swap = leftSize !== undefined && rightSize !== undefined && leftSize < rightSize
+  return {
+    columns: mergeColumnNames(left.columns, right.columns, plan.leftAlias, plan.rightAlias),
+    async *rows() {
+      const leftTable = plan.leftAlias
+      const rightTable = plan.rightAlias
+      const distance = plan.distance ?? 0
+      const build = swap ? left : right
+      const probe = swap ? right : left
+      const buildGeometry = swap ? plan.leftGeometry : plan.rightGeometry
+      const probeGeometry = swap ? plan.rightGeometry : plan.leftGeometry
       // Which sides must also emit their unmatched rows
       const buildOuter = plan.joinType === 'FULL' || plan.joinType === (swap ? 'LEFT' : 'RIGHT')
       const probeOuter = plan.joinType === 'FULL' || plan.joinType === (swap ? 'RIGHT' : 'LEFT')
@@ -255,13 +538,12 @@ export function executeHashJoin(plan, context) {
           : mergeRows(probeRow, buildRow, leftTable, rightTable)
       }
 
-      // Build phase: stream one side into the hash map. The full row list is
-      // only retained when unmatched build rows must be emitted afterwards;
-      // otherwise rows with NULL join keys are released immediately.
-      /** @type {Map<string | number | bigint | boolean, AsyncRow[]>} */
-      const hashMap = new Map()
-      /** @type {AsyncRow[] | undefined} */
-      const buildRows = buildOuter ? [] : undefined
+      // Build phase: buffer one side and index the boxes of its geometries.
+      // Rows without a geometry can never match, so they are not indexed.
+      /** @type {AsyncRow[]} */
+      const buildRows = []
+      /** @type {RTreeEntry[]} */
+      const entries = []
       /** @type {string[]} */
       let buildCols = []
       let innerCount = 0
@@ -274,21 +556,11 @@ export function executeHashJoin(plan, context) {
         if (!buildCols.length) {
           buildCols = buildRow.columns
         }
-        buildRows?.push(buildRow)
-        const keyValues = await Promise.all(
-          buildKeys.map(node => evaluateExpr({ node, row: buildRow, context }))
-        )
-        // SQL semantics: NULL never equals anything, so a row with any NULL
-        // join key is excluded from the hash table.
-        if (keyValues.some(v => v == null)) continue
-        const key = keyify(...keyValues)
-        let bucket = hashMap.get(key)
-        if (!bucket) {
-          bucket = []
-          hashMap.set(key, bucket)
-        }
-        bucket.push(buildRow)
+        const box = valueBbox(await evaluateExpr({ node: buildGeometry, row: buildRow, context }))
+        if (box) entries.push({ box, value: buildRows.length })
+        buildRows.push(buildRow)
       }
+      const index = buildRTree(entries)
 
       /** @type {string[] | undefined} */
       let probeCols
@@ -298,33 +570,38 @@ export function executeHashJoin(plan, context) {
       // Probe phase: stream the other side
       for await (const probeRow of probe.rows()) {
         context.signal?.throwIfAborted()
+        // count probe rows too, so rows that match nothing still yield
+        if (++innerCount % YIELD_INTERVAL === 0) {
+          await yieldToEventLoop()
+          context.signal?.throwIfAborted()
+        }
 
         if (!probeCols) {
           probeCols = probeRow.columns
         }
 
-        const keyValues = await Promise.all(
-          probeKeys.map(node => evaluateExpr({ node, row: probeRow, context }))
-        )
         let matched = false
-        if (!keyValues.some(v => v == null)) {
-          const key = keyify(...keyValues)
-          const candidates = hashMap.get(key)
-          if (candidates?.length) {
-            for (const buildRow of candidates) {
-              if (++innerCount % YIELD_INTERVAL === 0) {
-                await yieldToEventLoop()
-                context.signal?.throwIfAborted()
-              }
-              const merged = merge(probeRow, buildRow)
-              if (residual) {
-                const ok = await evaluateExpr({ node: residual, row: merged, context })
-                if (!ok) continue
-              }
-              matched = true
-              matchedBuildRows?.add(buildRow)
-              yield merged
+        const box = valueBbox(await evaluateExpr({ node: probeGeometry, row: probeRow, context }))
+        if (box) {
+          const candidates = searchRTree(index, {
+            minX: box.minX - distance,
+            minY: box.minY - distance,
+            maxX: box.maxX + distance,
+            maxY: box.maxY + distance,
+          })
+          // keep the build order so output does not depend on the index layout
+          candidates.sort((a, b) => a - b)
+          for (const i of candidates) {
+            if (++innerCount % YIELD_INTERVAL === 0) {
+              await yieldToEventLoop()
+              context.signal?.throwIfAborted()
             }
+            const buildRow = buildRows[i]
+            const merged = merge(probeRow, buildRow)
+            if (!await evaluateExpr({ node: plan.condition, row: merged, context })) continue
+            matched = true
+            matchedBuildRows?.add(buildRow)
+            yield merged
           }
         }
 
@@ -336,7 +613,7 @@ export function executeHashJoin(plan, context) {
       context.signal?.throwIfAborted()
 
       // Unmatched build rows for outer joins on the build side
-      if (buildRows && matchedBuildRows) {
+      if (matchedBuildRows) {
         for (const buildRow of buildRows) {
           if (!matchedBuildRows.has(buildRow)) {
             yield merge(createNullRow(probeCols ?? []), buildRow)
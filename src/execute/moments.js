@@ -0,0 +1,214 @@
+/**
+ * @import { SqlPrimitive } from '../types.js'
+ */
+
+/**
+ * Running central moments of one variable, updated with Welford's method so
+ * values far from zero do not lose precision to cancellation. m2, m3 and m4
+ * are sums of squared, cubed and fourth-power deviations from the mean.
+ *
+ * @typedef {{ n: number, mean: number, m2: number, m3: number, m4: number }} Moments
+ */
+
+/**
+ * Running co-moments of (y, x) pairs: means, sums of squared deviations,
+ * and the sum of products of deviations.
+ *
+ * @typedef {{ n: number, meanX: number, meanY: number, sxx: number, syy: number, sxy: number }} Comoments
+ */
+
+// Aggregates computed from running moments of one variable
+export const momentAggregates = ['STDDEV_SAMP', 'STDDEV_POP', 'VAR_SAMP', 'VAR_POP', 'VARIANCE', 'SKEWNESS', 'KURTOSIS']
+
+// Aggregates computed from running co-moments of (y, x) pairs
+export const comomentAggregates = [
+  'CORR', 'COVAR_SAMP', 'COVAR_POP', 'REGR_SLOPE', 'REGR_INTERCEPT', 'REGR_R2', 'REGR_COUNT',
+  'REGR_AVGX', 'REGR_AVGY', 'REGR_SXX', 'REGR_SYY', 'REGR_SXY',
+]
+
+/**
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function isMomentAggregate(name) {
+  return momentAggregates.includes(name)
+}
+
+/**
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function isComomentAggregate(name) {
+  return comomentAggregates.includes(name)
+}
+
+/**
+ * @returns {Moments}
+ */
+export function newMoments() {
+  return { n: 0, mean: 0, m2: 0, m3: 0, m4: 0 }
+}
+
+/**
+ * @param {Moments} m
+ * @param {number} x
+ */
+export function addToMoments(m, x) {
+  const n1 = m.n
+  const n = ++m.n
+  const delta = x - m.mean
+  const deltaN = delta / n
+  const deltaN2 = deltaN * deltaN
+  const term = delta * deltaN * n1
+  m.mean += deltaN
+  m.m4 += term * deltaN2 * (n * n - 3 * n + 3) + 6 * deltaN2 * m.m2 - 4 * deltaN * m.m3
+  m.m3 += term * deltaN * (n - 2) - 3 * deltaN * m.m2
+  // equal to term, but rounds more accurately
+  m.m2 += delta * (x - m.mean)
+}
+
+/**
+ * Combines the moments of two disjoint sets of values (Chan et al.'s and
+ * Pébay's pairwise formulas) into a new state.
+ *
+ * @param {Moments} a
+ * @param {Moments} b
+ * @returns {Moments}
+ */
+export function mergeMoments(a, b) {
+  if (a.n === 0) return { ...b }
+  if (b.n === 0) return { ...a }
+  const n = a.n + b.n
+  const delta = b.mean - a.mean
+  const delta2 = delta * delta
+  const ab = a.n * b.n
+  return {
+    n,
+    mean: a.mean + delta * b.n / n,
+    m2: a.m2 + b.m2 + delta2 * ab / n,
+    m3: a.m3 + b.m3 + delta2 * delta * ab * (a.n - b.n) / (n * n) +
+      3 * delta * (a.n * b.m2 - b.n * a.m2) / n,
+    m4: a.m4 + b.m4 + delta2 * delta2 * ab * (a.n * a.n - ab + b.n * b.n) / (n * n * n) +
+      6 * delta2 * (a.n * a.n * b.m2 + b.n * b.n * a.m2) / (n * n) +
+      4 * delta * (a.n * b.m3 - b.n * a.m3) / n,
+  }
+}
+
+/**
+ * Reduces moments to the aggregate's value. Returns null when there are too
+ * few values, or when skewness and kurtosis have no spread to divide by.
+ *
+ * @param {string} funcName
+ * @param {Moments} m
+ * @returns {number | null}
+ */
+export function momentsValue(funcName, { n, m2, m3, m4 }) {
+  switch (funcName) {
+  case 'VAR_POP': return n === 0 ? null : m2 / n
+  case 'STDDEV_POP': return n === 0 ? null : Math.sqrt(m2 / n)
+  case 'VAR_SAMP':
+  case 'VARIANCE': return n < 2 ? null : m2 / (n - 1)
+  case 'STDDEV_SAMP': return n < 2 ? null : Math.sqrt(m2 / (n - 1))
+  case 'SKEWNESS': {
+    // sample skewness, adjusted for bias like Excel's SKEW
+    if (n < 3 || m2 === 0) return null
+    return Math.sqrt(n * (n - 1)) / (n - 2) * (m3 / n) / (m2 / n) ** 1.5
+  }
+  case 'KURTOSIS': {
+    // sample excess kurtosis, adjusted for bias like Excel's KURT
+    if (n < 4 || m2 === 0) return null
+    const ratio = m4 / n / (m2 / n) ** 2
+    return (n - 1) * ((n + 1) * ratio - 3 * (n - 1)) / ((n - 2) * (n - 3))
+  }
+  default: return null
+  }
+}
+
+/**
+ * @returns {Comoments}
+ */
+export function newComoments() {
+  return { n: 0, meanX: 0, meanY: 0, sxx: 0, syy: 0, sxy: 0 }
+}
+
+/**
+ * @param {Comoments} c
+ * @param {number} y
+ * @param {number} x
+ */
+export function addToComoments(c, y, x) {
+  const n = ++c.n
+  const dx = x - c.meanX
+  const dy = y - c.meanY
+  c.meanX += dx / n
+  c.meanY += dy / n
+  c.sxx += dx * (x - c.meanX)
+  c.syy += dy * (y - c.meanY)
+  c.sxy += dx * (y - c.meanY)
+}
+
+/**
+ * Combines the co-moments of two disjoint sets of pairs into a new state.
+ *
+ * @param {Comoments} a
+ * @param {Comoments} b
+ * @returns {Comoments}
+ */
+export function mergeComoments(a, b) {
+  if (a.n === 0) return { ...b }
+  if (b.n === 0) return { ...a }
+  const n = a.n + b.n
+  const dx = b.meanX - a.meanX
+  const dy = b.meanY - a.meanY
+  const weight = a.n * b.n / n
+  return {
+    n,
+    meanX: a.meanX + dx * b.n / n,
+    meanY: a.meanY + dy * b.n / n,
+    sxx: a.sxx + b.sxx + dx * dx * weight,
+    syy: a.syy + b.syy + dy * dy * weight,
+    sxy: a.sxy + b.sxy + dx * dy * weight,
+  }
+}
+
+/**
+ * Reduces co-moments of (y, x) pairs to the aggregate's value, following
+ * the SQL standard: null without enough pairs or without spread in x.
+ *
+ * @param {string} funcName
+ * @param {Comoments} c
+ * @returns {number | null}
+ */
+export function comomentsValue(funcName, { n, meanX, meanY, sxx, syy, sxy }) {
+  if (funcName === 'REGR_COUNT') return n
+  if (n === 0) return null
+  switch (funcName) {
+  case 'COVAR_POP': return sxy / n
+  case 'COVAR_SAMP': return n < 2 ? null : sxy / (n - 1)
+  case 'CORR': return sxx === 0 || syy === 0 ? null : sxy / Math.sqrt(sxx * syy)
+  case 'REGR_SLOPE': return sxx === 0 ? null : sxy / sxx
+  case 'REGR_INTERCEPT': return sxx === 0 ? null : meanY - sxy / sxx * meanX
+  case 'REGR_R2':
+    if (sxx === 0) return null
+    return syy === 0 ? 1 : sxy * sxy / (sxx * syy)
+  case 'REGR_AVGX': return meanX
+  case 'REGR_AVGY': return meanY
+  case 'REGR_SXX': return sxx
+  case 'REGR_SYY': return syy
+  case 'REGR_SXY': return sxy
+  default: return null
+  }
+}
+
+/**
+ * Reads a numeric aggregate input, skipping nulls and non-finite values
+ * like SUM and AVG do.
+ *
+ * @param {SqlPrimitive} value
+ * @returns {number | undefined}
+ */
+export function finiteNumber(value) {
+  if (value == null) return
+  const num = Number(value)
+  if (Number.isFinite(num)) return num
+}
@@ -0,0 +1,146 @@
+import { isAggregateFunc } from '../validation/functions.js'
+import { executeHashAggregate, executeScalarAggregate } from './aggregates.js'
+import { executePlan } from './execute.js'
+import { yieldToEventLoop } from './yield.js'
+
+/**
+ * @import { AsyncCells, DerivedColumn, ExecuteContext, ExprNode, QueryResults, SqlPrimitive, UserDefinedFunction } from '../types.js'
+ * @import { PivotNode, UnpivotNode } from '../plan/types.js'
+ */
+
+// Yield to the event loop every 4000 iterations so that aborts can actually fire
+const YIELD_INTERVAL = 4000
+
+/**
+ * Executes a Pivot plan node as an aggregation over its groupBy columns, in
+ * which every aggregate call is repeated per IN value with a FILTER matching
+ * that value. The aggregate executors then stream or buffer as they would for
+ * the equivalent hand-written query.
+ *
+ * @param {PivotNode} plan
+ * @param {ExecuteContext} context
+ * @returns {QueryResults}
+ */
+export function executePivot(plan, context) {
+  const position = { positionStart: 0, positionEnd: 0 }
+  /** @type {ExprNode} */
+  const column = { type: 'identifier', name: plan.column, ...position }
+
+  /** @type {DerivedColumn[]} */
+  const keyColumns = plan.groupBy.map(name => ({
+    type: 'derived',
+    expr: { type: 'identifier', name, ...position },
+    alias: name,
+    ...position,
+  }))
+  /** @type {DerivedColumn[]} */
+  const valueColumns = []
+  for (const value of plan.values) {
+    /** @type {ExprNode} */
+    const condition = value === null
+      ? { type: 'unary', op: 'IS NULL', argument: column, ...position }
+      : { type: 'binary', op: '=', left: column, right: { type: 'literal', value, ...position }, ...position }
+    for (const agg of plan.aggregates) {
+      const alias = plan.valueColumns[valueColumns.length]
+      valueColumns.push({ type: 'derived', expr: filterAggregates(agg, condition, context.functions), alias, ...position })
+    }
+  }
+
+  const columns = [...keyColumns, ...valueColumns]
+  if (!plan.groupBy.length) {
+    return executeScalarAggregate({ type: 'ScalarAggregate', columns, child: plan.child }, context)
+  }
+  return executeHashAggregate({
+    type: 'HashAggregate',
+    groupBy: keyColumns.map(col => col.expr),
+    columns,
+    child: plan.child,
+  }, context)
+}
+
+/**
+ * Restricts every aggregate call in an expression to rows matching a
+ * condition, combining it with any FILTER the call already has.
+ *
+ * @param {ExprNode} node
+ * @param {ExprNode} condition
+ * @param {Record<string, UserDefinedFunction>} [functions]
+ * @returns {ExprNode}
+ */
+function filterAggregates(node, condition, functions) {
+  if (node.type === 'function') {
+    if (isAggregateFunc(node.funcName.toUpperCase(), functions)) {
+      /** @type {ExprNode} */
+      const filter = node.filter
+        ? { type: 'binary', op: 'AND', left: condition, right: node.filter, positionStart: node.filter.positionStart, positionEnd: node.filter.positionEnd }
+        : condition
+      return { ...node, filter }
+    }
+    return { ...node, args: node.args.map(arg => filterAggregates(arg, condition, functions)) }
+  }
+  if (node.type === 'binary') {
+    return { ...node, left: filterAggregates(node.left, condition, functions), right: filterAggregates(node.right, condition, functions) }
+  }
+  if (node.type === 'unary') {
+    return { ...node, argument: filterAggregates(node.argument, condition, functions) }
+  }
+  if (node.type === 'cast') {
+    return { ...node, expr: filterAggregates(node.expr, condition, functions) }
+  }
+  if (node.type === 'case') {
+    return {
+      ...node,
+      caseExpr: node.caseExpr && filterAggregates(node.caseExpr, condition, functions),
+      whenClauses: node.whenClauses.map(when => ({
+        ...when,
+        condition: filterAggregates(when.condition, condition, functions),
+        result: filterAggregates(when.result, condition, functions),
+      })),
+      elseResult: node.elseResult && filterAggregates(node.elseResult, condition, functions),
+    }
+  }
+  return node
+}
+
+/**
+ * Executes an Unpivot plan node, streaming one output row per input row and
+ * unpivoted column.
+ *
+ * @param {UnpivotNode} plan
+ * @param {ExecuteContext} context
+ * @returns {QueryResults}
+ */
+export function executeUnpivot(plan, context) {
+  const child = executePlan({ plan: plan.child, context })
+  const columns = [...plan.passthrough, plan.nameColumn, plan.valueColumn]
+  const fanout = plan.unpivot.length
+  return {
+    columns,
+    numRows: plan.includeNulls && child.numRows !== undefined ? child.numRows * fanout : undefined,
+    maxRows: child.maxRows !== undefined ? child.maxRows * fanout : undefined,
+    async *rows() {
+      let i = 0
+      for await (const row of child.rows()) {
+        if (++i % YIELD_INTERVAL === 0) {
+          await yieldToEventLoop()
+          context.signal?.throwIfAborted()
+        }
+        for (const { column, label } of plan.unpivot) {
+          const cell = row.cells[column]
+          /** @type {SqlPrimitive} */
+          let value
+          if (!plan.includeNulls) {
+            value = await cell()
+            if (value == null) continue
+          }
+          /** @type {AsyncCells} */
+          const cells = {}
+          for (const name of plan.passthrough) cells[name] = row.cells[name]
+          cells[plan.nameColumn] = () => Promise.resolve(label)
+          cells[plan.valueColumn] = plan.includeNulls ? cell : () => Promise.resolve(value)
+          yield { columns, cells }
+        }
+      }
+    },
+  }
+}
@@ -0,0 +1,145 @@
+import { asyncRow } from '../backend/dataSource.js'
+import { ExecutionError } from '../validation/executionErrors.js'
+import { executePlan } from './execute.js'
+import { keyify } from './utils.js'
+import { yieldToEventLoop } from './yield.js'
+
+/**
+ * @import { AsyncRow, ExecuteContext, QueryResults, SqlPrimitive } from '../types.js'
+ * @import { RecursiveCTENode, WorkTableNode } from '../plan/types.js'
+ */
+
+// Yield to the event loop every 4000 iterations so that aborts can actually fire
+const YIELD_INTERVAL = 4000
+
+const DEFAULT_MAX_RECURSION = 10000
+const DEFAULT_MAX_RECURSIVE_ROWS = 1000000
+
+/**
+ * Executes a recursive CTE. Anchor rows are yielded first, then the recursive
+ * term is re-run against the rows produced by the previous iteration until an
+ * iteration produces no new rows. Each iteration's rows are yielded as they
+ * are produced, so a downstream LIMIT stops the recursion early.
+ *
+ * @param {RecursiveCTENode} plan
+ * @param {ExecuteContext} context
+ * @returns {QueryResults}
+ */
+export function executeRecursiveCTE(plan, context) {
+  const { columns, name, all } = plan
+  const maxRecursion = context.maxRecursion ?? DEFAULT_MAX_RECURSION
+  const maxRows = context.maxRecursiveRows ?? DEFAULT_MAX_RECURSIVE_ROWS
+  const anchorContext = plan.anchorScope === undefined ? context : { ...context, scope: plan.anchorScope }
+
+  return {
+    columns,
+    async *rows() {
+      // UNION drops rows produced by any earlier iteration, which also
+      // guarantees termination on cyclic data
+      const seen = all ? undefined : new Set()
+      let rowCount = 0
+
+      /**
+       * Materializes a row under the CTE's column names, returning undefined
+       * for a duplicate under UNION.
+       *
+       * @param {AsyncRow} row
+       * @returns {Promise<AsyncRow | undefined>}
+       */
+      async function accept(row) {
+        if (row.columns.length !== columns.length) {
+          throw new ExecutionError({
+            message: `Recursive CTE "${name}" expects ${columns.length} columns but a row has ${row.columns.length}`,
+            ...plan,
+          })
+        }
+        const values = await Promise.all(row.columns.map(col => row.cells[col]()))
+        if (seen) {
+          const key = keyify(...values)
+          if (seen.has(key)) return
+          seen.add(key)
+        }
+        if (++rowCount > maxRows) {
+          throw new ExecutionError({
+            message: `Recursive CTE "${name}" exceeded the limit of ${maxRows} rows`,
+            ...plan,
+          })
+        }
+        /** @type {Record<string, SqlPrimitive>} */
+        const obj = {}
+        for (let i = 0; i < columns.length; i++) {
+          obj[columns[i]] = values[i]
+        }
+        return asyncRow(obj, columns)
+      }
+
+      let count = 0
+      /** @type {AsyncRow[]} */
+      let working = []
+      for await (const row of executePlan({ plan: plan.anchor, context: anchorContext }).rows()) {
+        context.signal?.throwIfAborted()
+        if (++count % YIELD_INTERVAL === 0) {
+          await yieldToEventLoop()
+          context.signal?.throwIfAborted()
+        }
+        const accepted = await accept(row)
+        if (!accepted) continue
+        working.push(accepted)
+        yield accepted
+      }
+
+      let iteration = 0
+      while (working.length) {
+        context.signal?.throwIfAborted()
+        if (++iteration > maxRecursion) {
+          throw new ExecutionError({
+            message: `Recursive CTE "${name}" exceeded the limit of ${maxRecursion} iterations`,
+            ...plan,
+          })
+        }
+        /** @type {ExecuteContext} */
+        const iterationContext = {
+          ...context,
+          scope: plan.recursiveScope ?? context.scope,
+          workTables: new Map(context.workTables).set(name, working),
+        }
+        /** @type {AsyncRow[]} */
+        const next = []
+        for await (const row of executePlan({ plan: plan.recursive, context: iterationContext }).rows()) {
+          context.signal?.throwIfAborted()
+          if (++count % YIELD_INTERVAL === 0) {
+            await yieldToEventLoop()
+            context.signal?.throwIfAborted()
+          }
+          const accepted = await accept(row)
+          if (!accepted) continue
+          next.push(accepted)
+          yield accepted
+        }
+        working = next
+      }
+    },
+  }
+}
+
+/**
+ * Yields the previous iteration's rows of the enclosing recursive CTE.
+ *
+ * @param {WorkTableNode} plan
+ * @param {ExecuteContext} context
+ * @returns {QueryResults}
+ */
+export function executeWorkTable(plan, context) {
+  const rows = context.workTables?.get(plan.name)
+  if (!rows) {
+    throw new Error(`Recursive CTE "${plan.name}" referenced outside of its recursive term`)
+  }
+  return {
+    columns: plan.columns,
+    numRows: rows.length,
+    maxRows: rows.length,
+    async *rows() {
+      yield* rows
+    },
+  }
+}
@@ -0,0 +1,268 @@
+import { hashKey, keyify } from './utils.js'
+
+/**
+ * @import { SqlPrimitive } from '../types.js'
+ */
+
+/**
+ * Fixed-size summaries behind the approximate aggregates. Each folds values
+ * one at a time in bounded memory, so a group never holds its input rows.
+ *
+ * @typedef {{ hashes: Set<number> | null, registers: Uint8Array | null }} HyperLogLog
+ * @typedef {{ levels: number[][], size: number, capacity: number, count: number, flips: number, min: number, max: number }} QuantileSketch
+ * @typedef {{ key: unknown, value: SqlPrimitive, count: number }} TopKCounter
+ * @typedef {{ k: number, capacity: number, counters: Map<unknown, TopKCounter>, lows: TopKCounter[], lowCount: number }} TopKSketch
+ */
+
+// 2^12 registers give a standard error of about 1.6%
+const HLL_PRECISION = 12
+const HLL_REGISTERS = 1 << HLL_PRECISION
+// Distinct hashes are counted exactly until there are more than this many
+const HLL_SPARSE_LIMIT = HLL_REGISTERS / 4
+
+// Size of the top KLL compactor; lower compactors shrink geometrically
+const QUANTILE_K = 200
+
+// Counters tracked per requested APPROX_TOP_K value
+const TOP_K_COUNTERS_PER_VALUE = 8
+const TOP_K_MIN_COUNTERS = 64
+
+/**
+ * @returns {HyperLogLog}
+ */
+export function newHyperLogLog() {
+  return { hashes: new Set(), registers: null }
+}
+
+/**
+ * Folds a value key (from keyify) into a HyperLogLog. Small sets keep their
+ * hashes, so their count is exact, and switch to registers once they grow.
+ *
+ * @param {HyperLogLog} hll
+ * @param {unknown} key
+ */
+export function addToHyperLogLog(hll, key) {
+  const hash = hashKey(key)
+  if (hll.hashes) {
+    hll.hashes.add(hash)
+    if (hll.hashes.size <= HLL_SPARSE_LIMIT) return
+    hll.registers = new Uint8Array(HLL_REGISTERS)
+    for (const h of hll.hashes) setRegister(hll.registers, h)
+    hll.hashes = null
+  } else if (hll.registers) {
+    setRegister(hll.registers, hash)
+  }
+}
+
+/**
+ * @param {HyperLogLog} hll
+ * @returns {number} estimated number of distinct values
+ */
+export function estimateHyperLogLog(hll) {
+  if (hll.hashes || !hll.registers) return hll.hashes?.size ?? 0
+  let sum = 0
+  let zeros = 0
+  for (const rank of hll.registers) {
+    sum += 2 ** -rank
+    if (rank === 0) zeros++
+  }
+  const m = HLL_REGISTERS
+  let estimate = 0.7213 / (1 + 1.079 / m) * m * m / sum
+  if (estimate <= 2.5 * m && zeros) {
+    // linear counting is more accurate while many registers are empty
+    estimate = m * Math.log(m / zeros)
+  } else if (estimate > 2 ** 32 / 30) {
+    // correct for collisions of 32-bit hashes
+    estimate = -(2 ** 32) * Math.log(1 - estimate / 2 ** 32)
+  }
+  return Math.round(estimate)
+}
+
+/**
+ * @param {Uint8Array} registers
+ * @param {number} hash
+ */
+function setRegister(registers, hash) {
+  const index = hash >>> 32 - HLL_PRECISION
+  const rank = Math.min(Math.clz32(hash << HLL_PRECISION) + 1, 33 - HLL_PRECISION)
+  if (rank > registers[index]) registers[index] = rank
+}
+
+/**
+ * A KLL sketch: a stack of compactors where an item at level h stands for
+ * 2^h input values. Fewer than QUANTILE_K values are all kept, so small
+ * inputs give exact quantiles. The exact minimum and maximum are tracked on
+ * the side, since compaction may drop either.
+ *
+ * @returns {QuantileSketch}
+ */
+export function newQuantileSketch() {
+  return { levels: [[]], size: 0, capacity: QUANTILE_K, count: 0, flips: 0, min: Infinity, max: -Infinity }
+}
+
+/**
+ * @param {QuantileSketch} sketch
+ * @param {number} value
+ */
+export function addToQuantileSketch(sketch, value) {
+  sketch.levels[0].push(value)
+  sketch.size++
+  sketch.count++
+  if (value < sketch.min) sketch.min = value
+  if (value > sketch.max) sketch.max = value
+  if (sketch.size >= sketch.capacity) compactQuantileSketch(sketch)
+}
+
+/**
+ * Halves the lowest full compactor: sorts it and promotes every other item
+ * to the next level at twice the weight. Which item of each pair survives
+ * alternates, so the rank error does not drift in one direction.
+ *
+ * @param {QuantileSketch} sketch
+ */
+function compactQuantileSketch(sketch) {
+  const { levels } = sketch
+  for (let level = 0; level < levels.length; level++) {
+    const items = levels[level]
+    if (items.length < levelCapacity(levels.length, level)) continue
+    if (level + 1 === levels.length) {
+      levels.push([])
+      sketch.capacity = 0
+      for (let h = 0; h < levels.length; h++) sketch.capacity += levelCapacity(levels.length, h)
+    }
+    items.sort((a, b) => a - b)
+    // an odd item out stays behind at its current weight
+    const kept = items.length % 2 ? items.splice(items.length - 1) : []
+    const next = levels[level + 1]
+    for (let i = sketch.flips++ % 2; i < items.length; i += 2) next.push(items[i])
+    sketch.size -= items.length / 2
+    levels[level] = kept
+    return
+  }
+}
+
+/**
+ * @param {number} height - number of levels
+ * @param {number} level
+ * @returns {number}
+ */
+function levelCapacity(height, level) {
+  return Math.max(2, Math.ceil(QUANTILE_K * (2 / 3) ** (height - 1 - level)))
+}
+
+/**
+ * Estimates a quantile by interpolating between the values at the ranks
+ * around fraction * (count - 1), like PERCENTILE_CONT. Fractions 0 and 1
+ * give the exact minimum and maximum, and estimates stay between them. Null
+ * when empty.
+ *
+ * @param {QuantileSketch} sketch
+ * @param {number} fraction
+ * @returns {number | null}
+ */
+export function quantileSketchValue(sketch, fraction) {
+  if (sketch.count === 0) return null
+  if (fraction <= 0) return sketch.min
+  if (fraction >= 1) return sketch.max
+  /** @type {[number, number][]} */
+  const weighted = []
+  for (let level = 0; level < sketch.levels.length; level++) {
+    for (const item of sketch.levels[level]) weighted.push([item, 2 ** level])
+  }
+  weighted.sort((a, b) => a[0] - b[0])
+  const pos = fraction * (sketch.count - 1)
+  const lower = valueAtRank(weighted, Math.floor(pos))
+  const upper = valueAtRank(weighted, Math.ceil(pos))
+  const value = lower + (upper - lower) * (pos - Math.floor(pos))
+  return Math.min(Math.max(value, sketch.min), sketch.max)
+}
+
+/**
+ * @param {[number, number][]} weighted - sorted values with their weights
+ * @param {number} rank - zero-based
+ * @returns {number}
+ */
+function valueAtRank(weighted, rank) {
+  let seen = 0
+  for (const [value, weight] of weighted) {
+    seen += weight
+    if (seen > rank) return value
+  }
+  return weighted[weighted.length - 1][0]
+}
+
+/**
+ * A space-saving summary tracking the most frequent values with a fixed
+ * number of counters.
+ *
+ * @param {number} k - number of values to report
+ * @returns {TopKSketch}
+ */
+export function newTopK(k) {
+  return {
+    k,
+    capacity: Math.max(TOP_K_MIN_COUNTERS, TOP_K_COUNTERS_PER_VALUE * k),
+    counters: new Map(),
+    lows: [],
+    lowCount: 0,
+  }
+}
+
+/**
+ * Counts a value. When every counter is taken, the value replaces a
+ * least-counted one and inherits its count, which bounds how far any count
+ * can be overestimated.
+ *
+ * @param {TopKSketch} sketch
+ * @param {SqlPrimitive} value
+ */
+export function addToTopK(sketch, value) {
+  const key = keyify(value)
+  const counter = sketch.counters.get(key)
+  if (counter) {
+    counter.count++
+  } else if (sketch.counters.size < sketch.capacity) {
+    sketch.counters.set(key, { key, value, count: 1 })
+  } else {
+    const evicted = takeLowestCounter(sketch)
+    sketch.counters.delete(evicted.key)
+    sketch.counters.set(key, { key, value, count: evicted.count + 1 })
+  }
+}
+
+/**
+ * Finds a counter with the lowest count. Counts only grow, so the counters
+ * found at the minimum by one scan serve later evictions until they run out
+ * or are counted again.
+ *
+ * @param {TopKSketch} sketch
+ * @returns {TopKCounter}
+ */
+function takeLowestCounter(sketch) {
+  for (;;) {
+    const counter = sketch.lows.pop()
+    if (counter) {
+      if (counter.count === sketch.lowCount) return counter
+      continue
+    }
+    sketch.lowCount = Infinity
+    for (const c of sketch.counters.values()) {
+      if (c.count < sketch.lowCount) {
+        sketch.lowCount = c.count
+        sketch.lows = []
+      }
+      if (c.count === sketch.lowCount) sketch.lows.push(c)
+    }
+  }
+}
+
+/**
+ * @param {TopKSketch} sketch
+ * @returns {SqlPrimitive[]} up to k values, most frequent first
+ */
+export function topKValues(sketch) {
+  return [...sketch.counters.values()]
+    .sort((a, b) => b.count - a.count)
+    .slice(0, sketch.k)
+    .map(counter => counter.value)
+}
@@ -1,24 +1,32 @@
+import { memorySpillStore } from '../backend/spillStore.js'
 import { derivedAlias } from '../expression/alias.js'
 import { evaluateExpr } from '../expression/evaluate.js'
 import { executePlan } from './execute.js'
+import { SPILL_CHUNK_ROWS, estimateRowBytes, hasSpillBudget, overSpillBudget, rowValues, spillFileName, spilledRow } from './spill.js'
 import { compareForTerm } from './utils.js'
 
 /**
- * @import { AsyncRow, ExecuteContext, ExprNode, OrderByItem, QueryResults, SqlPrimitive } from '../types.js'
+ * @import { AsyncRow, ExecuteContext, ExprNode, OrderByItem, QueryResults, SpillStore, SqlPrimitive } from '../types.js'
  * @import { SortNode } from '../plan/types.js'
  */
 
 const MAX_CHUNK = 256
 
+// Most runs merged at once. More runs are first merged in groups into longer
+// runs, so the merge holds at most this many chunks in memory.
+export const MERGE_FAN_IN = 16
+
 /**
  * When exprs is set, exprs[i] is evaluated for ORDER BY term i instead of the
  * term's own expression, so callers can pre-substitute per-entry values (for
  * example, finalized aggregates) while keeping tie-aware term evaluation.
+ * When outputRow is set, externalSortRows yields it in place of row.
  *
  * @typedef {{
  *   row: AsyncRow,
  *   rows?: AsyncRow[],
  *   exprs?: ExprNode[],
+ *   outputRow?: AsyncRow,
  * }} SortEntry
  */
 
@@ -143,6 +151,11 @@ export function executeSort(plan, context) {
       ? child.maxRows
       : Math.min(child.maxRows ?? Infinity, topK),
     async *rows() {
+      if (topK === undefined && hasSpillBudget(context)) {
+        yield* externalSortRows({ entries: sortEntries(child), orderBy: plan.orderBy, context })
+        return
+      }
+
       /** @type {SortEntry[]} */
       let entries = []
       for await (const row of child.rows()) {
@@ -178,3 +191,275 @@ export function executeSort(plan, context) {
     },
   }
 }
+
+/**
+ * A sorted run being merged: the chunk of the run read so far and the
+ * position of its next record.
+ *
+ * @typedef {{
+ *   run: number,
+ *   chunks: AsyncIterator<SqlPrimitive[][]>,
+ *   chunk: SqlPrimitive[][],
+ *   pos: number,
+ * }} RunCursor
+ */
+
+/**
+ * Wraps each row of a sort's input as an entry for externalSortRows.
+ *
+ * @param {QueryResults} child
+ * @returns {AsyncGenerator<SortEntry>}
+ */
+async function* sortEntries(child) {
+  for await (const row of child.rows()) {
+    yield { row }
+  }
+}
+
+/**
+ * Sorts under a memory or row budget. Rows are materialized along with their
+ * sort keys, as records of [...keys, ...values]. Whenever the buffered records
+ * outgrow the budget they are sorted and written to the spill store as a
+ * run, and the runs are then k-way merged, holding one chunk of each run in
+ * memory. Chunks are sized so MERGE_FAN_IN of them fill about one run, and
+ * past MERGE_FAN_IN runs the merge takes several passes, so it stays within
+ * about the budget however many runs there are. Input that fits the budget
+ * is sorted in memory.
+ *
+ * @param {{
+ *   entries: AsyncIterable<SortEntry>,
+ *   orderBy: OrderByItem[],
+ *   context: ExecuteContext,
+ * }} options
+ * @returns {AsyncGenerator<AsyncRow>}
+ */
+export async function* externalSortRows({ entries, orderBy, context }) {
+  const store = context.spillStore ?? memorySpillStore()
+  /** @type {string[]} */
+  const runs = []
+  /** @type {string[] | undefined} */
+  let columns
+  /** @type {SqlPrimitive[][]} */
+  let records = []
+  let bytes = 0
+  // rows per chunk of spilled runs, set from the size of the first run
+  let chunkRows = SPILL_CHUNK_ROWS
+  try {
+    for await (const { row, rows, exprs, outputRow = row } of entries) {
+      context.signal?.throwIfAborted()
+      columns ??= outputRow.columns
+      const [keys, values] = await Promise.all([
+        Promise.all(orderBy.map((term, i) => evaluateExpr({ node: exprs?.[i] ?? term.expr, row, rows, context }))),
+        rowValues(outputRow),
+      ])
+      const record = keys.concat(values)
+      records.push(record)
+      bytes += estimateRowBytes(record)
+      if (overSpillBudget(context, records.length, bytes)) {
+        if (!runs.length) chunkRows = Math.min(SPILL_CHUNK_ROWS, Math.ceil(records.length / MERGE_FAN_IN))
+        const file = spillFileName('sort')
+        runs.push(file)
+        await writeRun(store, file, sortRecords(records, orderBy), chunkRows)
+        records = []
+        bytes = 0
+      }
+    }
+    if (!columns) return
+
+    if (!runs.length) {
+      for (const record of sortRecords(records, orderBy)) {
+        yield restoreRow(record, columns, orderBy)
+      }
+      return
+    }
+    if (records.length) {
+      const file = spillFileName('sort')
+      runs.push(file)
+      await writeRun(store, file, sortRecords(records, orderBy), chunkRows)
+      records = []
+    }
+    await mergePasses(store, runs, orderBy, chunkRows, context)
+    for await (const record of mergeRuns(store, runs, orderBy, context)) {
+      yield restoreRow(record, columns, orderBy)
+    }
+  } finally {
+    await Promise.all(runs.map(file => store.delete(file)))
+  }
+}
+
+/**
+ * Stable sort of records by their leading sort keys.
+ *
+ * @param {SqlPrimitive[][]} records
+ * @param {OrderByItem[]} orderBy
+ * @returns {SqlPrimitive[][]}
+ */
+function sortRecords(records, orderBy) {
+  return records.sort((a, b) => compareRecords(a, b, orderBy))
+}
+
+/**
+ * @param {SqlPrimitive[]} a
+ * @param {SqlPrimitive[]} b
+ * @param {OrderByItem[]} orderBy
+ * @returns {number}
+ */
+function compareRecords(a, b, orderBy) {
+  for (let i = 0; i < orderBy.length; i++) {
+    const cmp = compareForTerm(a[i], b[i], orderBy[i])
+    if (cmp) return cmp
+  }
+  return 0
+}
+
+/**
+ * @param {SpillStore} store
+ * @param {string} file
+ * @param {Iterable<SqlPrimitive[]> | AsyncIterable<SqlPrimitive[]>} records
+ * @param {number} chunkRows
+ */
+async function writeRun(store, file, records, chunkRows) {
+  /** @type {SqlPrimitive[][]} */
+  let chunk = []
+  for await (const record of records) {
+    chunk.push(record)
+    if (chunk.length === chunkRows) {
+      await store.write(file, chunk)
+      chunk = []
+    }
+  }
+  if (chunk.length) await store.write(file, chunk)
+}
+
+/**
+ * Merges runs in consecutive groups of MERGE_FAN_IN into longer runs until
+ * at most MERGE_FAN_IN are left. Groups keep their order, so ties stay in
+ * input order. The runs array is updated in place and always lists every
+ * live file, so the caller can delete them if a pass is interrupted.
+ *
+ * @param {SpillStore} store
+ * @param {string[]} runs
+ * @param {OrderByItem[]} orderBy
+ * @param {number} chunkRows
+ * @param {ExecuteContext} context
+ */
+async function mergePasses(store, runs, orderBy, chunkRows, context) {
+  while (runs.length > MERGE_FAN_IN) {
+    for (let i = 0; i < runs.length - 1; i++) {
+      const group = runs.slice(i, i + MERGE_FAN_IN)
+      const file = spillFileName('sort')
+      runs.splice(i, 0, file)
+      await writeRun(store, file, mergeRuns(store, group, orderBy, context), chunkRows)
+      runs.splice(i + 1, group.length)
+      await Promise.all(group.map(run => store.delete(run)))
+    }
+  }
+}
+
+/**
+ * Merges sorted runs with a binary min-heap of run cursors. Records that tie
+ * come from the earlier run first, so the merge is stable like an in-memory
+ * sort.
+ *
+ * @param {SpillStore} store
+ * @param {string[]} runs
+ * @param {OrderByItem[]} orderBy
+ * @param {ExecuteContext} context
+ * @returns {AsyncGenerator<SqlPrimitive[]>}
+ */
+async function* mergeRuns(store, runs, orderBy, context) {
+  /** @type {RunCursor[]} */
+  const cursors = []
+  /** @type {RunCursor[]} */
+  const heap = []
+  /**
+   * @param {RunCursor} a
+   * @param {RunCursor} b
+   * @returns {boolean}
+   */
+  function less(a, b) {
+    const cmp = compareRecords(a.chunk[a.pos], b.chunk[b.pos], orderBy)
+    return cmp < 0 || cmp === 0 && a.run < b.run
+  }
+  /**
+   * Moves the cursor at index i down to its place in the heap.
+   *
+   * @param {number} i
+   */
+  function siftDown(i) {
+    while (true) {
+      let smallest = i
+      for (const child of [2 * i + 1, 2 * i + 2]) {
+        if (child < heap.length && less(heap[child], heap[smallest])) smallest = child
+      }
+      if (smallest === i) return
+      [heap[i], heap[smallest]] = [heap[smallest], heap[i]]
+      i = smallest
+    }
+  }
+
+  try {
+    for (let run = 0; run < runs.length; run++) {
+      const chunks = store.read(runs[run])[Symbol.asyncIterator]()
+      /** @type {RunCursor} */
+      const cursor = { run, chunks, chunk: [], pos: 0 }
+      cursors.push(cursor)
+      if (await nextChunk(cursor)) heap.push(cursor)
+    }
+    for (let i = (heap.length >> 1) - 1; i >= 0; i--) siftDown(i)
+
+    while (heap.length) {
+      context.signal?.throwIfAborted()
+      const top = heap[0]
+      yield top.chunk[top.pos++]
+      if (top.pos === top.chunk.length && !await nextChunk(top)) {
+        const last = heap.pop()
+        if (!last || last === top) continue
+        heap[0] = last
+      }
+      siftDown(0)
+    }
+  } finally {
+    await Promise.all(cursors.map(cursor => cursor.chunks.return?.()))
+  }
+}
+
+/**
+ * Reads a cursor's next non-empty chunk.
+ *
+ * @param {RunCursor} cursor
+ * @returns {Promise<boolean>} false once the run is exhausted
+ */
+async function nextChunk(cursor) {
+  while (true) {
+    const { done, value } = await cursor.chunks.next()
+    if (done) return false
+    if (value.length) {
+      cursor.chunk = value
+      cursor.pos = 0
+      return true
+    }
+  }
+}
+
+/**
+ * Rebuilds a row from a spilled record. Like sortEntriesByTerms with
+ * cacheValues, the sort keys are kept as cells so expressions repeated from
+ * ORDER BY are not evaluated again.
+ *
+ * @param {SqlPrimitive[]} record
+ * @param {string[]} columns
+ * @param {OrderByItem[]} orderBy
+ * @returns {AsyncRow}
+ */
+function restoreRow(record, columns, orderBy) {
+  const row = spilledRow(columns, record, orderBy.length)
+  for (let i = 0; i < orderBy.length; i++) {
+    const alias = derivedAlias(orderBy[i].expr)
+    if (!(alias in row.cells)) {
+      const value = record[i]
+      row.cells[alias] = () => Promise.resolve(value)
+    }
+  }
+  return row
+}
@@ -0,0 +1,216 @@
+import { asyncRow } from '../backend/dataSource.js'
+import { hashKey } from './utils.js'
+
+/**
+ * @import { AsyncRow, ExecuteContext, SpillStore, SqlPrimitive } from '../types.js'
+ */
+
+/**
+ * Spill files of one partitioning pass, one per partition, with the rows
+ * buffered for each until a chunk is full.
+ *
+ * @typedef {{
+ *   store: SpillStore,
+ *   operator: string,
+ *   files: (string | undefined)[],
+ *   buffers: SqlPrimitive[][][],
+ * }} PartitionWriter
+ */
+
+// Rows written to a spill store per call, and read back per chunk
+export const SPILL_CHUNK_ROWS = 1024
+
+// Each partitioning pass splits rows 16 ways on the next 4 bits of the key
+// hash, so a 32-bit hash allows 8 passes before a partition must fit
+const PARTITION_BITS = 4
+export const SPILL_PARTITIONS = 1 << PARTITION_BITS
+export const MAX_SPILL_LEVEL = 32 / PARTITION_BITS
+
+// Bookkeeping cost of a buffered row beyond its values
+const ROW_OVERHEAD_BYTES = 64
+
+let spillFiles = 0
+
+/**
+ * @param {ExecuteContext} context
+ * @returns {boolean} whether the query set a memory or row budget
+ */
+export function hasSpillBudget(context) {
+  return context.memoryBudget !== undefined || context.rowBudget !== undefined
+}
+
+/**
+ * @param {ExecuteContext} context
+ * @param {number} rows - rows (or groups) an operator holds
+ * @param {number} bytes - their estimated size
+ * @returns {boolean} whether they exceed the query's budget
+ */
+export function overSpillBudget(context, rows, bytes) {
+  return rows > (context.rowBudget ?? Infinity) || bytes > (context.memoryBudget ?? Infinity)
+}
+
+/**
+ * Names a new spill file, unique within this process so operators can share
+ * one store.
+ *
+ * @param {string} operator - e.g. 'sort'
+ * @returns {string}
+ */
+export function spillFileName(operator) {
+  return `squirreling-${operator}-${++spillFiles}`
+}
+
+/**
+ * Roughly estimates the heap size of a buffered row, for comparing against
+ * the memory budget. It only needs to grow with the data, not match the
+ * engine's exact layout.
+ *
+ * @param {SqlPrimitive[]} values
+ * @returns {number} bytes
+ */
+export function estimateRowBytes(values) {
+  let bytes = ROW_OVERHEAD_BYTES
+  for (const value of values) bytes += estimateBytes(value)
+  return bytes
+}
+
+/**
+ * @param {unknown} value
+ * @returns {number} bytes
+ */
+function estimateBytes(value) {
+  if (typeof value === 'string') return 16 + 2 * value.length
+  if (typeof value === 'bigint') return 16
+  if (value === null || typeof value !== 'object') return 8
+  if (value instanceof Date) return 32
+  if (ArrayBuffer.isView(value)) return 16 + value.byteLength
+  let bytes = 16
+  if (Array.isArray(value)) {
+    for (const item of value) bytes += estimateBytes(item)
+  } else {
+    for (const [key, item] of Object.entries(value)) bytes += estimateBytes(key) + estimateBytes(item)
+  }
+  return bytes
+}
+
+/**
+ * Reads a row's cells in column order, for writing it to a spill store.
+ *
+ * @param {AsyncRow} row
+ * @returns {Promise<SqlPrimitive[]>}
+ */
+export function rowValues(row) {
+  return Promise.all(row.columns.map(col => row.cells[col]()))
+}
+
+/**
+ * Rebuilds a row from a record read back from a spill store.
+ *
+ * @param {string[]} columns
+ * @param {SqlPrimitive[]} record
+ * @param {number} offset - index of the row's first value in the record
+ * @returns {AsyncRow}
+ */
+export function spilledRow(columns, record, offset) {
+  /** @type {Record<string, SqlPrimitive>} */
+  const obj = {}
+  for (let i = 0; i < columns.length; i++) {
+    obj[columns[i]] = record[offset + i]
+  }
+  return asyncRow(obj, columns)
+}
+
+/**
+ * Yields the records of a spill file one at a time.
+ *
+ * @param {SpillStore} store
+ * @param {string | undefined} file
+ * @returns {AsyncGenerator<SqlPrimitive[]>}
+ */
+export async function* readSpillFile(store, file) {
+  if (file === undefined) return
+  for await (const chunk of store.read(file)) {
+    yield* chunk
+  }
+}
+
+/**
+ * Picks a key's partition for one partitioning pass. Each level reads
+ * different bits of the hash, so a partition that is still too large can be
+ * split again.
+ *
+ * @param {unknown} key - from keyify
+ * @param {number} level
+ * @returns {number}
+ */
+export function partitionOf(key, level) {
+  return hashKey(key) >>> level * PARTITION_BITS & SPILL_PARTITIONS - 1
+}
+
+/**
+ * @param {SpillStore} store
+ * @param {string} operator - names the spill files, e.g. 'join'
+ * @returns {PartitionWriter}
+ */
+export function newPartitionWriter(store, operator) {
+  /** @type {SqlPrimitive[][][]} */
+  const buffers = []
+  for (let partition = 0; partition < SPILL_PARTITIONS; partition++) buffers.push([])
+  return { store, operator, files: new Array(SPILL_PARTITIONS).fill(undefined), buffers }
+}
+
+/**
+ * @param {PartitionWriter} writer
+ * @param {number} partition
+ * @param {SqlPrimitive[]} record
+ */
+export async function writePartition(writer, partition, record) {
+  const buffer = writer.buffers[partition]
+  buffer.push(record)
+  if (buffer.length >= SPILL_CHUNK_ROWS) await flushPartition(writer, partition)
+}
+
+/**
+ * Writes out every partition's buffered rows.
+ *
+ * @param {PartitionWriter} writer
+ */
+export async function flushPartitions(writer) {
+  for (let partition = 0; partition < SPILL_PARTITIONS; partition++) {
+    await flushPartition(writer, partition)
+  }
+}
+
+/**
+ * @param {PartitionWriter} writer
+ * @param {number} partition
+ */
+async function flushPartition(writer, partition) {
+  const rows = writer.buffers[partition]
+  if (!rows.length) return
+  writer.buffers[partition] = []
+  const file = writer.files[partition] ??= spillFileName(writer.operator)
+  await writer.store.write(file, rows)
+}
+
+/**
+ * Deletes a partition's spill file, if it was written.
+ *
+ * @param {PartitionWriter} writer
+ * @param {number} partition
+ */
+export async function deletePartition(writer, partition) {
+  const file = writer.files[partition]
+  if (file === undefined) return
+  writer.files[partition] = undefined
+  await writer.store.delete(file)
+}
+
+/**
+ * Deletes every spill file of a writer that has not been deleted yet.
+ *
+ * @param {PartitionWriter} writer
+ */
+export async function deletePartitions(writer) {
+  await Promise.all(writer.files.map((_, partition) => deletePartition(writer, partition)))
+}
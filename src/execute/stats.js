@@ -0,0 +1,272 @@
+import { selectedRowCount } from '../backend/batch.js'
+import { planChildren } from '../plan/explain.js'
+import { executePlan } from './execute.js'
+import { bindQuerySignal, bindQuerySummary } from './utils.js'
+
+/**
+ * @import { AggregateUserDefinedFunction, AsyncBatch, AsyncCells, AsyncRow, ExecuteContext, ExecuteEvent, NodeStats, PlanStats, QueryResults, QueryStats } from '../types.js'
+ * @import { QueryPlan } from '../plan/types.js'
+ */
+
+/**
+ * Executes a plan with an onEvent hook, collecting stats for every node and
+ * reporting a summary once the results have been read. Exceptions thrown by
+ * onEvent are ignored, so tracing cannot fail the query.
+ *
+ * @param {QueryPlan} plan
+ * @param {ExecuteContext} context
+ * @returns {QueryResults}
+ */
+export function traceQuery(plan, context) {
+  /** @type {QueryStats} */
+  const queryStats = { rows: 0, elapsed: 0, nodes: [], scans: {}, udfs: {} }
+  const planStats = context.planStats ?? new WeakMap()
+  const onEvent = context.onEvent && isolateEvents(context.onEvent)
+  const result = executePlan({ plan, context: { ...context, onEvent, planStats, queryStats } })
+
+  function summarize() {
+    const rootStats = planStats.get(plan)
+    queryStats.rows = rootStats?.rows ?? 0
+    queryStats.elapsed = rootStats?.elapsed ?? 0
+    queryStats.nodes = collectNodeStats(plan, planStats)
+    onEvent?.({ type: 'summary', stats: queryStats })
+  }
+
+  return bindQuerySummary(bindQuerySignal({ ...result }, context.signal), summarize)
+}
+
+/**
+ * @param {(event: ExecuteEvent) => void} onEvent
+ * @returns {(event: ExecuteEvent) => void}
+ */
+function isolateEvents(onEvent) {
+  return event => {
+    try {
+      onEvent(event)
+    } catch {
+      // the host's callback failing is not a query error
+    }
+  }
+}
+
+/**
+ * Lists the stats of every executed node of a plan, parents before children.
+ *
+ * @param {QueryPlan} plan
+ * @param {WeakMap<QueryPlan, PlanStats>} planStats
+ * @param {NodeStats[]} [nodes]
+ * @returns {NodeStats[]}
+ */
+function collectNodeStats(plan, planStats, nodes = []) {
+  const stats = planStats.get(plan)
+  if (stats) nodes.push({ plan, rowsIn: rowsIn(plan, planStats), ...stats })
+  for (const child of planChildren(plan)) {
+    collectNodeStats(child, planStats, nodes)
+  }
+  return nodes
+}
+
+/**
+ * @param {QueryPlan} plan
+ * @param {WeakMap<QueryPlan, PlanStats>} planStats
+ * @returns {number}
+ */
+function rowsIn(plan, planStats) {
+  let rows = 0
+  for (const child of planChildren(plan)) {
+    rows += planStats.get(child)?.rows ?? 0
+  }
+  return rows
+}
+
+/**
+ * Wraps the results of a plan node to record its loops, rows, cell reads and
+ * elapsed time in context.planStats, reporting them to context.onEvent each
+ * time an iteration ends. Only used when planStats is set, so ordinary
+ * execution pays nothing for it.
+ *
+ * @param {QueryResults} result
+ * @param {QueryPlan} plan
+ * @param {ExecuteContext} context
+ * @returns {QueryResults}
+ */
+export function trackPlanStats(result, plan, context) {
+  const { planStats, onEvent } = context
+  if (!planStats) return result
+  let stats = planStats.get(plan)
+  if (!stats) {
+    stats = { loops: 0, rows: 0, cells: 0, columnCells: {}, elapsed: 0 }
+    planStats.set(plan, stats)
+  }
+  const nodeStats = stats
+  function finished() {
+    // cells may still be read after iteration ends, so report a snapshot
+    onEvent?.({ type: 'node', plan, rowsIn: rowsIn(plan, planStats), ...nodeStats, columnCells: { ...nodeStats.columnCells } })
+  }
+
+  const { rows, batches } = result
+  return bindQuerySignal({
+    ...result,
+    rows() {
+      nodeStats.loops++
+      return timed(rows.call(result), nodeStats, row => countRowCells(row, nodeStats), finished)
+    },
+    batches: batches && function() {
+      nodeStats.loops++
+      return timed(batches.call(result), nodeStats, batch => countBatchCells(batch, result.columns, nodeStats), finished)
+    },
+  }, context.signal)
+}
+
+/**
+ * Re-yields an async iterable, adding the time spent waiting on each item to
+ * stats.elapsed.
+ *
+ * @template T
+ * @param {AsyncIterable<T>} iterable
+ * @param {PlanStats} stats
+ * @param {(item: T) => T} wrap
+ * @param {() => void} finished - called once iteration ends for any reason
+ * @returns {AsyncGenerator<T>}
+ */
+async function* timed(iterable, stats, wrap, finished) {
+  const iterator = iterable[Symbol.asyncIterator]()
+  try {
+    while (true) {
+      const start = performance.now()
+      const next = await iterator.next()
+      stats.elapsed += performance.now() - start
+      if (next.done) return
+      yield wrap(next.value)
+    }
+  } finally {
+    await iterator.return?.()
+    finished()
+  }
+}
+
+/**
+ * Counts the row and wraps its cells to count reads. Pre-resolved values are
+ * dropped so that consumers go through the counted cells.
+ *
+ * @param {AsyncRow} row
+ * @param {PlanStats} stats
+ * @returns {AsyncRow}
+ */
+function countRowCells(row, stats) {
+  stats.rows++
+  /** @type {AsyncCells} */
+  const cells = {}
+  for (const [name, cell] of Object.entries(row.cells)) {
+    cells[name] = () => {
+      stats.cells++
+      stats.columnCells[name] = (stats.columnCells[name] ?? 0) + 1
+      return cell()
+    }
+  }
+  return { columns: row.columns, cells }
+}
+
+/**
+ * Counts the batch rows and wraps its lazy columns to count reads. Eager
+ * columns are counted as read when the batch is yielded.
+ *
+ * @param {AsyncBatch} batch
+ * @param {string[]} columns - names of the batch columns
+ * @param {PlanStats} stats
+ * @returns {AsyncBatch}
+ */
+function countBatchCells(batch, columns, stats) {
+  const rowCount = selectedRowCount(batch.selection)
+  stats.rows += rowCount
+  /**
+   * @param {string} name
+   * @param {number} count
+   */
+  function countCells(name, count) {
+    stats.cells += count
+    stats.columnCells[name] = (stats.columnCells[name] ?? 0) + count
+  }
+  return {
+    selection: batch.selection,
+    columns: batch.columns.map((column, i) => {
+      if (!('read' in column)) {
+        countCells(columns[i], rowCount)
+        return column
+      }
+      return {
+        ...column,
+        input: column.input ?? batch,
+        read(request) {
+          countCells(columns[i], selectedRowCount(request.selection))
+          return column.read(request)
+        },
+      }
+    }),
+  }
+}
+
+/**
+ * Re-yields the batches of a prepared scan, reporting each one.
+ *
+ * @param {AsyncIterable<AsyncBatch>} batches
+ * @param {string} table
+ * @param {ExecuteContext} context
+ * @returns {AsyncGenerator<AsyncBatch>}
+ */
+export async function* traceScanBatches(batches, table, context) {
+  for await (const batch of batches) {
+    const rows = selectedRowCount(batch.selection)
+    if (context.queryStats) {
+      const scan = context.queryStats.scans[table] ??= { batches: 0, rows: 0 }
+      scan.batches++
+      scan.rows += rows
+    }
+    context.onEvent?.({ type: 'scanBatch', table, rows })
+    yield batch
+  }
+}
+
+/**
+ * Calls a user-defined function, reporting how long it took to settle.
+ *
+ * @template T
+ * @param {string} name
+ * @param {() => T} call
+ * @param {ExecuteContext} context
+ * @returns {Promise<Awaited<T>>}
+ */
+export async function traceUdf(name, call, context) {
+  const start = performance.now()
+  try {
+    return await call()
+  } finally {
+    const elapsed = performance.now() - start
+    if (context.queryStats) {
+      const udf = context.queryStats.udfs[name] ??= { calls: 0, elapsed: 0 }
+      udf.calls++
+      udf.elapsed += elapsed
+    }
+    context.onEvent?.({ type: 'udf', name, elapsed })
+  }
+}
+
+/**
+ * Wraps an aggregate user-defined function so that its update and finalize
+ * calls are reported like scalar UDF calls. Returned unchanged when the
+ * query is not traced.
+ *
+ * @param {string} funcName - upper-case function name
+ * @param {AggregateUserDefinedFunction} udf
+ * @param {ExecuteContext} context
+ * @returns {AggregateUserDefinedFunction}
+ */
+export function traceAggregateUdf(funcName, udf, context) {
+  if (!context.onEvent) return udf
+  const name = Object.keys(context.functions ?? {}).find(k => k.toUpperCase() === funcName) ?? funcName
+  return {
+    ...udf,
+    update: (state, ...args) => traceUdf(name, () => udf.update(state, ...args), context),
+    finalize: state => traceUdf(name, () => udf.finalize(state), context),
+  }
+}
@@ -1,95 +1,134 @@
-import { selectedRowCount, valueAt } from '../backend/batch.js'
-import { derivedAlias } from '../expression/alias.js'
+import { isPromiseLike, selectedRowCount, valueAt } from '../backend/batch.js'
+import { memorySpillStore } from '../backend/spillStore.js'
+import { derivedAlias, exprSig } from '../expression/alias.js'
 import { compileBatchExpression } from '../expression/batch.js'
 import { evaluateAll, evaluateExpr } from '../expression/evaluate.js'
 import { collectColumnsFromExpr } from '../plan/columns.js'
-import { isAggregateFunc } from '../validation/functions.js'
-import { finalizeAccumulator, newAccumulator, updateAccumulator } from './accumulator.js'
+import { aggregateUdf, isAggregateFunc } from '../validation/functions.js'
+import { accumulatorEntries, finalizeAccumulator, newAccumulator, sketchParamError, updateAccumulator, updateUdfAccumulator } from './accumulator.js'
+import { comomentAggregates, momentAggregates } from './moments.js'
 import { referencesRowScope } from './rowScope.js'
-import { sortEntriesByTerms } from './sort.js'
-import { keyify } from './utils.js'
+import { externalSortRows, sortEntriesByTerms } from './sort.js'
+import { MAX_SPILL_LEVEL, SPILL_PARTITIONS, deletePartition, deletePartitions, estimateRowBytes, flushPartitions, hasSpillBudget, newPartitionWriter, overSpillBudget, partitionOf, readSpillFile, rowValues, spilledRow, writePartition } from './spill.js'
+import { traceAggregateUdf } from './stats.js'
+import { groupingKey } from './utils.js'
 import { yieldToEventLoop } from './yield.js'
 
 /**
  * @import { BatchAggregateInputs, CompiledBatchExpression } from '../internalTypes.js'
- * @import { AsyncBatch, AsyncCells, AsyncRow, ColumnVector, ExecuteContext, ExprNode, FunctionNode, IdentifierNode, QueryResults, SelectColumn, SqlPrimitive } from '../types.js'
- * @import { HashAggregateNode, ScalarAggregateNode } from '../plan/types.js'
+ * @import { AggregateUserDefinedFunction, AsyncBatch, AsyncCells, AsyncRow, ColumnVector, ExecuteContext, ExprNode, FunctionNode, IdentifierNode, QueryResults, SelectColumn, SqlPrimitive, UserDefinedFunction } from '../types.js'
+ * @import { GroupingSet, HashAggregateNode, ScalarAggregateNode } from '../plan/types.js'
  * @import { Accumulator } from './accumulator.js'
+ * @import { PartitionWriter } from './spill.js'
  */
 
 // Accumulate rows in chunks of this size so aborts can fire and async cells overlap
 const CHUNK_SIZE = 4000
 
+// Rough size of one aggregate's state in a group, for the memory budget
+const ACCUMULATOR_BYTES = 64
+// Rough size of each value an aggregate's state holds, like the DISTINCT
+// values of a group, for the memory budget
+const STATE_ENTRY_BYTES = 48
+
 // Aggregate functions whose state can be accumulated one row at a time with
-// bounded memory. Aggregates outside this set (MEDIAN, ARRAY_AGG, STDDEV, ...)
-// need the full value set, so their queries buffer rows instead.
-const STREAMABLE_FUNCS = new Set(['COUNT', 'COUNTIF', 'SUM', 'AVG', 'MIN', 'MAX'])
+// bounded memory. Aggregates outside this set (MEDIAN, ARRAY_AGG, STRING_AGG, ...)
+// need the full value set, so their queries buffer rows instead. Aggregate
+// UDFs always stream, since they fold rows into their own state.
+const STREAMABLE_FUNCS = new Set([
+  'COUNT', 'COUNTIF', 'SUM', 'AVG', 'MIN', 'MAX', ...momentAggregates, ...comomentAggregates, 'MODE', 'ENTROPY',
+  'APPROX_COUNT_DISTINCT', 'APPROX_QUANTILE', 'APPROX_TOP_K',
+])
 
 /**
  * Specs are keyed by aggregate node identity, so two aggregates that differ
  * only in FILTER accumulate separately even though their derived aliases match.
+ * Sketch aggregates carry their constant second argument as param.
  *
  * @typedef {{
  *   node: FunctionNode,
  *   funcName: string,
  *   star: boolean,
+ *   udf: AggregateUserDefinedFunction | undefined,
+ *   param?: SqlPrimitive,
  * }} StreamingAggSpec
  */
 
 /**
+ * When spilling, entries is how many values of growing accumulator state
+ * (see accumulatorEntries) have been charged to the budget.
+ *
  * @typedef {{
  *   firstRow: AsyncRow | undefined,
  *   keyValues: SqlPrimitive[],
  *   accumulators: Accumulator[],
+ *   entries?: number,
  * }} StreamingGroup
  */
 
+/**
+ * A finalized group that passed HAVING: its output row, and the row and
+ * substituted expressions its ORDER BY terms are evaluated against.
+ *
+ * @typedef {{
+ *   row: AsyncRow,
+ *   exprs: ExprNode[],
+ *   outputRow: AsyncRow,
+ * }} GroupEntry
+ */
+
+/**
+ * Spilling state of one partitioning pass of a GROUP BY under a budget.
+ * Once the groups in memory fill the budget, rows of new groups are written
+ * to partitions by key instead. Groups are charged for their keys, their
+ * retained first row and their accumulators, and again as accumulator state
+ * grows, but rows of a group already in memory keep folding into it.
+ *
+ * @typedef {{
+ *   writer: PartitionWriter,
+ *   level: number,
+ *   columns: string[],
+ *   bytes: number,
+ *   full: boolean,
+ * }} GroupSpill
+ */
+
 /**
  * The streaming plan for an aggregate node: which aggregate calls to
  * accumulate, which expression nodes are group key references (substituted
  * from the group's key values), and whether any expression still needs a
  * representative row from the group. When needsRow is false, no input rows
  * are retained, so memory is bounded by the number of groups — plus, for
- * COUNT(DISTINCT ...), each group's set of distinct values — even for
+ * COUNT(DISTINCT ...), MODE and ENTROPY, each group's distinct values — even for
  * high-cardinality GROUP BY.
  *
+ * With grouping sets, setKeyRefs holds the key references of each set's
+ * rewritten expressions, in the order of the plan's groupingSets.
+ *
  * @typedef {{
  *   specs: StreamingAggSpec[],
  *   keyRefs: Map<ExprNode, number>,
+ *   setKeyRefs?: Map<ExprNode, number>[],
  *   needsRow: boolean,
  * }} StreamingAggPlan
  */
 
-/**
- * Structural signature of an expression node, ignoring source positions, so
- * an expression repeated in SELECT and GROUP BY compares equal.
- *
- * @param {ExprNode} node
- * @returns {string}
- */
-function exprSig(node) {
-  return JSON.stringify(node, (key, value) => {
-    if (key === 'positionStart' || key === 'positionEnd') return undefined
-    // JSON.stringify throws on BigInt literal values; wrap so 1n !== '1n'
-    if (typeof value === 'bigint') return { bigint: value.toString() }
-    return value
-  })
-}
-
 /**
  * Extracts the aggregate calls an aggregate node needs so they can be
  * computed incrementally, without buffering the group's rows. Returns
  * undefined when any expression needs a buffered group: an aggregate outside
- * STREAMABLE_FUNCS, an aggregate over a non-scalar argument, or a subquery.
+ * STREAMABLE_FUNCS, an aggregate over a non-scalar argument, a sketch
+ * aggregate whose fraction or k is not a valid literal, or a subquery.
  * Also returns undefined when an aggregate references a column the child
  * does not produce: projection pushdown prunes columns whose output cells
  * are never read, and only the buffered path defers evaluation of those cells.
  *
  * @param {Pick<HashAggregateNode, 'columns' | 'having'> & Partial<Pick<HashAggregateNode, 'orderBy' | 'groupBy'>>} plan
  * @param {string[]} [childColumns] - columns produced by the child plan
+ * @param {Record<string, UserDefinedFunction>} [functions]
  * @returns {StreamingAggPlan | undefined}
  */
-export function planStreamingAggregates({ columns, having, orderBy, groupBy }, childColumns) {
+export function planStreamingAggregates({ columns, having, orderBy, groupBy }, childColumns, functions) {
   const groupExprs = groupBy ?? []
   const groupSigs = groupExprs.map(exprSig)
   /** @type {StreamingAggSpec[]} */
@@ -169,19 +208,26 @@ export function planStreamingAggregates({ columns, having, orderBy, groupBy }, c
       return walk(node.expr, lazy) && walk(node.index, lazy)
     case 'function': {
       const funcName = node.funcName.toUpperCase()
-      if (!isAggregateFunc(funcName)) {
+      if (!isAggregateFunc(funcName, functions)) {
         if (funcName === 'COALESCE') {
           return node.args.every((arg, i) => walk(arg, lazy || i > 0))
         }
         return node.args.every(arg => walk(arg, lazy))
       }
-      if (!STREAMABLE_FUNCS.has(funcName)) return false
+      const udf = aggregateUdf(funcName, functions)
+      if (!udf && !STREAMABLE_FUNCS.has(funcName)) return false
+      // an ordered aggregate sees its rows sorted, which needs the whole group
+      if (node.orderBy) return false
       const star = node.args[0]?.type === 'star'
       if (lazy && !(star && !node.filter)) return false
-      if (!star && !node.args.every(arg => isScalarExpr(arg))) return false
-      if (node.filter && !isScalarExpr(node.filter)) return false
+      if (!star && !node.args.every(arg => isScalarExpr(arg, functions))) return false
+      if (node.filter && !isScalarExpr(node.filter, functions)) return false
+      // a sketch's fraction or k must be a valid literal; otherwise the
+      // buffered path evaluates it and reports the error
+      const paramNode = funcName === 'APPROX_QUANTILE' || funcName === 'APPROX_TOP_K' ? node.args[1] : undefined
+      if (paramNode && (paramNode.type !== 'literal' || sketchParamError(funcName, paramNode.value))) return false
       if (!specs.some(spec => spec.node === node)) {
-        specs.push({ node, funcName, star })
+        specs.push({ node, funcName, star, udf, param: paramNode?.type === 'literal' ? paramNode.value : undefined })
       }
       return true
     }
@@ -212,6 +258,35 @@ export function planStreamingAggregates({ columns, having, orderBy, groupBy }, c
   return { specs, keyRefs, needsRow }
 }
 
+/**
+ * Plans streaming accumulation for all grouping sets of an aggregate, so a
+ * single pass over the input feeds one group per set for each row. The sets
+ * share their aggregate nodes, so one spec list serves every set. Returns
+ * undefined when any set cannot stream.
+ *
+ * @param {HashAggregateNode & { groupingSets: GroupingSet[] }} plan
+ * @param {string[]} [childColumns] - columns produced by the child plan
+ * @param {Record<string, UserDefinedFunction>} [functions]
+ * @returns {StreamingAggPlan | undefined}
+ */
+export function planStreamingGroupingSets({ groupBy, groupingSets }, childColumns, functions) {
+  /** @type {StreamingAggSpec[]} */
+  const specs = []
+  /** @type {Map<ExprNode, number>[]} */
+  const setKeyRefs = []
+  let needsRow = false
+  for (const { columns, having, orderBy } of groupingSets) {
+    const streaming = planStreamingAggregates({ columns, having, orderBy, groupBy }, childColumns, functions)
+    if (!streaming) return
+    for (const spec of streaming.specs) {
+      if (!specs.some(s => s.node === spec.node)) specs.push(spec)
+    }
+    setKeyRefs.push(streaming.keyRefs)
+    needsRow ||= streaming.needsRow
+  }
+  return { specs, keyRefs: setKeyRefs[0], setKeyRefs, needsRow }
+}
+
 /**
  * Reports whether every identifier the streaming path evaluates eagerly
  * (aggregate arguments and FILTER conditions) can resolve against the
@@ -245,9 +320,10 @@ function specsResolvable(specs, childColumns) {
  * aggregates and no subqueries, so it can be evaluated per input row.
  *
  * @param {ExprNode} node
+ * @param {Record<string, UserDefinedFunction>} [functions]
  * @returns {boolean}
  */
-function isScalarExpr(node) {
+function isScalarExpr(node, functions) {
   switch (node.type) {
   case 'literal':
   case 'identifier':
@@ -255,21 +331,21 @@ function isScalarExpr(node) {
   case 'interval':
     return true
   case 'unary':
-    return isScalarExpr(node.argument)
+    return isScalarExpr(node.argument, functions)
   case 'binary':
-    return isScalarExpr(node.left) && isScalarExpr(node.right)
+    return isScalarExpr(node.left, functions) && isScalarExpr(node.right, functions)
   case 'cast':
-    return isScalarExpr(node.expr)
+    return isScalarExpr(node.expr, functions)
   case 'case':
-    return (!node.caseExpr || isScalarExpr(node.caseExpr)) &&
-      node.whenClauses.every(w => isScalarExpr(w.condition) && isScalarExpr(w.result)) &&
-      (!node.elseResult || isScalarExpr(node.elseResult))
+    return (!node.caseExpr || isScalarExpr(node.caseExpr, functions)) &&
+      node.whenClauses.every(w => isScalarExpr(w.condition, functions) && isScalarExpr(w.result, functions)) &&
+      (!node.elseResult || isScalarExpr(node.elseResult, functions))
   case 'in valuelist':
-    return isScalarExpr(node.expr) && node.values.every(v => isScalarExpr(v))
+    return isScalarExpr(node.expr, functions) && node.values.every(v => isScalarExpr(v, functions))
   case 'subscript':
-    return isScalarExpr(node.expr) && isScalarExpr(node.index)
+    return isScalarExpr(node.expr, functions) && isScalarExpr(node.index, functions)
   case 'function':
-    return !isAggregateFunc(node.funcName.toUpperCase()) && node.args.every(arg => isScalarExpr(arg))
+    return !isAggregateFunc(node.funcName.toUpperCase(), functions) && node.args.every(arg => isScalarExpr(arg, functions))
   default:
     return false
   }
@@ -349,22 +425,30 @@ function substituteValues(node, values) {
  * @param {object} options
  * @param {AsyncRow[]} options.chunk
  * @param {ExprNode[]} options.groupBy
+ * @param {number[][]} options.sets - grouped key indices of each grouping set
  * @param {StreamingAggSpec[]} options.specs
- * @param {Map<unknown, StreamingGroup>} options.groups
+ * @param {Map<unknown, StreamingGroup>[]} options.groups - groups of each set
  * @param {boolean} options.needsRow - retain each group's first row?
+ * @param {GroupSpill} [options.spill] - set when new groups may be spilled
  * @param {ExecuteContext} options.context
  * @returns {Promise<void>}
  */
-async function accumulateChunk({ chunk, groupBy, specs, groups, needsRow, context }) {
+async function accumulateChunk({ chunk, groupBy, sets, specs, groups, needsRow, spill, context }) {
   /** @type {SqlPrimitive[][] | undefined} */
   let keyColumns
   if (groupBy.length) {
     keyColumns = await Promise.all(groupBy.map(expr => evaluateAll(expr, chunk, context)))
   }
+  if (spill && keyColumns) {
+    const kept = await spillNewGroups({ chunk, keyColumns, groups: groups[0], specs, needsRow, spill, context })
+    chunk = kept.chunk
+    keyColumns = kept.keyColumns
+  }
 
   /** @type {(SqlPrimitive[] | undefined)[]} */
   const filters = new Array(specs.length)
-  /** @type {(SqlPrimitive[] | undefined)[]} */
+  // argument values of each spec, one array per argument
+  /** @type {(SqlPrimitive[][] | undefined)[]} */
   const args = new Array(specs.length)
   for (let s = 0; s < specs.length; s++) {
     const { node, star } = specs[s]
@@ -373,7 +457,7 @@ async function accumulateChunk({ chunk, groupBy, specs, groups, needsRow, contex
       filters[s] = passes
       if (!star) {
         // The buffered path filters the group before evaluating arguments,
-        // so only evaluate the argument for rows that pass the FILTER
+        // so only evaluate the arguments for rows that pass the FILTER
         /** @type {AsyncRow[]} */
         const passingRows = []
         /** @type {number[]} */
@@ -384,43 +468,176 @@ async function accumulateChunk({ chunk, groupBy, specs, groups, needsRow, contex
             passingIndices.push(j)
           }
         }
-        const values = await evaluateAll(node.args[0], passingRows, context)
-        const spread = new Array(chunk.length).fill(null)
-        for (let k = 0; k < passingIndices.length; k++) {
-          spread[passingIndices[k]] = values[k]
-        }
-        args[s] = spread
+        args[s] = await Promise.all(node.args.map(async arg => {
+          const values = await evaluateAll(arg, passingRows, context)
+          const spread = new Array(chunk.length).fill(null)
+          for (let k = 0; k < passingIndices.length; k++) {
+            spread[passingIndices[k]] = values[k]
+          }
+          return spread
+        }))
       }
-    } else {
-      args[s] = star ? undefined : await evaluateAll(node.args[0], chunk, context)
+    } else if (!star) {
+      args[s] = await Promise.all(node.args.map(arg => evaluateAll(arg, chunk, context)))
     }
   }
 
+  /** @type {Map<Accumulator, SqlPrimitive[][]>} */
+  const udfRows = new Map()
+  // groups updated by this chunk, whose state growth is charged to the budget
+  /** @type {Set<StreamingGroup> | undefined} */
+  const touched = spill ? new Set() : undefined
   for (let j = 0; j < chunk.length; j++) {
-    const key = keyColumns
-      ? keyColumns.length === 1 ? keyify(keyColumns[0][j]) : keyify(...keyColumns.map(c => c[j]))
-      : true
-    let group = groups.get(key)
-    if (!group) {
-      group = {
-        firstRow: needsRow ? chunk[j] : undefined,
-        keyValues: keyColumns ? keyColumns.map(c => c[j]) : [],
-        accumulators: specs.map(spec => newAccumulator(spec.funcName, spec.node.distinct)),
+    const keyValues = keyColumns ? keyColumns.map(c => c[j]) : []
+    for (let g = 0; g < sets.length; g++) {
+      const group = findGroup({ groups: groups[g], keys: sets[g], keyValues, specs, firstRow: needsRow ? chunk[j] : undefined })
+      touched?.add(group)
+      for (let s = 0; s < specs.length; s++) {
+        const filter = filters[s]
+        if (filter && !filter[j]) continue
+        const spec = specs[s]
+        const arg = args[s]
+        if (spec.star && spec.funcName === 'COUNT') {
+          group.accumulators[s].count++
+        } else if (spec.udf && arg) {
+          queueUdfRow(udfRows, group.accumulators[s], arg.map(values => values[j]))
+        } else {
+          const moreArgs = arg && arg.length > 1 ? arg.slice(1).map(values => values[j]) : undefined
+          updateAccumulator(spec.funcName, group.accumulators[s], arg ? arg[0][j] : null, moreArgs)
+        }
       }
-      groups.set(key, group)
     }
-    for (let s = 0; s < specs.length; s++) {
-      const filter = filters[s]
-      if (filter && !filter[j]) continue
-      const spec = specs[s]
-      if (spec.star && spec.funcName === 'COUNT') {
-        group.accumulators[s].count++
-      } else {
-        const arg = args[s]
-        updateAccumulator(spec.funcName, group.accumulators[s], arg ? arg[j] : null)
+  }
+  await updateUdfAccumulators(udfRows)
+  if (spill && touched) chargeStateGrowth(spill, touched)
+}
+
+/**
+ * Charges the growth of the groups' accumulator state since they were last
+ * charged to the spill budget, so growing groups leave less room for new ones.
+ *
+ * @param {GroupSpill} spill
+ * @param {Set<StreamingGroup>} groups
+ */
+function chargeStateGrowth(spill, groups) {
+  for (const group of groups) {
+    let entries = 0
+    for (const acc of group.accumulators) entries += accumulatorEntries(acc)
+    spill.bytes += (entries - (group.entries ?? 0)) * STATE_ENTRY_BYTES
+    group.entries = entries
+  }
+}
+
+/**
+ * Admits a chunk's rows to the groups in memory until the groups fill the
+ * query's budget (always admitting at least one). After that, rows of groups
+ * not already in memory are written to the spill partition of their key.
+ * Returns the rows left to accumulate, with their GROUP BY values.
+ *
+ * @param {object} options
+ * @param {AsyncRow[]} options.chunk
+ * @param {SqlPrimitive[][]} options.keyColumns - GROUP BY values, one array per key
+ * @param {Map<unknown, StreamingGroup>} options.groups
+ * @param {StreamingAggSpec[]} options.specs
+ * @param {boolean} options.needsRow
+ * @param {GroupSpill} options.spill
+ * @param {ExecuteContext} options.context
+ * @returns {Promise<{ chunk: AsyncRow[], keyColumns: SqlPrimitive[][] }>}
+ */
+async function spillNewGroups({ chunk, keyColumns, groups, specs, needsRow, spill, context }) {
+  const keys = keyColumns.map((_, k) => k)
+  /** @type {AsyncRow[]} */
+  const keptRows = []
+  const keptKeys = keyColumns.map(/** @returns {SqlPrimitive[]} */ () => [])
+  for (let j = 0; j < chunk.length; j++) {
+    const keyValues = keyColumns.map(c => c[j])
+    const key = groupingKey(keys, keyValues)
+    if (!groups.has(key)) {
+      const row = chunk[j]
+      if (!spill.full) {
+        let bytes = estimateRowBytes(keyValues) + specs.length * ACCUMULATOR_BYTES
+        if (needsRow) bytes += estimateRowBytes(await rowValues(row))
+        spill.full = groups.size > 0 && overSpillBudget(context, groups.size + 1, spill.bytes + bytes)
+        if (!spill.full) {
+          findGroup({ groups, keys, keyValues, specs, firstRow: needsRow ? row : undefined })
+          spill.bytes += bytes
+        }
+      }
+      if (spill.full) {
+        if (!spill.columns.length) spill.columns = row.columns
+        await writePartition(spill.writer, partitionOf(key, spill.level), await rowValues(row))
+        continue
       }
     }
+    keptRows.push(chunk[j])
+    for (let k = 0; k < keys.length; k++) keptKeys[k].push(keyValues[k])
   }
+  return { chunk: keptRows, keyColumns: keptKeys }
+}
+
+/**
+ * Queues one row's arguments for an aggregate UDF accumulator, so each
+ * accumulator folds its rows of a chunk together.
+ *
+ * @param {Map<Accumulator, SqlPrimitive[][]>} udfRows
+ * @param {Accumulator} acc
+ * @param {SqlPrimitive[]} args
+ */
+function queueUdfRow(udfRows, acc, args) {
+  const rows = udfRows.get(acc)
+  if (rows) rows.push(args)
+  else udfRows.set(acc, [args])
+}
+
+/**
+ * Reports the calls of aggregate UDFs when the query is traced.
+ *
+ * @param {StreamingAggSpec[]} specs
+ * @param {ExecuteContext} context
+ * @returns {StreamingAggSpec[]}
+ */
+function tracedSpecs(specs, context) {
+  if (!context.onEvent) return specs
+  return specs.map(spec => spec.udf ? { ...spec, udf: traceAggregateUdf(spec.funcName, spec.udf, context) } : spec)
+}
+
+/**
+ * Folds queued rows into their aggregate UDF accumulators and clears the
+ * queue. Accumulators are independent, so their async updates overlap.
+ *
+ * @param {Map<Accumulator, SqlPrimitive[][]>} udfRows
+ * @returns {Promise<void>}
+ */
+async function updateUdfAccumulators(udfRows) {
+  if (!udfRows.size) return
+  await Promise.all(Array.from(udfRows, ([acc, rows]) => updateUdfAccumulator(acc, rows)))
+  udfRows.clear()
+}
+
+/**
+ * Returns a row's group within one grouping set, creating it on first use.
+ * GROUP BY values outside the set are stored as NULL.
+ *
+ * @param {object} options
+ * @param {Map<unknown, StreamingGroup>} options.groups
+ * @param {number[]} options.keys - grouped key indices of the set
+ * @param {SqlPrimitive[]} options.keyValues - the row's GROUP BY values
+ * @param {StreamingAggSpec[]} options.specs
+ * @param {AsyncRow} [options.firstRow]
+ * @returns {StreamingGroup}
+ */
+function findGroup({ groups, keys, keyValues, specs, firstRow }) {
+  const key = groupingKey(keys, keyValues)
+  let group = groups.get(key)
+  if (!group) {
+    group = {
+      firstRow,
+      keyValues: keys.length === keyValues.length ? keyValues : keyValues.map((v, k) => keys.includes(k) ? v : null),
+      accumulators: specs.map(spec => newAccumulator(spec.funcName, spec.node.distinct, spec.udf, spec.param)),
+    }
+    groups.set(key, group)
+  }
+  return group
 }
 
 /**
@@ -439,7 +656,7 @@ function compileBatchAggregateInputs(groupBy, specs, columns, context) {
   const keys = []
   for (const expression of groupBy) {
     if (referencesRowScope(expression, columns, context)) return undefined
-    const key = compileBatchExpression(expression, columns)
+    const key = compileBatchExpression(expression, columns, context.timeZone)
     if (!key) return undefined
     keys.push(key)
   }
@@ -450,14 +667,17 @@ function compileBatchAggregateInputs(groupBy, specs, columns, context) {
   const args = []
   for (const spec of specs) {
     if (spec.node.filter && !spec.star) return undefined
+    // compiled inputs hold one argument per aggregate, besides a sketch's
+    // literal param
+    if (spec.node.args.length > 1 && spec.param === undefined) return undefined
     if (spec.node.filter && referencesRowScope(spec.node.filter, columns, context)) return undefined
     if (!spec.star && referencesRowScope(spec.node.args[0], columns, context)) return undefined
     const filter = spec.node.filter
-      ? compileBatchExpression(spec.node.filter, columns)
+      ? compileBatchExpression(spec.node.filter, columns, context.timeZone)
       : undefined
     const argument = spec.star
       ? undefined
-      : compileBatchExpression(spec.node.args[0], columns)
+      : compileBatchExpression(spec.node.args[0], columns, context.timeZone)
     if (spec.node.filter && !filter || !spec.star && !argument) return undefined
     filters.push(filter)
     args.push(argument)
@@ -491,21 +711,25 @@ function evaluateBatchInputs(expressions, batch, context, rowOffset) {
  * @param {object} options
  * @param {AsyncBatch} options.batch
  * @param {BatchAggregateInputs} options.inputs
+ * @param {number[][]} options.sets - grouped key indices of each grouping set
  * @param {StreamingAggSpec[]} options.specs
- * @param {Map<unknown, StreamingGroup>} options.groups
+ * @param {Map<unknown, StreamingGroup>[]} options.groups - groups of each set
  * @param {ExecuteContext} options.context
  * @param {number} options.rowOffset
  * @returns {Promise<void>}
  */
-async function accumulateBatch({ batch, inputs, specs, groups, context, rowOffset }) {
+async function accumulateBatch({ batch, inputs, sets, specs, groups, context, rowOffset }) {
   const [keys, filters, args] = await Promise.all([
     evaluateBatchInputs(inputs.keys, batch, context, rowOffset),
     evaluateBatchInputs(inputs.filters, batch, context, rowOffset),
     evaluateBatchInputs(inputs.args, batch, context, rowOffset),
   ])
   const rowCount = selectedRowCount(batch.selection)
+  /** @type {Map<Accumulator, SqlPrimitive[][]>} */
+  const udfRows = new Map()
   for (let rowIndex = 0; rowIndex < rowCount; rowIndex++) {
     if (rowIndex > 0 && rowIndex % CHUNK_SIZE === 0) {
+      await updateUdfAccumulators(udfRows)
       await yieldToEventLoop()
       context.signal?.throwIfAborted()
     }
@@ -513,78 +737,128 @@ async function accumulateBatch({ batch, inputs, specs, groups, context, rowOffse
       if (!vector) throw new Error('Missing compiled group key')
       return valueAt(vector, rowIndex)
     })
-    const key = keyValues.length === 0
-      ? true
-      : keyValues.length === 1 ? keyify(keyValues[0]) : keyify(...keyValues)
-    let group = groups.get(key)
-    if (!group) {
-      group = {
-        firstRow: undefined,
-        keyValues,
-        accumulators: specs.map(spec => newAccumulator(spec.funcName, spec.node.distinct)),
-      }
-      groups.set(key, group)
-    }
-    for (let specIndex = 0; specIndex < specs.length; specIndex++) {
-      const filter = filters[specIndex]
-      if (filter && !valueAt(filter, rowIndex)) continue
-      const spec = specs[specIndex]
-      if (spec.star && spec.funcName === 'COUNT') {
-        group.accumulators[specIndex].count++
-      } else {
+    for (let setIndex = 0; setIndex < sets.length; setIndex++) {
+      const group = findGroup({ groups: groups[setIndex], keys: sets[setIndex], keyValues, specs })
+      for (let specIndex = 0; specIndex < specs.length; specIndex++) {
+        const filter = filters[specIndex]
+        if (filter && !valueAt(filter, rowIndex)) continue
+        const spec = specs[specIndex]
         const argument = args[specIndex]
-        updateAccumulator(spec.funcName, group.accumulators[specIndex], argument ? valueAt(argument, rowIndex) : null)
+        if (spec.star && spec.funcName === 'COUNT') {
+          group.accumulators[specIndex].count++
+        } else if (spec.udf) {
+          queueUdfRow(udfRows, group.accumulators[specIndex], [argument ? valueAt(argument, rowIndex) : null])
+        } else {
+          updateAccumulator(spec.funcName, group.accumulators[specIndex], argument ? valueAt(argument, rowIndex) : null)
+        }
       }
     }
   }
+  await updateUdfAccumulators(udfRows)
 }
 
 /**
  * Consumes the child rows into per-group accumulators, holding at most one
  * chunk of rows at a time. Throws when aborted so partial accumulators are
- * never finalized into results.
+ * never finalized into results. Returns one group map per grouping set; the
+ * empty set always has a group, even for empty input.
  *
  * @param {object} options
  * @param {QueryResults} options.child
  * @param {ExprNode[]} options.groupBy
+ * @param {number[][]} [options.sets] - grouped key indices of each grouping set, defaulting to all keys
  * @param {StreamingAggSpec[]} options.specs
  * @param {boolean} options.needsRow
+ * @param {GroupSpill} [options.spill] - spills new groups over the budget, with a single grouping set
  * @param {ExecuteContext} options.context
- * @returns {Promise<Map<unknown, StreamingGroup>>}
+ * @returns {Promise<Map<unknown, StreamingGroup>[]>}
  */
-async function accumulateGroups({ child, groupBy, specs, needsRow, context }) {
-  /** @type {Map<unknown, StreamingGroup>} */
-  const groups = new Map()
-  const batchInputs = child.batches && !needsRow
+async function accumulateGroups({ child, groupBy, sets = [groupBy.map((_, i) => i)], specs, needsRow, spill, context }) {
+  /** @type {Map<unknown, StreamingGroup>[]} */
+  const groups = sets.map(() => new Map())
+  const batchInputs = child.batches && !needsRow && !spill
     ? compileBatchAggregateInputs(groupBy, specs, child.columns, context)
     : undefined
   if (batchInputs && child.batches) {
     let rowOffset = 0
     for await (const batch of child.batches()) {
-      await accumulateBatch({ batch, inputs: batchInputs, specs, groups, context, rowOffset })
+      await accumulateBatch({ batch, inputs: batchInputs, sets, specs, groups, context, rowOffset })
       rowOffset += selectedRowCount(batch.selection)
       context.signal?.throwIfAborted()
     }
-    return groups
-  }
-  /** @type {AsyncRow[]} */
-  let chunk = []
-  for await (const row of child.rows()) {
-    chunk.push(row)
-    if (chunk.length >= CHUNK_SIZE) {
-      await accumulateChunk({ chunk, groupBy, specs, groups, needsRow, context })
-      chunk = []
-      await yieldToEventLoop()
-      context.signal?.throwIfAborted()
+  } else {
+    /** @type {AsyncRow[]} */
+    let chunk = []
+    for await (const row of child.rows()) {
+      chunk.push(row)
+      if (chunk.length >= CHUNK_SIZE) {
+        await accumulateChunk({ chunk, groupBy, sets, specs, groups, needsRow, spill, context })
+        chunk = []
+        await yieldToEventLoop()
+        context.signal?.throwIfAborted()
+      }
+    }
+    if (chunk.length) {
+      await accumulateChunk({ chunk, groupBy, sets, specs, groups, needsRow, spill, context })
     }
+    context.signal?.throwIfAborted()
   }
-  if (chunk.length) {
-    await accumulateChunk({ chunk, groupBy, specs, groups, needsRow, context })
+  for (let g = 0; g < sets.length; g++) {
+    if (sets[g].length === 0) findGroup({ groups: groups[g], keys: [], keyValues: [], specs })
   }
-  context.signal?.throwIfAborted()
   return groups
 }
 
+/**
+ * Accumulates GROUP BY groups under the query's memory or row budget, as a
+ * hybrid hash aggregate: groups that fit stay in memory, and rows of the
+ * groups that do not are written to spill partitions by key hash. Each group
+ * map yielded is complete: first the groups kept in memory, then those of
+ * each partition, which is split again on the next bits of the hash when
+ * its groups still do not fit.
+ *
+ * @param {object} options
+ * @param {QueryResults} options.child
+ * @param {ExprNode[]} options.groupBy
+ * @param {StreamingAggSpec[]} options.specs
+ * @param {boolean} options.needsRow
+ * @param {ExecuteContext} options.context
+ * @param {number} [options.level] - partitioning passes so far
+ * @returns {AsyncGenerator<Map<unknown, StreamingGroup>[]>}
+ */
+async function* accumulateSpillingGroups({ child, groupBy, specs, needsRow, context, level = 0 }) {
+  // Past the last level the hash has no bits left to split on
+  if (level >= MAX_SPILL_LEVEL) {
+    yield await accumulateGroups({ child, groupBy, specs, needsRow, context })
+    return
+  }
+  const store = context.spillStore ?? memorySpillStore()
+  /** @type {GroupSpill} */
+  const spill = { writer: newPartitionWriter(store, 'aggregate'), level, columns: [], bytes: 0, full: false }
+  try {
+    yield await accumulateGroups({ child, groupBy, specs, needsRow, spill, context })
+    await flushPartitions(spill.writer)
+    const { columns } = spill
+    for (let partition = 0; partition < SPILL_PARTITIONS; partition++) {
+      const file = spill.writer.files[partition]
+      if (file === undefined) continue
+      /** @type {QueryResults} */
+      const spilled = {
+        columns,
+        async *rows() {
+          for await (const record of readSpillFile(store, file)) {
+            yield spilledRow(columns, record, 0)
+          }
+        },
+      }
+      yield* accumulateSpillingGroups({ child: spilled, groupBy, specs, needsRow, context, level: level + 1 })
+      await deletePartition(spill.writer, partition)
+    }
+  } finally {
+    await deletePartitions(spill.writer)
+  }
+}
+
 /**
  * Builds a group's output row by substituting the group's finalized
  * aggregate and group key values into the select expressions and evaluating
@@ -597,15 +871,16 @@ async function accumulateGroups({ child, groupBy, specs, needsRow, context }) {
  * @param {Map<ExprNode, number>} options.keyRefs
  * @param {StreamingGroup} options.group
  * @param {ExecuteContext} options.context
- * @returns {{ outputRow: AsyncRow, values: Map<ExprNode, SqlPrimitive> }}
+ * @returns {Promise<{ outputRow: AsyncRow, values: Map<ExprNode, SqlPrimitive> }>}
  */
-function finalizeGroup({ selectColumns, specs, keyRefs, group, context }) {
+async function finalizeGroup({ selectColumns, specs, keyRefs, group, context }) {
   const firstRow = group.firstRow ?? { columns: [], cells: {} }
 
   /** @type {Map<ExprNode, SqlPrimitive>} */
   const values = new Map()
   for (let s = 0; s < specs.length; s++) {
-    values.set(specs[s].node, finalizeAccumulator(specs[s].funcName, group.accumulators[s]))
+    const value = finalizeAccumulator(specs[s].funcName, group.accumulators[s])
+    values.set(specs[s].node, isPromiseLike(value) ? await value : value)
   }
   for (const [node, keyIndex] of keyRefs) {
     values.set(node, group.keyValues[keyIndex])
@@ -659,7 +934,8 @@ function groupContextRow(group, outputRow) {
 /**
  * Streaming GROUP BY execution: accumulates aggregates incrementally instead
  * of buffering every input row, then applies HAVING and grouped ORDER BY
- * against the finalized aggregate values.
+ * against the finalized aggregate values. Grouping sets are all accumulated
+ * in the same pass, and their groups are emitted set by set.
  *
  * @param {object} options
  * @param {HashAggregateNode} options.plan
@@ -669,42 +945,82 @@ function groupContextRow(group, outputRow) {
  * @returns {() => AsyncGenerator<AsyncRow>}
  */
 export function streamingHashAggregateRows({ plan, streaming, child, context }) {
-  const { specs, keyRefs, needsRow } = streaming
+  const { needsRow } = streaming
+  const specs = tracedSpecs(streaming.specs, context)
+  const sets = plan.groupingSets ?? [{ keys: plan.groupBy.map((_, i) => i), ...plan }]
+  // Spilling partitions the groups of one set by key, so grouping sets and
+  // the single group of an empty GROUP BY stay in memory
+  const spills = hasSpillBudget(context) && !plan.groupingSets && plan.groupBy.length > 0
   return async function* () {
-    const groups = await accumulateGroups({ child, groupBy: plan.groupBy, specs, needsRow, context })
-    const { orderBy, having } = plan
+    const { orderBy } = plan
 
     // Without ORDER BY, groups finalize and yield one at a time so output
     // rows are never all held at once; sorting needs the full set below.
-    /** @type {{ row: AsyncRow, exprs: ExprNode[], outputRow: AsyncRow }[] | undefined} */
-    const entries = orderBy?.length ? [] : undefined
-    for (const group of groups.values()) {
-      const { outputRow, values } = finalizeGroup({ selectColumns: plan.columns, specs, keyRefs, group, context })
-      if (having) {
-        const passes = await evaluateExpr({
-          node: substituteValues(having, values),
-          row: groupContextRow(group, outputRow),
-          context,
-        })
-        if (!passes) continue
-      }
-      if (entries && orderBy) {
-        entries.push({
-          row: groupContextRow(group, outputRow),
-          exprs: orderBy.map(term => substituteValues(term.expr, values)),
-          outputRow,
-        })
-      } else {
+    if (!orderBy?.length) {
+      for await (const { outputRow } of groupEntries()) {
         yield outputRow
       }
+      return
+    }
+    if (spills) {
+      // Under a budget the sorted output rows can spill as well
+      yield* externalSortRows({ entries: groupEntries(), orderBy, context })
+      return
     }
 
-    if (entries && orderBy) {
-      // The shared sorter evaluates later ORDER BY terms only within ties
-      // on earlier terms, so expensive sort keys are skipped when possible
-      const sorted = await sortEntriesByTerms({ entries, orderBy, context })
-      for (const { outputRow } of sorted) {
-        yield outputRow
+    /** @type {GroupEntry[]} */
+    const entries = []
+    for await (const entry of groupEntries()) {
+      entries.push(entry)
+    }
+    // The shared sorter evaluates later ORDER BY terms only within ties
+    // on earlier terms, so expensive sort keys are skipped when possible
+    const sorted = await sortEntriesByTerms({ entries, orderBy, context })
+    for (const { outputRow } of sorted) {
+      yield outputRow
+    }
+  }
+
+  /**
+   * Accumulates the groups, spilling when over budget, and yields the
+   * entries of those that pass HAVING.
+   *
+   * @returns {AsyncGenerator<GroupEntry>}
+   */
+  async function* groupEntries() {
+    if (spills) {
+      for await (const groups of accumulateSpillingGroups({ child, groupBy: plan.groupBy, specs, needsRow, context })) {
+        yield* finalizeGroups(groups)
+      }
+    } else {
+      yield* finalizeGroups(await accumulateGroups({ child, groupBy: plan.groupBy, sets: sets.map(set => set.keys), specs, needsRow, context }))
+    }
+  }
+
+  /**
+   * Finalizes the groups of each set, applying HAVING, and yields their
+   * output rows with the row and expressions to sort them by.
+   *
+   * @param {Map<unknown, StreamingGroup>[]} groups - groups of each set
+   * @returns {AsyncGenerator<GroupEntry>}
+   */
+  async function* finalizeGroups(groups) {
+    for (let g = 0; g < sets.length; g++) {
+      const { columns, having } = sets[g]
+      const setOrderBy = sets[g].orderBy ?? []
+      const keyRefs = streaming.setKeyRefs?.[g] ?? streaming.keyRefs
+      for (const group of groups[g].values()) {
+        const { outputRow, values } = await finalizeGroup({ selectColumns: columns, specs, keyRefs, group, context })
+        const row = groupContextRow(group, outputRow)
+        if (having) {
+          const passes = await evaluateExpr({ node: substituteValues(having, values), row, context })
+          if (!passes) continue
+        }
+        yield {
+          row,
+          exprs: setOrderBy.map(term => substituteValues(term.expr, values)),
+          outputRow,
+        }
       }
     }
   }
@@ -722,13 +1038,14 @@ export function streamingHashAggregateRows({ plan, streaming, child, context })
  * @returns {() => AsyncGenerator<AsyncRow>}
  */
 export function streamingScalarAggregateRows({ plan, streaming, child, context }) {
-  const { specs, keyRefs, needsRow } = streaming
+  const { keyRefs, needsRow } = streaming
+  const specs = tracedSpecs(streaming.specs, context)
   return async function* () {
     const groups = await accumulateGroups({ child, groupBy: [], specs, needsRow, context })
     /** @type {StreamingGroup} */
-    const group = groups.get(true) ?? { firstRow: undefined, keyValues: [], accumulators: specs.map(spec => newAccumulator(spec.funcName, spec.node.distinct)) }
+    const group = groups[0].get(true) ?? { firstRow: undefined, keyValues: [], accumulators: specs.map(spec => newAccumulator(spec.funcName, spec.node.distinct, spec.udf, spec.param)) }
 
-    const { outputRow, values } = finalizeGroup({ selectColumns: plan.columns, specs, keyRefs, group, context })
+    const { outputRow, values } = await finalizeGroup({ selectColumns: plan.columns, specs, keyRefs, group, context })
     if (plan.having) {
       const passes = await evaluateExpr({
         node: substituteValues(plan.having, values),
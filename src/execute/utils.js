@@ -1,7 +1,7 @@
 import { collectBatches } from '../backend/batchAdapters.js'
 
 /**
- * @import { AsyncRow, OrderByItem, QueryResults, SqlPrimitive } from '../types.js'
+ * @import { AsyncBatch, AsyncCells, AsyncRow, OrderByItem, QueryResults, SqlPrimitive } from '../types.js'
  */
 
 const primitiveTypes = new Set(['number', 'bigint', 'boolean', 'string'])
@@ -9,6 +9,10 @@ const primitiveTypes = new Set(['number', 'bigint', 'boolean', 'string'])
 /** @type {WeakMap<QueryResults, AbortSignal>} */
 const querySignals = new WeakMap()
 
+// Takes over reporting a traced query's summary, returning the report function
+/** @type {WeakMap<QueryResults, () => () => void>} */
+const querySummaries = new WeakMap()
+
 /**
  * Associates an execution signal with results without expanding the public
  * result shape solely for the collection adapter.
@@ -56,23 +60,138 @@ export function compareForTerm(a, b, term) {
     return nullsFirst ? 1 : -1
   }
 
-  // Compare non-null values
-  if (a == b) return 0
+  const cmp = compareValues(a, b)
+  return term.direction === 'DESC' ? -cmp : cmp
+}
 
-  let cmp
+/**
+ * Compares two non-null values in ascending order
+ *
+ * @param {SqlPrimitive} a
+ * @param {SqlPrimitive} b
+ * @returns {number}
+ */
+export function compareValues(a, b) {
+  if (a == b) return 0
   if (a instanceof Date && b instanceof Date) {
     const at = a.getTime()
     const bt = b.getTime()
-    cmp = at < bt ? -1 : at > bt ? 1 : 0
-  } else if (primitiveTypes.has(typeof a) && primitiveTypes.has(typeof b)) {
-    cmp = a < b ? -1 : 1
-  } else {
-    const aa = String(a)
-    const bb = String(b)
-    cmp = aa < bb ? -1 : aa > bb ? 1 : 0
+    return at < bt ? -1 : at > bt ? 1 : 0
+  }
+  if (primitiveTypes.has(typeof a) && primitiveTypes.has(typeof b)) {
+    return a < b ? -1 : 1
   }
+  const aa = String(a)
+  const bb = String(b)
+  return aa < bb ? -1 : aa > bb ? 1 : 0
+}
 
-  return term.direction === 'DESC' ? -cmp : cmp
+/**
+ * Reports the summary of a traced query once its results have been read.
+ * Cells are lazy, so work can continue after iteration ends: the summary
+ * waits for cell reads started during iteration to settle, and collect holds
+ * it back until it has read every cell. Cells first read after that are not
+ * counted.
+ *
+ * @param {QueryResults} results
+ * @param {() => void} summarize
+ * @returns {QueryResults}
+ */
+export function bindQuerySummary(results, summarize) {
+  const { batches, rows } = results
+  let deferred = false
+  /** @type {Set<Promise<unknown>>} */
+  const pending = new Set()
+  function finished() {
+    if (deferred) return
+    if (pending.size) {
+      Promise.allSettled(pending).then(summarize)
+    } else {
+      summarize()
+    }
+  }
+  results.rows = async function* summarizedRows() {
+    try {
+      for await (const row of rows.call(results)) {
+        yield trackCellReads(row, pending)
+      }
+    } finally {
+      finished()
+    }
+  }
+  if (batches) {
+    results.batches = async function* summarizedBatches() {
+      try {
+        for await (const batch of batches.call(results)) {
+          yield trackColumnReads(batch, pending)
+        }
+      } finally {
+        finished()
+      }
+    }
+  }
+  querySummaries.set(results, () => {
+    deferred = true
+    return summarize
+  })
+  return results
+}
+
+/**
+ * Wraps a row's cells to add their reads to the pending set until they
+ * settle.
+ *
+ * @param {AsyncRow} row
+ * @param {Set<Promise<unknown>>} pending
+ * @returns {AsyncRow}
+ */
+function trackCellReads(row, pending) {
+  /** @type {AsyncCells} */
+  const cells = {}
+  for (const [name, cell] of Object.entries(row.cells)) {
+    cells[name] = () => trackPending(cell(), pending)
+  }
+  return { ...row, cells }
+}
+
+/**
+ * Wraps a batch's lazy columns to add their reads to the pending set until
+ * they settle.
+ *
+ * @param {AsyncBatch} batch
+ * @param {Set<Promise<unknown>>} pending
+ * @returns {AsyncBatch}
+ */
+function trackColumnReads(batch, pending) {
+  return {
+    selection: batch.selection,
+    columns: batch.columns.map(column => {
+      if (!('read' in column)) return column
+      return {
+        ...column,
+        input: column.input ?? batch,
+        read(request) {
+          const result = column.read(request)
+          return result instanceof Promise ? trackPending(result, pending) : result
+        },
+      }
+    }),
+  }
+}
+
+/**
+ * @template T
+ * @param {Promise<T>} promise
+ * @param {Set<Promise<unknown>>} pending
+ * @returns {Promise<T>}
+ */
+function trackPending(promise, pending) {
+  pending.add(promise)
+  function settled() {
+    pending.delete(promise)
+  }
+  promise.then(settled, settled)
+  return promise
 }
 
 /**
@@ -82,6 +201,19 @@ export function compareForTerm(a, b, term) {
  * @returns {Promise<Record<string, SqlPrimitive>[]>} array of all yielded values
  */
 export async function collect(results) {
+  const summarize = querySummaries.get(results)?.()
+  try {
+    return await collectResults(results)
+  } finally {
+    summarize?.()
+  }
+}
+
+/**
+ * @param {QueryResults} results
+ * @returns {Promise<Record<string, SqlPrimitive>[]>}
+ */
+async function collectResults(results) {
   if (results.batches) {
     return await collectBatches(results.batches(), results.columns, querySignals.get(results))
   }
@@ -215,6 +347,42 @@ export function keyify(...values) {
   return values.map(v => typeof v === 'object' ? stringify(v) : v).join('|')
 }
 
+/**
+ * 32-bit FNV-1a hash of a value key (from keyify), with the murmur3
+ * finalizer so every bit is well mixed: HyperLogLog reads the top bits and
+ * spill partitioning reads the low bits.
+ *
+ * @param {unknown} key
+ * @returns {number}
+ */
+export function hashKey(key) {
+  const str = `${typeof key}:${key}`
+  let h = 0x811c9dc5
+  for (let i = 0; i < str.length; i++) {
+    h = Math.imul(h ^ str.charCodeAt(i), 0x01000193)
+  }
+  h ^= h >>> 16
+  h = Math.imul(h, 0x85ebca6b)
+  h ^= h >>> 13
+  h = Math.imul(h, 0xc2b2ae35)
+  h ^= h >>> 16
+  return h >>> 0
+}
+
+/**
+ * Returns the Map key of a row's group within one grouping set. The empty
+ * set puts every row in the same group.
+ *
+ * @param {number[]} keys - indices of the set's GROUP BY values
+ * @param {SqlPrimitive[]} values - the row's GROUP BY values
+ * @returns {string | number | bigint | boolean}
+ */
+export function groupingKey(keys, values) {
+  if (keys.length === 0) return true
+  if (keys.length === 1) return keyify(values[keys[0]])
+  return keyify(...keys.map(k => values[k]))
+}
+
 /**
  * Creates a stable string key for a row to enable deduplication
  *
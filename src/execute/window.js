@@ -1,11 +1,16 @@
-import { evaluateExpr } from '../expression/evaluate.js'
+import { evaluateAll, evaluateExpr } from '../expression/evaluate.js'
+import { ArgValueError, ExecutionError } from '../validation/executionErrors.js'
+import { isAggregateWindowFunc } from '../validation/functions.js'
+import { finalizeAccumulator, mergeAccumulators, newAccumulator, removeFromAccumulator, updateAccumulator } from './accumulator.js'
 import { executePlan } from './execute.js'
+import { isComomentAggregate, isMomentAggregate } from './moments.js'
 import { compareForTerm, keyify } from './utils.js'
 import { yieldToEventLoop } from './yield.js'
 
 /**
- * @import { AsyncRow, ExecuteContext, QueryResults, SqlPrimitive } from '../types.js'
+ * @import { AsyncRow, ExecuteContext, FrameBound, QueryResults, SqlPrimitive, WindowFrame } from '../types.js'
  * @import { WindowNode, WindowSpec } from '../plan/types.js'
+ * @import { Accumulator } from './accumulator.js'
  */
 
 // Yield to the event loop every 4000 iterations so that aborts can actually fire
@@ -14,7 +19,8 @@ const YIELD_INTERVAL = 4000
 /**
  * Executes a Window plan node: buffers the child's rows, assigns each window
  * function's output per partition, and yields rows in input order with the
- * synthetic window cells attached.
+ * synthetic window cells attached. The synthetic cells are left out of the
+ * row's columns so that a `*` projection does not expand them.
  *
  * @param {WindowNode} plan
  * @param {ExecuteContext} context
@@ -22,7 +28,6 @@ const YIELD_INTERVAL = 4000
  */
 export function executeWindow(plan, context) {
   const child = executePlan({ plan: plan.child, context })
-  const extraColumns = plan.windows.map(w => w.alias)
 
   // Streaming fast path: every window is a positional function (e.g.
   // ROW_NUMBER) with OVER () — no partition/order — so each row's output
@@ -34,7 +39,7 @@ export function executeWindow(plan, context) {
 
   if (streamable) {
     return {
-      columns: [...child.columns, ...extraColumns],
+      columns: child.columns,
       numRows: child.numRows,
       maxRows: child.maxRows,
       async *rows() {
@@ -49,17 +54,14 @@ export function executeWindow(plan, context) {
             const value = i
             cells[w.alias] = () => Promise.resolve(value)
           }
-          yield {
-            columns: [...row.columns, ...extraColumns],
-            cells,
-          }
+          yield { columns: row.columns, cells }
         }
       },
     }
   }
 
   return {
-    columns: [...child.columns, ...extraColumns],
+    columns: child.columns,
     numRows: child.numRows,
     maxRows: child.maxRows,
     async *rows() {
@@ -97,10 +99,7 @@ export function executeWindow(plan, context) {
           const value = windowValues[w][i]
           cells[alias] = () => Promise.resolve(value)
         }
-        yield {
-          columns: [...row.columns, ...extraColumns],
-          cells,
-        }
+        yield { columns: row.columns, cells }
       }
     },
   }
@@ -147,6 +146,8 @@ async function computeWindow(spec, rows, output, context) {
     // Order within the partition. Empty ORDER BY → input order.
     /** @type {number[]} */
     let ordered
+    /** @type {SqlPrimitive[][] | undefined} */
+    let orderValues
     if (spec.orderBy.length) {
       /** @type {{ idx: number, values: SqlPrimitive[], pos: number }[]} */
       const entries = new Array(bucket.length)
@@ -174,11 +175,12 @@ async function computeWindow(spec, rows, output, context) {
         return a.pos - b.pos
       })
       ordered = entries.map(e => e.idx)
+      orderValues = entries.map(e => e.values)
     } else {
       ordered = bucket
     }
 
-    await applyWindowFunction(spec, ordered, rows, output, context)
+    await applyWindowFunction(spec, ordered, orderValues, rows, output, context)
   }
 }
 
@@ -187,11 +189,16 @@ async function computeWindow(spec, rows, output, context) {
  *
  * @param {WindowSpec} spec
  * @param {number[]} ordered - row indices in window order
+ * @param {SqlPrimitive[][] | undefined} orderValues - ORDER BY values per ordered row
  * @param {AsyncRow[]} rows
  * @param {SqlPrimitive[]} output
  * @param {ExecuteContext} context
  */
-async function applyWindowFunction(spec, ordered, rows, output, context) {
+async function applyWindowFunction(spec, ordered, orderValues, rows, output, context) {
+  if (isAggregateWindowFunc(spec.funcName)) {
+    await applyAggregateWindow(spec, ordered, orderValues, rows, output, context)
+    return
+  }
   if (spec.funcName === 'ROW_NUMBER') {
     for (let k = 0; k < ordered.length; k++) {
       output[ordered[k]] = k + 1
@@ -223,5 +230,316 @@ async function applyWindowFunction(spec, ordered, rows, output, context) {
     }
     return
   }
+  if (RANKING_FUNCS.has(spec.funcName)) {
+    applyRankingWindow(spec, ordered, orderValues, output)
+    return
+  }
+  if (spec.funcName === 'NTILE') {
+    const buckets = await positiveIntegerArg(spec, 0, rows[ordered[0]], context)
+    const n = ordered.length
+    // The first n % buckets buckets get one extra row
+    const size = Math.floor(n / buckets)
+    const extra = n % buckets
+    const boundary = extra * (size + 1)
+    for (let k = 0; k < n; k++) {
+      output[ordered[k]] = k < boundary
+        ? Math.floor(k / (size + 1)) + 1
+        : extra + Math.floor((k - boundary) / size) + 1
+    }
+    return
+  }
+  if (spec.funcName === 'FIRST_VALUE' || spec.funcName === 'LAST_VALUE' || spec.funcName === 'NTH_VALUE') {
+    const nth = spec.funcName === 'NTH_VALUE'
+      ? await positiveIntegerArg(spec, 1, rows[ordered[0]], context)
+      : 1
+    const values = await evaluateAll(spec.args[0], ordered.map(idx => rows[idx]), context)
+    const { starts, ends } = frameBounds(spec, orderValues, ordered.length)
+    for (let k = 0; k < ordered.length; k++) {
+      const target = spec.funcName === 'LAST_VALUE' ? ends[k] - 1 : starts[k] + nth - 1
+      output[ordered[k]] = target >= starts[k] && target < ends[k] ? values[target] : null
+    }
+    return
+  }
   throw new Error(`Unsupported window function: ${spec.funcName}`)
 }
+
+const RANKING_FUNCS = new Set(['RANK', 'DENSE_RANK', 'PERCENT_RANK', 'CUME_DIST'])
+
+/**
+ * Computes a ranking function from the partition's peer groups, so tied
+ * ORDER BY values always share a rank.
+ *
+ * @param {WindowSpec} spec
+ * @param {number[]} ordered - row indices in window order
+ * @param {SqlPrimitive[][] | undefined} orderValues - ORDER BY values per ordered row
+ * @param {SqlPrimitive[]} output
+ */
+function applyRankingWindow(spec, ordered, orderValues, output) {
+  const n = ordered.length
+  const { peerStarts, peerEnds } = peerGroups(spec, orderValues, n)
+  let denseRank = 0
+  for (let k = 0; k < n; k++) {
+    if (peerStarts[k] === k) denseRank++
+    const rank = peerStarts[k] + 1
+    switch (spec.funcName) {
+    case 'RANK': output[ordered[k]] = rank; break
+    case 'DENSE_RANK': output[ordered[k]] = denseRank; break
+    case 'PERCENT_RANK': output[ordered[k]] = n > 1 ? (rank - 1) / (n - 1) : 0; break
+    default: output[ordered[k]] = peerEnds[k] / n
+    }
+  }
+}
+
+/**
+ * Evaluates a window function's count argument once per partition, against
+ * the partition's first row.
+ *
+ * @param {WindowSpec} spec
+ * @param {number} argIndex
+ * @param {AsyncRow} row
+ * @param {ExecuteContext} context
+ * @returns {Promise<number>}
+ */
+async function positiveIntegerArg(spec, argIndex, row, context) {
+  const node = spec.args[argIndex]
+  const value = await evaluateExpr({ node, row, context })
+  const num = typeof value === 'bigint' ? Number(value) : value
+  if (typeof num !== 'number' || !Number.isInteger(num) || num < 1) {
+    throw new ArgValueError({
+      ...node,
+      funcName: spec.funcName,
+      message: `expected a positive integer, got ${value === null ? 'null' : String(value)}`,
+    })
+  }
+  return num
+}
+
+/**
+ * Computes an aggregate window function over each row's frame. Frame bounds
+ * only move forward as the current row advances, so one running state slides
+ * along the partition instead of re-aggregating every frame: invertible
+ * aggregates subtract values leaving the frame, and MIN/MAX keep a monotonic
+ * deque of candidate row positions. Moment-based aggregates (variances,
+ * CORR, REGR_*, ...) cannot subtract values accurately, so they slide as a
+ * queue of two stacks whose states are only ever merged. Two-variable
+ * aggregates like CORR(y, x) slide over (y, x) pairs.
+ *
+ * @param {WindowSpec} spec
+ * @param {number[]} ordered - row indices in window order
+ * @param {SqlPrimitive[][] | undefined} orderValues - ORDER BY values per ordered row
+ * @param {AsyncRow[]} rows
+ * @param {SqlPrimitive[]} output
+ * @param {ExecuteContext} context
+ */
+async function applyAggregateWindow(spec, ordered, orderValues, rows, output, context) {
+  const { funcName } = spec
+  const argNode = spec.args[0]
+  /** @type {SqlPrimitive[]} */
+  const values = argNode.type === 'star'
+    ? new Array(ordered.length).fill(1)
+    : await evaluateAll(argNode, ordered.map(idx => rows[idx]), context)
+  const xs = spec.args.length > 1
+    ? await evaluateAll(spec.args[1], ordered.map(idx => rows[idx]), context)
+    : undefined
+  const { starts, ends } = frameBounds(spec, orderValues, ordered.length)
+
+  const isMinMax = funcName === 'MIN' || funcName === 'MAX'
+  const isMergeable = isMomentAggregate(funcName) || isComomentAggregate(funcName)
+  // For mergeable aggregates, rows [lo, mid) are covered by the suffix
+  // states in front (the last one covering them all) and rows [mid, hi)
+  // by acc. Otherwise acc covers all of [lo, hi).
+  let acc = newAccumulator(funcName)
+  /** @type {Accumulator[]} */
+  const front = []
+  // Deque of positions whose values may still become the frame's MIN/MAX,
+  // with values strictly improving from back to front
+  /** @type {number[]} */
+  const deque = []
+  let head = 0
+  let lo = 0
+  let hi = 0
+  for (let k = 0; k < ordered.length; k++) {
+    if (k > 0 && k % YIELD_INTERVAL === 0) {
+      await yieldToEventLoop()
+      context.signal?.throwIfAborted()
+    }
+    const start = starts[k]
+    const end = Math.max(ends[k], start)
+    for (; hi < end; hi++) {
+      const value = values[hi]
+      if (!isMinMax) {
+        updateAccumulator(funcName, acc, value, xs && [xs[hi]])
+      } else if (value != null) {
+        while (deque.length > head && !isBetter(funcName, values[deque[deque.length - 1]], value)) {
+          deque.pop()
+        }
+        deque.push(hi)
+      }
+    }
+    for (; lo < start; lo++) {
+      if (isMergeable) {
+        if (!front.length) {
+          // move every row into front, so mid = hi
+          let suffix = newAccumulator(funcName)
+          for (let i = hi - 1; i >= lo; i--) {
+            const single = newAccumulator(funcName)
+            updateAccumulator(funcName, single, values[i], xs && [xs[i]])
+            suffix = mergeAccumulators(funcName, single, suffix)
+            front.push(suffix)
+          }
+          acc = newAccumulator(funcName)
+        }
+        front.pop()
+      } else if (!isMinMax) {
+        removeFromAccumulator(funcName, acc, values[lo])
+      }
+    }
+    if (isMinMax) {
+      while (head < deque.length && deque[head] < start) head++
+      output[ordered[k]] = head < deque.length ? values[deque[head]] : null
+    } else if (front.length) {
+      output[ordered[k]] = finalizeAccumulator(funcName, mergeAccumulators(funcName, front[front.length - 1], acc))
+    } else {
+      output[ordered[k]] = finalizeAccumulator(funcName, acc)
+    }
+  }
+}
+
+/**
+ * @param {string} funcName - MIN or MAX
+ * @param {SqlPrimitive} a
+ * @param {SqlPrimitive} b
+ * @returns {boolean} whether a is strictly preferred over b
+ */
+function isBetter(funcName, a, b) {
+  return funcName === 'MIN' ? a < b : a > b
+}
+
+/**
+ * Computes each ordered row's frame as a half-open range [start, end) of
+ * positions within the partition. Without an explicit frame, a window with
+ * ORDER BY spans from the partition start through the current row's last
+ * peer, and a window without ORDER BY spans the whole partition.
+ *
+ * @param {WindowSpec} spec
+ * @param {SqlPrimitive[][] | undefined} orderValues - ORDER BY values per ordered row
+ * @param {number} n - partition size
+ * @returns {{ starts: number[], ends: number[] }}
+ */
+function frameBounds(spec, orderValues, n) {
+  /** @type {WindowFrame} */
+  const frame = spec.frame ?? (orderValues
+    ? { mode: 'RANGE', start: { type: 'UNBOUNDED PRECEDING' }, end: { type: 'CURRENT ROW' } }
+    : { mode: 'ROWS', start: { type: 'UNBOUNDED PRECEDING' }, end: { type: 'UNBOUNDED FOLLOWING' } })
+
+  const { peerStarts, peerEnds } = peerGroups(spec, orderValues, n)
+
+  /**
+   * @param {FrameBound} bound
+   * @param {number} k - current row position
+   * @param {boolean} isEnd - resolve as an exclusive end instead of a start
+   * @returns {number}
+   */
+  function resolve(bound, k, isEnd) {
+    switch (bound.type) {
+    case 'UNBOUNDED PRECEDING': return 0
+    case 'UNBOUNDED FOLLOWING': return n
+    case 'CURRENT ROW':
+      if (frame.mode === 'ROWS') return isEnd ? k + 1 : k
+      return isEnd ? peerEnds[k] : peerStarts[k]
+    default: {
+      const delta = bound.type === 'PRECEDING' ? -(bound.offset ?? 0) : bound.offset ?? 0
+      if (frame.mode === 'ROWS') {
+        return Math.min(n, Math.max(0, k + delta + (isEnd ? 1 : 0)))
+      }
+      return rangeOffsetBound({ spec, orderValues, k, delta, isEnd, peerStarts, peerEnds })
+    }
+    }
+  }
+
+  const starts = new Array(n)
+  const ends = new Array(n)
+  for (let k = 0; k < n; k++) {
+    starts[k] = resolve(frame.start, k, false)
+    ends[k] = resolve(frame.end, k, true)
+  }
+  return { starts, ends }
+}
+
+/**
+ * Finds each ordered row's peer group: the run of rows with equal ORDER BY
+ * values, as a half-open range of positions. Without ORDER BY every row in
+ * the partition is a peer of every other.
+ *
+ * @param {WindowSpec} spec
+ * @param {SqlPrimitive[][] | undefined} orderValues - ORDER BY values per ordered row
+ * @param {number} n - partition size
+ * @returns {{ peerStarts: number[], peerEnds: number[] }}
+ */
+function peerGroups(spec, orderValues, n) {
+  const peerStarts = new Array(n)
+  const peerEnds = new Array(n)
+  for (let k = 0; k < n;) {
+    let j = k + 1
+    while (j < n && (!orderValues || isPeer(spec, orderValues[k], orderValues[j]))) j++
+    for (let p = k; p < j; p++) {
+      peerStarts[p] = k
+      peerEnds[p] = j
+    }
+    k = j
+  }
+  return { peerStarts, peerEnds }
+}
+
+/**
+ * @param {WindowSpec} spec
+ * @param {SqlPrimitive[]} a
+ * @param {SqlPrimitive[]} b
+ * @returns {boolean}
+ */
+function isPeer(spec, a, b) {
+  return spec.orderBy.every((term, i) => compareForTerm(a[i], b[i], term) === 0)
+}
+
+/**
+ * Resolves a RANGE offset bound by binary searching the sorted ORDER BY
+ * values for the first row at (start) or past (end) the current row's value
+ * shifted by delta in sort order. Null sort keys have no distance to other
+ * rows, so a null row's offset bounds cover just its null peers.
+ *
+ * @param {object} options
+ * @param {WindowSpec} options.spec
+ * @param {SqlPrimitive[][] | undefined} options.orderValues
+ * @param {number} options.k - current row position
+ * @param {number} options.delta - signed offset, negative for PRECEDING
+ * @param {boolean} options.isEnd
+ * @param {number[]} options.peerStarts
+ * @param {number[]} options.peerEnds
+ * @returns {number}
+ */
+function rangeOffsetBound({ spec, orderValues, k, delta, isEnd, peerStarts, peerEnds }) {
+  if (!orderValues) return isEnd ? peerEnds[k] : peerStarts[k]
+  const term = spec.orderBy[0]
+  const value = orderValues[k][0]
+  if (value == null) return isEnd ? peerEnds[k] : peerStarts[k]
+  if (typeof value !== 'number' && typeof value !== 'bigint') {
+    throw new ExecutionError({
+      message: `RANGE frame offset requires a numeric ORDER BY value, got ${typeof value}`,
+      ...term,
+    })
+  }
+  const target = Number(value) + (term.direction === 'DESC' ? -delta : delta)
+
+  // Nulls sort together at one end; search only the non-null run
+  let lo = 0
+  let hi = orderValues.length
+  while (lo < hi && orderValues[lo][0] == null) lo++
+  while (hi > lo && orderValues[hi - 1][0] == null) hi--
+  while (lo < hi) {
+    const mid = lo + hi >>> 1
+    const cmp = compareForTerm(orderValues[mid][0], target, term)
+    if (isEnd ? cmp <= 0 : cmp < 0) lo = mid + 1
+    else hi = mid
+  }
+  return lo
+}
@@ -37,6 +37,9 @@ export function derivedAlias(expr) {
   if (expr.type === 'interval') {
     return `interval_${expr.value}_${expr.unit.toLowerCase()}`
   }
+  if (expr.type === 'param') {
+    return expr.name === undefined ? `$${expr.index}` : `:${expr.name}`
+  }
   if (expr.type === 'subscript') {
     // string subscript is struct field access, alias to the field name
     if (expr.index.type === 'literal' && typeof expr.index.value === 'string') {
@@ -46,3 +49,19 @@ export function derivedAlias(expr) {
   }
   return 'expr'
 }
+
+/**
+ * Structural signature of an expression node, ignoring source positions, so
+ * an expression repeated in SELECT and GROUP BY compares equal.
+ *
+ * @param {ExprNode} node
+ * @returns {string}
+ */
+export function exprSig(node) {
+  return JSON.stringify(node, (key, value) => {
+    if (key === 'positionStart' || key === 'positionEnd') return undefined
+    // JSON.stringify throws on BigInt literal values; wrap so 1n !== '1n'
+    if (typeof value === 'bigint') return { bigint: value.toString() }
+    return value
+  })
+}
@@ -1,9 +1,10 @@
 import { composeSelections, isPromiseLike, readBatchColumn, resolveColumnResults, selectVector, selectedRowCount, valueAt } from '../backend/batch.js'
 import { isPlainObject, sqlEquals } from '../execute/utils.js'
 import { yieldToEventLoop } from '../execute/yield.js'
-import { isStringFunc } from '../validation/functions.js'
+import { isDateFormatFunc, isStringFunc } from '../validation/functions.js'
 import { ColumnNotFoundError } from '../validation/tables.js'
 import { applyBinaryOp } from './binary.js'
+import { evaluateDateFormatFunc } from './dateFormat.js'
 import { evaluateRegexpLike } from './regexp.js'
 import { applyCast, evaluateJsonExtract } from './scalar.js'
 import { evaluateStringFunc } from './strings.js'
@@ -25,10 +26,11 @@ const YIELD_INTERVAL = 4000
  *
  * @param {ExprNode} expression
  * @param {readonly string[]} columns
+ * @param {string} [timeZone] - the session time zone
  * @returns {CompiledBatchExpression | undefined}
  */
-export function compileBatchExpression(expression, columns) {
-  return compileEvaluator(expression, columns)
+export function compileBatchExpression(expression, columns, timeZone) {
+  return compileEvaluator(expression, columns, timeZone)
 }
 
 /**
@@ -38,14 +40,15 @@ export function compileBatchExpression(expression, columns) {
  *
  * @param {ExprNode} node
  * @param {readonly string[]} columns
+ * @param {string | undefined} timeZone
  * @returns {CompiledBatchExpression | undefined}
  */
-function compileEvaluator(node, columns) {
-  const kernel = compileKernelEvaluator(node, columns)
+function compileEvaluator(node, columns, timeZone) {
+  const kernel = compileKernelEvaluator(node, columns, timeZone)
   if (kernel) return kernel
 
   if (node.type === 'unary') {
-    const argument = compileEvaluator(node.argument, columns)
+    const argument = compileEvaluator(node.argument, columns, timeZone)
     if (!argument) return undefined
     return {
       async evaluate(context) {
@@ -63,8 +66,8 @@ function compileEvaluator(node, columns) {
 
   if (node.type === 'binary') {
     if (node.left.type === 'interval' || node.right.type === 'interval') return undefined
-    const left = compileEvaluator(node.left, columns)
-    const right = compileEvaluator(node.right, columns)
+    const left = compileEvaluator(node.left, columns, timeZone)
+    const right = compileEvaluator(node.right, columns, timeZone)
     if (!left || !right) return undefined
     if (node.op === 'AND' || node.op === 'OR') {
       const operator = node.op
@@ -81,14 +84,15 @@ function compileEvaluator(node, columns) {
           right.evaluate(context),
         ])
         return evaluateValues(context, function binaryValue(rowIndex) {
-          return applyBinaryOp(node.op, valueAt(leftVector, rowIndex), valueAt(rightVector, rowIndex))
+          return applyBinaryOp(node.op, valueAt(leftVector, rowIndex), valueAt(rightVector, rowIndex), timeZone)
         })
       },
     }
   }
 
-  if (node.type === 'cast') {
-    const argument = compileEvaluator(node.expr, columns)
+  // TIMESTAMPTZ casts depend on the session time zone, which only row evaluation sees
+  if (node.type === 'cast' && node.toType !== 'TIMESTAMPTZ') {
+    const argument = compileEvaluator(node.expr, columns, timeZone)
     if (!argument) return undefined
     return {
       async evaluate(context) {
@@ -100,20 +104,22 @@ function compileEvaluator(node, columns) {
     }
   }
 
-  if (node.type === 'function') return compileFunctionEvaluator(node, columns)
-  if (node.type === 'case') return compileCaseEvaluator(node, columns)
+  if (node.type === 'function') return compileFunctionEvaluator(node, columns, timeZone)
+  if (node.type === 'case') return compileCaseEvaluator(node, columns, timeZone)
   return undefined
 }
 
 /**
  * @param {ExprNode} node
  * @param {readonly string[]} columns
+ * @param {string | undefined} timeZone
  * @returns {CompiledBatchExpression | undefined}
  */
-function compileKernelEvaluator(node, columns) {
+function compileKernelEvaluator(node, columns, timeZone) {
   /** @type {CompileState} */
   const state = {
     columns,
+    timeZone,
     dependencies: [],
     dependencyPositions: new Map(),
   }
@@ -202,11 +208,11 @@ function compileValueKernel(node, state) {
       if (node.op === 'AND' && leftValue != null && !leftValue) return false
       if (node.op === 'OR' && leftValue != null && Boolean(leftValue)) return true
       const rightValue = right(vectors, rowIndex, streamRowIndex)
-      return applyBinaryOp(node.op, leftValue, rightValue)
+      return applyBinaryOp(node.op, leftValue, rightValue, state.timeZone)
     }
   }
 
-  if (node.type === 'cast') {
+  if (node.type === 'cast' && node.toType !== 'TIMESTAMPTZ') {
     const argument = compileValueKernel(node.expr, state)
     if (!argument) return undefined
     return function castValue(vectors, rowIndex, streamRowIndex) {
@@ -270,6 +276,15 @@ function compileFunctionKernel(node, state) {
       return evaluateRegexpLike({ node, args, rowIndex: streamRowIndex + 1, cache })
     }
   }
+  if (isDateFormatFunc(funcName)) {
+    const cache = node.args[1]?.type === 'literal' ? {} : undefined
+    return function dateFormatValue(vectors, rowIndex, streamRowIndex) {
+      const args = arguments_.map(function argumentValue(argument) {
+        return argument(vectors, rowIndex, streamRowIndex)
+      })
+      return evaluateDateFormatFunc({ funcName, node, args, rowIndex: streamRowIndex + 1, cache, timeZone: state.timeZone })
+    }
+  }
   if (!isStringFunc(funcName)) return undefined
   return function stringFunctionValue(vectors, rowIndex, streamRowIndex) {
     const args = arguments_.map(function argumentValue(argument) {
@@ -282,15 +297,16 @@ function compileFunctionKernel(node, state) {
 /**
  * @param {FunctionNode} node
  * @param {readonly string[]} columns
+ * @param {string | undefined} timeZone
  * @returns {CompiledBatchExpression | undefined}
  */
-function compileFunctionEvaluator(node, columns) {
+function compileFunctionEvaluator(node, columns, timeZone) {
   const funcName = node.funcName.toUpperCase()
   if (node.distinct || node.filter) return undefined
   /** @type {CompiledBatchExpression[]} */
   const arguments_ = []
   for (const argumentNode of node.args) {
-    const argument = compileEvaluator(argumentNode, columns)
+    const argument = compileEvaluator(argumentNode, columns, timeZone)
     if (!argument) return undefined
     arguments_.push(argument)
   }
@@ -303,8 +319,9 @@ function compileFunctionEvaluator(node, columns) {
   }
   if (funcName !== 'NULLIF' && funcName !== 'JSON_VALUE' && funcName !== 'JSON_QUERY' &&
     funcName !== 'JSON_EXTRACT' && funcName !== 'JSON_EXTRACT_STRING' && funcName !== 'REGEXP_LIKE' &&
-    !isStringFunc(funcName)) return undefined
+    !isStringFunc(funcName) && !isDateFormatFunc(funcName)) return undefined
   const regexpCache = funcName === 'REGEXP_LIKE' && node.args[1]?.type === 'literal' ? {} : undefined
+  const formatCache = isDateFormatFunc(funcName) && node.args[1]?.type === 'literal' ? {} : undefined
   return {
     async evaluate(context) {
       const vectors = await Promise.all(arguments_.map(function evaluateArgument(argument) {
@@ -319,6 +336,9 @@ function compileFunctionEvaluator(node, columns) {
         if (funcName === 'REGEXP_LIKE') {
           return evaluateRegexpLike({ node, args, rowIndex: streamRowIndex + 1, cache: regexpCache })
         }
+        if (isDateFormatFunc(funcName)) {
+          return evaluateDateFormatFunc({ funcName, node, args, rowIndex: streamRowIndex + 1, cache: formatCache, timeZone })
+        }
         return evaluateStringFunc({ funcName, node, args, rowIndex: streamRowIndex + 1 })
       })
     },
@@ -328,20 +348,21 @@ function compileFunctionEvaluator(node, columns) {
 /**
  * @param {import('../types.js').CaseNode} node
  * @param {readonly string[]} columns
+ * @param {string | undefined} timeZone
  * @returns {CompiledBatchExpression | undefined}
  */
-function compileCaseEvaluator(node, columns) {
-  const caseExpression = node.caseExpr ? compileEvaluator(node.caseExpr, columns) : undefined
+function compileCaseEvaluator(node, columns, timeZone) {
+  const caseExpression = node.caseExpr ? compileEvaluator(node.caseExpr, columns, timeZone) : undefined
   if (node.caseExpr && !caseExpression) return undefined
   /** @type {{ condition: CompiledBatchExpression, result: CompiledBatchExpression }[]} */
   const clauses = []
   for (const clause of node.whenClauses) {
-    const condition = compileEvaluator(clause.condition, columns)
-    const result = compileEvaluator(clause.result, columns)
+    const condition = compileEvaluator(clause.condition, columns, timeZone)
+    const result = compileEvaluator(clause.result, columns, timeZone)
     if (!condition || !result) return undefined
     clauses.push({ condition, result })
   }
-  const elseResult = node.elseResult ? compileEvaluator(node.elseResult, columns) : undefined
+  const elseResult = node.elseResult ? compileEvaluator(node.elseResult, columns, timeZone) : undefined
   if (node.elseResult && !elseResult) return undefined
   return {
     evaluate(context) {
@@ -1,3 +1,5 @@
+import { dateArithmetic, intervalMillis, isInterval } from './date.js'
+
 /**
  * @import { BinaryOp, SqlPrimitive } from '../types.js'
  */
@@ -8,12 +10,17 @@
  * @param {BinaryOp} op
  * @param {SqlPrimitive} a
  * @param {SqlPrimitive} b
+ * @param {string} [timeZone] - IANA time zone for date arithmetic on timestamps
  * @returns {SqlPrimitive}
  */
-export function applyBinaryOp(op, a, b) {
+export function applyBinaryOp(op, a, b, timeZone) {
   // Arithmetic operators return null if either operand is null
   if (op === '+' || op === '-' || op === '*' || op === '/' || op === '%') {
     if (a == null || b == null) return null
+    if (op !== '%') {
+      const result = dateArithmetic(op, a, b, timeZone)
+      if (result !== undefined) return result
+    }
     const numA = Number(a)
     const numB = Number(b)
     if (op === '+') return numA + numB
@@ -60,6 +67,11 @@ export function applyBinaryOp(op, a, b) {
     if (op === '>') return at > bt
     if (op === '>=') return at >= bt
   }
+  // Compare intervals by length, counting months as 30 days
+  if (isInterval(a) && isInterval(b)) {
+    a = intervalMillis(a)
+    b = intervalMillis(b)
+  }
   if (op === '!=' || op === '<>') return a != b
   if (op === '=' || op === '==') return a == b
   if (op === '<') return a < b
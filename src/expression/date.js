@@ -1,63 +1,257 @@
 /**
- * @import { SqlPrimitive, IntervalUnit } from '../types.js'
+ * @import { Interval, IntervalUnit, SqlPrimitive } from '../types.js'
  */
 
+const DAY_MS = 86400000
+
+/** @type {Partial<Record<IntervalUnit, number>>} */
+const MONTHS_PER_UNIT = { YEAR: 12, QUARTER: 3, MONTH: 1 }
+/** @type {Partial<Record<IntervalUnit, number>>} */
+const DAYS_PER_UNIT = { WEEK: 7, DAY: 1 }
+/** @type {Partial<Record<IntervalUnit, number>>} */
+const MS_PER_UNIT = { HOUR: 3600000, MINUTE: 60000, SECOND: 1000, MILLISECOND: 1 }
+
+// Marks interval values, so a struct with the same fields is not one
+const INTERVAL = Symbol('interval')
+
 /**
- * Apply an interval to a date
- * @param {SqlPrimitive} dateVal
+ * Build an interval value from its fields.
+ * @param {number} months
+ * @param {number} days
+ * @param {number} milliseconds
+ * @returns {Interval}
+ */
+export function newInterval(months, days, milliseconds) {
+  const interval = { months, days, milliseconds }
+  // not enumerable, so the value still reads and serializes as a plain object
+  Object.defineProperty(interval, INTERVAL, { value: true })
+  return interval
+}
+
+/**
+ * Build an interval value from a number of units. Fractions of months and
+ * days carry down as 30-day months and 24-hour days.
  * @param {number} value
  * @param {IntervalUnit} unit
- * @param {'+' | '-'} op
- * @returns {Date | string | null}
+ * @returns {Interval}
  */
-export function applyIntervalToDate(dateVal, value, unit, op) {
-  const date = toDate(dateVal)
-  if (date == null) return null
+export function makeInterval(value, unit) {
+  return carryFractions(
+    value * (MONTHS_PER_UNIT[unit] ?? 0),
+    value * (DAYS_PER_UNIT[unit] ?? 0),
+    value * (MS_PER_UNIT[unit] ?? 0)
+  )
+}
 
-  const multiplier = op === '+' ? 1 : -1
-  const adjusted = value * multiplier
+/**
+ * Build an interval from fields that may have fractions, carrying fractions
+ * of months and days down as 30-day months and 24-hour days.
+ * @param {number} months
+ * @param {number} days
+ * @param {number} milliseconds
+ * @returns {Interval}
+ */
+function carryFractions(months, days, milliseconds) {
+  const wholeMonths = Math.trunc(months)
+  days += (months - wholeMonths) * 30
+  // round to whole milliseconds before splitting off the days, so that
+  // 9.999999999999998 days is 10 days rather than 9 days and 24 hours
+  const dayMillis = Math.round(days * DAY_MS)
+  const wholeDays = Math.trunc(dayMillis / DAY_MS)
+  return newInterval(wholeMonths, wholeDays, Math.round(milliseconds + dayMillis - wholeDays * DAY_MS))
+}
 
-  if (unit === 'SECOND') {
-    date.setUTCSeconds(date.getUTCSeconds() + adjusted)
-  } else if (unit === 'MINUTE') {
-    date.setUTCMinutes(date.getUTCMinutes() + adjusted)
-  } else if (unit === 'HOUR') {
-    date.setUTCHours(date.getUTCHours() + adjusted)
-  } else if (unit === 'DAY') {
-    date.setUTCDate(date.getUTCDate() + adjusted)
-  } else if (unit === 'MONTH') {
-    date.setUTCMonth(date.getUTCMonth() + adjusted)
-  } else if (unit === 'YEAR') {
-    date.setUTCFullYear(date.getUTCFullYear() + adjusted)
+/**
+ * Test whether a value is an interval built by newInterval.
+ * @param {SqlPrimitive} val
+ * @returns {val is Interval}
+ */
+export function isInterval(val) {
+  return val != null && typeof val === 'object' && INTERVAL in val
+}
+
+/**
+ * Length of an interval in milliseconds, counting months as 30 days.
+ * Used to compare intervals.
+ * @param {Interval} interval
+ * @returns {number}
+ */
+export function intervalMillis(interval) {
+  return (interval.months * 30 + interval.days) * DAY_MS + interval.milliseconds
+}
+
+/**
+ * Apply arithmetic to dates and intervals: a date plus or minus an interval
+ * is a date, a date without a time plus or minus an integer is that many days
+ * later or earlier, intervals add and subtract field by field and multiply
+ * and divide by numbers, and the difference of two dates is an interval of
+ * whole days and the remaining milliseconds. Returns undefined when the
+ * operands are not one of these combinations.
+ * @param {'+' | '-' | '*' | '/'} op
+ * @param {SqlPrimitive} a
+ * @param {SqlPrimitive} b
+ * @param {string} [timeZone] - IANA time zone whose calendar timestamps move by
+ * @returns {SqlPrimitive | undefined}
+ */
+export function dateArithmetic(op, a, b, timeZone) {
+  if (op === '*' || op === '/') {
+    if (isInterval(a) && isNumeric(b)) return scaleInterval(op, a, Number(b))
+    if (op === '*' && isInterval(b) && isNumeric(a)) return scaleInterval(op, b, Number(a))
+    return undefined
+  }
+  if (isInterval(b)) {
+    const interval = op === '+' ? b : negateInterval(b)
+    if (isInterval(a)) {
+      return newInterval(
+        a.months + interval.months,
+        a.days + interval.days,
+        a.milliseconds + interval.milliseconds
+      )
+    }
+    return addInterval(a, interval, timeZone)
+  }
+  if (isInterval(a)) {
+    return op === '+' ? addInterval(b, a, timeZone) : undefined
+  }
+  if (isDateOnly(a) && isInteger(b)) {
+    const days = Number(b)
+    return addInterval(a, newInterval(0, op === '+' ? days : 0 - days, 0))
+  }
+  if (op === '+' && isInteger(a) && isDateOnly(b)) {
+    return addInterval(b, newInterval(0, Number(a), 0))
+  }
+  if (op === '-') {
+    const end = toDate(a)
+    const start = toDate(b)
+    if (end == null || start == null) return undefined
+    const ms = end.getTime() - start.getTime()
+    const days = wholeUnits(ms, DAY_MS)
+    return newInterval(0, days, ms - days * DAY_MS)
   }
+}
 
-  // Return in same format as input
-  if (dateVal instanceof Date) return date
-  if (String(dateVal).includes('T')) {
-    return date.toISOString()
-  } else {
-    return date.toISOString().split('T')[0]
+/**
+ * Multiply or divide each field of an interval by a number, carrying
+ * fractions down. Dividing by zero is null, like division of numbers.
+ * @param {'*' | '/'} op
+ * @param {Interval} interval
+ * @param {number} factor
+ * @returns {Interval | null}
+ */
+function scaleInterval(op, interval, factor) {
+  if (op === '/') {
+    if (factor === 0) return null
+    return carryFractions(interval.months / factor, interval.days / factor, interval.milliseconds / factor)
   }
+  return carryFractions(interval.months * factor, interval.days * factor, interval.milliseconds * factor)
 }
 
 /**
- * Truncate a date to the given precision
- * @param {SqlPrimitive} precision - the unit to truncate to (year, month, day, hour, minute, second)
+ * @param {SqlPrimitive} val
+ * @returns {val is number | bigint}
+ */
+function isNumeric(val) {
+  return typeof val === 'number' || typeof val === 'bigint'
+}
+
+/**
+ * @param {SqlPrimitive} val
+ * @returns {val is number | bigint}
+ */
+function isInteger(val) {
+  return typeof val === 'bigint' || Number.isInteger(val)
+}
+
+/**
+ * Test whether a value is a date without a time, like '2025-01-15'.
+ * @param {SqlPrimitive} val
+ * @returns {val is string}
+ */
+function isDateOnly(val) {
+  return typeof val === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(val) && toDate(val) != null
+}
+
+/**
+ * Add an interval to a date: months first, staying within the month (Jan 31
+ * plus one month is the end of February), then days, then milliseconds.
+ * With a time zone, timestamps move by months and days of its wall clock,
+ * so a day across a daylight saving change keeps the time of day.
+ * A date without a time gains one if the interval has a time part.
+ * @param {SqlPrimitive} dateVal
+ * @param {Interval} interval
+ * @param {string} [timeZone] - IANA time zone name
+ * @returns {Date | string | null}
+ */
+function addInterval(dateVal, interval, timeZone) {
+  const parsed = toDate(dateVal)
+  if (parsed == null) return null
+  const zoned = timeZone !== undefined && isZoned(dateVal) && (interval.months !== 0 || interval.days !== 0)
+  let date = addMonths(zoned ? toWallClock(parsed, timeZone) : parsed, interval.months)
+  date.setUTCDate(date.getUTCDate() + interval.days)
+  if (zoned) date = fromWallClock(date, timeZone)
+  date.setTime(date.getTime() + interval.milliseconds)
+
+  if (interval.milliseconds && typeof dateVal === 'string' && !dateVal.includes('T')) {
+    return date.toISOString().slice(0, -1)
+  }
+  return formatLike(dateVal, date)
+}
+
+/**
+ * @param {Interval} interval
+ * @returns {Interval}
+ */
+function negateInterval(interval) {
+  // subtract from 0 rather than negate, to avoid negative zeros
+  return newInterval(0 - interval.months, 0 - interval.days, 0 - interval.milliseconds)
+}
+
+/**
+ * Add calendar months to a copy of a date, staying within the target month.
+ * @param {Date} date
+ * @param {number} months
+ * @returns {Date}
+ */
+function addMonths(date, months) {
+  const result = new Date(date)
+  if (!months) return result
+  const day = result.getUTCDate()
+  result.setUTCDate(1)
+  result.setUTCMonth(result.getUTCMonth() + months)
+  const daysInMonth = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate()
+  result.setUTCDate(Math.min(day, daysInMonth))
+  return result
+}
+
+/**
+ * Truncate a date to the given precision. With a time zone, timestamps are
+ * truncated to the wall-clock boundaries of that zone.
+ * @param {SqlPrimitive} precision - the unit to truncate to (year, quarter, month, week, day, hour, minute, second, millisecond)
  * @param {SqlPrimitive} dateVal - the date value to truncate
+ * @param {string} [timeZone] - IANA time zone name
  * @returns {Date | string | null}
  */
-export function dateTrunc(precision, dateVal) {
+export function dateTrunc(precision, dateVal, timeZone) {
   if (precision == null || dateVal == null) return null
-  const date = toDate(dateVal)
-  if (date == null) return null
+  const parsed = toDate(dateVal)
+  if (parsed == null) return null
+  const zoned = timeZone !== undefined && isZoned(dateVal)
+  const date = zoned ? toWallClock(parsed, timeZone) : new Date(parsed)
 
   const unit = String(precision).toUpperCase()
   if (unit === 'YEAR') {
     date.setUTCMonth(0, 1)
     date.setUTCHours(0, 0, 0, 0)
+  } else if (unit === 'QUARTER') {
+    date.setUTCMonth(date.getUTCMonth() - date.getUTCMonth() % 3, 1)
+    date.setUTCHours(0, 0, 0, 0)
   } else if (unit === 'MONTH') {
     date.setUTCDate(1)
     date.setUTCHours(0, 0, 0, 0)
+  } else if (unit === 'WEEK') {
+    // weeks start on Monday
+    date.setUTCDate(date.getUTCDate() - (date.getUTCDay() + 6) % 7)
+    date.setUTCHours(0, 0, 0, 0)
   } else if (unit === 'DAY') {
     date.setUTCHours(0, 0, 0, 0)
   } else if (unit === 'HOUR') {
@@ -68,40 +262,277 @@ export function dateTrunc(precision, dateVal) {
     date.setUTCMilliseconds(0)
   }
 
-  // Return in same format as input
-  if (dateVal instanceof Date) return date
-  if (String(dateVal).includes('T')) {
-    return date.toISOString()
+  return formatLike(dateVal, zoned ? fromWallClock(date, timeZone) : date)
+}
+
+/**
+ * Round a date down to a multiple of an interval from an origin, as in
+ * TIME_BUCKET and DATE_BIN. Widths of whole months count calendar months
+ * from the origin (default 2000-01-01); other widths are a fixed length from
+ * the origin (default Monday 2000-01-03, so weekly buckets start on Monday).
+ * With a time zone, timestamps are bucketed by their wall-clock time in that
+ * zone.
+ * @param {Interval} width - a positive interval, not mixing months with days or times
+ * @param {SqlPrimitive} dateVal
+ * @param {SqlPrimitive} [originVal]
+ * @param {string} [timeZone] - IANA time zone name
+ * @returns {Date | string | null}
+ */
+export function timeBucket(width, dateVal, originVal, timeZone) {
+  const parsed = toDate(dateVal)
+  if (parsed == null) return null
+  const months = width.months !== 0
+  const origin = originVal == null ? new Date(months ? '2000-01-01' : '2000-01-03') : toDate(originVal)
+  if (origin == null) return null
+  const zoned = timeZone !== undefined && isZoned(dateVal)
+  const date = zoned ? toWallClock(parsed, timeZone) : parsed
+
+  /** @type {Date} */
+  let bucket
+  if (months) {
+    let diff = monthDiff(origin, date)
+    // monthDiff rounds toward zero, but buckets round down
+    if (addMonths(origin, diff) > date) diff--
+    bucket = addMonths(origin, Math.floor(diff / width.months) * width.months)
   } else {
-    return date.toISOString().split('T')[0]
+    const size = width.days * DAY_MS + width.milliseconds
+    const offset = date.getTime() - origin.getTime()
+    bucket = new Date(origin.getTime() + Math.floor(offset / size) * size)
   }
+  return formatLike(dateVal, zoned ? fromWallClock(bucket, timeZone) : bucket)
 }
 
 /**
- * Extract a field from a date value
- * @param {SqlPrimitive} field - the field to extract (YEAR, MONTH, DAY, HOUR, MINUTE, SECOND, DOW, EPOCH)
+ * Extract a field from a date value. With a time zone, the fields of
+ * timestamps are read from the wall-clock time in that zone.
+ * @param {SqlPrimitive} field - the field to extract (YEAR, QUARTER, MONTH, WEEK, DAY, HOUR, MINUTE, SECOND, MILLISECOND, DOW, EPOCH)
  * @param {SqlPrimitive} dateVal - the date value to extract from
+ * @param {string} [timeZone] - IANA time zone name
  * @returns {number | null}
  */
-export function extractField(field, dateVal) {
+export function extractField(field, dateVal, timeZone) {
   if (field == null || dateVal == null) return null
-  const date = toDate(dateVal)
-  if (date == null) return null
+  const parsed = toDate(dateVal)
+  if (parsed == null) return null
 
   const unit = String(field).toUpperCase()
+  if (unit === 'EPOCH') return parsed.getTime() / 1000
+  const date = timeZone !== undefined && isZoned(dateVal) ? toWallClock(parsed, timeZone) : parsed
   if (unit === 'YEAR') return date.getUTCFullYear()
+  if (unit === 'QUARTER') return Math.floor(date.getUTCMonth() / 3) + 1
   if (unit === 'MONTH') return date.getUTCMonth() + 1
+  if (unit === 'WEEK') return isoWeek(date)
   if (unit === 'DAY') return date.getUTCDate()
   if (unit === 'HOUR') return date.getUTCHours()
   if (unit === 'MINUTE') return date.getUTCMinutes()
   if (unit === 'SECOND') return date.getUTCSeconds()
+  // milliseconds of the minute, including the seconds
+  if (unit === 'MILLISECOND') return date.getUTCSeconds() * 1000 + date.getUTCMilliseconds()
   if (unit === 'DOW') return date.getUTCDay()
-  if (unit === 'EPOCH') return date.getTime() / 1000
   return null
 }
 
 /**
- * Compute the number of unit boundaries between two dates (end - start).
+ * Wall-clock time of a date value, with its offset from UTC in milliseconds
+ * and the name of its zone. With a time zone, timestamps are read in that
+ * zone; other values are read in UTC.
+ * @param {SqlPrimitive} dateVal
+ * @param {string} [timeZone] - IANA time zone name
+ * @returns {{ date: Date, offset: number, zone: string } | null}
+ */
+export function wallClock(dateVal, timeZone) {
+  const parsed = toDate(dateVal)
+  if (parsed == null) return null
+  if (timeZone === undefined || !isZoned(dateVal)) return { date: parsed, offset: 0, zone: 'UTC' }
+  const offset = zoneOffset(parsed.getTime(), timeZone)
+  return { date: new Date(parsed.getTime() + offset), offset, zone: timeZone }
+}
+
+/**
+ * ISO 8601 week number: weeks start on Monday, and week 1 is the week with
+ * the year's first Thursday.
+ * @param {Date} date
+ * @returns {number}
+ */
+export function isoWeek(date) {
+  const thursday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()))
+  thursday.setUTCDate(thursday.getUTCDate() + 3 - (thursday.getUTCDay() + 6) % 7)
+  const yearStart = Date.UTC(thursday.getUTCFullYear(), 0, 1)
+  return Math.floor((thursday.getTime() - yearStart) / DAY_MS / 7) + 1
+}
+
+/**
+ * The current date as YYYY-MM-DD, in the given time zone or UTC.
+ * @param {string} [timeZone]
+ * @returns {string}
+ */
+export function currentDate(timeZone) {
+  const now = new Date()
+  const date = timeZone === undefined ? now : toWallClock(now, timeZone)
+  return date.toISOString().split('T')[0]
+}
+
+/**
+ * The current time of day as HH:MM:SS.sss, in the given time zone or UTC.
+ * @param {string} [timeZone]
+ * @returns {string}
+ */
+export function currentTime(timeZone) {
+  const now = new Date()
+  const date = timeZone === undefined ? now : toWallClock(now, timeZone)
+  return date.toISOString().split('T')[1].replace('Z', '')
+}
+
+/**
+ * Convert between timestamps and wall-clock times of a time zone, as
+ * `expr AT TIME ZONE zone`. A timestamp (a Date, or a string with a UTC
+ * offset) gives its wall-clock time in the zone as an ISO string without
+ * offset. A wall-clock time (a string without offset) is read as a time in
+ * the zone and gives that timestamp.
+ * @param {SqlPrimitive} dateVal
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Date | string | null}
+ */
+export function atTimeZone(dateVal, timeZone) {
+  const date = toDate(dateVal)
+  if (date == null) return null
+  if (isZoned(dateVal)) return toWallClock(date, timeZone).toISOString().slice(0, -1)
+  return fromWallClock(date, timeZone)
+}
+
+/**
+ * Read a wall-clock time in a time zone as a timestamp, as in a cast to
+ * TIMESTAMPTZ. Timestamps, and strings with a UTC offset, are unchanged.
+ * @param {SqlPrimitive} dateVal
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Date | null}
+ */
+export function zonedTimestamp(dateVal, timeZone) {
+  const date = toDate(dateVal)
+  if (date == null || isZoned(dateVal)) return date
+  return fromWallClock(date, timeZone)
+}
+
+/** @type {Map<string, Intl.DateTimeFormat>} */
+const zoneFormats = new Map()
+
+/**
+ * Test whether a name is a time zone known to Intl.DateTimeFormat.
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+export function isTimeZone(timeZone) {
+  try {
+    zoneFormat(timeZone)
+    return true
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Formatter for the wall-clock fields of a time zone, cached per zone.
+ * Throws a RangeError for unknown time zones.
+ * @param {string} timeZone
+ * @returns {Intl.DateTimeFormat}
+ */
+function zoneFormat(timeZone) {
+  let format = zoneFormats.get(timeZone)
+  if (!format) {
+    format = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+    })
+    zoneFormats.set(timeZone, format)
+  }
+  return format
+}
+
+/**
+ * Offset of a time zone from UTC in milliseconds at an instant.
+ * @param {number} time - milliseconds since the epoch
+ * @param {string} timeZone
+ * @returns {number}
+ */
+function zoneOffset(time, timeZone) {
+  /** @type {Record<string, number>} */
+  const fields = {}
+  for (const { type, value } of zoneFormat(timeZone).formatToParts(time)) {
+    fields[type] = Number(value)
+  }
+  const wall = Date.UTC(fields.year, fields.month - 1, fields.day, fields.hour, fields.minute, fields.second)
+  // the formatted fields have no milliseconds
+  return wall - (time - (time % 1000 + 1000) % 1000)
+}
+
+/**
+ * Wall-clock time of a timestamp in a time zone, as a Date whose UTC fields
+ * are the local fields.
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+function toWallClock(date, timeZone) {
+  const time = date.getTime()
+  return new Date(time + zoneOffset(time, timeZone))
+}
+
+/**
+ * Inverse of toWallClock. Wall-clock times skipped by a daylight saving
+ * transition move forward by the length of the gap, as in Postgres: 02:30
+ * on the night clocks jump from 02:00 to 03:00 is 03:30 after the jump.
+ * @param {Date} wall
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+function fromWallClock(wall, timeZone) {
+  const local = wall.getTime()
+  // the offset at the guess may differ from the offset at the answer when
+  // a transition lies between them, so correct the guess once
+  const before = zoneOffset(local, timeZone)
+  const after = zoneOffset(local - before, timeZone)
+  if (after === before || zoneOffset(local - after, timeZone) === after) {
+    return new Date(local - after)
+  }
+  // no offset maps back to this wall-clock time, so it is in a gap: read it
+  // with the offset from before the jump, the smaller of the two
+  return new Date(local - Math.min(before, after))
+}
+
+/**
+ * Test whether a date value is a timestamp rather than a wall-clock time:
+ * a Date, or a string ending in a UTC offset.
+ * @param {SqlPrimitive} val
+ * @returns {boolean}
+ */
+function isZoned(val) {
+  return val instanceof Date || typeof val === 'string' && /\d:\d{2}(:\d{2}(\.\d+)?)?\s*(Z|[+-]\d{2}(:?\d{2})?)$/i.test(val)
+}
+
+/**
+ * Format a computed date like the value it was computed from: a Date for a
+ * Date, and otherwise an ISO string with the same parts as the input.
+ * @param {SqlPrimitive} dateVal
+ * @param {Date} date
+ * @returns {Date | string}
+ */
+function formatLike(dateVal, date) {
+  if (dateVal instanceof Date) return date
+  const iso = date.toISOString()
+  if (!String(dateVal).includes('T')) return iso.split('T')[0]
+  return isZoned(dateVal) ? iso : iso.slice(0, -1)
+}
+
+/**
+ * Compute the number of whole units from start to end, negative when end is
+ * before start. Months, quarters and years are calendar months: from Jan 31
+ * to Feb 29 is one month, but from Jan 15 to Feb 14 is none.
  * @param {SqlPrimitive} unit
  * @param {SqlPrimitive} startVal
  * @param {SqlPrimitive} endVal
@@ -114,18 +545,42 @@ export function dateDiff(unit, startVal, endVal) {
   if (start == null || end == null) return null
 
   const u = String(unit).toUpperCase()
-  if (u === 'YEAR') return end.getUTCFullYear() - start.getUTCFullYear()
-  if (u === 'MONTH') {
-    return (end.getUTCFullYear() - start.getUTCFullYear()) * 12 + (end.getUTCMonth() - start.getUTCMonth())
-  }
+  if (u === 'YEAR') return wholeUnits(monthDiff(start, end), 12)
+  if (u === 'QUARTER') return wholeUnits(monthDiff(start, end), 3)
+  if (u === 'MONTH') return monthDiff(start, end)
   const ms = end.getTime() - start.getTime()
-  if (u === 'DAY') return Math.trunc(ms / 86400000)
-  if (u === 'HOUR') return Math.trunc(ms / 3600000)
-  if (u === 'MINUTE') return Math.trunc(ms / 60000)
-  if (u === 'SECOND') return Math.trunc(ms / 1000)
+  if (u === 'WEEK') return wholeUnits(ms, 7 * DAY_MS)
+  if (u === 'DAY') return wholeUnits(ms, DAY_MS)
+  if (u === 'HOUR') return wholeUnits(ms, 3600000)
+  if (u === 'MINUTE') return wholeUnits(ms, 60000)
+  if (u === 'SECOND') return wholeUnits(ms, 1000)
+  if (u === 'MILLISECOND') return ms
   return null
 }
 
+/**
+ * Divide and round toward zero, without returning a negative zero.
+ * @param {number} amount
+ * @param {number} size
+ * @returns {number}
+ */
+function wholeUnits(amount, size) {
+  return Math.trunc(amount / size) || 0
+}
+
+/**
+ * Number of whole months from start to end: the most months that can be
+ * added to start without passing end.
+ * @param {Date} start
+ * @param {Date} end
+ * @returns {number}
+ */
+function monthDiff(start, end) {
+  if (end < start) return 0 - monthDiff(end, start)
+  const months = (end.getUTCFullYear() - start.getUTCFullYear()) * 12 + end.getUTCMonth() - start.getUTCMonth()
+  return addMonths(start, months) > end ? months - 1 : months
+}
+
 /**
  * @param {SqlPrimitive} val
  * @returns {Date | null}
@@ -134,7 +589,8 @@ export function toDate(val) {
   if (val instanceof Date) return val
   const dateOrTime = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}:\d{2})?/
   if (typeof val === 'string' && dateOrTime.test(val)) {
-    const date = new Date(val)
+    // times without a UTC offset are read as UTC, like dates without a time
+    const date = new Date(isZoned(val) || !/\d:\d/.test(val) ? val : val + 'Z')
     if (!isNaN(date.getTime())) {
       return date
     }
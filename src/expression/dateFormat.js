@@ -0,0 +1,428 @@
+import { ArgValueError } from '../validation/executionErrors.js'
+import { isTimeZone, isoWeek, wallClock, zonedTimestamp } from './date.js'
+
+/**
+ * @import { DateFormatFunc, FunctionNode, SqlPrimitive } from '../types.js'
+ */
+
+/**
+ * @typedef {'year' | 'year2' | 'month' | 'day' | 'dayOfYear' | 'hour' | 'hour12' | 'minute' | 'second' |
+ *   'millisecond' | 'microsecond' | 'meridiem' | 'monthName' | 'monthAbbr' | 'dayName' | 'dayAbbr' |
+ *   'weekday' | 'isoWeekday' | 'pgWeekday' | 'isoWeek' | 'quarter' | 'offset' | 'zone'} FormatField
+ * @typedef {'upper' | 'title' | 'lower'} LetterCase
+ * @typedef {{ literal: string } | { field: FormatField, pad: boolean, letterCase: LetterCase, fill: boolean }} FormatToken
+ * @typedef {{ format?: string, tokens?: FormatToken[] }} FormatCache
+ */
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December']
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']
+
+/** @type {Partial<Record<FormatField, number>>} */
+const FIELD_WIDTH = {
+  year: 4, year2: 2, month: 2, day: 2, dayOfYear: 3, hour: 2, hour12: 2, minute: 2, second: 2,
+  millisecond: 3, microsecond: 6, weekday: 1, isoWeekday: 1, pgWeekday: 1, isoWeek: 2, quarter: 1,
+}
+
+/** @type {Record<string, FormatField>} */
+const STRFTIME_FIELDS = {
+  Y: 'year', y: 'year2', m: 'month', d: 'day', j: 'dayOfYear', H: 'hour', I: 'hour12', M: 'minute',
+  S: 'second', g: 'millisecond', f: 'microsecond', p: 'meridiem', B: 'monthName', b: 'monthAbbr',
+  h: 'monthAbbr', A: 'dayName', a: 'dayAbbr', w: 'weekday', u: 'isoWeekday', V: 'isoWeek',
+  z: 'offset', Z: 'zone',
+}
+
+/** @type {Record<string, string>} */
+const STRFTIME_SHORTHANDS = { F: '%Y-%m-%d', T: '%H:%M:%S' }
+
+// Postgres template patterns, longest first so that DDD wins over DD and D.
+// Patterns are case-insensitive; the case of name patterns (Month, MONTH,
+// month) sets the case of the output.
+/** @type {[string, FormatField][]} */
+const POSTGRES_PATTERNS = [
+  ['YYYY', 'year'], ['HH24', 'hour'], ['HH12', 'hour12'], ['MONTH', 'monthName'],
+  ['DDD', 'dayOfYear'], ['DAY', 'dayName'], ['MON', 'monthAbbr'],
+  ['YY', 'year2'], ['MM', 'month'], ['DD', 'day'], ['HH', 'hour12'], ['MI', 'minute'], ['SS', 'second'],
+  ['MS', 'millisecond'], ['US', 'microsecond'], ['AM', 'meridiem'], ['PM', 'meridiem'], ['DY', 'dayAbbr'],
+  ['ID', 'isoWeekday'], ['IW', 'isoWeek'], ['OF', 'offset'], ['TZ', 'zone'], ['D', 'pgWeekday'], ['Q', 'quarter'],
+]
+
+/**
+ * Evaluate a date formatting, parsing or constructor function. Shared by the
+ * row evaluator and batch kernels; both pass a cache so a literal format
+ * string is compiled once.
+ *
+ * @param {Object} options
+ * @param {DateFormatFunc} options.funcName
+ * @param {FunctionNode} options.node
+ * @param {SqlPrimitive[]} options.args
+ * @param {number} [options.rowIndex] - Row index for error reporting
+ * @param {FormatCache} [options.cache]
+ * @param {string} [options.timeZone] - session time zone that timestamps are formatted in
+ * @returns {SqlPrimitive}
+ */
+export function evaluateDateFormatFunc({ funcName, node, args, rowIndex, cache, timeZone }) {
+  if (args.some(arg => arg == null)) return null
+
+  if (funcName === 'STRFTIME' || funcName === 'TO_CHAR') {
+    const local = wallClock(args[0], timeZone)
+    if (local == null) return null
+    const tokens = compileFormat(String(args[1]), funcName === 'STRFTIME', node, rowIndex, cache)
+    return formatDate(local, tokens)
+  }
+
+  if (funcName === 'TO_TIMESTAMP' && args.length === 1) {
+    const seconds = typeof args[0] === 'string' && args[0].trim() === '' ? NaN : Number(args[0])
+    if (!isFinite(seconds)) {
+      throw new ArgValueError({
+        ...node,
+        message: `expected seconds since the epoch, got ${JSON.stringify(args[0])}`,
+        hint: 'Pass a format as the second argument to parse a string.',
+        rowIndex,
+      })
+    }
+    return new Date(Math.round(seconds * 1000))
+  }
+
+  if (funcName === 'STRPTIME' || funcName === 'TO_TIMESTAMP') {
+    const text = String(args[0])
+    const format = String(args[1])
+    const tokens = compileFormat(format, funcName === 'STRPTIME', node, rowIndex, cache)
+    const date = parseDate(text, tokens)
+    if (date == null) {
+      throw new ArgValueError({
+        ...node,
+        message: `could not parse "${text}" with format "${format}"`,
+        rowIndex,
+      })
+    }
+    return date
+  }
+
+  // MAKE_DATE and MAKE_TIMESTAMP
+  const [year, month, day, hour = 0, minute = 0, second = 0] = args.map(Number)
+  const whole = [year, month, day, hour, minute].every(Number.isInteger)
+  if (!whole || !validDate(year, month, day, hour, minute, second)) {
+    throw new ArgValueError({
+      ...node,
+      message: `invalid ${funcName === 'MAKE_DATE' ? 'date' : 'timestamp'} (${args.join(', ')})`,
+      rowIndex,
+    })
+  }
+  const date = new Date(Date.UTC(year, month - 1, day, hour, minute, 0, Math.round(second * 1000)))
+  date.setUTCFullYear(year) // Date.UTC maps years 0-99 to 1900-1999
+  if (funcName === 'MAKE_DATE') return date.toISOString().split('T')[0]
+  return date
+}
+
+/**
+ * Compile a format string into tokens, either strftime style (`%Y-%m-%d`) or
+ * Postgres template style (`YYYY-MM-DD`).
+ *
+ * @param {string} format
+ * @param {boolean} strftime
+ * @param {FunctionNode} node
+ * @param {number | undefined} rowIndex
+ * @param {FormatCache} [cache]
+ * @returns {FormatToken[]}
+ */
+function compileFormat(format, strftime, node, rowIndex, cache) {
+  if (cache?.format === format && cache.tokens) return cache.tokens
+  const tokens = strftime ? compileStrftime(format, node, rowIndex) : compilePostgres(format)
+  if (cache) {
+    cache.format = format
+    cache.tokens = tokens
+  }
+  return tokens
+}
+
+/**
+ * @param {string} format
+ * @param {FunctionNode} node
+ * @param {number | undefined} rowIndex
+ * @returns {FormatToken[]}
+ */
+function compileStrftime(format, node, rowIndex) {
+  /** @type {FormatToken[]} */
+  const tokens = []
+  for (let i = 0; i < format.length; i++) {
+    if (format[i] !== '%') {
+      tokens.push({ literal: format[i] })
+      continue
+    }
+    // %-d drops the zero padding
+    const pad = format[i + 1] !== '-'
+    if (!pad) i++
+    const spec = format[++i]
+    if (spec === '%') {
+      tokens.push({ literal: '%' })
+    } else if (spec in STRFTIME_SHORTHANDS) {
+      tokens.push(...compileStrftime(STRFTIME_SHORTHANDS[spec], node, rowIndex))
+    } else if (spec in STRFTIME_FIELDS) {
+      const field = STRFTIME_FIELDS[spec]
+      tokens.push({ field, pad, letterCase: field === 'meridiem' ? 'upper' : 'title', fill: false })
+    } else {
+      throw new ArgValueError({
+        ...node,
+        message: `unknown format specifier "%${pad ? '' : '-'}${spec ?? ''}"`,
+        hint: 'Use strftime specifiers like %Y, %m, %d, %H, %M, %S.',
+        rowIndex,
+      })
+    }
+  }
+  return tokens
+}
+
+/**
+ * @param {string} format
+ * @returns {FormatToken[]}
+ */
+function compilePostgres(format) {
+  /** @type {FormatToken[]} */
+  const tokens = []
+  let pad = true
+  let i = 0
+  while (i < format.length) {
+    // "quoted text" is literal
+    if (format[i] === '"') {
+      const end = format.indexOf('"', i + 1)
+      const text = format.slice(i + 1, end < 0 ? format.length : end)
+      for (const char of text) tokens.push({ literal: char })
+      i = end < 0 ? format.length : end + 1
+      continue
+    }
+    // FM (fill mode) drops the padding of the next pattern
+    if (format.slice(i, i + 2).toUpperCase() === 'FM') {
+      pad = false
+      i += 2
+      continue
+    }
+    const match = POSTGRES_PATTERNS.find(([pattern]) => format.slice(i, i + pattern.length).toUpperCase() === pattern)
+    if (match) {
+      const [pattern, field] = match
+      const text = format.slice(i, i + pattern.length)
+      const letterCase = text === text.toUpperCase() ? 'upper' : text[0] === text[0].toUpperCase() ? 'title' : 'lower'
+      tokens.push({ field, pad, letterCase, fill: pad && (field === 'monthName' || field === 'dayName') })
+      i += pattern.length
+    } else {
+      tokens.push({ literal: format[i] })
+      i++
+    }
+    pad = true
+  }
+  return tokens
+}
+
+/**
+ * Format the wall-clock fields of a date, with the offset and name of its zone.
+ *
+ * @param {{ date: Date, offset: number, zone: string }} local
+ * @param {FormatToken[]} tokens
+ * @returns {string}
+ */
+function formatDate({ date, offset, zone }, tokens) {
+  let out = ''
+  for (const token of tokens) {
+    if ('literal' in token) {
+      out += token.literal
+      continue
+    }
+    const { field } = token
+    if (field === 'meridiem') {
+      out += applyCase(date.getUTCHours() < 12 ? 'AM' : 'PM', token.letterCase)
+    } else if (field === 'monthName' || field === 'monthAbbr' || field === 'dayName' || field === 'dayAbbr') {
+      const names = field.startsWith('month') ? MONTH_NAMES : DAY_NAMES
+      let name = names[field.startsWith('month') ? date.getUTCMonth() : date.getUTCDay()]
+      if (field.endsWith('Abbr')) name = name.slice(0, 3)
+      // Postgres pads full names to the longest name unless FM is given
+      if (token.fill) name = name.padEnd(9)
+      out += applyCase(name, token.letterCase)
+    } else if (field === 'offset') {
+      out += formatOffset(offset)
+    } else if (field === 'zone') {
+      out += zone
+    } else {
+      const value = String(fieldValue(date, field))
+      const fraction = field === 'millisecond' || field === 'microsecond'
+      out += token.pad || fraction ? value.padStart(FIELD_WIDTH[field] ?? 0, '0') : value
+    }
+  }
+  return out
+}
+
+/**
+ * Format a UTC offset like Postgres: +09, -05 or +05:30.
+ *
+ * @param {number} offset - milliseconds
+ * @returns {string}
+ */
+function formatOffset(offset) {
+  const minutes = Math.round(Math.abs(offset) / 60000)
+  const hours = (offset < 0 ? '-' : '+') + String(Math.floor(minutes / 60)).padStart(2, '0')
+  return minutes % 60 ? `${hours}:${String(minutes % 60).padStart(2, '0')}` : hours
+}
+
+/**
+ * @param {Date} date
+ * @param {FormatField} field
+ * @returns {number}
+ */
+function fieldValue(date, field) {
+  if (field === 'year') return date.getUTCFullYear()
+  if (field === 'year2') return date.getUTCFullYear() % 100
+  if (field === 'month') return date.getUTCMonth() + 1
+  if (field === 'day') return date.getUTCDate()
+  if (field === 'dayOfYear') {
+    return Math.floor((date.getTime() - Date.UTC(date.getUTCFullYear(), 0, 1)) / 86400000) + 1
+  }
+  if (field === 'hour') return date.getUTCHours()
+  if (field === 'hour12') return (date.getUTCHours() + 11) % 12 + 1
+  if (field === 'minute') return date.getUTCMinutes()
+  if (field === 'second') return date.getUTCSeconds()
+  if (field === 'millisecond') return date.getUTCMilliseconds()
+  if (field === 'microsecond') return date.getUTCMilliseconds() * 1000
+  if (field === 'weekday') return date.getUTCDay()
+  if (field === 'isoWeekday') return (date.getUTCDay() + 6) % 7 + 1
+  if (field === 'pgWeekday') return date.getUTCDay() + 1
+  if (field === 'quarter') return Math.floor(date.getUTCMonth() / 3) + 1
+  return isoWeek(date)
+}
+
+/**
+ * Parse a string against format tokens. Fields missing from the format
+ * default to 1900-01-01 00:00:00, and times without an offset or zone are
+ * read as UTC. Returns null if the string does not match the format.
+ *
+ * @param {string} text
+ * @param {FormatToken[]} tokens
+ * @returns {Date | null}
+ */
+function parseDate(text, tokens) {
+  let year = 1900, month = 1, day = 1, hour = 0, minute = 0, second = 0, millisecond = 0
+  let hasMonthOrDay = false
+  /** @type {number | undefined} */
+  let dayOfYear
+  /** @type {boolean | undefined} */
+  let pm
+  let offsetMinutes = 0
+  /** @type {string | undefined} */
+  let timeZone
+  let i = 0
+
+  for (const token of tokens) {
+    if ('literal' in token) {
+      // whitespace in the format matches any run of whitespace
+      if (/\s/.test(token.literal)) {
+        while (i < text.length && /\s/.test(text[i])) i++
+      } else if (text[i]?.toLowerCase() === token.literal.toLowerCase()) {
+        i++
+      } else {
+        return null
+      }
+      continue
+    }
+
+    const rest = text.slice(i)
+    const { field } = token
+    if (field === 'meridiem') {
+      const match = /^([ap])\.?m\.?/i.exec(rest)
+      if (!match) return null
+      pm = match[1].toLowerCase() === 'p'
+      i += match[0].length
+    } else if (field === 'monthName' || field === 'monthAbbr' || field === 'dayName' || field === 'dayAbbr') {
+      const names = field.startsWith('month') ? MONTH_NAMES : DAY_NAMES
+      const lower = rest.toLowerCase()
+      // accept full names or abbreviations for either pattern
+      const index = names.findIndex(name => lower.startsWith(name.toLowerCase()))
+      const abbrIndex = names.findIndex(name => lower.startsWith(name.slice(0, 3).toLowerCase()))
+      if (index < 0 && abbrIndex < 0) return null
+      i += index < 0 ? 3 : names[index].length
+      if (field.startsWith('month')) {
+        month = (index < 0 ? abbrIndex : index) + 1
+        hasMonthOrDay = true
+      }
+    } else if (field === 'offset') {
+      const match = /^(?:Z|([+-])(\d{2}):?(\d{2})?)/i.exec(rest)
+      if (!match) return null
+      if (match[1]) {
+        offsetMinutes = (Number(match[2]) * 60 + Number(match[3] ?? 0)) * (match[1] === '-' ? -1 : 1)
+      }
+      i += match[0].length
+    } else if (field === 'zone') {
+      const match = /^[a-z_]+(?:\/[a-z0-9_+-]+)*/i.exec(rest)
+      if (!match) return null
+      const name = match[0]
+      if (!/^(utc|gmt|z)$/i.test(name)) {
+        if (!isTimeZone(name)) return null
+        timeZone = name
+      }
+      i += name.length
+    } else {
+      const width = FIELD_WIDTH[field] ?? 0
+      const match = new RegExp(`^\\d{1,${width}}`).exec(rest)
+      if (!match) return null
+      const digits = match[0]
+      const value = Number(digits)
+      i += digits.length
+      if (field === 'year') year = value
+      else if (field === 'year2') year = value < 70 ? 2000 + value : 1900 + value
+      else if (field === 'month') month = value
+      else if (field === 'day') day = value
+      else if (field === 'dayOfYear') dayOfYear = value
+      else if (field === 'hour') hour = value
+      else if (field === 'hour12') {
+        if (value < 1 || value > 12) return null
+        hour = value % 12
+      } else if (field === 'minute') minute = value
+      else if (field === 'second') second = value
+      // fractions of a second are digits after the decimal point: .5 is 500ms
+      else if (field === 'millisecond' || field === 'microsecond') millisecond = Number(`0.${digits}`) * 1000
+      if (field === 'month' || field === 'day') hasMonthOrDay = true
+    }
+  }
+  while (i < text.length && /\s/.test(text[i])) i++
+  if (i < text.length) return null
+
+  if (pm !== undefined) hour = hour % 12 + (pm ? 12 : 0)
+  if (dayOfYear !== undefined && !hasMonthOrDay) {
+    const date = new Date(Date.UTC(year, 0, dayOfYear))
+    if (date.getUTCFullYear() !== year) return null
+    month = date.getUTCMonth() + 1
+    day = date.getUTCDate()
+  }
+  if (!validDate(year, month, day, hour, minute, second)) return null
+
+  const date = new Date(Date.UTC(year, month - 1, day, hour, minute, second, Math.round(millisecond)))
+  date.setUTCFullYear(year)
+  if (timeZone) return zonedTimestamp(date.toISOString().slice(0, -1), timeZone)
+  date.setUTCMinutes(date.getUTCMinutes() - offsetMinutes)
+  return date
+}
+
+/**
+ * @param {number} year
+ * @param {number} month
+ * @param {number} day
+ * @param {number} hour
+ * @param {number} minute
+ * @param {number} second
+ * @returns {boolean}
+ */
+function validDate(year, month, day, hour, minute, second) {
+  if (!(month >= 1 && month <= 12 && day >= 1 && hour >= 0 && hour < 24 && minute >= 0 && minute < 60 && second >= 0 && second < 60)) {
+    return false
+  }
+  const daysInMonth = new Date(Date.UTC(2000, month, 0))
+  daysInMonth.setUTCFullYear(year, month, 0)
+  return day <= daysInMonth.getUTCDate()
+}
+
+/**
+ * @param {string} text
+ * @param {LetterCase} letterCase
+ * @returns {string}
+ */
+function applyCase(text, letterCase) {
+  if (letterCase === 'upper') return text.toUpperCase()
+  if (letterCase === 'lower') return text.toLowerCase()
+  return text
+}
@@ -1,26 +1,35 @@
+import { finalizeAccumulator, newAccumulator, sketchParamError, updateAccumulator, updateUdfAccumulator } from '../execute/accumulator.js'
 import { executeStatement } from '../execute/execute.js'
-import { isPlainObject, keyify, sqlEquals } from '../execute/utils.js'
+import { isComomentAggregate, isMomentAggregate } from '../execute/moments.js'
+import { traceAggregateUdf, traceUdf } from '../execute/stats.js'
+import { compareForTerm, isPlainObject, keyify, sqlEquals } from '../execute/utils.js'
 import { yieldToEventLoop } from '../execute/yield.js'
 import { ArgValueError, ExecutionError } from '../validation/executionErrors.js'
-import { isAggregateFunc, isMathFunc, isRegexpFunc, isSpatialFunc, isStringFunc } from '../validation/functions.js'
+import { aggregateUdf, isAggregateFunc, isDateFormatFunc, isMathFunc, isRegexpFunc, isSpatialFunc, isStringFunc } from '../validation/functions.js'
 import { UnknownFunctionError } from '../validation/parseErrors.js'
 import { ColumnNotFoundError } from '../validation/tables.js'
 import { derivedAlias } from './alias.js'
 import { applyBinaryOp } from './binary.js'
-import { applyIntervalToDate, dateDiff, dateTrunc, extractField } from './date.js'
+import { atTimeZone, currentDate, currentTime, dateDiff, dateTrunc, extractField, intervalMillis, isInterval, isTimeZone, makeInterval, timeBucket } from './date.js'
+import { evaluateDateFormatFunc } from './dateFormat.js'
 import { evaluateMathFunc } from './math.js'
 import { evaluateRegexpFunc } from './regexp.js'
 import { applyCast, evaluateJsonExtract } from './scalar.js'
-import { evaluateSpatialFunc } from '../spatial/spatial.js'
+import { evaluateSpatialAggregate, evaluateSpatialFunc } from '../spatial/spatial.js'
 import { evaluateStringFunc } from './strings.js'
 
 /**
- * @import { ExprNode, AsyncRow, ExecuteContext, SqlPrimitive } from '../types.js'
+ * @import { ExprNode, AsyncRow, ExecuteContext, FunctionNode, OrderByItem, SqlPrimitive } from '../types.js'
+ * @import { FormatCache } from './dateFormat.js'
  */
 
 // Yield to the event loop every this many iterations so that aborts can actually fire
 const YIELD_INTERVAL = 4000
 
+// Compiled formats of date format calls with a literal format, so rows reuse them
+/** @type {WeakMap<FunctionNode, FormatCache>} */
+const formatCaches = new WeakMap()
+
 /**
  * Evaluates an expression for each row, yielding to the event loop every
  * YIELD_INTERVAL rows so signal-based aborts can fire mid-evaluation.
@@ -180,16 +189,6 @@ export async function evaluateExpr({ node, row, rowIndex, rows, context }) {
 
   // Binary operators
   if (node.type === 'binary') {
-    // Handle date +/- interval
-    if ((node.op === '+' || node.op === '-') && node.right.type === 'interval') {
-      const dateVal = await evaluateExpr({ node: node.left, row, rowIndex, rows, context })
-      return applyIntervalToDate(dateVal, node.right.value, node.right.unit, node.op)
-    }
-    if (node.op === '+' && node.left.type === 'interval') {
-      const dateVal = await evaluateExpr({ node: node.right, row, rowIndex, rows, context })
-      return applyIntervalToDate(dateVal, node.left.value, node.left.unit, '+')
-    }
-
     const left = await evaluateExpr({ node: node.left, row, rowIndex, rows, context })
 
     // Short-circuit evaluation for AND and OR. A null left cannot
@@ -199,7 +198,7 @@ export async function evaluateExpr({ node, row, rowIndex, rows, context }) {
     if (node.op === 'OR' && left != null && Boolean(left)) return true
 
     const right = await evaluateExpr({ node: node.right, row, rowIndex, rows, context })
-    return applyBinaryOp(node.op, left, right)
+    return applyBinaryOp(node.op, left, right, context.timeZone)
   }
 
   // Function calls
@@ -219,7 +218,7 @@ export async function evaluateExpr({ node, row, rowIndex, rows, context }) {
     }
 
     // Handle aggregate functions
-    if (isAggregateFunc(funcName)) {
+    if (isAggregateFunc(funcName, context.functions)) {
       if (!rows) {
         // Aggregate function used outside of aggregate context
         // This is only allowed if same aggregate was in the SELECT list
@@ -241,6 +240,20 @@ export async function evaluateExpr({ node, row, rowIndex, rows, context }) {
         filteredRows = rows.filter((_, i) => passes[i])
       }
 
+      // Ordered aggregates see their rows in ORDER BY order, except the
+      // percentiles, which sort their values themselves
+      if (node.orderBy && funcName !== 'PERCENTILE_CONT' && funcName !== 'PERCENTILE_DISC') {
+        filteredRows = await sortRows(filteredRows, node.orderBy, context)
+      }
+
+      const udf = aggregateUdf(funcName, context.functions)
+      if (udf) {
+        const argValues = await Promise.all(node.args.map(arg => evaluateAll(arg, filteredRows, context)))
+        const acc = newAccumulator(funcName, node.distinct, traceAggregateUdf(funcName, udf, context))
+        await updateUdfAccumulator(acc, filteredRows.map((_, i) => argValues.map(values => values[i])))
+        return await finalizeAccumulator(funcName, acc)
+      }
+
       const argNode = node.args[0]
       if (funcName === 'COUNT') {
         // COUNT(*) special case
@@ -328,41 +341,39 @@ export async function evaluateExpr({ node, row, rowIndex, rows, context }) {
         return null
       }
 
-      if (funcName === 'STDDEV_SAMP' || funcName === 'STDDEV_POP') {
-        const rawValues = await evaluateAll(argNode, filteredRows, context)
-        let sum = 0
-        /** @type {number[]} */
-        const values = []
-        for (const raw of rawValues) {
-          if (raw == null) continue
-          const num = Number(raw)
-          if (!Number.isFinite(num)) continue
-          values.push(num)
-          sum += num
+      if (isMomentAggregate(funcName) || isComomentAggregate(funcName) || funcName === 'MODE' || funcName === 'ENTROPY') {
+        const argValues = await Promise.all(node.args.map(arg => evaluateAll(arg, filteredRows, context)))
+        const acc = newAccumulator(funcName, node.distinct)
+        // rows are already in ORDER BY order, so MODE ties go to the first
+        acc.ordered = Boolean(node.orderBy)
+        for (let i = 0; i < filteredRows.length; i++) {
+          updateAccumulator(funcName, acc, argValues[0][i], argValues.length > 1 ? [argValues[1][i]] : undefined)
         }
-        const n = values.length
-        if (n === 0) return null
-        if (funcName === 'STDDEV_SAMP' && n === 1) return null
-
-        const mean = sum / n
-        const squaredDiffs = values.reduce((acc, val) => acc + (val - mean) ** 2, 0)
-        const divisor = funcName === 'STDDEV_SAMP' ? n - 1 : n
-        return Math.sqrt(squaredDiffs / divisor)
+        return finalizeAccumulator(funcName, acc)
+      }
+
+      if (funcName === 'APPROX_COUNT_DISTINCT' || funcName === 'APPROX_QUANTILE' || funcName === 'APPROX_TOP_K') {
+        // Fold through the same sketches as the streaming path, so results
+        // do not depend on whether the query buffered its rows
+        const param = node.args[1] && await evaluateExpr({ node: node.args[1], row: filteredRows[0] ?? { columns: [], cells: {} }, context })
+        const message = sketchParamError(funcName, param)
+        if (message) throw new ArgValueError({ funcName, message, ...node })
+        const acc = newAccumulator(funcName, node.distinct, undefined, param)
+        for (const value of await evaluateAll(argNode, filteredRows, context)) {
+          updateAccumulator(funcName, acc, value)
+        }
+        return finalizeAccumulator(funcName, acc)
       }
 
-      if (funcName === 'MEDIAN' || funcName === 'PERCENTILE_CONT' || funcName === 'APPROX_QUANTILE') {
+      if (funcName === 'MEDIAN' || funcName === 'PERCENTILE_CONT') {
         let fraction
         let valueNode
         if (funcName === 'MEDIAN') {
           fraction = 0.5
           valueNode = argNode
-        } else if (funcName === 'PERCENTILE_CONT') {
+        } else {
           fraction = Number(await evaluateExpr({ node: node.args[0], row: filteredRows[0] ?? { columns: [], cells: {} }, context }))
           valueNode = node.args[1]
-        } else {
-          // APPROX_QUANTILE: (expression, fraction)
-          fraction = Number(await evaluateExpr({ node: node.args[1], row: filteredRows[0] ?? { columns: [], cells: {} }, context }))
-          valueNode = argNode
         }
         if (!Number.isFinite(fraction) || fraction < 0 || fraction > 1) {
           throw new ExecutionError({
@@ -370,6 +381,8 @@ export async function evaluateExpr({ node, row, rowIndex, rows, context }) {
             ...node,
           })
         }
+        // WITHIN GROUP (ORDER BY x DESC) counts the fraction from the top
+        if (node.orderBy?.[0].direction === 'DESC') fraction = 1 - fraction
         const rawValues = await evaluateAll(valueNode, filteredRows, context)
         /** @type {number[]} */
         const values = []
@@ -388,11 +401,30 @@ export async function evaluateExpr({ node, row, rowIndex, rows, context }) {
         return values[lower] + (values[upper] - values[lower]) * (pos - lower)
       }
 
+      if (funcName === 'PERCENTILE_DISC') {
+        // Returns the first value in sort order whose cumulative fraction of
+        // the group reaches the requested fraction, so any comparable type works
+        const fraction = Number(await evaluateExpr({ node: node.args[0], row: filteredRows[0] ?? { columns: [], cells: {} }, context }))
+        if (!Number.isFinite(fraction) || fraction < 0 || fraction > 1) {
+          throw new ExecutionError({
+            message: `${funcName}: fraction must be between 0 and 1, got ${fraction}`,
+            ...node,
+          })
+        }
+        const valueNode = node.args[1]
+        const values = (await evaluateAll(valueNode, filteredRows, context)).filter(v => v != null)
+        if (values.length === 0) return null
+        /** @type {OrderByItem} */
+        const term = node.orderBy?.[0] ?? { expr: valueNode, direction: 'ASC', positionStart: node.positionStart, positionEnd: node.positionEnd }
+        values.sort((a, b) => compareForTerm(a, b, term))
+        return values[Math.max(0, Math.ceil(fraction * values.length) - 1)]
+      }
+
       if (funcName === 'JSON_ARRAYAGG' || funcName === 'ARRAY_AGG' || funcName === 'LIST') {
         const allValues = await evaluateAll(argNode, filteredRows, context)
+        let values = allValues
         if (node.distinct) {
-          /** @type {SqlPrimitive[]} */
-          const values = []
+          values = []
           const seen = new Set()
           for (const v of allValues) {
             const key = keyify(v)
@@ -401,10 +433,13 @@ export async function evaluateExpr({ node, row, rowIndex, rows, context }) {
               values.push(v)
             }
           }
-          return values
-        } else {
-          return allValues
         }
+        return node.limit === undefined ? values : values.slice(0, node.limit)
+      }
+
+      if (funcName === 'ST_UNION_AGG' || funcName === 'ST_EXTENT') {
+        const values = await evaluateAll(argNode, filteredRows, context)
+        return evaluateSpatialAggregate({ funcName, values })
       }
 
       if (funcName === 'STRING_AGG') {
@@ -429,6 +464,7 @@ export async function evaluateExpr({ node, row, rowIndex, rows, context }) {
             if (v != null) values.push(String(v))
           }
         }
+        if (node.limit !== undefined) values.splice(node.limit)
         return values.length === 0 ? null : values.join(separator)
       }
     }
@@ -458,12 +494,21 @@ export async function evaluateExpr({ node, row, rowIndex, rows, context }) {
       return evaluateRegexpFunc({ funcName, node, args, rowIndex })
     }
 
+    if (isDateFormatFunc(funcName)) {
+      let cache = formatCaches.get(node)
+      if (!cache && node.args[1]?.type === 'literal') {
+        cache = {}
+        formatCaches.set(node, cache)
+      }
+      return evaluateDateFormatFunc({ funcName, node, args, rowIndex, cache, timeZone: context.timeZone })
+    }
+
     if (isMathFunc(funcName)) {
       return evaluateMathFunc({ funcName, args })
     }
 
     if (isSpatialFunc(funcName)) {
-      return evaluateSpatialFunc({ funcName, args })
+      return evaluateSpatialFunc({ funcName, node, args, rowIndex })
     }
 
     if (funcName === 'NULLIF') {
@@ -486,11 +531,11 @@ export async function evaluateExpr({ node, row, rowIndex, rows, context }) {
     }
 
     if (funcName === 'DATE_TRUNC') {
-      return dateTrunc(args[0], args[1])
+      return dateTrunc(args[0], args[1], context.timeZone)
     }
 
     if (funcName === 'EXTRACT' || funcName === 'DATE_PART') {
-      return extractField(args[0], args[1])
+      return extractField(args[0], args[1], context.timeZone)
     }
 
     if (funcName === 'EPOCH') {
@@ -502,17 +547,46 @@ export async function evaluateExpr({ node, row, rowIndex, rows, context }) {
     }
 
     if (funcName === 'CURRENT_DATE') {
-      return new Date().toISOString().split('T')[0]
+      return currentDate(context.timeZone)
     }
 
     if (funcName === 'CURRENT_TIME') {
-      return new Date().toISOString().split('T')[1].replace('Z', '')
+      return currentTime(context.timeZone)
+    }
+
+    // expr AT TIME ZONE zone
+    if (funcName === 'TIMEZONE') {
+      if (args[0] == null || args[1] == null) return null
+      const timeZone = String(args[0])
+      if (!isTimeZone(timeZone)) {
+        throw new ArgValueError({
+          ...node,
+          message: `unknown time zone "${timeZone}"`,
+          hint: 'Use an IANA time zone name such as \'America/New_York\'.',
+          rowIndex,
+        })
+      }
+      return atTimeZone(args[1], timeZone)
     }
 
     if (funcName === 'CURRENT_TIMESTAMP') {
       return new Date().toISOString()
     }
 
+    if (funcName === 'TIME_BUCKET' || funcName === 'DATE_BIN') {
+      const [width, dateVal, origin] = args
+      if (width == null || dateVal == null) return null
+      if (!isInterval(width) || intervalMillis(width) <= 0 || width.months && (width.days || width.milliseconds)) {
+        throw new ArgValueError({
+          ...node,
+          message: 'bucket width must be a positive interval of months, or of days and times',
+          hint: 'Use an interval like INTERVAL \'15 minutes\' or INTERVAL 1 MONTH.',
+          rowIndex,
+        })
+      }
+      return timeBucket(width, dateVal, origin, context.timeZone)
+    }
+
     if (funcName === 'JSON_OBJECT') {
       if (args.length % 2 !== 0) {
         throw new ArgValueError({
@@ -681,7 +755,11 @@ export async function evaluateExpr({ node, row, rowIndex, rows, context }) {
     if (functions) {
       const udfName = Object.keys(functions).find(k => k.toUpperCase() === funcName)
       if (udfName) {
-        return await functions[udfName].apply(...args)
+        const udf = functions[udfName]
+        if ('apply' in udf) {
+          if (context.onEvent) return await traceUdf(udfName, () => udf.apply(...args), context)
+          return await udf.apply(...args)
+        }
       }
     }
 
@@ -690,7 +768,7 @@ export async function evaluateExpr({ node, row, rowIndex, rows, context }) {
 
   if (node.type === 'cast') {
     const val = await evaluateExpr({ node: node.expr, row, rowIndex, rows, context })
-    return applyCast(node, val, rowIndex)
+    return applyCast(node, val, rowIndex, context.timeZone)
   }
 
   // IN and NOT IN with value lists. IN is a chain of OR'd equalities, so it
@@ -764,15 +842,31 @@ export async function evaluateExpr({ node, row, rowIndex, rows, context }) {
     return null
   }
 
-  // INTERVAL expressions should only appear as part of binary +/- operations
-  // which are handled above. A standalone interval is an error.
   if (node.type === 'interval') {
-    throw new ExecutionError({
-      message: 'INTERVAL can only be used with date arithmetic (+ or -)',
-      rowIndex,
-      ...node,
-    })
+    return makeInterval(node.value, node.unit)
   }
 
   throw new Error(`Unknown expression node type: ${node.type}. This is an internal error - the query may contain unsupported syntax.`)
 }
+
+/**
+ * Sorts an ordered aggregate's rows by its ORDER BY terms. The sort is
+ * stable, so rows that tie on every term keep their input order.
+ *
+ * @param {AsyncRow[]} rows
+ * @param {OrderByItem[]} orderBy
+ * @param {ExecuteContext} context
+ * @returns {Promise<AsyncRow[]>}
+ */
+async function sortRows(rows, orderBy, context) {
+  const keys = await Promise.all(orderBy.map(term => evaluateAll(term.expr, rows, context)))
+  const indices = rows.map((_, i) => i)
+  indices.sort((a, b) => {
+    for (let t = 0; t < orderBy.length; t++) {
+      const cmp = compareForTerm(keys[t][a], keys[t][b], orderBy[t])
+      if (cmp) return cmp
+    }
+    return 0
+  })
+  return indices.map(i => rows[i])
+}
@@ -1,6 +1,6 @@
 import { stringify } from '../execute/utils.js'
 import { ArgValueError, ExecutionError } from '../validation/executionErrors.js'
-import { toDate } from './date.js'
+import { toDate, zonedTimestamp } from './date.js'
 
 /**
  * @import { CastNode, FunctionNode, SqlPrimitive } from '../types.js'
@@ -12,9 +12,10 @@ import { toDate } from './date.js'
  * @param {CastNode} node
  * @param {SqlPrimitive} value
  * @param {number} [rowIndex]
+ * @param {string} [timeZone] - session time zone for TIMESTAMPTZ casts
  * @returns {SqlPrimitive}
  */
-export function applyCast(node, value, rowIndex) {
+export function applyCast(node, value, rowIndex, timeZone) {
   if (value == null) return null
   const { toType } = node
   if (toType === 'TEXT' || toType === 'STRING' || toType === 'VARCHAR') {
@@ -42,6 +43,8 @@ export function applyCast(node, value, rowIndex) {
     const date = new Date(Number(value))
     return isNaN(date.getTime()) ? null : date
   }
+  // times without a UTC offset are wall-clock times of the session time zone
+  if (toType === 'TIMESTAMPTZ' && timeZone !== undefined) return zonedTimestamp(value, timeZone)
   return toDate(value)
 }
 
@@ -1,5 +1,6 @@
-import type { AsyncBatch, AsyncDataSource, AsyncRow, ColumnResult, ColumnVector, ExecuteContext, ExecuteSqlOptions, ExprNode, ParseSqlOptions, PlanSqlOptions, QueryPlan, QueryResults, ReadBatchColumnOptions, RowsToBatchesOptions, RowSelection, SqlPrimitive, Statement, Token } from './types.js'
+import type { AsyncBatch, AsyncDataSource, AsyncRow, ColumnResult, ColumnVector, ExecuteContext, ExecuteSqlOptions, ExplainStatement, ExprNode, ParseSqlOptions, PlanSqlOptions, PlanStats, QueryPlan, QueryResults, ReadBatchColumnOptions, RowsToBatchesOptions, RowSelection, SpillStore, SqlPrimitive, Statement, Token } from './types.js'
 export type {
+  AggregateUserDefinedFunction,
   AsyncBatch,
   AsyncCells,
   AsyncDataSource,
@@ -10,21 +11,28 @@ export type {
   ColumnResult,
   ColumnVector,
   ExecuteContext,
+  ExecuteEvent,
   ExecuteSqlOptions,
+  ExplainStatement,
   ExprNode,
   Field,
+  NodeStats,
   NumericArray,
   ParseSqlOptions,
   PlanSqlOptions,
+  PlanStats,
   PreparedScan,
   PrepareScan,
+  QueryParams,
   QueryPlan,
   QueryResults,
+  QueryStats,
   ReadBatchColumnOptions,
   ReadColumn,
   RelationSchema,
   RowsToBatchesOptions,
   RowSelection,
+  ScalarUserDefinedFunction,
   ScanOptions,
   ScanProperties,
   ScanRequest,
@@ -32,6 +40,7 @@ export type {
   ScanResults,
   SelectStatement,
   SetOperationStatement,
+  SpillStore,
   SqlType,
   SqlPrimitive,
   Statement,
@@ -47,7 +56,15 @@ export type {
  * @param options.tables - source data as a list of objects or an AsyncDataSource
  * @param options.query - SQL query string
  * @param options.functions - user-defined functions available in the SQL context
+ * @param options.params - values for `?`, `$1` or `:name` placeholders in the query
  * @param options.signal - AbortSignal to cancel the query; an aborted query rejects with the signal's reason
+ * @param options.onEvent - called with per-node, scan batch and UDF stats, then a summary once the results are read and the cell reads started while reading them settle; cells first read later are not in the summary
+ * @param options.maxRecursion - maximum iterations of a recursive CTE (default 10000)
+ * @param options.maxRecursiveRows - maximum rows produced by a recursive CTE (default 1000000)
+ * @param options.timeZone - IANA time zone that DATE_TRUNC, EXTRACT, CURRENT_DATE and TIMESTAMPTZ casts use (default UTC)
+ * @param options.memoryBudget - approximate bytes of rows an ORDER BY without LIMIT, hash join or GROUP BY buffers before spilling
+ * @param options.rowBudget - rows an ORDER BY without LIMIT, hash join or GROUP BY buffers before spilling
+ * @param options.spillStore - where spilled rows are stored (default in memory, see `memorySpillStore`)
  * @returns async generator yielding rows matching the query
  */
 export function executeSql(options: ExecuteSqlOptions): QueryResults
@@ -68,9 +85,10 @@ export function executePlan(options: { plan: QueryPlan, context: ExecuteContext
  * @param options
  * @param options.query - SQL query string to parse
  * @param options.functions - user-defined functions available in the SQL context
+ * @param options.params - values to bind to placeholders, which are left unbound when omitted
  * @returns parsed SQL statement
  */
-export function parseSql(options: ParseSqlOptions): Statement
+export function parseSql(options: ParseSqlOptions): Statement | ExplainStatement
 
 /**
  * Collects every external table referenced from FROM and JOIN clauses in a
@@ -82,7 +100,7 @@ export function parseSql(options: ParseSqlOptions): Statement
  * @param statement - parsed SQL statement (output of `parseSql`)
  * @returns table names referenced in the query, excluding CTE aliases
  */
-export function extractTables(statement: Statement): string[]
+export function extractTables(statement: Statement | ExplainStatement): string[]
 
 /**
  * Builds a query plan from a SQL query string or AST
@@ -90,11 +108,25 @@ export function extractTables(statement: Statement): string[]
  * @param options
  * @param options.query - SQL query string or parsed SelectStatement
  * @param options.functions - user-defined functions available in the SQL context
+ * @param options.params - values for `?`, `$1` or `:name` placeholders in the query
  * @param options.tables - optional table metadata for planning
  * @returns the root of the query plan tree
  */
 export function planSql(options: PlanSqlOptions): QueryPlan
 
+/**
+ * Renders a query plan as an indented text tree, as shown by EXPLAIN. With
+ * the stats collected by passing `planStats` in the ExecuteContext given to
+ * `executePlan`, each node also shows its rows, cell reads and elapsed time,
+ * as shown by EXPLAIN ANALYZE.
+ *
+ * @param options
+ * @param options.plan - the query plan to render
+ * @param options.stats - per-node stats from an execution of the plan
+ * @returns the plan as text, one node per line
+ */
+export function explainPlan(options: { plan: QueryPlan, stats?: WeakMap<QueryPlan, PlanStats> }): string
+
 /**
  * Tokenizes a SQL query string into an array of tokens
  *
@@ -115,6 +147,12 @@ export function asyncRow(row: Record<string, SqlPrimitive>, columns: string[]):
 
 export function cachedDataSource(source: AsyncDataSource): AsyncDataSource
 
+/**
+ * Creates a spill store that keeps spilled rows in memory, the default when
+ * `memoryBudget` or `rowBudget` is set without a `spillStore`
+ */
+export function memorySpillStore(): SpillStore
+
 export function selectedRowCount(selection: RowSelection): number
 
 export function composeSelections(outer: RowSelection, inner: RowSelection): RowSelection
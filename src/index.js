@@ -2,9 +2,11 @@ export { executePlan, executeSql } from './execute/execute.js'
 export { extractTables } from './parse/extractTables.js'
 export { parseSql } from './parse/parse.js'
 export { planSql } from './plan/plan.js'
+export { explainPlan } from './plan/explain.js'
 export { tokenizeSql } from './parse/tokenize.js'
 export { collect } from './execute/utils.js'
 export { asyncRow, cachedDataSource } from './backend/dataSource.js'
+export { memorySpillStore } from './backend/spillStore.js'
 export {
   composeSelections,
   readBatchColumn,
@@ -14,6 +14,7 @@ export interface CompileState {
   dependencies: number[]
   dependencyPositions: Map<number, number>
   columns: readonly string[]
+  timeZone?: string
 }
 
 export interface BatchAggregateInputs {
@@ -1,5 +1,5 @@
 /**
- * @import { ExprNode, Statement } from '../types.js'
+ * @import { ExplainStatement, ExprNode, FromSource, Statement } from '../types.js'
  */
 
 /**
@@ -14,13 +14,13 @@
  * Returned in first-seen order with duplicates removed. Names are returned
  * in the original case they were written in the query.
  *
- * @param {Statement} statement
+ * @param {Statement | ExplainStatement} statement
  * @returns {string[]}
  */
 export function extractTables(statement) {
   /** @type {Set<string>} */
   const refs = new Set()
-  walkStatement(statement, new Set(), refs)
+  walkStatement(statement.type === 'explain' ? statement.query : statement, new Set(), refs)
   return [...refs]
 }
 
@@ -34,6 +34,8 @@ function walkStatement(stmt, cteScope, refs) {
   if (stmt.type === 'with') {
     const scope = new Set(cteScope)
     for (const cte of stmt.ctes) {
+      // A recursive CTE's body may reference the CTE itself
+      if (stmt.recursive) scope.add(cte.name.toLowerCase())
       walkStatement(cte.query, scope, refs)
       scope.add(cte.name.toLowerCase())
     }
@@ -47,15 +49,8 @@ function walkStatement(stmt, cteScope, refs) {
     return
   }
   // select
-  if (!stmt.from) {
-    // FROM-less SELECT (e.g. `SELECT 1`), no source tables
-  } else if (stmt.from.type === 'table') {
-    if (!cteScope.has(stmt.from.table.toLowerCase())) refs.add(stmt.from.table)
-  } else if (stmt.from.type === 'subquery') {
-    walkStatement(stmt.from.query, cteScope, refs)
-  } else {
-    for (const a of stmt.from.args) walkExpr(a, cteScope, refs)
-  }
+  // FROM-less SELECT (e.g. `SELECT 1`) has no source tables
+  if (stmt.from) walkFrom(stmt.from, cteScope, refs)
   for (const j of stmt.joins) {
     if (j.fromFunction) {
       for (const a of j.fromFunction.args) walkExpr(a, cteScope, refs)
@@ -72,9 +67,31 @@ function walkStatement(stmt, cteScope, refs) {
   if (stmt.where) walkExpr(stmt.where, cteScope, refs)
   for (const g of stmt.groupBy) walkExpr(g, cteScope, refs)
   if (stmt.having) walkExpr(stmt.having, cteScope, refs)
+  if (stmt.qualify) walkExpr(stmt.qualify, cteScope, refs)
   for (const o of stmt.orderBy) walkExpr(o.expr, cteScope, refs)
 }
 
+/**
+ * @param {FromSource} from
+ * @param {Set<string>} cteScope
+ * @param {Set<string>} refs
+ * @returns {void}
+ */
+function walkFrom(from, cteScope, refs) {
+  if (from.type === 'table') {
+    if (!cteScope.has(from.table.toLowerCase())) refs.add(from.table)
+  } else if (from.type === 'subquery') {
+    walkStatement(from.query, cteScope, refs)
+  } else if (from.type === 'function') {
+    for (const a of from.args) walkExpr(a, cteScope, refs)
+  } else {
+    walkFrom(from.source, cteScope, refs)
+    if (from.type === 'pivot') {
+      for (const agg of from.aggregates) walkExpr(agg.expr, cteScope, refs)
+    }
+  }
+}
+
 /**
  * @param {ExprNode} expr
  * @param {Set<string>} cteScope
@@ -93,6 +110,7 @@ function walkExpr(expr, cteScope, refs) {
   case 'function':
     for (const a of expr.args) walkExpr(a, cteScope, refs)
     if (expr.filter) walkExpr(expr.filter, cteScope, refs)
+    for (const o of expr.orderBy ?? []) walkExpr(o.expr, cteScope, refs)
     return
   case 'window':
     for (const a of expr.args) walkExpr(a, cteScope, refs)
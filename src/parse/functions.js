@@ -1,12 +1,19 @@
-import { isAggregateFunc, isKnownFunction, isWindowFunc, niladicFuncs, validateFunctionArgs } from '../validation/functions.js'
+import { isAggregateFunc, isAggregateWindowFunc, isKnownFunction, isWindowFunc, niladicFuncs, validateFunctionArgs } from '../validation/functions.js'
 import { ParseError, UnknownFunctionError } from '../validation/parseErrors.js'
 import { parseConcat, parseExpression } from './expression.js'
-import { consume, current, expect, match } from './state.js'
+import { consume, current, expect, match, parseError } from './state.js'
 
 /**
- * @import { ExprNode, OrderByItem, ParserState } from '../types.js'
+ * @import { ExprNode, FrameBound, OrderByItem, ParserState, WindowFrame, WindowFunctionNode } from '../types.js'
  */
 
+// Aggregates whose output follows an ORDER BY inside the argument list
+const ORDERED_AGGREGATES = ['ARRAY_AGG', 'LIST', 'JSON_ARRAYAGG', 'STRING_AGG']
+
+// Ordered-set aggregates, with the number of arguments they take before WITHIN GROUP
+/** @type {Record<string, number>} */
+const ORDERED_SET_AGGREGATES = { PERCENTILE_CONT: 1, PERCENTILE_DISC: 1, MODE: 0 }
+
 /**
  * @param {ParserState} state
  * @param {number} positionStart
@@ -76,6 +83,38 @@ export function parseFunctionCall(state, positionStart) {
     }
     if (!match(state, 'comma')) break
   }
+
+  // ARRAY_AGG(x ORDER BY y [LIMIT n]) and STRING_AGG(x, sep ORDER BY y)
+  /** @type {OrderByItem[] | undefined} */
+  let orderBy
+  /** @type {number | undefined} */
+  let limit
+  const orderTok = current(state)
+  if (orderTok.type === 'keyword' && (orderTok.value === 'ORDER' || orderTok.value === 'LIMIT')) {
+    if (!ORDERED_AGGREGATES.includes(funcNameUpper)) {
+      throw new ParseError({
+        message: `${orderTok.value === 'ORDER' ? 'ORDER BY' : 'LIMIT'} is only supported in ${ORDERED_AGGREGATES.join(', ')}, not "${funcName}"`,
+        ...orderTok,
+      })
+    }
+    if (match(state, 'keyword', 'ORDER')) {
+      expect(state, 'keyword', 'BY')
+      orderBy = []
+      while (true) {
+        orderBy.push(parseOrderByItem(state, positionStart))
+        if (!match(state, 'comma')) break
+      }
+    }
+    if (match(state, 'keyword', 'LIMIT')) {
+      const tok = current(state)
+      if (tok.type !== 'number' || typeof tok.numericValue !== 'number' ||
+        !Number.isInteger(tok.numericValue) || tok.numericValue < 0) {
+        throw parseError(state, 'non-negative integer LIMIT')
+      }
+      consume(state)
+      limit = tok.numericValue
+    }
+  }
   expect(state, 'paren', ')')
 
   // Validate star argument at parse time (only COUNT supports *)
@@ -95,17 +134,21 @@ export function parseFunctionCall(state, positionStart) {
     })
   }
 
-  // Check for WITHIN GROUP (ORDER BY expr) clause — standard SQL ordered-set aggregate syntax.
-  // Supported for PERCENTILE_CONT: PERCENTILE_CONT(fraction) WITHIN GROUP (ORDER BY expr)
+  // Check for WITHIN GROUP (ORDER BY expr) clause — standard SQL ordered-set aggregate syntax,
+  // e.g. PERCENTILE_CONT(fraction) WITHIN GROUP (ORDER BY expr) or MODE() WITHIN GROUP (ORDER BY expr).
+  // The sorted expression becomes the value argument, and orderBy keeps its direction.
+  /** @type {true | undefined} */
+  let withinGroup
   const withinTok = current(state)
   if (match(state, 'keyword', 'WITHIN')) {
-    if (funcNameUpper !== 'PERCENTILE_CONT') {
+    const directArgs = ORDERED_SET_AGGREGATES[funcNameUpper]
+    if (directArgs === undefined) {
       throw new ParseError({
-        message: `WITHIN GROUP is only supported for PERCENTILE_CONT, not "${funcName}"`,
+        message: `WITHIN GROUP is only supported for ${Object.keys(ORDERED_SET_AGGREGATES).join(', ')}, not "${funcName}"`,
         ...withinTok,
       })
     }
-    if (args.length !== 1) {
+    if (args.length !== directArgs) {
       throw new ParseError({
         message: `${funcName}: cannot combine WITHIN GROUP with a value argument`,
         ...withinTok,
@@ -115,7 +158,10 @@ export function parseFunctionCall(state, positionStart) {
     expect(state, 'paren', '(')
     expect(state, 'keyword', 'ORDER')
     expect(state, 'keyword', 'BY')
-    args.push(parseExpression(state))
+    const item = parseOrderByItem(state, positionStart)
+    args.push(item.expr)
+    orderBy = [item]
+    withinGroup = true
     expect(state, 'paren', ')')
   }
 
@@ -127,7 +173,7 @@ export function parseFunctionCall(state, positionStart) {
   let filter
   const filterTok = current(state)
   if (match(state, 'keyword', 'FILTER')) {
-    if (!isAggregateFunc(funcNameUpper)) {
+    if (!isAggregateFunc(funcNameUpper, state.functions)) {
       throw new ParseError({
         message: `FILTER cannot be applied to non-aggregate function "${funcName}"`,
         ...filterTok,
@@ -144,7 +190,7 @@ export function parseFunctionCall(state, positionStart) {
   const hasOver = overTok.type === 'identifier' && overTok.value.toUpperCase() === 'OVER'
 
   if (hasOver) {
-    if (!isWindowFunc(funcNameUpper)) {
+    if (!isWindowFunc(funcNameUpper) && !isAggregateWindowFunc(funcNameUpper)) {
       throw new ParseError({
         message: `Window functions are not supported: ${funcName}(...) OVER (...)`,
         positionStart,
@@ -158,17 +204,35 @@ export function parseFunctionCall(state, positionStart) {
         positionEnd: overTok.positionEnd,
       })
     }
+    if (distinct) {
+      throw new ParseError({
+        message: `DISTINCT cannot be combined with OVER for "${funcName}"`,
+        positionStart,
+        positionEnd: overTok.positionEnd,
+      })
+    }
+    if (orderBy || limit !== undefined) {
+      const clause = withinGroup ? 'WITHIN GROUP' : orderBy ? 'ORDER BY' : 'LIMIT'
+      throw new ParseError({
+        message: `${clause} cannot be combined with OVER for "${funcName}"`,
+        positionStart,
+        positionEnd: overTok.positionEnd,
+      })
+    }
     consume(state)
-    const { partitionBy, orderBy } = parseWindowSpec(state, positionStart)
-    return {
+    const spec = parseWindowSpec(state, positionStart)
+    /** @type {WindowFunctionNode} */
+    const windowNode = {
       type: 'window',
       funcName,
       args,
-      partitionBy,
-      orderBy,
+      partitionBy: spec.partitionBy,
+      orderBy: spec.orderBy,
       positionStart,
       positionEnd: state.lastPos,
     }
+    if (spec.frame) windowNode.frame = spec.frame
+    return windowNode
   }
 
   if (isWindowFunc(funcNameUpper)) {
@@ -185,17 +249,20 @@ export function parseFunctionCall(state, positionStart) {
     args,
     distinct,
     filter,
+    orderBy,
+    limit,
+    withinGroup,
     positionStart,
     positionEnd: state.lastPos,
   }
 }
 
 /**
- * Parses the window spec after OVER: ( [PARTITION BY expr[, ...]] [ORDER BY expr [ASC|DESC] [NULLS FIRST|LAST][, ...]] )
+ * Parses the window spec after OVER: ( [PARTITION BY expr[, ...]] [ORDER BY expr [ASC|DESC] [NULLS FIRST|LAST][, ...]] [frame] )
  *
  * @param {ParserState} state
  * @param {number} positionStart - start position of the enclosing function call (for OrderByItem positions)
- * @returns {{ partitionBy: ExprNode[], orderBy: OrderByItem[] }}
+ * @returns {{ partitionBy: ExprNode[], orderBy: OrderByItem[], frame?: WindowFrame }}
  */
 function parseWindowSpec(state, positionStart) {
   expect(state, 'paren', '(')
@@ -217,36 +284,153 @@ function parseWindowSpec(state, positionStart) {
   if (match(state, 'keyword', 'ORDER')) {
     expect(state, 'keyword', 'BY')
     while (true) {
-      const expr = parseExpression(state)
-      /** @type {'ASC' | 'DESC'} */
-      let direction = 'ASC'
-      if (match(state, 'keyword', 'ASC')) {
-        direction = 'ASC'
-      } else if (match(state, 'keyword', 'DESC')) {
-        direction = 'DESC'
-      }
-      /** @type {'FIRST' | 'LAST' | undefined} */
-      let nulls
-      if (match(state, 'keyword', 'NULLS')) {
-        const tok = consume(state)
-        const upper = tok.value.toUpperCase()
-        if (tok.type === 'identifier' && upper === 'FIRST') {
-          nulls = 'FIRST'
-        } else if (tok.type === 'identifier' && upper === 'LAST') {
-          nulls = 'LAST'
-        } else {
-          throw new ParseError({
-            message: `Expected FIRST or LAST after NULLS at position ${tok.positionStart}`,
-            positionStart: tok.positionStart,
-            positionEnd: tok.positionEnd,
-          })
-        }
-      }
-      orderBy.push({ expr, direction, nulls, positionStart, positionEnd: state.lastPos })
+      orderBy.push(parseOrderByItem(state, positionStart))
       if (!match(state, 'comma')) break
     }
   }
 
+  /** @type {WindowFrame | undefined} */
+  let frame
+  const frameTok = current(state)
+  const frameMode = frameTok.type === 'identifier' && frameTok.value.toUpperCase()
+  if (frameMode === 'ROWS' || frameMode === 'RANGE') {
+    consume(state)
+    frame = parseWindowFrame(state, frameMode, frameTok.positionStart)
+    if (frameMode === 'RANGE' && orderBy.length !== 1 &&
+      [frame.start.type, frame.end.type].some(type => type === 'PRECEDING' || type === 'FOLLOWING')) {
+      throw new ParseError({
+        message: 'RANGE with an offset requires exactly one ORDER BY expression',
+        positionStart: frameTok.positionStart,
+        positionEnd: state.lastPos,
+      })
+    }
+  }
+
   expect(state, 'paren', ')')
-  return { partitionBy, orderBy }
+  return { partitionBy, orderBy, frame }
+}
+
+/**
+ * Parses one ORDER BY term: expr [ASC|DESC] [NULLS FIRST|LAST]
+ *
+ * @param {ParserState} state
+ * @param {number} positionStart - start position of the enclosing function call
+ * @returns {OrderByItem}
+ */
+function parseOrderByItem(state, positionStart) {
+  const expr = parseExpression(state)
+  /** @type {'ASC' | 'DESC'} */
+  let direction = 'ASC'
+  if (match(state, 'keyword', 'ASC')) {
+    direction = 'ASC'
+  } else if (match(state, 'keyword', 'DESC')) {
+    direction = 'DESC'
+  }
+  /** @type {'FIRST' | 'LAST' | undefined} */
+  let nulls
+  if (match(state, 'keyword', 'NULLS')) {
+    const tok = consume(state)
+    const upper = tok.value.toUpperCase()
+    if (tok.type === 'identifier' && upper === 'FIRST') {
+      nulls = 'FIRST'
+    } else if (tok.type === 'identifier' && upper === 'LAST') {
+      nulls = 'LAST'
+    } else {
+      throw new ParseError({
+        message: `Expected FIRST or LAST after NULLS at position ${tok.positionStart}`,
+        positionStart: tok.positionStart,
+        positionEnd: tok.positionEnd,
+      })
+    }
+  }
+  return { expr, direction, nulls, positionStart, positionEnd: state.lastPos }
+}
+
+// Frame bound types in the order a frame may span them
+const FRAME_BOUND_ORDER = ['UNBOUNDED PRECEDING', 'PRECEDING', 'CURRENT ROW', 'FOLLOWING', 'UNBOUNDED FOLLOWING']
+
+/**
+ * Parses a window frame after ROWS or RANGE: either BETWEEN bound AND bound,
+ * or a single start bound with the frame ending at the current row.
+ *
+ * @param {ParserState} state
+ * @param {'ROWS' | 'RANGE'} mode
+ * @param {number} positionStart - start position of the frame clause
+ * @returns {WindowFrame}
+ */
+function parseWindowFrame(state, mode, positionStart) {
+  /** @type {FrameBound} */
+  let start
+  /** @type {FrameBound} */
+  let end
+  if (match(state, 'keyword', 'BETWEEN')) {
+    start = parseFrameBound(state, mode)
+    expect(state, 'keyword', 'AND')
+    end = parseFrameBound(state, mode)
+  } else {
+    start = parseFrameBound(state, mode)
+    end = { type: 'CURRENT ROW' }
+  }
+  if (start.type === 'UNBOUNDED FOLLOWING' || end.type === 'UNBOUNDED PRECEDING' ||
+    FRAME_BOUND_ORDER.indexOf(start.type) > FRAME_BOUND_ORDER.indexOf(end.type)) {
+    throw new ParseError({
+      message: `Invalid window frame: cannot start at ${start.type} and end at ${end.type}`,
+      positionStart,
+      positionEnd: state.lastPos,
+    })
+  }
+  return { mode, start, end }
+}
+
+/**
+ * Parses one frame bound: UNBOUNDED PRECEDING, UNBOUNDED FOLLOWING,
+ * CURRENT ROW, or a non-negative number followed by PRECEDING or FOLLOWING.
+ *
+ * @param {ParserState} state
+ * @param {'ROWS' | 'RANGE'} mode
+ * @returns {FrameBound}
+ */
+function parseFrameBound(state, mode) {
+  const tok = current(state)
+  const word = tok.type === 'identifier' ? tok.value.toUpperCase() : undefined
+  if (word === 'UNBOUNDED') {
+    consume(state)
+    const direction = parseFrameDirection(state)
+    return { type: direction === 'PRECEDING' ? 'UNBOUNDED PRECEDING' : 'UNBOUNDED FOLLOWING' }
+  }
+  if (word === 'CURRENT') {
+    consume(state)
+    const rowTok = current(state)
+    if (rowTok.type !== 'identifier' || rowTok.value.toUpperCase() !== 'ROW') {
+      throw parseError(state, 'ROW')
+    }
+    consume(state)
+    return { type: 'CURRENT ROW' }
+  }
+  if (tok.type === 'number') {
+    const offset = Number(tok.numericValue)
+    if (!(offset >= 0) || mode === 'ROWS' && !Number.isInteger(offset)) {
+      throw new ParseError({
+        message: `${mode} frame offset must be a non-negative ${mode === 'ROWS' ? 'integer' : 'number'}, got ${tok.value}`,
+        ...tok,
+      })
+    }
+    consume(state)
+    return { type: parseFrameDirection(state), offset }
+  }
+  throw parseError(state, 'frame bound')
+}
+
+/**
+ * @param {ParserState} state
+ * @returns {'PRECEDING' | 'FOLLOWING'}
+ */
+function parseFrameDirection(state) {
+  const tok = current(state)
+  const word = tok.type === 'identifier' ? tok.value.toUpperCase() : undefined
+  if (word !== 'PRECEDING' && word !== 'FOLLOWING') {
+    throw parseError(state, 'PRECEDING or FOLLOWING')
+  }
+  consume(state)
+  return word
 }
@@ -187,7 +187,7 @@ export function parseJoins(state) {
       if (joinType !== 'CROSS') {
         expect(state, 'keyword', 'ON')
         condition = parseExpression(state)
-        expectNoAggregate(condition, 'JOIN ON')
+        expectNoAggregate(condition, 'JOIN ON', state.functions)
       }
 
       joins.push({
@@ -273,7 +273,7 @@ export function parseJoins(state) {
       } else {
         expect(state, 'keyword', 'ON')
         condition = parseExpression(state)
-        expectNoAggregate(condition, 'JOIN ON')
+        expectNoAggregate(condition, 'JOIN ON', state.functions)
       }
     }
 
@@ -0,0 +1,286 @@
+import { derivedAlias } from '../expression/alias.js'
+import { ParseError } from '../validation/parseErrors.js'
+
+/**
+ * @import { ExplainStatement, ExprNode, FromSource, JoinClause, OrderByItem, ParamNode, QueryParams, SelectColumn, SqlPrimitive, Statement } from '../types.js'
+ */
+
+/**
+ * @typedef {{ params: QueryParams, used: Set<number | string> }} Binding
+ */
+
+/**
+ * Replaces every parameter placeholder in a statement with a literal of its
+ * bound value. The statement itself is not modified, so it can be bound again
+ * with other values. Throws if a placeholder has no value, or a value is
+ * given that no placeholder uses.
+ *
+ * Unaliased SELECT columns containing placeholders keep the name they had
+ * before binding (e.g. `$1`), so column names do not depend on the values.
+ *
+ * @param {Statement | ExplainStatement} stmt
+ * @param {QueryParams} [params]
+ * @returns {Statement | ExplainStatement}
+ */
+export function bindParams(stmt, params = []) {
+  /** @type {Binding} */
+  const binding = { params, used: new Set() }
+  /** @type {Statement | ExplainStatement} */
+  let bound
+  if (stmt.type === 'explain') {
+    const query = bindStatement(stmt.query, binding)
+    bound = query === stmt.query ? stmt : { ...stmt, query }
+  } else {
+    bound = bindStatement(stmt, binding)
+  }
+
+  if (Array.isArray(params)) {
+    // $n placeholders may skip numbers, so the highest one counts
+    let highest = 0
+    for (const key of binding.used) {
+      if (typeof key === 'number' && key > highest) highest = key
+    }
+    if (highest < params.length) {
+      throw new ParseError({
+        message: `Query has ${highest} positional parameters but ${params.length} values were given`,
+        positionStart: stmt.positionStart,
+        positionEnd: stmt.positionEnd,
+      })
+    }
+  } else {
+    for (const name of Object.keys(params)) {
+      if (!binding.used.has(name)) {
+        throw new ParseError({
+          message: `Parameter :${name} is not used in the query`,
+          positionStart: stmt.positionStart,
+          positionEnd: stmt.positionEnd,
+        })
+      }
+    }
+  }
+  return bound
+}
+
+/**
+ * @param {ParamNode} node
+ * @param {Binding} binding
+ * @returns {SqlPrimitive}
+ */
+function paramValue(node, { params, used }) {
+  const key = node.index ?? node.name ?? ''
+  /** @type {SqlPrimitive | undefined} */
+  let value
+  if (Array.isArray(params)) {
+    if (typeof key === 'number') value = params[key - 1]
+  } else if (typeof key === 'string' && Object.hasOwn(params, key)) {
+    value = params[key]
+  }
+  if (value === undefined) {
+    const placeholder = typeof key === 'number' ? `$${key}` : `:${key}`
+    throw new ParseError({
+      message: `Missing value for parameter ${placeholder} at position ${node.positionStart}`,
+      positionStart: node.positionStart,
+      positionEnd: node.positionEnd,
+    })
+  }
+  used.add(key)
+  return value
+}
+
+/**
+ * @param {Statement} stmt
+ * @param {Binding} binding
+ * @returns {Statement}
+ */
+function bindStatement(stmt, binding) {
+  if (stmt.type === 'with') {
+    const ctes = stmt.ctes.map(cte => {
+      const query = bindStatement(cte.query, binding)
+      return query === cte.query ? cte : { ...cte, query }
+    })
+    const query = bindStatement(stmt.query, binding)
+    if (query === stmt.query && ctes.every((cte, i) => cte === stmt.ctes[i])) return stmt
+    return { ...stmt, ctes, query }
+  }
+  if (stmt.type === 'compound') {
+    const left = bindStatement(stmt.left, binding)
+    const right = bindStatement(stmt.right, binding)
+    const orderBy = bindOrderBy(stmt.orderBy, binding)
+    if (left === stmt.left && right === stmt.right && orderBy === stmt.orderBy) return stmt
+    return { ...stmt, left, right, orderBy }
+  }
+
+  const columns = bindList(stmt.columns, col => bindColumn(col, binding))
+  const from = stmt.from && bindFrom(stmt.from, binding)
+  const joins = bindList(stmt.joins, join => bindJoin(join, binding))
+  const where = stmt.where && bindExpr(stmt.where, binding)
+  const groupBy = bindList(stmt.groupBy, expr => bindExpr(expr, binding))
+  const having = stmt.having && bindExpr(stmt.having, binding)
+  const qualify = stmt.qualify && bindExpr(stmt.qualify, binding)
+  const orderBy = bindOrderBy(stmt.orderBy, binding)
+  if (columns === stmt.columns && from === stmt.from && joins === stmt.joins &&
+    where === stmt.where && groupBy === stmt.groupBy && having === stmt.having &&
+    qualify === stmt.qualify && orderBy === stmt.orderBy) {
+    return stmt
+  }
+  return { ...stmt, columns, from, joins, where, groupBy, having, qualify, orderBy }
+}
+
+/**
+ * Maps a list, returning the original list when no element changed.
+ *
+ * @template T
+ * @param {T[]} list
+ * @param {(item: T) => T} fn
+ * @returns {T[]}
+ */
+function bindList(list, fn) {
+  const mapped = list.map(fn)
+  return mapped.every((item, i) => item === list[i]) ? list : mapped
+}
+
+/**
+ * @param {SelectColumn} col
+ * @param {Binding} binding
+ * @returns {SelectColumn}
+ */
+function bindColumn(col, binding) {
+  if (col.type === 'star') return col
+  const expr = bindExpr(col.expr, binding)
+  if (expr === col.expr) return col
+  return { ...col, expr, alias: col.alias ?? derivedAlias(col.expr) }
+}
+
+/**
+ * @param {OrderByItem[]} orderBy
+ * @param {Binding} binding
+ * @returns {OrderByItem[]}
+ */
+function bindOrderBy(orderBy, binding) {
+  return bindList(orderBy, term => {
+    const expr = bindExpr(term.expr, binding)
+    return expr === term.expr ? term : { ...term, expr }
+  })
+}
+
+/**
+ * @param {FromSource} from
+ * @param {Binding} binding
+ * @returns {FromSource}
+ */
+function bindFrom(from, binding) {
+  if (from.type === 'table') return from
+  if (from.type === 'subquery') {
+    const query = bindStatement(from.query, binding)
+    return query === from.query ? from : { ...from, query }
+  }
+  if (from.type === 'function') {
+    const args = bindList(from.args, arg => bindExpr(arg, binding))
+    return args === from.args ? from : { ...from, args }
+  }
+  const source = bindFrom(from.source, binding)
+  if (from.type === 'pivot') {
+    const aggregates = bindList(from.aggregates, agg => {
+      const expr = bindExpr(agg.expr, binding)
+      return expr === agg.expr ? agg : { ...agg, expr }
+    })
+    return source === from.source && aggregates === from.aggregates ? from : { ...from, source, aggregates }
+  }
+  return source === from.source ? from : { ...from, source }
+}
+
+/**
+ * @param {JoinClause} join
+ * @param {Binding} binding
+ * @returns {JoinClause}
+ */
+function bindJoin(join, binding) {
+  const on = join.on && bindExpr(join.on, binding)
+  const fromFunction = join.fromFunction && bindFrom(join.fromFunction, binding)
+  const subquery = join.subquery && bindFrom(join.subquery, binding)
+  if (on === join.on && fromFunction === join.fromFunction && subquery === join.subquery) return join
+  return {
+    ...join,
+    on,
+    fromFunction: fromFunction?.type === 'function' ? fromFunction : undefined,
+    subquery: subquery?.type === 'subquery' ? subquery : undefined,
+  }
+}
+
+/**
+ * @param {ExprNode} node
+ * @param {Binding} binding
+ * @returns {ExprNode}
+ */
+function bindExpr(node, binding) {
+  switch (node.type) {
+  case 'param':
+    return {
+      type: 'literal',
+      value: paramValue(node, binding),
+      positionStart: node.positionStart,
+      positionEnd: node.positionEnd,
+    }
+  case 'unary': {
+    const argument = bindExpr(node.argument, binding)
+    return argument === node.argument ? node : { ...node, argument }
+  }
+  case 'binary': {
+    const left = bindExpr(node.left, binding)
+    const right = bindExpr(node.right, binding)
+    return left === node.left && right === node.right ? node : { ...node, left, right }
+  }
+  case 'function': {
+    const args = bindList(node.args, arg => bindExpr(arg, binding))
+    const filter = node.filter && bindExpr(node.filter, binding)
+    const orderBy = node.orderBy && bindOrderBy(node.orderBy, binding)
+    if (args === node.args && filter === node.filter && orderBy === node.orderBy) return node
+    return { ...node, args, filter, orderBy }
+  }
+  case 'window': {
+    const args = bindList(node.args, arg => bindExpr(arg, binding))
+    const partitionBy = bindList(node.partitionBy, expr => bindExpr(expr, binding))
+    const orderBy = bindOrderBy(node.orderBy, binding)
+    if (args === node.args && partitionBy === node.partitionBy && orderBy === node.orderBy) return node
+    return { ...node, args, partitionBy, orderBy }
+  }
+  case 'cast': {
+    const expr = bindExpr(node.expr, binding)
+    return expr === node.expr ? node : { ...node, expr }
+  }
+  case 'in': {
+    const expr = bindExpr(node.expr, binding)
+    const subquery = bindStatement(node.subquery, binding)
+    return expr === node.expr && subquery === node.subquery ? node : { ...node, expr, subquery }
+  }
+  case 'in valuelist': {
+    const expr = bindExpr(node.expr, binding)
+    const values = bindList(node.values, value => bindExpr(value, binding))
+    return expr === node.expr && values === node.values ? node : { ...node, expr, values }
+  }
+  case 'exists':
+  case 'not exists':
+  case 'subquery': {
+    const subquery = bindStatement(node.subquery, binding)
+    return subquery === node.subquery ? node : { ...node, subquery }
+  }
+  case 'case': {
+    const caseExpr = node.caseExpr && bindExpr(node.caseExpr, binding)
+    const whenClauses = bindList(node.whenClauses, when => {
+      const condition = bindExpr(when.condition, binding)
+      const result = bindExpr(when.result, binding)
+      return condition === when.condition && result === when.result ? when : { ...when, condition, result }
+    })
+    const elseResult = node.elseResult && bindExpr(node.elseResult, binding)
+    if (caseExpr === node.caseExpr && whenClauses === node.whenClauses && elseResult === node.elseResult) return node
+    return { ...node, caseExpr, whenClauses, elseResult }
+  }
+  case 'subscript': {
+    const expr = bindExpr(node.expr, binding)
+    const index = bindExpr(node.index, binding)
+    return expr === node.expr && index === node.index ? node : { ...node, expr, index }
+  }
+  }
+  // 'literal' / 'identifier' / 'interval' / 'star' have no placeholders
+  return node
+}
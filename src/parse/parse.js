@@ -1,42 +1,63 @@
-import { derivedAlias } from '../expression/alias.js'
+import { derivedAlias, exprSig } from '../expression/alias.js'
 import { expectNoAggregate, findAggregate } from '../validation/aggregates.js'
 import { isTableFunction, validateFunctionArgs } from '../validation/functions.js'
 import { RESERVED_AFTER_COLUMN, RESERVED_AFTER_TABLE } from '../validation/keywords.js'
 import { ParseError } from '../validation/parseErrors.js'
 import { parseExpression } from './expression.js'
 import { parseJoins } from './joins.js'
+import { bindParams } from './params.js'
+import { parsePivots } from './pivot.js'
 import { consume, current, expect, match, parseError, peekToken } from './state.js'
 import { tokenizeSql } from './tokenize.js'
 
 /**
- * @import { CTEDefinition, ExprNode, FromFunction, FromSubquery, FromTable, OrderByItem, ParseSqlOptions, ParserState, SelectColumn, SelectStatement, SetOperationStatement, SetOperator, Statement } from '../types.js'
+ * @import { CTEDefinition, ExplainStatement, ExprNode, FromFunction, FromSource, OrderByItem, ParseSqlOptions, ParserState, SelectColumn, SelectStatement, SetOperationStatement, SetOperator, Statement, Token, WithStatement } from '../types.js'
  */
 
 // Keywords that may legitimately follow the SELECT column list in place of FROM.
 // Anything else is a hint that the user forgot the FROM keyword.
 const CONTINUATION_KEYWORDS = new Set([
-  'WHERE', 'GROUP', 'HAVING', 'ORDER', 'LIMIT', 'OFFSET',
+  'WHERE', 'GROUP', 'HAVING', 'QUALIFY', 'ORDER', 'LIMIT', 'OFFSET',
   'UNION', 'INTERSECT', 'EXCEPT',
 ])
 
 /**
  * @param {ParseSqlOptions} options
- * @returns {Statement}
+ * @returns {Statement | ExplainStatement}
  */
-export function parseSql({ query, functions }) {
+export function parseSql({ query, functions, params }) {
   const tokens = tokenizeSql(query)
   /** @type {ParserState} */
   const state = { tokens, pos: 0, lastPos: 0, functions }
 
+  // EXPLAIN and ANALYZE are not keywords, so they arrive as identifiers
+  /** @type {ExplainStatement | undefined} */
+  let explain
+  if (isWord(current(state), 'EXPLAIN')) {
+    const { positionStart } = consume(state)
+    const analyze = isWord(current(state), 'ANALYZE')
+    if (analyze) consume(state)
+    explain = { type: 'explain', analyze, query: parseStatement(state), positionStart, positionEnd: state.lastPos }
+  }
+
   // Parse optional WITH clause
-  const stmt = parseStatement(state)
+  const stmt = explain ?? parseStatement(state)
 
   const tok = current(state)
   if (tok.type !== 'eof') {
     throw parseError(state, 'end of query')
   }
 
-  return stmt
+  return params ? bindParams(stmt, params) : stmt
+}
+
+/**
+ * @param {Token} tok
+ * @param {string} word
+ * @returns {boolean}
+ */
+function isWord(tok, word) {
+  return tok.type === 'identifier' && tok.value.toUpperCase() === word
 }
 
 /**
@@ -49,12 +70,8 @@ export function parseStatement(state) {
   const positionStart = state.lastPos
   if (match(state, 'keyword', 'WITH')) {
     const recursiveTok = current(state)
-    if (recursiveTok.type === 'identifier' && recursiveTok.value.toUpperCase() === 'RECURSIVE') {
-      throw new ParseError({
-        message: `WITH RECURSIVE is not supported at position ${recursiveTok.positionStart}`,
-        ...recursiveTok,
-      })
-    }
+    const recursive = recursiveTok.type === 'identifier' && recursiveTok.value.toUpperCase() === 'RECURSIVE'
+    if (recursive) consume(state)
 
     /** @type {CTEDefinition[]} */
     const ctes = []
@@ -76,6 +93,25 @@ export function parseStatement(state) {
       }
       seenNames.add(nameLower)
 
+      // Optional column list: name(col1, col2, ...)
+      /** @type {string[] | undefined} */
+      let columns
+      if (match(state, 'paren', '(')) {
+        columns = []
+        while (true) {
+          const colTok = expect(state, 'identifier')
+          if (columns.some(col => col.toLowerCase() === colTok.value.toLowerCase())) {
+            throw new ParseError({
+              message: `Column "${colTok.value}" is listed more than once for CTE "${name}" at position ${colTok.positionStart}`,
+              ...colTok,
+            })
+          }
+          columns.push(colTok.value)
+          if (!match(state, 'comma')) break
+        }
+        expect(state, 'paren', ')')
+      }
+
       // Expect AS statement
       expect(state, 'keyword', 'AS')
       expect(state, 'paren', '(')
@@ -85,7 +121,10 @@ export function parseStatement(state) {
 
       expect(state, 'paren', ')')
 
-      ctes.push({ name, query, positionStart: nameTok.positionStart, positionEnd: state.lastPos })
+      /** @type {CTEDefinition} */
+      const cte = { name, query, positionStart: nameTok.positionStart, positionEnd: state.lastPos }
+      if (columns) cte.columns = columns
+      ctes.push(cte)
 
       // Check for comma (more CTEs) or end of WITH clause
       if (!match(state, 'comma')) break
@@ -93,7 +132,10 @@ export function parseStatement(state) {
 
     const query = parseSetOperations(state)
 
-    return { type: 'with', ctes, query, positionStart, positionEnd: state.lastPos }
+    /** @type {WithStatement} */
+    const stmt = { type: 'with', ctes, query, positionStart, positionEnd: state.lastPos }
+    if (recursive) stmt.recursive = true
+    return stmt
   } else {
     return parseSetOperations(state)
   }
@@ -216,7 +258,7 @@ function parseSelect(state) {
   }
 
   // Check if it's a subquery, table function, or table name
-  /** @type {FromTable | FromSubquery | FromFunction | undefined} */
+  /** @type {FromSource | undefined} */
   let from
   const fromTok = current(state)
   if (!hasFrom) {
@@ -251,6 +293,9 @@ function parseSelect(state) {
     }
   }
 
+  // PIVOT and UNPIVOT reshape the FROM source before any joins
+  if (from) from = parsePivots(state, from)
+
   // Parse JOIN clauses
   const joins = parseJoins(state)
 
@@ -258,8 +303,12 @@ function parseSelect(state) {
   let where
   /** @type {ExprNode[]} */
   const groupBy = []
+  /** @type {number[][] | undefined} */
+  let groupingSets
   /** @type {ExprNode | undefined} */
   let having
+  /** @type {ExprNode | undefined} */
+  let qualify
   /** @type {OrderByItem[]} */
   const orderBy = []
   /** @type {number | undefined} */
@@ -269,25 +318,25 @@ function parseSelect(state) {
 
   if (match(state, 'keyword', 'WHERE')) {
     where = parseExpression(state)
-    expectNoAggregate(where, 'WHERE')
+    expectNoAggregate(where, 'WHERE', state.functions)
   }
 
   if (match(state, 'keyword', 'GROUP')) {
     expect(state, 'keyword', 'BY')
-    while (true) {
-      const expr = resolvePositionalRef(parseExpression(state), columns, 'GROUP BY')
-      expectNoAggregate(expr, 'GROUP BY')
-      groupBy.push(expr)
-      if (!match(state, 'comma')) break
-    }
+    groupingSets = parseGroupBy(state, columns, groupBy)
   }
 
   if (match(state, 'keyword', 'HAVING')) {
     having = parseExpression(state)
   }
 
+  if (match(state, 'keyword', 'QUALIFY')) {
+    qualify = parseExpression(state)
+    expectNoAggregate(qualify, 'QUALIFY', state.functions)
+  }
+
   const hasAggregate = groupBy.length > 0 || columns.some(col =>
-    col.type === 'derived' && findAggregate(col.expr)
+    col.type === 'derived' && findAggregate(col.expr, state.functions)
   )
 
   if (match(state, 'keyword', 'ORDER')) {
@@ -295,7 +344,7 @@ function parseSelect(state) {
     while (true) {
       const expr = resolvePositionalRef(parseExpression(state), columns, 'ORDER BY', hasAggregate)
       if (!hasAggregate) {
-        expectNoAggregate(expr, 'ORDER BY')
+        expectNoAggregate(expr, 'ORDER BY', state.functions)
       }
       /** @type {'ASC' | 'DESC'} */
       let direction = 'ASC'
@@ -362,7 +411,9 @@ function parseSelect(state) {
     joins,
     where,
     groupBy,
+    groupingSets,
     having,
+    qualify,
     orderBy,
     limit,
     offset,
@@ -371,6 +422,114 @@ function parseSelect(state) {
   }
 }
 
+/**
+ * Parses a GROUP BY list, pushing each distinct grouping expression onto
+ * groupBy once. Returns the grouping sets as lists of groupBy indices when
+ * the list uses ROLLUP, CUBE, or GROUPING SETS, and undefined for a plain
+ * GROUP BY. The sets of each list element are combined by cross product,
+ * so `GROUP BY a, ROLLUP(b, c)` groups by (a, b, c), (a, b), and (a).
+ *
+ * @param {ParserState} state
+ * @param {SelectColumn[]} columns
+ * @param {ExprNode[]} groupBy
+ * @returns {number[][] | undefined}
+ */
+function parseGroupBy(state, columns, groupBy) {
+  const signatures = groupBy.map(exprSig)
+
+  /** @returns {number} index of the parsed expression in groupBy */
+  function parseKey() {
+    const expr = resolvePositionalRef(parseExpression(state), columns, 'GROUP BY')
+    expectNoAggregate(expr, 'GROUP BY', state.functions)
+    const signature = exprSig(expr)
+    let index = signatures.indexOf(signature)
+    if (index < 0) {
+      index = groupBy.length
+      groupBy.push(expr)
+      signatures.push(signature)
+    }
+    return index
+  }
+
+  /** @returns {number[]} keys of a parenthesized, possibly empty list */
+  function parseKeyList() {
+    expect(state, 'paren', '(')
+    /** @type {number[]} */
+    const keys = []
+    if (match(state, 'paren', ')')) return keys
+    while (true) {
+      keys.push(parseKey())
+      if (!match(state, 'comma')) break
+    }
+    expect(state, 'paren', ')')
+    return keys
+  }
+
+  /** @type {number[][]} */
+  let sets = [[]]
+  let hasSets = false
+  while (true) {
+    const tok = current(state)
+    const next = peekToken(state, 1)
+    const upper = tok.type === 'identifier' ? tok.value.toUpperCase() : ''
+    /** @type {number[][]} */
+    let elementSets
+    if ((upper === 'ROLLUP' || upper === 'CUBE') && next.type === 'paren' && next.value === '(') {
+      consume(state)
+      const keys = parseKeyList()
+      elementSets = upper === 'ROLLUP' ? rollupSets(keys) : cubeSets(keys)
+      hasSets = true
+    } else if (upper === 'GROUPING' && next.type === 'identifier' && next.value.toUpperCase() === 'SETS') {
+      consume(state)
+      consume(state)
+      expect(state, 'paren', '(')
+      elementSets = []
+      while (true) {
+        const item = current(state)
+        elementSets.push(item.type === 'paren' && item.value === '(' ? parseKeyList() : [parseKey()])
+        if (!match(state, 'comma')) break
+      }
+      expect(state, 'paren', ')')
+      hasSets = true
+    } else {
+      elementSets = [[parseKey()]]
+    }
+    sets = sets.flatMap(set => elementSets.map(keys => [...set, ...keys.filter(k => !set.includes(k))]))
+    if (!match(state, 'comma')) break
+  }
+  return hasSets ? sets : undefined
+}
+
+/**
+ * ROLLUP(a, b) groups by (a, b), (a), and ().
+ *
+ * @param {number[]} keys
+ * @returns {number[][]}
+ */
+function rollupSets(keys) {
+  /** @type {number[][]} */
+  const sets = []
+  for (let i = keys.length; i >= 0; i--) {
+    sets.push(keys.slice(0, i))
+  }
+  return sets
+}
+
+/**
+ * CUBE(a, b) groups by (a, b), (a), (b), and ().
+ *
+ * @param {number[]} keys
+ * @returns {number[][]}
+ */
+function cubeSets(keys) {
+  /** @type {number[][]} */
+  const sets = []
+  for (let mask = (1 << keys.length) - 1; mask >= 0; mask--) {
+    sets.push(keys.filter((_, i) => mask & 1 << keys.length - 1 - i))
+  }
+  return sets
+}
+
 /**
  * Resolves a positive integer literal in GROUP BY or ORDER BY as a positional
  * reference to the Nth SELECT column. Non-integer and non-literal expressions
@@ -0,0 +1,185 @@
+import { findAggregate } from '../validation/aggregates.js'
+import { RESERVED_KEYWORDS } from '../validation/keywords.js'
+import { ParseError } from '../validation/parseErrors.js'
+import { parseExpression } from './expression.js'
+import { parseTableAlias } from './parse.js'
+import { consume, current, expect, match, parseError, peekToken } from './state.js'
+
+/**
+ * @import { DerivedColumn, FromPivot, FromSource, FromUnpivot, ParserState, PivotValue, UnpivotColumn } from '../types.js'
+ */
+
+/**
+ * Parses any PIVOT or UNPIVOT clauses following a FROM source. Each clause
+ * wraps the source before it, so they can be chained.
+ *
+ * @param {ParserState} state
+ * @param {FromSource} source
+ * @returns {FromSource}
+ */
+export function parsePivots(state, source) {
+  let from = source
+  while (true) {
+    const tok = current(state)
+    const upper = tok.type === 'identifier' ? tok.value.toUpperCase() : ''
+    const next = peekToken(state, 1)
+    const nextUpper = next.type === 'identifier' ? next.value.toUpperCase() : ''
+    const opensParen = next.type === 'paren' && next.value === '('
+    if (upper === 'PIVOT' && opensParen) {
+      from = parsePivot(state, from)
+    } else if (upper === 'UNPIVOT' && (opensParen || nextUpper === 'INCLUDE' || nextUpper === 'EXCLUDE')) {
+      from = parseUnpivot(state, from)
+    } else {
+      return from
+    }
+  }
+}
+
+/**
+ * Parses PIVOT (agg [AS alias], ... FOR column IN (value [AS alias], ...)) [alias]
+ *
+ * @param {ParserState} state
+ * @param {FromSource} source
+ * @returns {FromPivot}
+ */
+function parsePivot(state, source) {
+  const { positionStart } = consume(state)
+  expect(state, 'paren', '(')
+
+  /** @type {DerivedColumn[]} */
+  const aggregates = []
+  while (true) {
+    const expr = parseExpression(state)
+    if (!findAggregate(expr, state.functions)) {
+      throw new ParseError({
+        message: `PIVOT requires an aggregate function like SUM or COUNT at position ${expr.positionStart}`,
+        ...expr,
+      })
+    }
+    const alias = match(state, 'keyword', 'AS') ? parseName(state) : undefined
+    aggregates.push({ type: 'derived', expr, alias, positionStart: expr.positionStart, positionEnd: state.lastPos })
+    if (!match(state, 'comma')) break
+  }
+
+  expectWord(state, 'FOR')
+  const column = parseName(state)
+  expect(state, 'keyword', 'IN')
+  expect(state, 'paren', '(')
+  /** @type {PivotValue[]} */
+  const values = []
+  while (true) {
+    const expr = parseExpression(state)
+    if (expr.type !== 'literal') {
+      throw new ParseError({
+        message: `PIVOT IN values must be literals at position ${expr.positionStart}`,
+        ...expr,
+      })
+    }
+    const alias = match(state, 'keyword', 'AS') ? parseName(state) : undefined
+    values.push({ value: expr.value, alias, positionStart: expr.positionStart, positionEnd: state.lastPos })
+    if (!match(state, 'comma')) break
+  }
+  expect(state, 'paren', ')')
+  expect(state, 'paren', ')')
+
+  const alias = parseTableAlias(state)
+  return {
+    type: 'pivot',
+    source,
+    aggregates,
+    column,
+    values,
+    alias,
+    positionStart,
+    positionEnd: state.lastPos,
+  }
+}
+
+/**
+ * Parses UNPIVOT [INCLUDE | EXCLUDE NULLS] (value FOR name IN (column [AS label], ...)) [alias]
+ *
+ * @param {ParserState} state
+ * @param {FromSource} source
+ * @returns {FromUnpivot}
+ */
+function parseUnpivot(state, source) {
+  const { positionStart } = consume(state)
+  let includeNulls = false
+  const nullsTok = current(state)
+  if (nullsTok.type === 'identifier') {
+    includeNulls = nullsTok.value.toUpperCase() === 'INCLUDE'
+    consume(state)
+    expect(state, 'keyword', 'NULLS')
+  }
+  expect(state, 'paren', '(')
+  const valueColumn = parseName(state)
+  expectWord(state, 'FOR')
+  const nameColumn = parseName(state)
+  expect(state, 'keyword', 'IN')
+  expect(state, 'paren', '(')
+  /** @type {UnpivotColumn[]} */
+  const columns = []
+  while (true) {
+    const { positionStart } = current(state)
+    const name = parseName(state)
+    /** @type {string | undefined} */
+    let label
+    if (match(state, 'keyword', 'AS')) {
+      const labelTok = current(state)
+      if (labelTok.type === 'string') {
+        consume(state)
+        label = labelTok.value
+      } else {
+        label = parseName(state)
+      }
+    }
+    columns.push({ name, label, positionStart, positionEnd: state.lastPos })
+    if (!match(state, 'comma')) break
+  }
+  expect(state, 'paren', ')')
+  expect(state, 'paren', ')')
+
+  const alias = parseTableAlias(state)
+  return {
+    type: 'unpivot',
+    source,
+    valueColumn,
+    nameColumn,
+    columns,
+    includeNulls,
+    alias,
+    positionStart,
+    positionEnd: state.lastPos,
+  }
+}
+
+/**
+ * Expects a non-reserved word like FOR, which the tokenizer leaves as an
+ * identifier so it stays usable as a column name elsewhere.
+ *
+ * @param {ParserState} state
+ * @param {string} word
+ */
+function expectWord(state, word) {
+  const tok = current(state)
+  if (tok.type !== 'identifier' || tok.value.toUpperCase() !== word) {
+    throw parseError(state, word)
+  }
+  consume(state)
+}
+
+/**
+ * Parses a column name or alias. Non-reserved keywords like MONTH are
+ * accepted with their original case, as they are in expressions.
+ *
+ * @param {ParserState} state
+ * @returns {string}
+ */
+function parseName(state) {
+  const tok = current(state)
+  if (tok.type === 'identifier' || tok.type === 'keyword' && !RESERVED_KEYWORDS.has(tok.value)) {
+    consume(state)
+    return tok.originalValue ?? tok.value
+  }
+  throw parseError(state, 'identifier')
+}
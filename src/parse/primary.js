@@ -10,6 +10,8 @@ import { consume, current, expect, match, parseError, peekToken } from './state.
  * @import { ExprNode, IntervalNode, ParserState, SqlPrimitive, WhenClause } from '../types.js'
  */
 
+const INTERVAL_UNITS = 'DAY, MONTH, YEAR, HOUR, MINUTE, SECOND, WEEK, QUARTER, MILLISECOND'
+
 /**
  * Parse a primary expression, which is the innermost order of operations,
  * followed by any postfix subscript operators.
@@ -22,9 +24,10 @@ export function parsePrimary(state) {
 }
 
 /**
- * Parses postfix subscript operators after a primary expression: bracket
- * indexing (`expr[0]`, `expr['key']`) and struct field access on a subscript
- * result (`expr[0].field`).
+ * Parses postfix operators after a primary expression: bracket indexing
+ * (`expr[0]`, `expr['key']`), struct field access on a subscript result
+ * (`expr[0].field`), and `expr AT TIME ZONE zone`, which becomes a call to
+ * TIMEZONE(zone, expr).
  *
  * @param {ParserState} state
  * @param {ExprNode} expr
@@ -57,12 +60,35 @@ function parsePostfix(state, expr) {
         positionStart: expr.positionStart,
         positionEnd: state.lastPos,
       }
+    } else if (isAtTimeZone(state)) {
+      consume(state) // AT
+      consume(state) // TIME
+      consume(state) // ZONE
+      const zone = parsePrimaryBase(state)
+      expr = {
+        type: 'function',
+        funcName: 'TIMEZONE',
+        args: [zone, expr],
+        positionStart: expr.positionStart,
+        positionEnd: state.lastPos,
+      }
     } else {
       return expr
     }
   }
 }
 
+/**
+ * @param {ParserState} state
+ * @returns {boolean}
+ */
+function isAtTimeZone(state) {
+  return ['AT', 'TIME', 'ZONE'].every((word, i) => {
+    const tok = peekToken(state, i)
+    return tok.type === 'identifier' && tok.value.toUpperCase() === word
+  })
+}
+
 /**
  * Parse a primary expression without postfix operators.
  *
@@ -121,6 +147,22 @@ function parsePrimaryBase(state) {
     }
   }
 
+  if (tok.type === 'param') {
+    consume(state)
+    if (tok.originalValue?.startsWith(':')) {
+      return { type: 'param', name: tok.value, positionStart, positionEnd: state.lastPos }
+    }
+    const index = Number(tok.value)
+    if (index < 1) {
+      throw new ParseError({
+        message: `Invalid parameter ${tok.originalValue} at position ${positionStart}, positional parameters start at $1`,
+        positionStart,
+        positionEnd: state.lastPos,
+      })
+    }
+    return { type: 'param', index, positionStart, positionEnd: state.lastPos }
+  }
+
   if (tok.type === 'identifier') {
     const next = peekToken(state, 1)
     const funcNameUpper = tok.value.toUpperCase()
@@ -152,7 +194,7 @@ function parsePrimaryBase(state) {
     }
 
     // TIMESTAMP '2026-01-01 00:00:00' typed literal
-    if (funcNameUpper === 'TIMESTAMP' && next.type === 'string') {
+    if ((funcNameUpper === 'TIMESTAMP' || funcNameUpper === 'TIMESTAMPTZ') && next.type === 'string') {
       consume(state) // TIMESTAMP
       const strTok = consume(state) // string literal
       return {
@@ -163,7 +205,7 @@ function parsePrimaryBase(state) {
           positionStart: strTok.positionStart,
           positionEnd: strTok.positionEnd,
         },
-        toType: 'TIMESTAMP',
+        toType: funcNameUpper,
         positionStart,
         positionEnd: state.lastPos,
       }
@@ -177,7 +219,7 @@ function parsePrimaryBase(state) {
       const fieldUpper = fieldTok.value.toUpperCase()
       if (!isExtractField(fieldUpper)) {
         throw new SyntaxError({
-          expected: 'extract field (YEAR, MONTH, DAY, HOUR, MINUTE, SECOND, DOW, EPOCH)',
+          expected: 'extract field (YEAR, QUARTER, MONTH, WEEK, DAY, HOUR, MINUTE, SECOND, MILLISECOND, DOW, EPOCH)',
           after: 'EXTRACT(',
           ...fieldTok,
         })
@@ -375,14 +417,20 @@ function parsePrimaryBase(state) {
 }
 
 /**
+ * Parses `INTERVAL 3 DAY`, `INTERVAL '3' DAY`, or a quoted interval with its
+ * units inside like `INTERVAL '1 day 3 hours'`.
+ *
  * @param {ParserState} state
- * @returns {IntervalNode}
+ * @returns {ExprNode}
  */
 function parseInterval(state) {
   const { positionStart } = expect(state, 'keyword', 'INTERVAL')
 
   // Get value (number or quoted string)
   const valueTok = current(state)
+  if (valueTok.type === 'string' && /[a-z]/i.test(valueTok.value)) {
+    return parseIntervalString(state, positionStart)
+  }
   /** @type {number} */
   let value
   if (valueTok.type === 'number') {
@@ -397,15 +445,56 @@ function parseInterval(state) {
   }
   consume(state)
 
-  // Get unit keyword
+  // Get unit. WEEK, QUARTER and MILLISECOND are not keywords, so that they
+  // stay usable as column names, and arrive as identifiers.
   const unitTok = consume(state)
-  if (unitTok.type !== 'keyword' || !isIntervalUnit(unitTok.value)) {
+  const unit = unitTok.value.toUpperCase()
+  if (unitTok.type !== 'keyword' && unitTok.type !== 'identifier' || !isIntervalUnit(unit)) {
     throw new InvalidLiteralError({
       expected: 'interval unit',
-      validValues: 'DAY, MONTH, YEAR, HOUR, MINUTE, SECOND',
+      validValues: INTERVAL_UNITS,
       ...unitTok,
     })
   }
 
-  return { type: 'interval', value, unit: unitTok.value, positionStart, positionEnd: state.lastPos }
+  return { type: 'interval', value, unit, positionStart, positionEnd: state.lastPos }
+}
+
+/**
+ * Parses a quoted interval like '1 day 3 hours' into a sum of single-unit
+ * intervals. Units are case-insensitive and may be plural.
+ *
+ * @param {ParserState} state
+ * @param {number} positionStart
+ * @returns {ExprNode}
+ */
+function parseIntervalString(state, positionStart) {
+  const valueTok = consume(state)
+  const positionEnd = state.lastPos
+  if (!/^\s*([+-]?(\d+\.?\d*|\.\d+)\s*[a-z]+\s*)+$/i.test(valueTok.value)) {
+    throw new InvalidLiteralError({ expected: 'interval', ...valueTok, value: `'${valueTok.value}'` })
+  }
+
+  /** @type {IntervalNode[]} */
+  const parts = []
+  for (const [, number, , word] of valueTok.value.matchAll(/([+-]?(\d+\.?\d*|\.\d+))\s*([a-z]+)/gi)) {
+    const unit = word.toUpperCase().replace(/S$/, '')
+    if (!isIntervalUnit(unit)) {
+      throw new InvalidLiteralError({
+        expected: 'interval unit',
+        value: word,
+        validValues: INTERVAL_UNITS,
+        positionStart: valueTok.positionStart,
+        positionEnd,
+      })
+    }
+    parts.push({ type: 'interval', value: Number(number), unit, positionStart, positionEnd })
+  }
+
+  /** @type {ExprNode} */
+  let expr = parts[0]
+  for (const part of parts.slice(1)) {
+    expr = { type: 'binary', op: '+', left: expr, right: part, positionStart, positionEnd }
+  }
+  return expr
 }
@@ -16,6 +16,8 @@ export function tokenizeSql(query) {
   const tokens = []
   const len = query.length
   let i = 0 // current position in query string
+  let positionalParams = 0 // `?` placeholders seen so far
+  let numberedParams = false // whether `$1` placeholders were seen
 
   /**
    * @returns {string}
@@ -102,6 +104,7 @@ export function tokenizeSql(query) {
         lastToken.type === 'identifier' ||
         lastToken.type === 'number' ||
         lastToken.type === 'string' ||
+        lastToken.type === 'param' ||
         lastToken.type === 'paren' && lastToken.value === ')'
       )
       if (!isValueBefore) {
@@ -116,6 +119,33 @@ export function tokenizeSql(query) {
       continue
     }
 
+    // parameter placeholders: `?` numbered in order, `$1`, and `:name`
+    if (ch === '?' || ch === '$' && isDigit(next) || ch === ':' && isAlpha(next)) {
+      i++
+      if (ch === '$') {
+        while (isDigit(query[i])) i++
+      } else if (ch === ':') {
+        while (isAlphaNumeric(query[i])) i++
+      }
+      const originalValue = query.slice(positionStart, i)
+      if (ch === '?' && numberedParams || ch === '$' && positionalParams) {
+        throw new ParseError({
+          message: `Cannot mix ? and $n placeholders, found ${originalValue} at position ${positionStart}`,
+          positionStart,
+          positionEnd: i,
+        })
+      }
+      if (ch === '$') numberedParams = true
+      tokens.push({
+        type: 'param',
+        value: ch === '?' ? String(++positionalParams) : originalValue.slice(1),
+        originalValue,
+        positionStart,
+        positionEnd: i,
+      })
+      continue
+    }
+
     // identifiers / keywords
     if (isAlpha(ch)) {
       do {
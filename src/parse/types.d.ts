@@ -19,13 +19,16 @@ export type TokenType =
   | 'paren'
   | 'bracket'
   | 'semicolon'
+  | 'param'
   | 'eof'
 
 export interface Token {
   type: TokenType
   value: string
   numericValue?: number | bigint // only for type number
-  originalValue?: string // keywords are uppercased, this keeps the original case
+  // keywords are uppercased and params reduced to their position or name,
+  // this keeps the text as written
+  originalValue?: string
   positionStart: number
   positionEnd: number
 }
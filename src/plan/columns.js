@@ -3,7 +3,7 @@ import { derivedAlias } from '../expression/alias.js'
 import { tableFunctionDefaultColumns } from '../parse/parse.js'
 
 /**
- * @import { AsyncDataSource, ExprNode, FromFunction, FromSubquery, FromTable, IdentifierNode, SelectStatement, Statement } from '../types.js'
+ * @import { AsyncDataSource, ExprNode, FromFunction, FromPivot, FromSource, FromUnpivot, IdentifierNode, SelectStatement, Statement } from '../types.js'
  */
 
 /**
@@ -15,7 +15,7 @@ import { tableFunctionDefaultColumns } from '../parse/parse.js'
  */
 
 /**
- * @param {FromTable | FromSubquery | FromFunction | undefined} from
+ * @param {FromSource | undefined} from
  * @returns {string | undefined}
  */
 export function fromAlias(from) {
@@ -23,6 +23,8 @@ export function fromAlias(from) {
   if (from.alias) return from.alias
   if (from.type === 'table') return from.table
   if (from.type === 'function') return from.funcName.toLowerCase()
+  // Unaliased PIVOT or UNPIVOT keeps the name of the source it reshapes
+  if (from.type === 'pivot' || from.type === 'unpivot') return fromAlias(from.source)
   // Unaliased subquery: no natural name. Callers that need a stable alias
   // should require one at parse time.
   return 'table'
@@ -62,6 +64,77 @@ export function tableFunctionColumnNames(from) {
   return result
 }
 
+/**
+ * Wraps the source of a PIVOT or UNPIVOT as `SELECT * FROM source`, so it is
+ * planned and has its columns inferred like a derived table.
+ *
+ * @param {FromPivot | FromUnpivot} from
+ * @returns {SelectStatement}
+ */
+export function reshapeSourceStatement(from) {
+  const { positionStart, positionEnd } = from.source
+  return {
+    type: 'select',
+    distinct: false,
+    columns: [{ type: 'star', positionStart, positionEnd }],
+    from: from.source,
+    joins: [],
+    groupBy: [],
+    orderBy: [],
+    positionStart,
+    positionEnd,
+  }
+}
+
+/**
+ * Returns the source columns a PIVOT groups by: every column that is neither
+ * the pivot column nor read by an aggregate.
+ *
+ * @param {FromPivot} from
+ * @param {string[]} sourceColumns
+ * @returns {string[]}
+ */
+export function pivotGroupColumns(from, sourceColumns) {
+  /** @type {IdentifierNode[]} */
+  const identifiers = []
+  for (const agg of from.aggregates) {
+    collectColumnsFromExpr(agg.expr, identifiers)
+  }
+  const consumed = new Set([from.column, ...identifiers.map(id => id.name)])
+  return sourceColumns.filter(col => !consumed.has(col))
+}
+
+/**
+ * Returns the names of the columns a PIVOT produces, one per IN value and
+ * aggregate. With several aggregates, or an aliased one, the value name is
+ * suffixed with the aggregate name (e.g. `jan_total`).
+ *
+ * @param {FromPivot} from
+ * @returns {string[]}
+ */
+export function pivotValueColumns(from) {
+  const suffixed = from.aggregates.length > 1 || from.aggregates.some(agg => agg.alias)
+  return from.values.flatMap(({ value, alias }) => {
+    const name = alias ?? String(value)
+    return from.aggregates.map(agg => suffixed ? `${name}_${agg.alias ?? derivedAlias(agg.expr)}` : name)
+  })
+}
+
+/**
+ * Returns the output columns of a PIVOT or UNPIVOT given its source columns.
+ *
+ * @param {FromPivot | FromUnpivot} from
+ * @param {string[]} sourceColumns
+ * @returns {string[]}
+ */
+export function reshapeColumnNames(from, sourceColumns) {
+  if (from.type === 'pivot') {
+    return [...pivotGroupColumns(from, sourceColumns), ...pivotValueColumns(from)]
+  }
+  const unpivoted = new Set(from.columns.map(col => col.name))
+  return [...sourceColumns.filter(col => !unpivoted.has(col)), from.nameColumn, from.valueColumn]
+}
+
 /**
  * Extracts per-table column names needed from a SELECT statement with joins.
  * Returns a Map from table alias to column names, or undefined if all columns needed.
@@ -166,6 +239,7 @@ export function extractColumns({ select, parentColumns, scopeColumns, cteColumns
     collectColumnsFromExpr(expr, identifiers, selectAliases, collectionContext)
   }
   collectColumnsFromExpr(select.having, identifiers, selectAliases, collectionContext)
+  collectColumnsFromExpr(select.qualify, identifiers, selectAliases, collectionContext)
   /** @type {string[]} */
   const visibleLateralAliases = []
   if (sourceAlias !== undefined) visibleLateralAliases.push(sourceAlias)
@@ -270,6 +344,7 @@ export function collectColumnsFromExpr(expr, columns, aliases, context) {
       collectColumnsFromExpr(arg, columns, aliases, context)
     }
     collectColumnsFromExpr(expr.filter, columns, aliases, context)
+    for (const o of expr.orderBy ?? []) collectColumnsFromExpr(o.expr, columns, aliases, context)
   } else if (expr.type === 'window') {
     for (const arg of expr.args) collectColumnsFromExpr(arg, columns, aliases, context)
     for (const p of expr.partitionBy) collectColumnsFromExpr(p, columns, aliases, context)
@@ -362,6 +437,7 @@ function collectCorrelatedColumnsFromStatement(stmt, columns, context) {
   }
   for (const expr of stmt.groupBy) collectColumnsFromExpr(expr, identifiers, undefined, nestedContext)
   collectColumnsFromExpr(stmt.having, identifiers, undefined, nestedContext)
+  collectColumnsFromExpr(stmt.qualify, identifiers, undefined, nestedContext)
   for (const item of stmt.orderBy) collectColumnsFromExpr(item.expr, identifiers, undefined, nestedContext)
 
   const localColumns = context
@@ -451,6 +527,10 @@ export function inferSelectSourceColumns({ select, cteColumns, tables }) {
   if (select.from.type === 'subquery') {
     return inferStatementColumns({ stmt: select.from.query, cteColumns, tables })
   }
+  if (select.from.type === 'pivot' || select.from.type === 'unpivot') {
+    const sourceColumns = inferStatementColumns({ stmt: reshapeSourceStatement(select.from), cteColumns, tables })
+    return reshapeColumnNames(select.from, sourceColumns)
+  }
 
   if (select.from.type === 'function') {
     if (!select.joins.length) {
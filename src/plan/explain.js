@@ -0,0 +1,322 @@
+import { stringify } from '../execute/utils.js'
+
+/**
+ * @import { ExprNode, FrameBound, OrderByItem, PlanStats, SelectColumn, SqlPrimitive } from '../types.js'
+ * @import { QueryPlan } from './types.js'
+ */
+
+// Binding strength of binary operators, for parenthesizing nested operands
+/** @type {Record<string, number>} */
+const PRECEDENCE = {
+  OR: 1,
+  AND: 2,
+  '=': 3, '==': 3, '!=': 3, '<>': 3, '<': 3, '>': 3, '<=': 3, '>=': 3, LIKE: 3,
+  '||': 4,
+  '+': 5, '-': 5,
+  '*': 6, '/': 6, '%': 6,
+}
+
+/**
+ * Renders a query plan as an indented text tree, one node per line with its
+ * children indented below it. When stats from an analyzed execution are
+ * given, each line ends with what that node did.
+ *
+ * @param {object} options
+ * @param {QueryPlan} options.plan
+ * @param {WeakMap<QueryPlan, PlanStats>} [options.stats] - collected via ExecuteContext.planStats
+ * @returns {string}
+ */
+export function explainPlan({ plan, stats }) {
+  /** @type {string[]} */
+  const lines = []
+  explainNode(plan, 0, lines, stats)
+  return lines.join('\n')
+}
+
+/**
+ * @param {QueryPlan} plan
+ * @param {number} depth
+ * @param {string[]} lines
+ * @param {WeakMap<QueryPlan, PlanStats>} [stats]
+ */
+function explainNode(plan, depth, lines, stats) {
+  let line = '  '.repeat(depth) + describeNode(plan)
+  if (stats) {
+    const nodeStats = stats.get(plan)
+    if (nodeStats) {
+      const loops = nodeStats.loops > 1 ? `, loops=${nodeStats.loops}` : ''
+      line += ` (actual rows=${nodeStats.rows}, cells=${nodeStats.cells}, time=${nodeStats.elapsed.toFixed(3)}ms${loops})`
+    } else {
+      line += ' (never executed)'
+    }
+  }
+  lines.push(line)
+  for (const child of planChildren(plan)) {
+    explainNode(child, depth + 1, lines, stats)
+  }
+}
+
+/**
+ * Returns the inputs of a plan node, in execution order.
+ *
+ * @param {QueryPlan} plan
+ * @returns {QueryPlan[]}
+ */
+export function planChildren(plan) {
+  if (plan.type === 'HashJoin' || plan.type === 'NestedLoopJoin' || plan.type === 'SpatialJoin' || plan.type === 'PositionalJoin' || plan.type === 'SetOperation') {
+    return [plan.left, plan.right]
+  }
+  if (plan.type === 'RecursiveCTE') return [plan.anchor, plan.recursive]
+  if ('child' in plan) return [plan.child]
+  return []
+}
+
+/**
+ * One-line description of a plan node, without its children.
+ *
+ * @param {QueryPlan} plan
+ * @returns {string}
+ */
+function describeNode(plan) {
+  switch (plan.type) {
+  case 'Scan': {
+    const { columns, where, limit, offset } = plan.hints
+    const alias = plan.alias && plan.alias !== plan.table ? ` AS ${plan.alias}` : ''
+    return `Scan ${plan.table}${alias}` + details([
+      columns && `columns: ${columns.join(', ')}`,
+      where && `where: ${formatExpr(where)}`,
+      limit !== undefined && `limit: ${limit}`,
+      offset !== undefined && `offset: ${offset}`,
+    ])
+  }
+  case 'SingleRow':
+    return 'SingleRow'
+  case 'Count':
+    return `Count ${plan.table}: ${plan.columns.map(formatColumn).join(', ')}`
+  case 'Filter':
+    return `Filter: ${formatExpr(plan.condition)}`
+  case 'Project':
+    return `Project: ${plan.columns.map(formatColumn).join(', ')}`
+  case 'Sort':
+    return `Sort: ${formatOrderBy(plan.orderBy)}` + details([plan.topK !== undefined && `topK: ${plan.topK}`])
+  case 'Distinct':
+    return 'Distinct'
+  case 'Limit':
+    return 'Limit' + details([
+      plan.limit !== undefined && `limit: ${plan.limit}`,
+      plan.offset !== undefined && `offset: ${plan.offset}`,
+    ])
+  case 'HashAggregate': {
+    const { groupBy, groupingSets } = plan
+    return `HashAggregate: ${plan.columns.map(formatColumn).join(', ')}` + details([
+      `group by: ${groupBy.map(formatExpr).join(', ')}`,
+      groupingSets && `grouping sets: ${groupingSets.map(set => `(${set.keys.map(i => formatExpr(groupBy[i])).join(', ')})`).join(', ')}`,
+      plan.having && `having: ${formatExpr(plan.having)}`,
+    ])
+  }
+  case 'ScalarAggregate':
+    return `ScalarAggregate: ${plan.columns.map(formatColumn).join(', ')}` + details([
+      plan.having && `having: ${formatExpr(plan.having)}`,
+    ])
+  case 'HashJoin':
+    return `HashJoin ${plan.joinType}` + details([
+      `keys: ${plan.leftKeys.map((key, i) => `${formatExpr(key)} = ${formatExpr(plan.rightKeys[i])}`).join(' AND ')}`,
+      plan.residual && `residual: ${formatExpr(plan.residual)}`,
+    ])
+  case 'NestedLoopJoin':
+    return `NestedLoopJoin ${plan.joinType}${plan.lateral ? ' LATERAL' : ''}` + details([
+      plan.condition && `on: ${formatExpr(plan.condition)}`,
+    ])
+  case 'SpatialJoin':
+    return `SpatialJoin ${plan.joinType}` + details([
+      `on: ${formatExpr(plan.condition)}`,
+    ])
+  case 'PositionalJoin':
+    return 'PositionalJoin'
+  case 'SetOperation':
+    return `SetOperation ${plan.operator}${plan.all ? ' ALL' : ''}`
+  case 'Subquery':
+    return 'Subquery' + details([plan.scope.length > 0 && `scope: ${plan.scope.join(', ')}`])
+  case 'TableFunction':
+    return `TableFunction: ${plan.funcName}(${plan.args.map(formatExpr).join(', ')})` + details([
+      `columns: ${plan.columnNames.join(', ')}`,
+    ])
+  case 'Window':
+    return `Window: ${plan.windows.map(spec => `${formatExpr({
+      type: 'window',
+      funcName: spec.funcName,
+      args: spec.args,
+      partitionBy: spec.partitionBy,
+      orderBy: spec.orderBy,
+      frame: spec.frame,
+      positionStart: 0,
+      positionEnd: 0,
+    })} AS ${spec.alias}`).join(', ')}`
+  case 'Pivot':
+    return `Pivot: ${plan.aggregates.map(formatExpr).join(', ')} FOR ${plan.column} IN (${plan.values.map(formatLiteral).join(', ')})` + details([
+      plan.groupBy.length > 0 && `group by: ${plan.groupBy.join(', ')}`,
+    ])
+  case 'Unpivot': {
+    const columns = plan.unpivot.map(({ column, label }) => label === column ? column : `${column} AS ${formatLiteral(label)}`)
+    return `Unpivot: ${plan.valueColumn} FOR ${plan.nameColumn} IN (${columns.join(', ')})` + details([
+      plan.includeNulls && 'include nulls',
+    ])
+  }
+  case 'RecursiveCTE':
+    return `RecursiveCTE ${plan.name}` + details([`UNION${plan.all ? ' ALL' : ''}`])
+  case 'WorkTable':
+    return `WorkTable ${plan.name}`
+  case 'Explain':
+    return plan.analyze ? 'Explain Analyze' : 'Explain'
+  }
+}
+
+/**
+ * Joins the given details into a parenthesized suffix, skipping empty ones.
+ *
+ * @param {(string | false | undefined)[]} parts
+ * @returns {string}
+ */
+function details(parts) {
+  const present = parts.filter(Boolean)
+  return present.length ? ` (${present.join('; ')})` : ''
+}
+
+/**
+ * @param {SelectColumn} col
+ * @returns {string}
+ */
+function formatColumn(col) {
+  if (col.type === 'star') return col.table ? `${col.table}.*` : '*'
+  return col.alias ? `${formatExpr(col.expr)} AS ${col.alias}` : formatExpr(col.expr)
+}
+
+/**
+ * @param {OrderByItem[]} orderBy
+ * @returns {string}
+ */
+function formatOrderBy(orderBy) {
+  return orderBy.map(term => {
+    const nulls = term.nulls ? ` NULLS ${term.nulls}` : ''
+    return `${formatExpr(term.expr)} ${term.direction}${nulls}`
+  }).join(', ')
+}
+
+/**
+ * @param {SqlPrimitive} value
+ * @returns {string}
+ */
+function formatLiteral(value) {
+  if (value === null) return 'NULL'
+  if (typeof value === 'string') return `'${value.replaceAll('\'', '\'\'')}'`
+  if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE'
+  if (typeof value === 'number' || typeof value === 'bigint') return String(value)
+  if (value instanceof Date) return `TIMESTAMP '${value.toISOString()}'`
+  return stringify(value)
+}
+
+/**
+ * @param {FrameBound} bound
+ * @returns {string}
+ */
+function formatBound(bound) {
+  return bound.offset === undefined ? bound.type : `${bound.offset} ${bound.type}`
+}
+
+/**
+ * Renders an expression back to SQL. Subqueries are elided, since the plan
+ * for them is only built when they run.
+ *
+ * @param {ExprNode} node
+ * @returns {string}
+ */
+function formatExpr(node) {
+  switch (node.type) {
+  case 'literal':
+    return formatLiteral(node.value)
+  case 'identifier':
+    return node.prefix ? `${node.prefix}.${node.name}` : node.name
+  case 'param':
+    return node.name === undefined ? `$${node.index}` : `:${node.name}`
+  case 'star':
+    return '*'
+  case 'unary': {
+    const argument = node.argument.type === 'binary' ? `(${formatExpr(node.argument)})` : formatExpr(node.argument)
+    if (node.op === 'NOT') return `NOT ${argument}`
+    if (node.op === '-') return `-${argument}`
+    return `${argument} ${node.op}`
+  }
+  case 'binary': {
+    const precedence = PRECEDENCE[node.op]
+    const left = formatOperand(node.left, precedence, false)
+    const right = formatOperand(node.right, precedence, true)
+    return `${left} ${node.op} ${right}`
+  }
+  case 'function': {
+    const distinct = node.distinct ? 'DISTINCT ' : ''
+    const filter = node.filter ? ` FILTER (WHERE ${formatExpr(node.filter)})` : ''
+    if (node.withinGroup && node.orderBy) {
+      const args = node.args.slice(0, -1).map(formatExpr).join(', ')
+      return `${node.funcName}(${args}) WITHIN GROUP (ORDER BY ${formatOrderBy(node.orderBy)})${filter}`
+    }
+    const orderBy = node.orderBy ? ` ORDER BY ${formatOrderBy(node.orderBy)}` : ''
+    const limit = node.limit !== undefined ? ` LIMIT ${node.limit}` : ''
+    return `${node.funcName}(${distinct}${node.args.map(formatExpr).join(', ')}${orderBy}${limit})${filter}`
+  }
+  case 'window': {
+    const over = []
+    if (node.partitionBy.length) over.push(`PARTITION BY ${node.partitionBy.map(formatExpr).join(', ')}`)
+    if (node.orderBy.length) over.push(`ORDER BY ${formatOrderBy(node.orderBy)}`)
+    if (node.frame) {
+      over.push(`${node.frame.mode} BETWEEN ${formatBound(node.frame.start)} AND ${formatBound(node.frame.end)}`)
+    }
+    return `${node.funcName}(${node.args.map(formatExpr).join(', ')}) OVER (${over.join(' ')})`
+  }
+  case 'cast':
+    return `${node.tryCast ? 'TRY_CAST' : 'CAST'}(${formatExpr(node.expr)} AS ${node.toType})`
+  case 'in':
+    return `${formatExpr(node.expr)} IN (subquery)`
+  case 'in valuelist':
+    return `${formatExpr(node.expr)} IN (${node.values.map(formatExpr).join(', ')})`
+  case 'exists':
+    return 'EXISTS (subquery)'
+  case 'not exists':
+    return 'NOT EXISTS (subquery)'
+  case 'subquery':
+    return '(subquery)'
+  case 'case': {
+    const parts = ['CASE']
+    if (node.caseExpr) parts.push(formatExpr(node.caseExpr))
+    for (const when of node.whenClauses) {
+      parts.push(`WHEN ${formatExpr(when.condition)} THEN ${formatExpr(when.result)}`)
+    }
+    if (node.elseResult) parts.push(`ELSE ${formatExpr(node.elseResult)}`)
+    parts.push('END')
+    return parts.join(' ')
+  }
+  case 'interval':
+    return `INTERVAL ${node.value} ${node.unit}`
+  case 'subscript':
+    return `${formatExpr(node.expr)}[${formatExpr(node.index)}]`
+  }
+}
+
+/**
+ * Formats a binary operand, parenthesized when it binds more loosely than
+ * its parent, or equally on the right of a non-associative operator.
+ *
+ * @param {ExprNode} node
+ * @param {number} parentPrecedence
+ * @param {boolean} isRight
+ * @returns {string}
+ */
+function formatOperand(node, parentPrecedence, isRight) {
+  const text = formatExpr(node)
+  if (node.type !== 'binary') return text
+  const precedence = PRECEDENCE[node.op]
+  const associative = node.op === 'AND' || node.op === 'OR' || node.op === '+' || node.op === '*' || node.op === '||'
+  if (precedence < parentPrecedence || isRight && precedence === parentPrecedence && !associative) {
+    return `(${text})`
+  }
+  return text
+}
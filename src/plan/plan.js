@@ -1,14 +1,17 @@
-import { derivedAlias } from '../expression/alias.js'
+import { derivedAlias, exprSig } from '../expression/alias.js'
+import { extractTables } from '../parse/extractTables.js'
+import { bindParams } from '../parse/params.js'
 import { parseSql } from '../parse/parse.js'
 import { findAggregate } from '../validation/aggregates.js'
+import { isAggregateFunc } from '../validation/functions.js'
 import { ParseError } from '../validation/parseErrors.js'
 import { ColumnNotFoundError, TableNotFoundError } from '../validation/tables.js'
 import { validateNoIdentifiers, validateScan, validateTableRefs } from '../validation/tables.js'
-import { collectColumnsFromExpr, collectScopeColumns, extractColumns, fromAlias, inferSelectSourceColumns, inferStatementColumns, statementScope, tableFunctionColumnNames } from './columns.js'
+import { collectColumnsFromExpr, collectScopeColumns, extractColumns, fromAlias, inferSelectSourceColumns, inferStatementColumns, pivotGroupColumns, pivotValueColumns, reshapeColumnNames, reshapeSourceStatement, statementScope, tableFunctionColumnNames } from './columns.js'
 
 /**
- * @import { AsyncDataSource, DerivedColumn, ExprNode, FromFunction, IdentifierNode, JoinClause, OrderByItem, PlanSqlOptions, ScanOptions, SelectColumn, SelectStatement, SetOperationStatement, Statement, WindowFunctionNode } from '../types.js'
- * @import { HashJoinNode, QueryPlan, TableFunctionNode, WindowSpec } from './types.js'
+ * @import { AsyncDataSource, CTEDefinition, DerivedColumn, ExprNode, FromFunction, FromPivot, FromUnpivot, IdentifierNode, JoinClause, OrderByItem, PlanSqlOptions, ScanOptions, SelectColumn, SelectStatement, SetOperationStatement, Statement, UserDefinedFunction, WindowFunctionNode } from '../types.js'
+ * @import { GroupingSet, HashAggregateNode, HashJoinNode, PivotNode, QueryPlan, SpatialJoinNode, TableFunctionNode, UnpivotNode, WindowSpec } from './types.js'
  */
 
 /**
@@ -18,10 +21,13 @@ import { collectColumnsFromExpr, collectScopeColumns, extractColumns, fromAlias,
  * @param {PlanSqlOptions} options
  * @returns {QueryPlan} the root of the query plan tree
  */
-export function planSql({ query, functions, tables, ctePlans, cteColumns }) {
-  /** @type {Statement} */
-  const stmt = typeof query === 'string' ? parseSql({ query, functions }) : query
-  return planStatement({ stmt, tables, ctePlans, cteColumns })
+export function planSql({ query, functions, params, tables, ctePlans, cteColumns }) {
+  // Placeholders must all be bound before planning
+  const stmt = bindParams(typeof query === 'string' ? parseSql({ query, functions }) : query, params)
+  if (stmt.type === 'explain') {
+    return { type: 'Explain', analyze: stmt.analyze, child: planStatement({ stmt: stmt.query, tables, functions, ctePlans, cteColumns }) }
+  }
+  return planStatement({ stmt, tables, functions, ctePlans, cteColumns })
 }
 
 /**
@@ -32,26 +38,144 @@ export function planSql({ query, functions, tables, ctePlans, cteColumns }) {
  * @param {Map<string, QueryPlan>} [options.ctePlans]
  * @param {Map<string, string[]>} [options.cteColumns]
  * @param {Record<string, AsyncDataSource>} [options.tables]
+ * @param {Record<string, UserDefinedFunction>} [options.functions]
  * @param {IdentifierNode[]} [options.parentColumns] - columns needed by the parent query (for subquery pushdown)
  * @param {string[]} [options.outerScope] - aliases from an outer query (for correlated subqueries)
  * @returns {QueryPlan}
  */
-export function planStatement({ stmt, ctePlans, cteColumns, tables, parentColumns, outerScope }) {
+export function planStatement({ stmt, ctePlans, cteColumns, tables, functions, parentColumns, outerScope }) {
   if (stmt.type === 'with') {
     // Build CTE plans in order (each CTE can reference preceding CTEs)
     ctePlans ??= new Map()
     cteColumns ??= new Map()
     for (const cte of stmt.ctes) {
-      const ctePlan = planStatement({ stmt: cte.query, ctePlans, cteColumns, tables })
-      ctePlans.set(cte.name.toLowerCase(), ctePlan)
-      cteColumns.set(cte.name.toLowerCase(), inferStatementColumns({ stmt: cte.query, cteColumns, tables }))
+      const name = cte.name.toLowerCase()
+      if (stmt.recursive && referencesTable(cte.query, name)) {
+        const recursivePlan = planRecursiveCTE({ cte, ctePlans, cteColumns, tables, functions })
+        ctePlans.set(name, recursivePlan.plan)
+        cteColumns.set(name, recursivePlan.columns)
+        continue
+      }
+      let ctePlan = planStatement({ stmt: cte.query, ctePlans, cteColumns, tables, functions })
+      let columns = inferStatementColumns({ stmt: cte.query, cteColumns, tables })
+      if (cte.columns) {
+        expectColumnCount(cte, columns.length)
+        ctePlan = { type: 'Project', columns: renameColumns(columns, cte.columns, cte), child: ctePlan }
+        columns = cte.columns
+      }
+      ctePlans.set(name, ctePlan)
+      cteColumns.set(name, columns)
     }
-    return planStatement({ stmt: stmt.query, ctePlans, cteColumns, tables, parentColumns, outerScope })
+    return planStatement({ stmt: stmt.query, ctePlans, cteColumns, tables, functions, parentColumns, outerScope })
   }
   if (stmt.type === 'compound') {
-    return planSetOperation({ compound: stmt, ctePlans, cteColumns, tables, parentColumns })
+    return planSetOperation({ compound: stmt, ctePlans, cteColumns, tables, functions, parentColumns })
   }
-  return planSelect({ select: stmt, ctePlans, cteColumns, tables, parentColumns, outerScope })
+  return planSelect({ select: stmt, ctePlans, cteColumns, tables, functions, parentColumns, outerScope })
+}
+
+/**
+ * Plans a self-referencing CTE of a WITH RECURSIVE clause. The body must be
+ * an anchor query that does not reference the CTE, combined by UNION [ALL]
+ * with a recursive term that does. While the recursive term is planned, the
+ * CTE name resolves to a WorkTable node holding the previous iteration's rows.
+ *
+ * @param {object} options
+ * @param {CTEDefinition} options.cte
+ * @param {Map<string, QueryPlan>} options.ctePlans
+ * @param {Map<string, string[]>} options.cteColumns
+ * @param {Record<string, AsyncDataSource>} [options.tables]
+ * @param {Record<string, UserDefinedFunction>} [options.functions]
+ * @returns {{ plan: QueryPlan, columns: string[] }}
+ */
+function planRecursiveCTE({ cte, ctePlans, cteColumns, tables, functions }) {
+  const name = cte.name.toLowerCase()
+  const body = cte.query
+  if (body.type !== 'compound' || body.operator !== 'UNION' || referencesTable(body.left, name)) {
+    throw new ParseError({
+      message: `Recursive CTE "${cte.name}" must be a non-recursive query combined with a recursive query by UNION or UNION ALL`,
+      ...cte,
+    })
+  }
+
+  const anchor = planStatement({ stmt: body.left, ctePlans, cteColumns, tables, functions })
+  const anchorColumns = inferStatementColumns({ stmt: body.left, cteColumns, tables })
+  if (cte.columns) expectColumnCount(cte, anchorColumns.length)
+  const columns = cte.columns ?? anchorColumns
+
+  ctePlans.set(name, { type: 'WorkTable', name, columns })
+  cteColumns.set(name, columns)
+  const recursive = planStatement({ stmt: body.right, ctePlans, cteColumns, tables, functions })
+  expectColumnCount(cte, inferStatementColumns({ stmt: body.right, cteColumns, tables }).length, columns.length)
+
+  /** @type {QueryPlan} */
+  let plan = {
+    type: 'RecursiveCTE',
+    name,
+    columns,
+    all: body.all,
+    anchor,
+    recursive,
+    anchorScope: statementScope(body.left),
+    recursiveScope: statementScope(body.right),
+    positionStart: cte.positionStart,
+    positionEnd: cte.positionEnd,
+  }
+  if (body.orderBy.length) {
+    plan = { type: 'Sort', orderBy: body.orderBy, child: plan }
+  }
+  if (body.limit !== undefined || body.offset) {
+    if (body.limit !== undefined) pushLimitIntoSort(plan, body.limit, body.offset)
+    plan = { type: 'Limit', limit: body.limit, offset: body.offset, child: plan }
+  }
+  return { plan, columns }
+}
+
+/**
+ * Reports whether a statement reads the named table or CTE anywhere,
+ * including inside subqueries.
+ *
+ * @param {Statement} stmt
+ * @param {string} name - lowercase table name
+ * @returns {boolean}
+ */
+function referencesTable(stmt, name) {
+  return extractTables(stmt).some(table => table.toLowerCase() === name)
+}
+
+/**
+ * Throws if a CTE query produces a different number of columns than its
+ * column list declares.
+ *
+ * @param {CTEDefinition} cte
+ * @param {number} actual - number of columns the query produces
+ * @param {number} [expected] - defaults to the length of the column list
+ */
+function expectColumnCount(cte, actual, expected = cte.columns?.length) {
+  if (expected === undefined || actual === expected) return
+  throw new ParseError({
+    message: `CTE "${cte.name}" expects ${expected} columns but its query produces ${actual}`,
+    ...cte,
+  })
+}
+
+/**
+ * Builds a projection that renames each column positionally.
+ *
+ * @param {string[]} columns - source column names
+ * @param {string[]} aliases - output column names
+ * @param {CTEDefinition} cte - for source positions
+ * @returns {DerivedColumn[]}
+ */
+function renameColumns(columns, aliases, cte) {
+  const { positionStart, positionEnd } = cte
+  return columns.map((name, i) => ({
+    type: 'derived',
+    expr: { type: 'identifier', name, positionStart, positionEnd },
+    alias: aliases[i],
+    positionStart,
+    positionEnd,
+  }))
 }
 
 /**
@@ -62,12 +186,13 @@ export function planStatement({ stmt, ctePlans, cteColumns, tables, parentColumn
  * @param {Map<string, QueryPlan>} [options.ctePlans]
  * @param {Map<string, string[]>} [options.cteColumns]
  * @param {Record<string, AsyncDataSource>} [options.tables]
+ * @param {Record<string, UserDefinedFunction>} [options.functions]
  * @param {IdentifierNode[]} [options.parentColumns] - columns needed by the parent query
  * @returns {QueryPlan}
  */
-function planSetOperation({ compound, ctePlans, cteColumns, tables, parentColumns }) {
-  const left = planStatement({ stmt: compound.left, ctePlans, cteColumns, tables, parentColumns })
-  const right = planStatement({ stmt: compound.right, ctePlans, cteColumns, tables, parentColumns })
+function planSetOperation({ compound, ctePlans, cteColumns, tables, functions, parentColumns }) {
+  const left = planStatement({ stmt: compound.left, ctePlans, cteColumns, tables, functions, parentColumns })
+  const right = planStatement({ stmt: compound.right, ctePlans, cteColumns, tables, functions, parentColumns })
   const leftColumns = inferStatementColumns({ stmt: compound.left, cteColumns, tables })
   const rightColumns = inferStatementColumns({ stmt: compound.right, cteColumns, tables })
 
@@ -105,11 +230,12 @@ function planSetOperation({ compound, ctePlans, cteColumns, tables, parentColumn
  * @param {Map<string, QueryPlan>} [options.ctePlans]
  * @param {Map<string, string[]>} [options.cteColumns]
  * @param {Record<string, AsyncDataSource>} [options.tables]
+ * @param {Record<string, UserDefinedFunction>} [options.functions]
  * @param {IdentifierNode[]} [options.parentColumns] - columns needed by the parent query (for subquery pushdown)
  * @param {string[]} [options.outerScope] - aliases from an outer query (for correlated subqueries)
  * @returns {QueryPlan}
  */
-function planSelect({ select, ctePlans, cteColumns, tables, parentColumns, outerScope }) {
+function planSelect({ select, ctePlans, cteColumns, tables, functions, parentColumns, outerScope }) {
   // Reject window functions in clauses where they're not permitted.
   expectNoWindowFunction(select.where, 'WHERE')
   expectNoWindowFunction(select.having, 'HAVING')
@@ -128,8 +254,17 @@ function planSelect({ select, ctePlans, cteColumns, tables, parentColumns, outer
     if (expr === col.expr) return col
     return { ...col, expr, alias: originalAlias }
   })
+  // Window functions that appear only in QUALIFY are computed by the same
+  // Window node and dropped by the projection
+  const qualify = collectWindows(select.qualify, windows)
 
-  if (windows.length && select.columns.some(col => col.type === 'derived' && findAggregate(col.expr))) {
+  if (select.qualify && (select.groupBy.length || select.columns.some(col => col.type === 'derived' && findAggregate(col.expr, functions)))) {
+    throw new ParseError({
+      message: 'QUALIFY is not supported in queries with aggregation',
+      ...select.qualify,
+    })
+  }
+  if (windows.length && select.columns.some(col => col.type === 'derived' && findAggregate(col.expr, functions))) {
     throw new ParseError({
       message: 'Window functions are not supported in queries with aggregation',
       ...select,
@@ -149,11 +284,11 @@ function planSelect({ select, ctePlans, cteColumns, tables, parentColumns, outer
 
   // Check for aggregation
   const hasAggregate = select.columns.some(col =>
-    col.type === 'derived' && findAggregate(col.expr)
+    col.type === 'derived' && findAggregate(col.expr, functions)
   )
   const useGrouping = hasAggregate || select.groupBy.length > 0
-  // Windows with PARTITION BY or ORDER BY buffer; `OVER ()` streams.
-  const bufferingWindows = windows.some(w => w.partitionBy.length > 0 || w.orderBy.length > 0)
+  // Only ROW_NUMBER() OVER () streams; every other window buffers its input.
+  const bufferingWindows = windows.some(w => w.funcName !== 'ROW_NUMBER' || w.partitionBy.length > 0 || w.orderBy.length > 0)
   const needsBuffering = useGrouping || select.orderBy.length > 0 || bufferingWindows
 
   // Source alias for FROM clause (undefined for FROM-less SELECT)
@@ -194,6 +329,7 @@ function planSelect({ select, ctePlans, cteColumns, tables, parentColumns, outer
   // Validate qualified references in other clauses
   validateTableRefs(select.where, scopeTables, scopeColumns)
   validateTableRefs(select.having, scopeTables, scopeColumns)
+  validateTableRefs(select.qualify, scopeTables, scopeColumns)
   for (const expr of select.groupBy) {
     validateTableRefs(expr, scopeTables, scopeColumns)
   }
@@ -228,7 +364,7 @@ function planSelect({ select, ctePlans, cteColumns, tables, parentColumns, outer
   }
   if (!select.joins.length) {
     hints.where = select.where
-    if (!needsBuffering && !select.distinct) {
+    if (!needsBuffering && !select.distinct && !qualify) {
       hints.limit = select.limit
       hints.offset = select.offset
     }
@@ -236,12 +372,12 @@ function planSelect({ select, ctePlans, cteColumns, tables, parentColumns, outer
 
   // Start with the data source (FROM clause)
   /** @type {QueryPlan} */
-  let plan = planFrom({ select, ctePlans, cteColumns, hints, tables, outerScope })
+  let plan = planFrom({ select, ctePlans, cteColumns, hints, tables, functions, outerScope })
   pruneAggregateColumns(plan, subqueryNeeds)
 
   // Add JOINs
   if (select.joins.length) {
-    plan = planJoin({ left: plan, joins: select.joins, leftTable: sourceAlias, ctePlans, cteColumns, perTableColumns, tables, outerScope })
+    plan = planJoin({ left: plan, joins: select.joins, leftTable: sourceAlias, ctePlans, cteColumns, perTableColumns, tables, functions, outerScope })
   }
 
   // Whether FROM resolved to our own direct table scan
@@ -269,11 +405,22 @@ function planSelect({ select, ctePlans, cteColumns, tables, parentColumns, outer
         child: plan,
       }
       if (orderBy.length) aggregatePlan.orderBy = orderBy
+      if (select.groupingSets) {
+        aggregatePlan.groupingSets = select.groupingSets.map(keys => planGroupingSet(aggregatePlan, keys, functions))
+      } else {
+        // A plain GROUP BY is a single set of every key
+        const set = planGroupingSet(aggregatePlan, groupBy.map((_, i) => i), functions)
+        aggregatePlan.columns = set.columns
+        aggregatePlan.having = set.having
+        if (set.orderBy) aggregatePlan.orderBy = set.orderBy
+      }
       plan = aggregatePlan
     } else if (!select.having && !select.where && plan.type === 'Scan' && isOwnScan && isAllCountStar(select.columns)) {
       plan = { type: 'Count', table: plan.table, columns: select.columns }
     } else {
-      plan = { type: 'ScalarAggregate', columns, having: select.having, child: plan }
+      // GROUPING() has no keys to refer to here, so the rewrite rejects it
+      const set = planGroupingSet({ groupBy: [], columns, having: select.having }, [], functions)
+      plan = { type: 'ScalarAggregate', columns: set.columns, having: set.having, child: plan }
     }
 
     // ORDER BY (after aggregation)
@@ -300,6 +447,11 @@ function planSelect({ select, ctePlans, cteColumns, tables, parentColumns, outer
       plan = { type: 'Window', windows, child: plan }
     }
 
+    // QUALIFY filters on the window outputs, which may reference SELECT aliases
+    if (qualify) {
+      plan = { type: 'Filter', condition: resolveAliases(qualify, aliases), child: plan }
+    }
+
     // ORDER BY (before projection so it can access all columns)
     // Resolve SELECT aliases in ORDER BY expressions at plan time
     if (orderBy.length) {
@@ -336,7 +488,7 @@ function planSelect({ select, ctePlans, cteColumns, tables, parentColumns, outer
       plan = { type: 'Distinct', child: plan }
     }
 
-    if (!(isOwnScan && !needsBuffering && !select.distinct) && (select.limit !== undefined || select.offset)) {
+    if (!(isOwnScan && !needsBuffering && !select.distinct && !qualify) && (select.limit !== undefined || select.offset)) {
       if (select.limit !== undefined) pushLimitIntoSort(plan, select.limit, select.offset)
       plan = { type: 'Limit', limit: select.limit, offset: select.offset, child: plan }
     }
@@ -390,9 +542,17 @@ function pruneAggregateColumns(plan, needed) {
   }
   const keep = new Set(needed)
   for (const { name } of identifiers) keep.add(name)
-  node.columns = node.columns.filter(col =>
-    col.type === 'star' || keep.has(col.alias ?? derivedAlias(col.expr))
-  )
+  /**
+   * @param {SelectColumn} col
+   * @returns {boolean}
+   */
+  function isKept(col) {
+    return col.type === 'star' || keep.has(col.alias ?? derivedAlias(col.expr))
+  }
+  node.columns = node.columns.filter(isKept)
+  if (node.type === 'HashAggregate' && node.groupingSets) {
+    for (const set of node.groupingSets) set.columns = set.columns.filter(isKept)
+  }
 }
 
 /**
@@ -402,10 +562,11 @@ function pruneAggregateColumns(plan, needed) {
  * @param {Map<string, string[]>} [options.cteColumns]
  * @param {ScanOptions} options.hints
  * @param {Record<string, AsyncDataSource>} [options.tables]
+ * @param {Record<string, UserDefinedFunction>} [options.functions]
  * @param {string[]} [options.outerScope]
  * @returns {QueryPlan}
  */
-function planFrom({ select, ctePlans, cteColumns, hints, tables, outerScope }) {
+function planFrom({ select, ctePlans, cteColumns, hints, tables, functions, outerScope }) {
   if (!select.from) {
     return { type: 'SingleRow' }
   }
@@ -421,12 +582,15 @@ function planFrom({ select, ctePlans, cteColumns, hints, tables, outerScope }) {
       validateNoIdentifiers(arg, select.from.funcName, outerScope)
     }
     return planTableFunction(select.from)
+  } else if (select.from.type === 'pivot' || select.from.type === 'unpivot') {
+    return planReshape({ from: select.from, ctePlans, cteColumns, hints, tables, functions, outerScope })
   } else {
     const subPlan = planStatement({
       stmt: select.from.query,
       ctePlans,
       cteColumns,
       tables,
+      functions,
       outerScope,
       parentColumns: hints.columns?.map(name => ({ type: 'identifier', name, positionStart: 0, positionEnd: 0 })),
     })
@@ -465,6 +629,84 @@ function planTableFunction(from) {
   }
 }
 
+/**
+ * Builds a Pivot or Unpivot plan node over its planned source. The output
+ * columns depend on the source columns, so they are resolved here and any
+ * reference to a column the source lacks is rejected before execution.
+ *
+ * @param {object} options
+ * @param {FromPivot | FromUnpivot} options.from
+ * @param {Map<string, QueryPlan>} [options.ctePlans]
+ * @param {Map<string, string[]>} [options.cteColumns]
+ * @param {ScanOptions} options.hints
+ * @param {Record<string, AsyncDataSource>} [options.tables]
+ * @param {Record<string, UserDefinedFunction>} [options.functions]
+ * @param {string[]} [options.outerScope]
+ * @returns {PivotNode | UnpivotNode}
+ */
+function planReshape({ from, ctePlans, cteColumns, hints, tables, functions, outerScope }) {
+  const stmt = reshapeSourceStatement(from)
+  const child = planStatement({ stmt, ctePlans, cteColumns, tables, functions, outerScope })
+  const sourceColumns = inferStatementColumns({ stmt, cteColumns, tables })
+
+  /**
+   * @param {string} missingColumn
+   * @param {{ positionStart: number, positionEnd: number }} position
+   */
+  function expectSourceColumn(missingColumn, position) {
+    if (sourceColumns.length && !sourceColumns.includes(missingColumn)) {
+      throw new ColumnNotFoundError({ missingColumn, availableColumns: sourceColumns, ...position })
+    }
+  }
+
+  if (from.type === 'pivot') {
+    expectSourceColumn(from.column, from)
+    for (const agg of from.aggregates) {
+      /** @type {IdentifierNode[]} */
+      const identifiers = []
+      collectColumnsFromExpr(agg.expr, identifiers)
+      for (const id of identifiers) expectSourceColumn(id.name, id)
+    }
+  } else {
+    for (const col of from.columns) expectSourceColumn(col.name, col)
+  }
+
+  const outputColumns = reshapeColumnNames(from, sourceColumns)
+  const duplicate = outputColumns.find((name, i) => outputColumns.indexOf(name) !== i)
+  if (duplicate !== undefined) {
+    throw new ParseError({
+      message: `${from.type.toUpperCase()} produces duplicate column "${duplicate}"`,
+      ...from,
+    })
+  }
+  const missingColumn = hints.columns?.find(col => !outputColumns.includes(col))
+  if (missingColumn) {
+    throw new ColumnNotFoundError({ missingColumn, availableColumns: outputColumns, ...from })
+  }
+
+  if (from.type === 'pivot') {
+    return {
+      type: 'Pivot',
+      groupBy: pivotGroupColumns(from, sourceColumns),
+      column: from.column,
+      values: from.values.map(v => v.value),
+      aggregates: from.aggregates.map(agg => agg.expr),
+      valueColumns: pivotValueColumns(from),
+      child,
+    }
+  }
+  const unpivoted = new Set(from.columns.map(col => col.name))
+  return {
+    type: 'Unpivot',
+    passthrough: sourceColumns.filter(col => !unpivoted.has(col)),
+    unpivot: from.columns.map(col => ({ column: col.name, label: col.label ?? col.name })),
+    nameColumn: from.nameColumn,
+    valueColumn: from.valueColumn,
+    includeNulls: from.includeNulls,
+    child,
+  }
+}
+
 /**
  * @param {object} options
  * @param {QueryPlan} options.left - the left side of the join (FROM or previous joins)
@@ -474,10 +716,11 @@ function planTableFunction(from) {
  * @param {Map<string, string[]>} [options.cteColumns]
  * @param {Map<string, string[] | undefined>} options.perTableColumns
  * @param {Record<string, AsyncDataSource>} [options.tables]
+ * @param {Record<string, UserDefinedFunction>} [options.functions]
  * @param {string[]} [options.outerScope] - aliases from an outer query (for correlated subqueries)
  * @returns {QueryPlan}
  */
-function planJoin({ left, joins, leftTable, ctePlans, cteColumns, perTableColumns, tables, outerScope }) {
+function planJoin({ left, joins, leftTable, ctePlans, cteColumns, perTableColumns, tables, functions, outerScope }) {
   let plan = left
   let currentLeftTable = leftTable
 
@@ -497,7 +740,7 @@ function planJoin({ left, joins, leftTable, ctePlans, cteColumns, perTableColumn
       const lateralOuterScope = Object.keys(lateralScope)
       for (const arg of join.fromFunction.args) {
         validateTableRefs(arg, lateralScope)
-        validateLateralSubqueries({ expr: arg, ctePlans, cteColumns, tables, outerScope: lateralOuterScope })
+        validateLateralSubqueries({ expr: arg, ctePlans, cteColumns, tables, functions, outerScope: lateralOuterScope })
       }
       plan = {
         type: 'NestedLoopJoin',
@@ -530,6 +773,7 @@ function planJoin({ left, joins, leftTable, ctePlans, cteColumns, perTableColumn
         ctePlans,
         cteColumns,
         tables,
+        functions,
         outerScope,
         parentColumns: subColumns?.map(name => ({ type: 'identifier', name, positionStart: 0, positionEnd: 0 })),
       })
@@ -564,6 +808,7 @@ function planJoin({ left, joins, leftTable, ctePlans, cteColumns, perTableColumn
       // column, which routes through the hash-join path like any other ON.
       const condition = join.on ?? (join.using && buildUsingCondition(join.using, join))
       const keys = condition && extractEquiKeys({ condition, leftTable: currentLeftTable, rightTable })
+      const spatial = condition && !keys && extractSpatialPredicate({ condition, rightTable })
       if (keys) {
         /** @type {HashJoinNode} */
         const hashJoin = {
@@ -578,6 +823,22 @@ function planJoin({ left, joins, leftTable, ctePlans, cteColumns, perTableColumn
         }
         if (keys.residual) hashJoin.residual = keys.residual
         plan = hashJoin
+      } else if (spatial) {
+        /** @type {SpatialJoinNode} */
+        const spatialJoin = {
+          type: 'SpatialJoin',
+          joinType: join.joinType,
+          leftAlias: currentLeftTable,
+          rightAlias: rightTable,
+          predicate: spatial.predicate,
+          leftGeometry: spatial.leftGeometry,
+          rightGeometry: spatial.rightGeometry,
+          condition,
+          left: plan,
+          right: rightScan,
+        }
+        if (spatial.distance !== undefined) spatialJoin.distance = spatial.distance
+        plan = spatialJoin
       } else {
         plan = {
           type: 'NestedLoopJoin',
@@ -635,8 +896,9 @@ function resolveAliases(node, aliases) {
   }
   if (node.type === 'function') {
     const args = node.args.map(arg => resolveAliases(arg, aliases))
-    if (!node.filter) return { ...node, args }
-    return { ...node, args, filter: resolveAliases(node.filter, aliases) }
+    const orderBy = node.orderBy?.map(term => ({ ...term, expr: resolveAliases(term.expr, aliases) }))
+    if (!node.filter) return { ...node, args, orderBy }
+    return { ...node, args, orderBy, filter: resolveAliases(node.filter, aliases) }
   }
   if (node.type === 'cast') {
     return { ...node, expr: resolveAliases(node.expr, aliases) }
@@ -663,6 +925,110 @@ function resolveAliases(node, aliases) {
   return node
 }
 
+/**
+ * Rewrites an aggregate's output expressions for one grouping set: GROUP BY
+ * expressions outside the set become NULL, and GROUPING() calls become their
+ * bitmask, with a 1 bit for each argument outside the set and the first
+ * argument as the most significant bit. Aggregate calls are left intact since
+ * they aggregate the input values whatever the grouping, which keeps their
+ * node identity shared across the sets of one aggregate.
+ *
+ * @param {Pick<HashAggregateNode, 'groupBy' | 'columns' | 'having' | 'orderBy'>} node
+ * @param {number[]} keys - indices of the grouped expressions in groupBy
+ * @param {Record<string, UserDefinedFunction>} [functions]
+ * @returns {GroupingSet}
+ */
+function planGroupingSet({ groupBy, columns, having, orderBy }, keys, functions) {
+  const signatures = groupBy.map(exprSig)
+
+  /**
+   * @param {ExprNode} expr
+   * @returns {ExprNode}
+   */
+  function rewrite(expr) {
+    const keyIndex = signatures.indexOf(exprSig(expr))
+    if (keyIndex >= 0) {
+      if (keys.includes(keyIndex)) return expr
+      return { type: 'literal', value: null, positionStart: expr.positionStart, positionEnd: expr.positionEnd }
+    }
+    switch (expr.type) {
+    case 'unary': {
+      const argument = rewrite(expr.argument)
+      return argument === expr.argument ? expr : { ...expr, argument }
+    }
+    case 'binary': {
+      const left = rewrite(expr.left)
+      const right = rewrite(expr.right)
+      return left === expr.left && right === expr.right ? expr : { ...expr, left, right }
+    }
+    case 'cast': {
+      const inner = rewrite(expr.expr)
+      return inner === expr.expr ? expr : { ...expr, expr: inner }
+    }
+    case 'subscript': {
+      const inner = rewrite(expr.expr)
+      const index = rewrite(expr.index)
+      return inner === expr.expr && index === expr.index ? expr : { ...expr, expr: inner, index }
+    }
+    case 'in valuelist': {
+      const inner = rewrite(expr.expr)
+      const values = expr.values.map(rewrite)
+      return inner === expr.expr && values.every((v, i) => v === expr.values[i]) ? expr : { ...expr, expr: inner, values }
+    }
+    case 'case': {
+      const caseExpr = expr.caseExpr && rewrite(expr.caseExpr)
+      const whenClauses = expr.whenClauses.map(w => {
+        const condition = rewrite(w.condition)
+        const result = rewrite(w.result)
+        return condition === w.condition && result === w.result ? w : { ...w, condition, result }
+      })
+      const elseResult = expr.elseResult && rewrite(expr.elseResult)
+      const unchanged = caseExpr === expr.caseExpr && elseResult === expr.elseResult &&
+        whenClauses.every((w, i) => w === expr.whenClauses[i])
+      return unchanged ? expr : { ...expr, caseExpr, whenClauses, elseResult }
+    }
+    case 'function': {
+      const funcName = expr.funcName.toUpperCase()
+      if (funcName === 'GROUPING') {
+        let mask = 0
+        for (const arg of expr.args) {
+          const index = signatures.indexOf(exprSig(arg))
+          if (index < 0) {
+            throw new ParseError({
+              message: 'GROUPING() arguments must be GROUP BY expressions',
+              ...arg,
+            })
+          }
+          mask = mask * 2 + (keys.includes(index) ? 0 : 1)
+        }
+        return { type: 'literal', value: mask, positionStart: expr.positionStart, positionEnd: expr.positionEnd }
+      }
+      if (isAggregateFunc(funcName, functions)) return expr
+      const args = expr.args.map(rewrite)
+      return args.every((a, i) => a === expr.args[i]) ? expr : { ...expr, args }
+    }
+    default:
+      // literals, identifiers that are not keys, subqueries
+      return expr
+    }
+  }
+
+  return {
+    keys,
+    columns: columns.map(col => {
+      if (col.type !== 'derived') return col
+      const expr = rewrite(col.expr)
+      // keep the output name of a column whose key was replaced by NULL
+      return expr === col.expr ? col : { ...col, expr, alias: col.alias ?? derivedAlias(col.expr) }
+    }),
+    having: having && rewrite(having),
+    orderBy: orderBy?.map(term => {
+      const expr = rewrite(term.expr)
+      return expr === term.expr ? term : { ...term, expr }
+    }),
+  }
+}
+
 /**
  * Rewrites identifiers so their `prefix`/`name` pair matches a cell key that
  * will actually exist in the child row. A join child yields cells keyed as
@@ -809,6 +1175,78 @@ function extractEquiKeys({ condition, leftTable, rightTable }) {
   return residual ? { leftKeys, rightKeys, residual } : { leftKeys, rightKeys }
 }
 
+/**
+ * Finds a spatial predicate among the conjuncts of a join ON expression that
+ * compares a geometry of the left input with a geometry of the right input,
+ * so the planner can route the join through a bounding-box index. Each
+ * geometry argument must reference columns of one side only, qualified by
+ * table alias; ST_DWITHIN also needs a literal distance. Returns undefined
+ * when no conjunct qualifies so the caller falls back to the nested-loop
+ * path.
+ *
+ * @param {object} options
+ * @param {ExprNode} options.condition
+ * @param {string} options.rightTable
+ * @returns {{ predicate: SpatialJoinNode['predicate'], leftGeometry: ExprNode, rightGeometry: ExprNode, distance?: number } | undefined}
+ */
+function extractSpatialPredicate({ condition, rightTable }) {
+  /** @type {ExprNode[]} */
+  const conjuncts = []
+  collectConjuncts(condition, conjuncts)
+  for (const conjunct of conjuncts) {
+    if (conjunct.type !== 'function') continue
+    const predicate = conjunct.funcName.toUpperCase()
+    if (predicate !== 'ST_INTERSECTS' && predicate !== 'ST_CONTAINS' && predicate !== 'ST_WITHIN' && predicate !== 'ST_DWITHIN') continue
+    const [first, second, distanceArg] = conjunct.args
+    /** @type {number | undefined} */
+    let distance
+    if (predicate === 'ST_DWITHIN') {
+      if (distanceArg?.type !== 'literal' || typeof distanceArg.value !== 'number') continue
+      distance = distanceArg.value
+    }
+    const firstSide = exprSide(first, rightTable)
+    const secondSide = exprSide(second, rightTable)
+    if (firstSide === 'left' && secondSide === 'right') {
+      return { predicate, leftGeometry: first, rightGeometry: second, distance }
+    }
+    if (firstSide === 'right' && secondSide === 'left') {
+      return { predicate, leftGeometry: second, rightGeometry: first, distance }
+    }
+  }
+}
+
+/**
+ * Which join input an expression reads from: 'right' when every column it
+ * references is qualified by the right table alias, 'left' when every column
+ * is qualified by another alias. Returns undefined for expressions without
+ * columns, with unqualified columns, with columns of both sides, or with
+ * anything other than columns, literals and function calls.
+ *
+ * @param {ExprNode | undefined} node
+ * @param {string} rightTable
+ * @returns {'left' | 'right' | undefined}
+ */
+function exprSide(node, rightTable) {
+  /** @type {Set<'left' | 'right'>} */
+  const sides = new Set()
+  /**
+   * @param {ExprNode} expr
+   * @returns {boolean}
+   */
+  function visit(expr) {
+    if (expr.type === 'literal') return true
+    if (expr.type === 'identifier') {
+      if (!expr.prefix) return false
+      sides.add(expr.prefix === rightTable ? 'right' : 'left')
+      return true
+    }
+    if (expr.type === 'function') return !expr.filter && expr.args.every(visit)
+    return false
+  }
+  if (!node || !visit(node) || sides.size !== 1) return undefined
+  return sides.values().next().value
+}
+
 /**
  * Walks an ON expression, flattening top-level AND conjuncts. Non-AND nodes
  * are pushed verbatim. Used to expose individual predicates so equi-keys can
@@ -862,45 +1300,46 @@ function classifyEquiConjunct(conjunct, leftTable, rightTable) {
  * @param {Map<string, QueryPlan>} [options.ctePlans]
  * @param {Map<string, string[]>} [options.cteColumns]
  * @param {Record<string, AsyncDataSource> | undefined} options.tables
+ * @param {Record<string, UserDefinedFunction>} [options.functions]
  * @param {string[]} options.outerScope
  */
-function validateLateralSubqueries({ expr, ctePlans, cteColumns, tables, outerScope }) {
+function validateLateralSubqueries({ expr, ctePlans, cteColumns, tables, functions, outerScope }) {
   if (!expr) return
   if (expr.type === 'subquery' || expr.type === 'exists' || expr.type === 'not exists') {
-    planStatement({ stmt: expr.subquery, ctePlans, cteColumns, tables, outerScope })
+    planStatement({ stmt: expr.subquery, ctePlans, cteColumns, tables, functions, outerScope })
     return
   }
   if (expr.type === 'in') {
-    validateLateralSubqueries({ expr: expr.expr, ctePlans, cteColumns, tables, outerScope })
-    planStatement({ stmt: expr.subquery, ctePlans, cteColumns, tables, outerScope })
+    validateLateralSubqueries({ expr: expr.expr, ctePlans, cteColumns, tables, functions, outerScope })
+    planStatement({ stmt: expr.subquery, ctePlans, cteColumns, tables, functions, outerScope })
     return
   }
   if (expr.type === 'binary') {
-    validateLateralSubqueries({ expr: expr.left, ctePlans, cteColumns, tables, outerScope })
-    validateLateralSubqueries({ expr: expr.right, ctePlans, cteColumns, tables, outerScope })
+    validateLateralSubqueries({ expr: expr.left, ctePlans, cteColumns, tables, functions, outerScope })
+    validateLateralSubqueries({ expr: expr.right, ctePlans, cteColumns, tables, functions, outerScope })
   } else if (expr.type === 'unary') {
-    validateLateralSubqueries({ expr: expr.argument, ctePlans, cteColumns, tables, outerScope })
+    validateLateralSubqueries({ expr: expr.argument, ctePlans, cteColumns, tables, functions, outerScope })
   } else if (expr.type === 'function') {
     for (const arg of expr.args) {
-      validateLateralSubqueries({ expr: arg, ctePlans, cteColumns, tables, outerScope })
+      validateLateralSubqueries({ expr: arg, ctePlans, cteColumns, tables, functions, outerScope })
     }
   } else if (expr.type === 'cast') {
-    validateLateralSubqueries({ expr: expr.expr, ctePlans, cteColumns, tables, outerScope })
+    validateLateralSubqueries({ expr: expr.expr, ctePlans, cteColumns, tables, functions, outerScope })
   } else if (expr.type === 'in valuelist') {
-    validateLateralSubqueries({ expr: expr.expr, ctePlans, cteColumns, tables, outerScope })
+    validateLateralSubqueries({ expr: expr.expr, ctePlans, cteColumns, tables, functions, outerScope })
     for (const val of expr.values) {
-      validateLateralSubqueries({ expr: val, ctePlans, cteColumns, tables, outerScope })
+      validateLateralSubqueries({ expr: val, ctePlans, cteColumns, tables, functions, outerScope })
     }
   } else if (expr.type === 'subscript') {
-    validateLateralSubqueries({ expr: expr.expr, ctePlans, cteColumns, tables, outerScope })
-    validateLateralSubqueries({ expr: expr.index, ctePlans, cteColumns, tables, outerScope })
+    validateLateralSubqueries({ expr: expr.expr, ctePlans, cteColumns, tables, functions, outerScope })
+    validateLateralSubqueries({ expr: expr.index, ctePlans, cteColumns, tables, functions, outerScope })
   } else if (expr.type === 'case') {
-    validateLateralSubqueries({ expr: expr.caseExpr, ctePlans, cteColumns, tables, outerScope })
+    validateLateralSubqueries({ expr: expr.caseExpr, ctePlans, cteColumns, tables, functions, outerScope })
     for (const w of expr.whenClauses) {
-      validateLateralSubqueries({ expr: w.condition, ctePlans, cteColumns, tables, outerScope })
-      validateLateralSubqueries({ expr: w.result, ctePlans, cteColumns, tables, outerScope })
+      validateLateralSubqueries({ expr: w.condition, ctePlans, cteColumns, tables, functions, outerScope })
+      validateLateralSubqueries({ expr: w.result, ctePlans, cteColumns, tables, functions, outerScope })
     }
-    validateLateralSubqueries({ expr: expr.elseResult, ctePlans, cteColumns, tables, outerScope })
+    validateLateralSubqueries({ expr: expr.elseResult, ctePlans, cteColumns, tables, functions, outerScope })
   }
 }
 
@@ -925,6 +1364,7 @@ function collectWindows(expr, windows) {
       args: expr.args,
       partitionBy: expr.partitionBy,
       orderBy: expr.orderBy,
+      frame: expr.frame,
     })
     return {
       type: 'identifier',
@@ -1,4 +1,4 @@
-import { DerivedColumn, ExprNode, JoinType, OrderByItem, ScanOptions, SelectColumn, SetOperator } from '../types.js'
+import { DerivedColumn, ExprNode, JoinType, OrderByItem, ScanOptions, SelectColumn, SetOperator, SqlPrimitive, WindowFrame } from '../types.js'
 
 export type QueryPlan =
   | ScanNode
@@ -13,11 +13,17 @@ export type QueryPlan =
   | ScalarAggregateNode
   | HashJoinNode
   | NestedLoopJoinNode
+  | SpatialJoinNode
   | PositionalJoinNode
   | SetOperationNode
   | SubqueryNode
   | TableFunctionNode
   | WindowNode
+  | PivotNode
+  | UnpivotNode
+  | RecursiveCTENode
+  | WorkTableNode
+  | ExplainNode
 
 // Scan node
 export interface ScanNode {
@@ -80,9 +86,20 @@ export interface HashAggregateNode {
   columns: SelectColumn[]
   orderBy?: OrderByItem[]
   having?: ExprNode
+  groupingSets?: GroupingSet[]
   child: QueryPlan
 }
 
+// One set of ROLLUP, CUBE, or GROUPING SETS, with the aggregate's output
+// expressions rewritten for it: keys outside the set read as NULL and
+// GROUPING() calls are replaced by their bitmask
+export interface GroupingSet {
+  keys: number[] // indices into groupBy
+  columns: SelectColumn[]
+  having?: ExprNode
+  orderBy?: OrderByItem[]
+}
+
 export interface ScalarAggregateNode {
   type: 'ScalarAggregate'
   columns: SelectColumn[]
@@ -116,6 +133,23 @@ export interface NestedLoopJoinNode {
   lateral?: boolean
 }
 
+// Join on a spatial predicate. Rows of one side are indexed by the bounding
+// box of their geometry, and the condition only runs on pairs of rows whose
+// boxes overlap (after expanding by the ST_DWITHIN distance).
+export interface SpatialJoinNode {
+  type: 'SpatialJoin'
+  joinType: JoinType
+  leftAlias: string
+  rightAlias: string
+  predicate: 'ST_INTERSECTS' | 'ST_CONTAINS' | 'ST_WITHIN' | 'ST_DWITHIN'
+  leftGeometry: ExprNode
+  rightGeometry: ExprNode
+  distance?: number
+  condition: ExprNode
+  left: QueryPlan
+  right: QueryPlan
+}
+
 export interface PositionalJoinNode {
   type: 'PositionalJoin'
   leftAlias: string
@@ -160,6 +194,7 @@ export interface WindowSpec {
   args: ExprNode[]
   partitionBy: ExprNode[]
   orderBy: OrderByItem[]
+  frame?: WindowFrame
 }
 
 export interface WindowNode {
@@ -167,3 +202,63 @@ export interface WindowNode {
   windows: WindowSpec[]
   child: QueryPlan
 }
+
+// PIVOT: one row per distinct combination of the groupBy columns, with each
+// aggregate computed once per IN value over the rows whose pivot column
+// matches it. Output columns are groupBy followed by valueColumns, which are
+// ordered value-major (every aggregate of the first value, then the next).
+export interface PivotNode {
+  type: 'Pivot'
+  groupBy: string[]
+  column: string
+  values: SqlPrimitive[]
+  aggregates: ExprNode[]
+  valueColumns: string[]
+  child: QueryPlan
+}
+
+// UNPIVOT: each input row yields one row per unpivoted column, carrying the
+// other columns along with the column's label and value. Rows whose value is
+// null are skipped unless includeNulls is set.
+export interface UnpivotNode {
+  type: 'Unpivot'
+  passthrough: string[]
+  unpivot: { column: string, label: string }[]
+  nameColumn: string
+  valueColumn: string
+  includeNulls: boolean
+  child: QueryPlan
+}
+
+// WITH RECURSIVE: runs the anchor once, then re-runs the recursive term
+// against the rows produced by the previous iteration until an iteration
+// yields no new rows. UNION (without ALL) drops rows already produced.
+export interface RecursiveCTENode {
+  type: 'RecursiveCTE'
+  name: string
+  columns: string[]
+  all: boolean
+  anchor: QueryPlan
+  recursive: QueryPlan
+  anchorScope?: string[]
+  recursiveScope?: string[]
+  positionStart: number
+  positionEnd: number
+}
+
+// Self-reference inside a recursive CTE's recursive term. Reads the rows of
+// the previous iteration from ExecuteContext.workTables.
+export interface WorkTableNode {
+  type: 'WorkTable'
+  name: string
+  columns: string[]
+}
+
+// EXPLAIN: yields the child plan rendered as text, one row per line. With
+// ANALYZE the child is run to completion first, and the text includes what
+// each node did.
+export interface ExplainNode {
+  type: 'Explain'
+  analyze: boolean
+  child: QueryPlan
+}
@@ -16,9 +16,18 @@ const bboxCache = new WeakMap()
  * @returns {boolean}
  */
 export function bboxOverlap(a, b) {
-  const aBox = bbox(a)
-  const bBox = bbox(b)
-  return aBox.minX <= bBox.maxX && aBox.maxX >= bBox.minX && aBox.minY <= bBox.maxY && aBox.maxY >= bBox.minY
+  return boxesOverlap(bbox(a), bbox(b))
+}
+
+/**
+ * Test whether two bounding boxes overlap, including touching edges.
+ *
+ * @param {BoundingBox} a
+ * @param {BoundingBox} b
+ * @returns {boolean}
+ */
+export function boxesOverlap(a, b) {
+  return a.minX <= b.maxX && a.maxX >= b.minX && a.minY <= b.maxY && a.maxY >= b.minY
 }
 
 /**
@@ -51,3 +60,23 @@ export function bbox(geom) {
   bboxCache.set(geom, b)
   return b
 }
+
+/**
+ * Compute the bounding box of all parts of a decomposed geometry.
+ * Returns null if the geometry has no coordinates.
+ *
+ * @param {SimpleGeometry[]} parts
+ * @returns {BoundingBox | null}
+ */
+export function geometryBbox(parts) {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity
+  for (const geom of parts) {
+    const b = bbox(geom)
+    if (b.minX < minX) minX = b.minX
+    if (b.minY < minY) minY = b.minY
+    if (b.maxX > maxX) maxX = b.maxX
+    if (b.maxY > maxY) maxY = b.maxY
+  }
+  if (minX > maxX) return null
+  return { minX, minY, maxX, maxY }
+}
@@ -0,0 +1,115 @@
+import { convexHull } from './hull.js'
+import { overlayPolygons, unionAll } from './overlay.js'
+
+/**
+ * @import { SimpleGeometry } from './geometry.js'
+ */
+
+/**
+ * Buffer a geometry by a distance, approximating each quarter circle with
+ * quadSegs segments. Points and lines grow into the union of disks and
+ * capsules around them. Polygons grow by the capsules around their rings,
+ * or shrink by them for a negative distance. Points and lines have an empty
+ * buffer for a distance of zero or less.
+ *
+ * @param {SimpleGeometry[]} parts
+ * @param {number} distance
+ * @param {number} quadSegs
+ * @returns {SimpleGeometry[]}
+ */
+export function bufferGeometry(parts, distance, quadSegs) {
+  const radius = Math.abs(distance)
+  /** @type {number[][][][]} */
+  const polygons = []
+  /** @type {number[][][]} */
+  const shapes = []
+  /** @type {number[][][]} */
+  const ringShapes = []
+  for (const geom of parts) {
+    if (geom.type === 'Point') {
+      shapes.push(closeRing(circle(geom.coordinates, radius, quadSegs)))
+    } else if (geom.type === 'LineString') {
+      shapes.push(...capsules(geom.coordinates, radius, quadSegs))
+    } else {
+      polygons.push(geom.coordinates)
+      for (const ring of geom.coordinates) {
+        ringShapes.push(...capsules(ring, radius, quadSegs))
+      }
+    }
+  }
+
+  if (distance === 0) return polygons.map(toPolygon)
+  if (distance < 0) {
+    const eroded = unionAll(ringShapes.map(ring => [toPolygon([ring])]))
+    const { polygons: remaining } = overlayPolygons(polygons, eroded.map(polygonCoordinates), 'difference')
+    return remaining.map(toPolygon)
+  }
+  return unionAll([
+    ...polygons.map(coordinates => [toPolygon(coordinates)]),
+    ...[...shapes, ...ringShapes].map(ring => [toPolygon([ring])]),
+  ])
+}
+
+/**
+ * @param {number[][][]} coordinates
+ * @returns {SimpleGeometry}
+ */
+function toPolygon(coordinates) {
+  return { type: 'Polygon', coordinates }
+}
+
+/**
+ * @param {SimpleGeometry} geom
+ * @returns {number[][][]}
+ */
+function polygonCoordinates(geom) {
+  return geom.type === 'Polygon' ? geom.coordinates : []
+}
+
+/**
+ * Vertices of a circle, counter-clockwise from angle zero. Circles of the
+ * same center and radius have identical vertices, so the capsules of
+ * consecutive segments share their boundary around the joint.
+ *
+ * @param {number[]} center
+ * @param {number} radius
+ * @param {number} quadSegs
+ * @returns {number[][]}
+ */
+function circle(center, radius, quadSegs) {
+  const count = 4 * quadSegs
+  /** @type {number[][]} */
+  const points = []
+  for (let i = 0; i < count; i++) {
+    const angle = 2 * Math.PI * i / count
+    points.push([center[0] + radius * Math.cos(angle), center[1] + radius * Math.sin(angle)])
+  }
+  return points
+}
+
+/**
+ * Rings around each segment of a line: the convex hull of the circles at
+ * both ends.
+ *
+ * @param {number[][]} line
+ * @param {number} radius
+ * @param {number} quadSegs
+ * @returns {number[][][]}
+ */
+function capsules(line, radius, quadSegs) {
+  /** @type {number[][][]} */
+  const rings = []
+  if (line.length === 1) rings.push(closeRing(circle(line[0], radius, quadSegs)))
+  for (let i = 0; i < line.length - 1; i++) {
+    rings.push(closeRing(convexHull([...circle(line[i], radius, quadSegs), ...circle(line[i + 1], radius, quadSegs)])))
+  }
+  return rings
+}
+
+/**
+ * @param {number[][]} points
+ * @returns {number[][]}
+ */
+function closeRing(points) {
+  return [...points, points[0]]
+}
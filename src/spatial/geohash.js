@@ -0,0 +1,82 @@
+/**
+ * @import { BoundingBox } from './geometry.js'
+ */
+
+const BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz'
+
+/**
+ * Geohash of a lon/lat point: the cell of the given number of characters
+ * that contains it. Returns null for coordinates outside the lon/lat range.
+ *
+ * @param {number[]} point
+ * @param {number} precision
+ * @returns {string | null}
+ */
+export function encodeGeohash([lon, lat], precision) {
+  if (!(Math.abs(lon) <= 180 && Math.abs(lat) <= 90)) return null
+  let minLon = -180, maxLon = 180, minLat = -90, maxLat = 90
+  let hash = ''
+  let value = 0
+  let bits = 0
+  // bits alternate between longitude and latitude, starting with longitude
+  let even = true
+  while (hash.length < precision) {
+    if (even) {
+      const mid = (minLon + maxLon) / 2
+      if (lon >= mid) {
+        value = value * 2 + 1
+        minLon = mid
+      } else {
+        value *= 2
+        maxLon = mid
+      }
+    } else {
+      const mid = (minLat + maxLat) / 2
+      if (lat >= mid) {
+        value = value * 2 + 1
+        minLat = mid
+      } else {
+        value *= 2
+        maxLat = mid
+      }
+    }
+    even = !even
+    if (++bits === 5) {
+      hash += BASE32[value]
+      value = 0
+      bits = 0
+    }
+  }
+  return hash
+}
+
+/**
+ * Bounds of the cell of a geohash. Case-insensitive. Returns null if the
+ * hash is empty or contains characters outside the geohash alphabet.
+ *
+ * @param {string} hash
+ * @returns {BoundingBox | null}
+ */
+export function decodeGeohash(hash) {
+  if (!hash) return null
+  let minX = -180, maxX = 180, minY = -90, maxY = 90
+  let even = true
+  for (const char of hash.toLowerCase()) {
+    const value = BASE32.indexOf(char)
+    if (value < 0) return null
+    for (let bit = 4; bit >= 0; bit--) {
+      const on = (value >> bit & 1) === 1
+      if (even) {
+        const mid = (minX + maxX) / 2
+        if (on) minX = mid
+        else maxX = mid
+      } else {
+        const mid = (minY + maxY) / 2
+        if (on) minY = mid
+        else maxY = mid
+      }
+      even = !even
+    }
+  }
+  return { minX, minY, maxX, maxY }
+}
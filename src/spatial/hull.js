@@ -0,0 +1,30 @@
+import { cross } from './primitives.js'
+
+/**
+ * Convex hull of a set of points by Andrew's monotone chain. Returns the
+ * hull vertices counter-clockwise without repeating the first one: a single
+ * point or the two ends of a segment when the points are collinear.
+ *
+ * @param {number[][]} points
+ * @returns {number[][]}
+ */
+export function convexHull(points) {
+  const sorted = [...points].sort((p, q) => p[0] - q[0] || p[1] - q[1])
+    .filter((p, i, all) => i === 0 || p[0] !== all[i - 1][0] || p[1] !== all[i - 1][1])
+  if (sorted.length < 3) return sorted
+
+  /** @type {number[][]} */
+  const lower = []
+  for (const p of sorted) {
+    while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) lower.pop()
+    lower.push(p)
+  }
+  /** @type {number[][]} */
+  const upper = []
+  for (let i = sorted.length - 1; i >= 0; i--) {
+    const p = sorted[i]
+    while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) upper.pop()
+    upper.push(p)
+  }
+  return [...lower.slice(0, -1), ...upper.slice(0, -1)]
+}
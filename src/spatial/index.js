@@ -1,3 +1,4 @@
 export { decompose } from './spatial.js'
 export { bbox, bboxOverlap } from './bbox.js'
+export { parseWkb } from './wkb.js'
 export { parseWkt } from './wkt.js'
@@ -0,0 +1,152 @@
+/**
+ * @import { Point, SimpleGeometry } from './geometry.js'
+ */
+
+/**
+ * Planar area of a geometry. Holes are subtracted from their polygon, and
+ * points and linestrings have no area.
+ *
+ * @param {SimpleGeometry[]} parts
+ * @returns {number}
+ */
+export function geometryArea(parts) {
+  let area = 0
+  for (const geom of parts) {
+    if (geom.type !== 'Polygon') continue
+    geom.coordinates.forEach((ring, i) => {
+      const ringArea = Math.abs(signedRingArea(ring))
+      area += i === 0 ? ringArea : -ringArea
+    })
+  }
+  return area
+}
+
+/**
+ * Planar length of the linestrings of a geometry. Polygon boundaries are not
+ * counted, use geometryPerimeter for those.
+ *
+ * @param {SimpleGeometry[]} parts
+ * @returns {number}
+ */
+export function geometryLength(parts) {
+  let length = 0
+  for (const geom of parts) {
+    if (geom.type === 'LineString') length += lineLength(geom.coordinates)
+  }
+  return length
+}
+
+/**
+ * Planar length of the boundaries of the polygons of a geometry, including
+ * the boundaries of holes.
+ *
+ * @param {SimpleGeometry[]} parts
+ * @returns {number}
+ */
+export function geometryPerimeter(parts) {
+  let length = 0
+  for (const geom of parts) {
+    if (geom.type !== 'Polygon') continue
+    for (const ring of geom.coordinates) {
+      length += lineLength(ring)
+    }
+  }
+  return length
+}
+
+/**
+ * Center of mass of the highest-dimension parts of a geometry: polygons are
+ * weighted by area, linestrings by length and points equally. Parts that
+ * collapse to a lower dimension (zero area or length) fall through to the
+ * next one. Returns null for an empty geometry.
+ *
+ * @param {SimpleGeometry[]} parts
+ * @returns {Point | null}
+ */
+export function geometryCentroid(parts) {
+  // Polygons: sum of ring centroids weighted by signed area, holes negative
+  let area = 0
+  let ax = 0
+  let ay = 0
+  for (const geom of parts) {
+    if (geom.type !== 'Polygon') continue
+    geom.coordinates.forEach((ring, i) => {
+      const ringArea = signedRingArea(ring)
+      // orient exterior rings positive and holes negative
+      const sign = (ringArea < 0 ? -1 : 1) * (i === 0 ? 1 : -1)
+      let cx = 0
+      let cy = 0
+      for (let j = 0; j < ring.length - 1; j++) {
+        const [x1, y1] = ring[j]
+        const [x2, y2] = ring[j + 1]
+        const c = x1 * y2 - x2 * y1
+        cx += (x1 + x2) * c
+        cy += (y1 + y2) * c
+      }
+      area += sign * ringArea
+      ax += sign * cx / 6
+      ay += sign * cy / 6
+    })
+  }
+  if (area !== 0) return { type: 'Point', coordinates: [ax / area, ay / area] }
+
+  // Lines (including degenerate polygon rings): segment midpoints weighted by length
+  let length = 0
+  let lx = 0
+  let ly = 0
+  for (const geom of parts) {
+    const lines = geom.type === 'LineString' ? [geom.coordinates] : geom.type === 'Polygon' ? geom.coordinates : []
+    for (const line of lines) {
+      for (let j = 0; j < line.length - 1; j++) {
+        const [x1, y1] = line[j]
+        const [x2, y2] = line[j + 1]
+        const segLength = Math.hypot(x2 - x1, y2 - y1)
+        length += segLength
+        lx += segLength * (x1 + x2) / 2
+        ly += segLength * (y1 + y2) / 2
+      }
+    }
+  }
+  if (length > 0) return { type: 'Point', coordinates: [lx / length, ly / length] }
+
+  // Points (including degenerate lines): mean of all coordinates
+  let count = 0
+  let px = 0
+  let py = 0
+  for (const geom of parts) {
+    const coords = geom.type === 'Point' ? [geom.coordinates] : geom.type === 'LineString' ? geom.coordinates : geom.coordinates.flat()
+    for (const [x, y] of coords) {
+      count++
+      px += x
+      py += y
+    }
+  }
+  if (count === 0) return null
+  return { type: 'Point', coordinates: [px / count, py / count] }
+}
+
+/**
+ * Shoelace area of a closed ring, positive when counter-clockwise.
+ *
+ * @param {number[][]} ring
+ * @returns {number}
+ */
+export function signedRingArea(ring) {
+  let sum = 0
+  for (let i = 0; i < ring.length - 1; i++) {
+    sum += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1]
+  }
+  return sum / 2
+}
+
+/**
+ * @param {number[][]} line
+ * @returns {number}
+ */
+function lineLength(line) {
+  let length = 0
+  for (let i = 0; i < line.length - 1; i++) {
+    length += Math.hypot(line[i + 1][0] - line[i][0], line[i + 1][1] - line[i][1])
+  }
+  return length
+}
@@ -0,0 +1,662 @@
+import { signedRingArea } from './measures.js'
+import { intersects } from './operations.js'
+import { pointInPolygon, pointOnLine } from './pointRelations.js'
+import { EPSILON, EPSILON_SQ, cross, distSq } from './primitives.js'
+import { pointOnSegment, segmentIntersectionPoint, segmentsIntersect } from './segments.js'
+
+/**
+ * @import { Relation, SimpleGeometry } from './geometry.js'
+ */
+
+/**
+ * @typedef {[number[], number[]]} Segment
+ * @typedef {'intersection' | 'union' | 'difference'} OverlayOp
+ * @typedef {'INSIDE' | 'OUTSIDE' | 'SAME' | 'OPPOSITE'} EdgeRelation
+ * @typedef {{ points: number[][], lines: number[][][], polygons: number[][][][] }} Partition
+ */
+
+/**
+ * Intersection of two geometries. Overlapping polygons give polygons, shared
+ * polygon edges and lines give lines, and isolated touch points give points.
+ *
+ * @param {SimpleGeometry[]} a
+ * @param {SimpleGeometry[]} b
+ * @returns {SimpleGeometry[]}
+ */
+export function geometryIntersection(a, b) {
+  const partsA = partition(a)
+  const partsB = partition(b)
+  const { polygons, shared } = overlayPolygons(partsA.polygons, partsB.polygons, 'intersection')
+  const lineOverlap = overlayLines(partsA.lines, partsB.lines)
+  const lines = [
+    ...chainSegments(shared),
+    ...clipLines(partsA.lines, partsB.polygons, true),
+    ...clipLines(partsB.lines, partsA.polygons, true),
+    ...lineOverlap.shared,
+  ]
+  const points = [
+    ...lineOverlap.crossings,
+    ...partsA.points.filter(point => pointIntersects(point, b)),
+    ...partsB.points.filter(point => pointIntersects(point, a)),
+  ]
+  const result = toParts({ points: uniquePoints(points), lines, polygons })
+  // Boundaries that only touch at isolated points
+  if (!result.length && intersects(a, b)) return touchPoints(a, b)
+  return result
+}
+
+/**
+ * Union of two geometries. Lines and points covered by the other geometry
+ * are dropped.
+ *
+ * @param {SimpleGeometry[]} a
+ * @param {SimpleGeometry[]} b
+ * @returns {SimpleGeometry[]}
+ */
+export function geometryUnion(a, b) {
+  const partsA = partition(a)
+  const partsB = partition(b)
+  const { polygons } = overlayPolygons(partsA.polygons, partsB.polygons, 'union')
+  const linesA = clipLines(partsA.lines, partsB.polygons, false)
+  const linesB = overlayLines(clipLines(partsB.lines, partsA.polygons, false), linesA).difference
+  const covering = toParts({ points: [], lines: [...linesA, ...linesB], polygons })
+  const points = uniquePoints([...partsA.points, ...partsB.points])
+    .filter(point => !pointIntersects(point, covering))
+  return toParts({ points, lines: [...linesA, ...linesB], polygons })
+}
+
+/**
+ * Parts of geometry a not in geometry b. Only polygons of b can remove area
+ * from a, and only polygons and lines of b can remove lines from a.
+ *
+ * @param {SimpleGeometry[]} a
+ * @param {SimpleGeometry[]} b
+ * @returns {SimpleGeometry[]}
+ */
+export function geometryDifference(a, b) {
+  const partsA = partition(a)
+  const partsB = partition(b)
+  const { polygons } = overlayPolygons(partsA.polygons, partsB.polygons, 'difference')
+  const lines = overlayLines(clipLines(partsA.lines, partsB.polygons, false), partsB.lines).difference
+  const points = partsA.points.filter(point => !pointIntersects(point, b))
+  return toParts({ points, lines, polygons })
+}
+
+/**
+ * Union of many geometries, merged pairwise as a balanced tree so that each
+ * overlay stays small.
+ *
+ * @param {SimpleGeometry[][]} geometries
+ * @returns {SimpleGeometry[]}
+ */
+export function unionAll(geometries) {
+  let level = geometries
+  while (level.length > 1) {
+    /** @type {SimpleGeometry[][]} */
+    const next = []
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(i + 1 < level.length ? geometryUnion(level[i], level[i + 1]) : level[i])
+    }
+    level = next
+  }
+  return level[0] ?? []
+}
+
+/**
+ * Overlay two sets of polygons. Boundaries are cut where they meet, each
+ * piece is kept or dropped by where it lies relative to the other set, and
+ * the kept pieces are linked back into rings.
+ *
+ * Rings are oriented with the interior on the left (counter-clockwise shells,
+ * clockwise holes), so the kept pieces of both inputs chain into correctly
+ * oriented rings. For intersection, boundary pieces the two sets share with
+ * interiors on opposite sides are returned as shared.
+ *
+ * @param {number[][][][]} polygonsA
+ * @param {number[][][][]} polygonsB
+ * @param {OverlayOp} op
+ * @returns {{ polygons: number[][][][], shared: Segment[] }}
+ */
+export function overlayPolygons(polygonsA, polygonsB, op) {
+  const snap = vertexSnapper()
+  const split = splitSegments(snapEdges(polygonEdges(polygonsA), snap), snapEdges(polygonEdges(polygonsB), snap))
+  // cut points can land next to vertices of other segments
+  const a = snapEdges(split.a, snap)
+  const b = snapEdges(split.b, snap)
+  const keysA = new Set(a.map(([p, q]) => segmentKey(p, q)))
+  const keysB = new Set(b.map(([p, q]) => segmentKey(p, q)))
+
+  /** @type {Segment[]} */
+  const edges = []
+  /** @type {Segment[]} */
+  const shared = []
+  for (const edge of a) {
+    const rel = classifyEdge(edge, polygonsB, keysB)
+    if (op === 'intersection' && (rel === 'INSIDE' || rel === 'SAME')) edges.push(edge)
+    if (op === 'intersection' && rel === 'OPPOSITE') shared.push(edge)
+    if (op === 'union' && (rel === 'OUTSIDE' || rel === 'SAME')) edges.push(edge)
+    if (op === 'difference' && (rel === 'OUTSIDE' || rel === 'OPPOSITE')) edges.push(edge)
+  }
+  for (const edge of b) {
+    // edges on the boundary of a were handled from the side of a
+    const rel = classifyEdge(edge, polygonsA, keysA)
+    if (op === 'intersection' && rel === 'INSIDE') edges.push(edge)
+    if (op === 'union' && rel === 'OUTSIDE') edges.push(edge)
+    if (op === 'difference' && rel === 'INSIDE') edges.push([edge[1], edge[0]])
+  }
+  return { polygons: assemblePolygons(linkRings(edges)), shared }
+}
+
+/**
+ * Split a geometry into the coordinates of its points, lines and polygons.
+ *
+ * @param {SimpleGeometry[]} parts
+ * @returns {Partition}
+ */
+function partition(parts) {
+  /** @type {Partition} */
+  const result = { points: [], lines: [], polygons: [] }
+  for (const geom of parts) {
+    if (geom.type === 'Point') result.points.push(geom.coordinates)
+    else if (geom.type === 'LineString') result.lines.push(geom.coordinates)
+    else result.polygons.push(geom.coordinates)
+  }
+  return result
+}
+
+/**
+ * @param {Partition} partition
+ * @returns {SimpleGeometry[]}
+ */
+function toParts({ points, lines, polygons }) {
+  /** @type {SimpleGeometry[]} */
+  const parts = []
+  for (const coordinates of polygons) parts.push({ type: 'Polygon', coordinates })
+  for (const coordinates of lines) parts.push({ type: 'LineString', coordinates })
+  for (const coordinates of points) parts.push({ type: 'Point', coordinates })
+  return parts
+}
+
+/**
+ * Directed edges of the rings of some polygons, with each ring oriented so
+ * that the polygon interior is on the left. Degenerate rings are skipped.
+ *
+ * @param {number[][][][]} polygons
+ * @returns {Segment[]}
+ */
+function polygonEdges(polygons) {
+  /** @type {Segment[]} */
+  const edges = []
+  for (const rings of polygons) {
+    rings.forEach((ring, i) => {
+      const area = signedRingArea(ring)
+      if (area === 0) return
+      const reverse = i === 0 ? area < 0 : area > 0
+      for (const [p, q] of lineSegments(ring)) {
+        edges.push(reverse ? [q, p] : [p, q])
+      }
+    })
+  }
+  return edges
+}
+
+/**
+ * @param {number[][]} line
+ * @returns {Segment[]}
+ */
+function lineSegments(line) {
+  /** @type {Segment[]} */
+  const segments = []
+  for (let i = 0; i < line.length - 1; i++) {
+    if (distSq(line[i], line[i + 1]) >= EPSILON_SQ) segments.push([line[i], line[i + 1]])
+  }
+  return segments
+}
+
+/**
+ * Cut the segments of a wherever they meet a segment of b, and the segments
+ * of b wherever they meet a. Both sides of a crossing are cut at the same
+ * coordinate array, so pieces the inputs share have identical endpoints.
+ * Consecutive pieces of a segment also share their endpoint arrays.
+ *
+ * @param {Segment[]} a
+ * @param {Segment[]} b
+ * @returns {{ a: Segment[], b: Segment[] }}
+ */
+function splitSegments(a, b) {
+  const cutsA = a.map(/** @returns {number[][]} */ () => [])
+  const cutsB = b.map(/** @returns {number[][]} */ () => [])
+  for (let i = 0; i < a.length; i++) {
+    const [a1, a2] = a[i]
+    for (let j = 0; j < b.length; j++) {
+      const [b1, b2] = b[j]
+      if (Math.max(a1[0], a2[0]) < Math.min(b1[0], b2[0]) - EPSILON) continue
+      if (Math.min(a1[0], a2[0]) > Math.max(b1[0], b2[0]) + EPSILON) continue
+      if (Math.max(a1[1], a2[1]) < Math.min(b1[1], b2[1]) - EPSILON) continue
+      if (Math.min(a1[1], a2[1]) > Math.max(b1[1], b2[1]) + EPSILON) continue
+      if (!segmentsIntersect(a1, a2, b1, b2)) continue
+      const point = segmentIntersectionPoint(a1, a2, b1, b2)
+      if (point) {
+        const cut = snapToVertex(point, [a1, a2, b1, b2])
+        cutsA[i].push(cut)
+        cutsB[j].push(cut)
+      } else {
+        // Collinear overlap: cut each segment at the other's endpoints
+        if (pointOnSegment(a1, a2, b1)) cutsA[i].push(b1)
+        if (pointOnSegment(a1, a2, b2)) cutsA[i].push(b2)
+        if (pointOnSegment(b1, b2, a1)) cutsB[j].push(a1)
+        if (pointOnSegment(b1, b2, a2)) cutsB[j].push(a2)
+      }
+    }
+  }
+  return { a: applyCuts(a, cutsA), b: applyCuts(b, cutsB) }
+}
+
+/**
+ * Make a function that maps each point to the first point it was given
+ * within EPSILON of it. Rings that touch or overlap often meet at vertices
+ * that differ by rounding (such as circle vertices around nearby centers),
+ * and snapping makes them one vertex that the rings can be linked through.
+ *
+ * @returns {(point: number[]) => number[]}
+ */
+function vertexSnapper() {
+  /** @type {Map<string, number[][]>} */
+  const cells = new Map()
+  /**
+   * @param {number[]} point
+   * @returns {number[]}
+   */
+  function snap(point) {
+    const cx = Math.floor(point[0] / EPSILON)
+    const cy = Math.floor(point[1] / EPSILON)
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        for (const vertex of cells.get(`${cx + dx},${cy + dy}`) ?? []) {
+          if (distSq(point, vertex) < EPSILON_SQ) return vertex
+        }
+      }
+    }
+    const key = `${cx},${cy}`
+    const cell = cells.get(key)
+    if (cell) cell.push(point)
+    else cells.set(key, [point])
+    return point
+  }
+  return snap
+}
+
+/**
+ * Snap the endpoints of segments, dropping segments that collapse to a point.
+ *
+ * @param {Segment[]} segments
+ * @param {(point: number[]) => number[]} snap
+ * @returns {Segment[]}
+ */
+function snapEdges(segments, snap) {
+  /** @type {Segment[]} */
+  const snapped = []
+  for (const [p, q] of segments) {
+    const start = snap(p)
+    const end = snap(q)
+    if (start !== end) snapped.push([start, end])
+  }
+  return snapped
+}
+
+/**
+ * @param {number[]} point
+ * @param {number[][]} vertices
+ * @returns {number[]}
+ */
+function snapToVertex(point, vertices) {
+  for (const vertex of vertices) {
+    if (distSq(point, vertex) < EPSILON_SQ) return vertex
+  }
+  return point
+}
+
+/**
+ * @param {Segment[]} segments
+ * @param {number[][][]} cuts - cut points of each segment
+ * @returns {Segment[]}
+ */
+function applyCuts(segments, cuts) {
+  /** @type {Segment[]} */
+  const pieces = []
+  segments.forEach(([p, q], i) => {
+    const dx = q[0] - p[0]
+    const dy = q[1] - p[1]
+    const sorted = cuts[i]
+      .map(cut => ({ cut, t: (cut[0] - p[0]) * dx + (cut[1] - p[1]) * dy }))
+      .sort((x, y) => x.t - y.t)
+    let start = p
+    for (const { cut } of sorted) {
+      if (distSq(start, cut) < EPSILON_SQ || distSq(cut, q) < EPSILON_SQ) continue
+      pieces.push([start, cut])
+      start = cut
+    }
+    pieces.push([start, q])
+  })
+  return pieces
+}
+
+/**
+ * @param {number[]} point
+ * @param {number[][][][]} polygons
+ * @returns {Relation}
+ */
+function locate(point, polygons) {
+  /** @type {Relation} */
+  let rel = 'OUTSIDE'
+  for (const rings of polygons) {
+    const polygonRel = pointInPolygon(point, rings)
+    if (polygonRel === 'INSIDE') return polygonRel
+    if (polygonRel === 'BOUNDARY') rel = polygonRel
+  }
+  return rel
+}
+
+/**
+ * Classify a piece of polygon boundary against other polygons. Pieces on the
+ * other boundary are SAME when the other interior is on the same side, and
+ * OPPOSITE when it is on the other side.
+ *
+ * @param {Segment} edge
+ * @param {number[][][][]} polygons
+ * @param {Set<string>} keys - segment keys of the other boundary pieces
+ * @returns {EdgeRelation}
+ */
+function classifyEdge([p, q], polygons, keys) {
+  const rel = locate(midpoint(p, q), polygons)
+  if (rel !== 'BOUNDARY') return rel
+  if (keys.has(segmentKey(p, q))) return 'SAME'
+  if (keys.has(segmentKey(q, p))) return 'OPPOSITE'
+  // Nearly coincident boundaries: probe just left of the piece
+  const length = Math.sqrt(distSq(p, q))
+  const offset = Math.max(length * 1e-6, EPSILON * 100) / length
+  const [mx, my] = midpoint(p, q)
+  const left = [mx - (q[1] - p[1]) * offset, my + (q[0] - p[0]) * offset]
+  return locate(left, polygons) === 'INSIDE' ? 'SAME' : 'OPPOSITE'
+}
+
+/**
+ * @param {number[]} p
+ * @param {number[]} q
+ * @returns {number[]}
+ */
+function midpoint(p, q) {
+  return [(p[0] + q[0]) / 2, (p[1] + q[1]) / 2]
+}
+
+/**
+ * @param {number[]} point
+ * @returns {string}
+ */
+function pointKey(point) {
+  return `${point[0]},${point[1]}`
+}
+
+/**
+ * @param {number[]} p
+ * @param {number[]} q
+ * @returns {string}
+ */
+function segmentKey(p, q) {
+  return `${pointKey(p)},${pointKey(q)}`
+}
+
+/**
+ * Link directed edges into closed rings. Where several edges leave a vertex,
+ * take the sharpest left turn, so that rings touching at a vertex come out
+ * as separate rings. Edges that do not close into a ring are dropped.
+ *
+ * @param {Segment[]} edges
+ * @returns {number[][][]}
+ */
+function linkRings(edges) {
+  /** @type {Map<string, number[]>} */
+  const outgoing = new Map()
+  edges.forEach(([p], i) => {
+    const key = pointKey(p)
+    const list = outgoing.get(key)
+    if (list) list.push(i)
+    else outgoing.set(key, [i])
+  })
+
+  const used = new Uint8Array(edges.length)
+  /** @type {number[][][]} */
+  const rings = []
+  for (let start = 0; start < edges.length; start++) {
+    if (used[start]) continue
+    used[start] = 1
+    const ring = [edges[start][0]]
+    let current = start
+    for (let step = 0; step < edges.length; step++) {
+      const [from, to] = edges[current]
+      ring.push(to)
+      const inAngle = Math.atan2(from[1] - to[1], from[0] - to[0])
+      let next = -1
+      let bestTurn = Infinity
+      for (const i of outgoing.get(pointKey(to)) ?? []) {
+        if (used[i] && i !== start) continue
+        const [, w] = edges[i]
+        // clockwise angle from the reversed incoming edge, smallest is leftmost
+        let turn = inAngle - Math.atan2(w[1] - to[1], w[0] - to[0])
+        if (turn <= 0) turn += 2 * Math.PI
+        if (turn < bestTurn) {
+          bestTurn = turn
+          next = i
+        }
+      }
+      if (next === start) {
+        const cleaned = removeCollinear(ring)
+        if (cleaned) rings.push(cleaned)
+        break
+      }
+      if (next < 0) break
+      used[next] = 1
+      current = next
+    }
+  }
+  return rings
+}
+
+/**
+ * Remove vertices of a closed ring that lie on the line through their
+ * neighbors, such as cut points that did not become corners.
+ * Returns null if fewer than three vertices remain.
+ *
+ * @param {number[][]} ring
+ * @returns {number[][] | null}
+ */
+function removeCollinear(ring) {
+  const points = ring.slice(0, -1)
+  let removed = true
+  while (removed && points.length >= 3) {
+    removed = false
+    for (let i = 0; i < points.length && points.length >= 3; i++) {
+      const prev = points[(i + points.length - 1) % points.length]
+      const next = points[(i + 1) % points.length]
+      const length = Math.sqrt(distSq(prev, next))
+      if (length < EPSILON || Math.abs(cross(prev, next, points[i])) < EPSILON * length) {
+        points.splice(i, 1)
+        removed = true
+        i--
+      }
+    }
+  }
+  if (points.length < 3) return null
+  return [...points, points[0]]
+}
+
+/**
+ * Group rings into polygons: counter-clockwise rings are shells, and each
+ * clockwise ring is a hole of the smallest shell around it.
+ *
+ * @param {number[][][]} rings
+ * @returns {number[][][][]}
+ */
+function assemblePolygons(rings) {
+  /** @type {{ ring: number[][], area: number, holes: number[][][] }[]} */
+  const shells = []
+  /** @type {number[][][]} */
+  const holes = []
+  for (const ring of rings) {
+    const area = signedRingArea(ring)
+    if (area > 0) shells.push({ ring, area, holes: [] })
+    else if (area < 0) holes.push(ring)
+  }
+  const bySize = [...shells].sort((x, y) => x.area - y.area)
+  for (const hole of holes) {
+    bySize.find(shell => ringInside(hole, shell.ring))?.holes.push(hole)
+  }
+  return shells.map(({ ring, holes }) => [ring, ...holes])
+}
+
+/**
+ * Test whether a ring lies inside another ring it does not cross.
+ *
+ * @param {number[][]} inner
+ * @param {number[][]} outer
+ * @returns {boolean}
+ */
+function ringInside(inner, outer) {
+  for (const [p, q] of lineSegments(inner)) {
+    for (const point of [p, midpoint(p, q)]) {
+      const rel = pointInPolygon(point, [outer])
+      if (rel !== 'BOUNDARY') return rel === 'INSIDE'
+    }
+  }
+  return false
+}
+
+/**
+ * Clip lines to the inside (including the boundary) or the outside of some
+ * polygons.
+ *
+ * @param {number[][][]} lines
+ * @param {number[][][][]} polygons
+ * @param {boolean} inside
+ * @returns {number[][][]}
+ */
+function clipLines(lines, polygons, inside) {
+  if (!polygons.length) return inside ? [] : lines
+  const edges = polygonEdges(polygons)
+  /** @type {Segment[]} */
+  const kept = []
+  for (const line of lines) {
+    for (const piece of splitSegments(lineSegments(line), edges).a) {
+      const rel = locate(midpoint(...piece), polygons)
+      if (rel === 'OUTSIDE' !== inside) kept.push(piece)
+    }
+  }
+  return chainSegments(kept)
+}
+
+/**
+ * Overlay two sets of lines: the parts of a that lie along b, the parts
+ * that do not, and the isolated points where a crosses or touches b.
+ *
+ * @param {number[][][]} linesA
+ * @param {number[][][]} linesB
+ * @returns {{ shared: number[][][], difference: number[][][], crossings: number[][] }}
+ */
+function overlayLines(linesA, linesB) {
+  if (!linesA.length || !linesB.length) return { shared: [], difference: linesA, crossings: [] }
+  const segmentsB = linesB.flatMap(lineSegments)
+  /** @type {Segment[]} */
+  const shared = []
+  /** @type {Segment[]} */
+  const difference = []
+  for (const line of linesA) {
+    for (const piece of splitSegments(lineSegments(line), segmentsB).a) {
+      const mid = midpoint(...piece)
+      if (linesB.some(lineB => pointOnLine(mid, lineB))) shared.push(piece)
+      else difference.push(piece)
+    }
+  }
+  const onShared = new Set(shared.flat().map(pointKey))
+  const crossings = uniquePoints(difference.flat())
+    .filter(point => !onShared.has(pointKey(point)) && linesB.some(lineB => pointOnLine(point, lineB)))
+  return { shared: chainSegments(shared), difference: chainSegments(difference), crossings }
+}
+
+/**
+ * Join segments end to start into lines.
+ *
+ * @param {Segment[]} segments
+ * @returns {number[][][]}
+ */
+function chainSegments(segments) {
+  /** @type {Map<string, Segment[]>} */
+  const byStart = new Map()
+  const ends = new Set()
+  for (const segment of segments) {
+    const key = pointKey(segment[0])
+    const list = byStart.get(key)
+    if (list) list.push(segment)
+    else byStart.set(key, [segment])
+    ends.add(pointKey(segment[1]))
+  }
+  /** @type {Set<Segment>} */
+  const used = new Set()
+  /** @type {number[][][]} */
+  const lines = []
+  // start from segments nothing leads into, then from what is left of loops
+  const starts = [...segments.filter(([p]) => !ends.has(pointKey(p))), ...segments]
+  for (const first of starts) {
+    if (used.has(first)) continue
+    const line = [first[0]]
+    /** @type {Segment | undefined} */
+    let segment = first
+    while (segment) {
+      used.add(segment)
+      line.push(segment[1])
+      segment = byStart.get(pointKey(segment[1]))?.find(next => !used.has(next))
+    }
+    lines.push(line)
+  }
+  return lines
+}
+
+/**
+ * Points where two geometries meet, for geometries whose intersection has no
+ * length or area.
+ *
+ * @param {SimpleGeometry[]} a
+ * @param {SimpleGeometry[]} b
+ * @returns {SimpleGeometry[]}
+ */
+function touchPoints(a, b) {
+  const partsA = partition(a)
+  const partsB = partition(b)
+  const segmentsA = [...partsA.lines, ...partsA.polygons.flat()].flatMap(lineSegments)
+  const segmentsB = [...partsB.lines, ...partsB.polygons.flat()].flatMap(lineSegments)
+  const candidates = [...partsA.points, ...splitSegments(segmentsA, segmentsB).a.flat()]
+  const points = uniquePoints(candidates).filter(point => pointIntersects(point, b))
+  return toParts({ points, lines: [], polygons: [] })
+}
+
+/**
+ * @param {number[]} point
+ * @param {SimpleGeometry[]} parts
+ * @returns {boolean}
+ */
+function pointIntersects(point, parts) {
+  return intersects([{ type: 'Point', coordinates: point }], parts)
+}
+
+/**
+ * @param {number[][]} points
+ * @returns {number[][]}
+ */
+function uniquePoints(points) {
+  const seen = new Set()
+  return points.filter(point => {
+    const key = pointKey(point)
+    if (seen.has(key)) return false
+    seen.add(key)
+    return true
+  })
+}
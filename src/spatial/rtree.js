@@ -0,0 +1,90 @@
+import { boxesOverlap } from './bbox.js'
+
+/**
+ * @import { BoundingBox } from './geometry.js'
+ */
+
+/**
+ * @typedef {{ box: BoundingBox, value: number }} RTreeEntry
+ * @typedef {{ box: BoundingBox, entries?: RTreeEntry[], children?: RTreeNode[] }} RTreeNode
+ */
+
+// Maximum number of entries or children per node
+const NODE_SIZE = 16
+
+/**
+ * Build a static R-tree over a list of boxes, packed bottom-up with the
+ * sort-tile-recursive algorithm. Returns undefined for no entries.
+ *
+ * @param {RTreeEntry[]} entries
+ * @returns {RTreeNode | undefined}
+ */
+export function buildRTree(entries) {
+  if (!entries.length) return undefined
+  /** @type {RTreeNode[]} */
+  let nodes = pack(entries).map(group => ({ box: unionBox(group), entries: group }))
+  while (nodes.length > 1) {
+    nodes = pack(nodes).map(group => ({ box: unionBox(group), children: group }))
+  }
+  return nodes[0]
+}
+
+/**
+ * Find the values of all entries whose box overlaps the query box.
+ *
+ * @param {RTreeNode | undefined} node
+ * @param {BoundingBox} box
+ * @param {number[]} [out]
+ * @returns {number[]}
+ */
+export function searchRTree(node, box, out = []) {
+  if (!node || !boxesOverlap(node.box, box)) return out
+  if (node.entries) {
+    for (const entry of node.entries) {
+      if (boxesOverlap(entry.box, box)) out.push(entry.value)
+    }
+  }
+  if (node.children) {
+    for (const child of node.children) searchRTree(child, box, out)
+  }
+  return out
+}
+
+/**
+ * Group items into runs of NODE_SIZE: sort by center x into vertical
+ * slices, then by center y within each slice.
+ *
+ * @template {{ box: BoundingBox }} T
+ * @param {T[]} items
+ * @returns {T[][]}
+ */
+function pack(items) {
+  const nodeCount = Math.ceil(items.length / NODE_SIZE)
+  const sliceSize = Math.ceil(nodeCount / Math.ceil(Math.sqrt(nodeCount))) * NODE_SIZE
+  const sorted = [...items].sort((a, b) => a.box.minX + a.box.maxX - b.box.minX - b.box.maxX)
+  /** @type {T[][]} */
+  const groups = []
+  for (let i = 0; i < sorted.length; i += sliceSize) {
+    const slice = sorted.slice(i, i + sliceSize)
+      .sort((a, b) => a.box.minY + a.box.maxY - b.box.minY - b.box.maxY)
+    for (let j = 0; j < slice.length; j += NODE_SIZE) {
+      groups.push(slice.slice(j, j + NODE_SIZE))
+    }
+  }
+  return groups
+}
+
+/**
+ * @param {{ box: BoundingBox }[]} items
+ * @returns {BoundingBox}
+ */
+function unionBox(items) {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity
+  for (const { box } of items) {
+    if (box.minX < minX) minX = box.minX
+    if (box.minY < minY) minY = box.minY
+    if (box.maxX > maxX) maxX = box.maxX
+    if (box.maxY > maxY) maxY = box.maxY
+  }
+  return { minX, minY, maxX, maxY }
+}
@@ -0,0 +1,95 @@
+import { pointToSegmentDistSq } from './pointRelations.js'
+
+/**
+ * @import { Geometry } from './geometry.js'
+ */
+
+/**
+ * Simplify the lines and rings of a geometry with the Douglas-Peucker
+ * algorithm, keeping its type. Rings that collapse below four points are
+ * dropped, along with polygons whose shell collapses. Returns null when a
+ * polygon's shell collapses, since a polygon cannot be empty.
+ *
+ * @param {Geometry} geom
+ * @param {number} tolerance
+ * @returns {Geometry | null}
+ */
+export function simplifyGeometry(geom, tolerance) {
+  const toleranceSq = tolerance * tolerance
+  switch (geom.type) {
+  case 'Point':
+  case 'MultiPoint':
+    return geom
+  case 'LineString':
+    return { type: geom.type, coordinates: simplifyLine(geom.coordinates, toleranceSq) }
+  case 'MultiLineString':
+    return { type: geom.type, coordinates: geom.coordinates.map(line => simplifyLine(line, toleranceSq)) }
+  case 'Polygon': {
+    const coordinates = simplifyPolygon(geom.coordinates, toleranceSq)
+    return coordinates ? { type: geom.type, coordinates } : null
+  }
+  case 'MultiPolygon': {
+    /** @type {number[][][][]} */
+    const coordinates = []
+    for (const rings of geom.coordinates) {
+      const simplified = simplifyPolygon(rings, toleranceSq)
+      if (simplified) coordinates.push(simplified)
+    }
+    return { type: geom.type, coordinates }
+  }
+  case 'GeometryCollection': {
+    /** @type {Geometry[]} */
+    const geometries = []
+    for (const part of geom.geometries) {
+      const simplified = simplifyGeometry(part, tolerance)
+      if (simplified) geometries.push(simplified)
+    }
+    return { type: geom.type, geometries }
+  }
+  }
+}
+
+/**
+ * @param {number[][][]} rings
+ * @param {number} toleranceSq
+ * @returns {number[][][] | undefined}
+ */
+function simplifyPolygon(rings, toleranceSq) {
+  const [shell, ...holes] = rings.map(ring => simplifyLine(ring, toleranceSq))
+  if (!shell || shell.length < 4) return
+  return [shell, ...holes.filter(ring => ring.length >= 4)]
+}
+
+/**
+ * Douglas-Peucker: keep the endpoints, and recursively the point farthest
+ * from the segment between kept points while it is beyond the tolerance.
+ *
+ * @param {number[][]} line
+ * @param {number} toleranceSq
+ * @returns {number[][]}
+ */
+function simplifyLine(line, toleranceSq) {
+  if (line.length <= 2) return line
+  const keep = new Uint8Array(line.length)
+  keep[0] = 1
+  keep[line.length - 1] = 1
+  /** @type {[number, number][]} */
+  const stack = [[0, line.length - 1]]
+  for (let range = stack.pop(); range; range = stack.pop()) {
+    const [start, end] = range
+    let farthest = -1
+    let maxSq = toleranceSq
+    for (let i = start + 1; i < end; i++) {
+      const dSq = pointToSegmentDistSq(line[i], line[start], line[end])
+      if (dSq > maxSq) {
+        maxSq = dSq
+        farthest = i
+      }
+    }
+    if (farthest >= 0) {
+      keep[farthest] = 1
+      stack.push([start, farthest], [farthest, end])
+    }
+  }
+  return line.filter((_, i) => keep[i])
+}
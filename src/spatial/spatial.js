@@ -1,29 +1,69 @@
+import { ArgValueError } from '../validation/executionErrors.js'
+import { geometryBbox } from './bbox.js'
+import { bufferGeometry } from './buffer.js'
 import { geometryEqual } from './equality.js'
+import { decodeGeohash, encodeGeohash } from './geohash.js'
+import { convexHull } from './hull.js'
+import { geometryArea, geometryCentroid, geometryLength, geometryPerimeter } from './measures.js'
 import { intersects, pairContainment, pairRelation } from './operations.js'
+import { geometryDifference, geometryIntersection, geometryUnion, unionAll } from './overlay.js'
 import { pointInPolygon, pointLineRelation, pointToSegmentDistSq } from './pointRelations.js'
 import { distSq } from './primitives.js'
+import { simplifyGeometry } from './simplify.js'
+import { haversineDistance } from './sphere.js'
+import { geomToWkb, parseWkb } from './wkb.js'
 import { geomToWkt, parseWkt } from './wkt.js'
 
 /**
- * @import { SpatialFunc, SqlPrimitive } from '../types.js'
- * @import { Geometry, Point, SimpleGeometry } from './geometry.js'
+ * @import { FunctionNode, SpatialFunc, SqlPrimitive } from '../types.js'
+ * @import { BoundingBox, Geometry, Point, SimpleGeometry } from './geometry.js'
  */
 
 /**
- * Evaluate a spatial predicate function.
+ * Evaluate a spatial function.
  *
  * @param {Object} options
  * @param {SpatialFunc} options.funcName
+ * @param {FunctionNode} options.node
  * @param {SqlPrimitive[]} options.args
+ * @param {number} [options.rowIndex] - Row index for error reporting
  * @returns {SqlPrimitive}
  */
-export function evaluateSpatialFunc({ funcName, args }) {
-  // Singleton functions
+export function evaluateSpatialFunc({ funcName, node, args, rowIndex }) {
+  // Constructors
+  if (funcName === 'ST_POINT') {
+    if (args[0] == null || args[1] == null) return null
+    return { type: 'Point', coordinates: [Number(args[0]), Number(args[1])] }
+  }
+
   if (funcName === 'ST_GEOMFROMTEXT') {
     if (args[0] == null) return null
     return parseWkt(String(args[0]))
   }
 
+  if (funcName === 'ST_GEOMFROMWKB') {
+    if (!(args[0] instanceof Uint8Array)) return null
+    return toGeometry(args[0])
+  }
+
+  if (funcName === 'ST_GEOMFROMGEOJSON') {
+    if (args[0] == null) return null
+    if (typeof args[0] !== 'string') return toGeometry(args[0])
+    try {
+      return toGeometry(JSON.parse(args[0]))
+    } catch {
+      return null
+    }
+  }
+
+  if (funcName === 'ST_POINTFROMGEOHASH') {
+    if (args[0] == null || args.length > 1 && args[1] == null) return null
+    const hash = String(args[0])
+    const box = decodeGeohash(args.length > 1 ? hash.slice(0, geohashPrecision(node, args[1], rowIndex)) : hash)
+    if (!box) return null
+    return { type: 'Point', coordinates: [(box.minX + box.maxX) / 2, (box.minY + box.maxY) / 2] }
+  }
+
   if (funcName === 'ST_MAKEENVELOPE') {
     if (args[0] == null || args[1] == null || args[2] == null || args[3] == null) return null
     const xmin = Number(args[0])
@@ -41,8 +81,94 @@ export function evaluateSpatialFunc({ funcName, args }) {
     if (geomA == null) return null
     return geomToWkt(geomA)
   }
+  if (funcName === 'ST_ASWKB') {
+    if (geomA == null) return null
+    return geomToWkb(geomA)
+  }
+  if (funcName === 'ST_ASGEOJSON') {
+    if (geomA == null) return null
+    return JSON.stringify(geoJsonGeometry(geomA))
+  }
 
-  // Predicate functions (require two geometries)
+  // Accessors
+  if (funcName === 'ST_X' || funcName === 'ST_Y') {
+    if (geomA?.type !== 'Point') return null
+    return geomA.coordinates[funcName === 'ST_X' ? 0 : 1]
+  }
+  if (funcName === 'ST_GEOMETRYTYPE') {
+    if (geomA == null) return null
+    return geomA.type.toUpperCase()
+  }
+  if (funcName === 'ST_NUMPOINTS') {
+    if (geomA == null) return null
+    return countPoints(geomA)
+  }
+  if (funcName === 'ST_ENVELOPE' || funcName === 'ST_XMIN' || funcName === 'ST_XMAX' || funcName === 'ST_YMIN' || funcName === 'ST_YMAX') {
+    if (geomA == null) return null
+    const box = geometryBbox(decompose(geomA))
+    if (!box) return null
+    if (funcName === 'ST_XMIN') return box.minX
+    if (funcName === 'ST_XMAX') return box.maxX
+    if (funcName === 'ST_YMIN') return box.minY
+    if (funcName === 'ST_YMAX') return box.maxY
+    return envelope(box)
+  }
+
+  // Geodesic functions of lon/lat coordinates
+  if (funcName === 'ST_GEOHASH') {
+    if (geomA == null || args.length > 1 && args[1] == null) return null
+    const precision = args.length > 1 ? geohashPrecision(node, args[1], rowIndex) : 12
+    if (geomA.type === 'Point') return encodeGeohash(geomA.coordinates, precision)
+    // longest common prefix of the corners: the smallest cell containing the geometry
+    const box = geometryBbox(decompose(geomA))
+    if (!box) return null
+    const min = encodeGeohash([box.minX, box.minY], precision)
+    const max = encodeGeohash([box.maxX, box.maxY], precision)
+    if (min == null || max == null) return null
+    let length = 0
+    while (length < precision && min[length] === max[length]) length++
+    // no cell short of the whole world contains it
+    return length ? min.slice(0, length) : null
+  }
+  if (funcName === 'ST_DISTANCE_SPHERE' || funcName === 'ST_DWITHIN_SPHERE') {
+    const geomB = toGeometry(args[1])
+    if (geomA?.type !== 'Point' || geomB?.type !== 'Point') return null
+    const meters = haversineDistance(geomA.coordinates, geomB.coordinates)
+    if (funcName === 'ST_DISTANCE_SPHERE') return meters
+    if (args[2] == null) return null
+    return meters <= Number(args[2])
+  }
+
+  // Geometry-producing functions (single geometry)
+  if (funcName === 'ST_CONVEXHULL') {
+    if (geomA == null) return null
+    const hull = convexHull(decompose(geomA).flatMap(vertices))
+    if (hull.length > 2) return { type: 'Polygon', coordinates: [[...hull, hull[0]]] }
+    return compose(hull.length === 2
+      ? [{ type: 'LineString', coordinates: hull }]
+      : hull.map(coordinates => ({ type: 'Point', coordinates })))
+  }
+  if (funcName === 'ST_SIMPLIFY') {
+    if (geomA == null || args[1] == null) return null
+    return simplifyGeometry(geomA, Number(args[1]))
+  }
+  if (funcName === 'ST_BUFFER') {
+    if (geomA == null || args[1] == null || args.length > 2 && args[2] == null) return null
+    const quadSegs = args.length > 2 ? Math.max(1, Math.floor(Number(args[2])) || 1) : 8
+    return compose(bufferGeometry(decompose(geomA), Number(args[1]), quadSegs))
+  }
+
+  // Measurement functions (single geometry)
+  if (funcName === 'ST_AREA' || funcName === 'ST_LENGTH' || funcName === 'ST_PERIMETER' || funcName === 'ST_CENTROID') {
+    if (geomA == null) return null
+    const parts = decompose(geomA)
+    if (funcName === 'ST_AREA') return geometryArea(parts)
+    if (funcName === 'ST_LENGTH') return geometryLength(parts)
+    if (funcName === 'ST_PERIMETER') return geometryPerimeter(parts)
+    return geometryCentroid(parts)
+  }
+
+  // Functions of two geometries (require two geometries)
   const geomB = toGeometry(args[1])
   if (geomA == null || geomB == null) return null
   const a = decompose(geomA)
@@ -59,6 +185,10 @@ export function evaluateSpatialFunc({ funcName, args }) {
   case 'ST_CROSSES': return stCrosses(a, b)
   case 'ST_COVERS': return stContains(a, b) // TODO: handle boundary
   case 'ST_COVEREDBY': return stContains(b, a) // inverse of covers
+  case 'ST_DISTANCE': return stDistance(a, b)
+  case 'ST_INTERSECTION': return compose(geometryIntersection(a, b))
+  case 'ST_UNION': return compose(geometryUnion(a, b))
+  case 'ST_DIFFERENCE': return compose(geometryDifference(a, b))
   case 'ST_DWITHIN': {
     if (args[2] == null) return null
     const dist = Number(args[2])
@@ -68,6 +198,40 @@ export function evaluateSpatialFunc({ funcName, args }) {
   }
 }
 
+/**
+ * Evaluate a spatial aggregate over the values of a group. Values that are
+ * not geometries are ignored, and a group without geometries gives null.
+ *
+ * @param {Object} options
+ * @param {'ST_UNION_AGG' | 'ST_EXTENT'} options.funcName
+ * @param {SqlPrimitive[]} options.values
+ * @returns {SqlPrimitive}
+ */
+export function evaluateSpatialAggregate({ funcName, values }) {
+  /** @type {SimpleGeometry[][]} */
+  const geometries = []
+  for (const value of values) {
+    const geom = toGeometry(value)
+    if (geom) geometries.push(decompose(geom))
+  }
+  if (!geometries.length) return null
+  if (funcName === 'ST_UNION_AGG') return compose(unionAll(geometries))
+  const box = geometryBbox(geometries.flat())
+  return box && envelope(box)
+}
+
+/**
+ * Bounding box of a geometry value. Returns null if the value is not a
+ * geometry or has no coordinates.
+ *
+ * @param {SqlPrimitive} val
+ * @returns {BoundingBox | null}
+ */
+export function valueBbox(val) {
+  const geom = toGeometry(val)
+  return geom && geometryBbox(decompose(geom))
+}
+
 /**
  * Decompose Multi* and GeometryCollection into simple geometries.
  *
@@ -88,13 +252,93 @@ export function decompose(geom) {
 }
 
 /**
- * Normalize a geometry value. Accepts GeoJSON objects.
+ * Combine simple geometries into one geometry: the geometry itself for a
+ * single part, a Multi* geometry for parts of one type, and otherwise a
+ * GeometryCollection (empty for no parts).
+ *
+ * @param {SimpleGeometry[]} parts
+ * @returns {Geometry}
+ */
+function compose(parts) {
+  if (parts.length === 1) return parts[0]
+  /** @type {number[][]} */
+  const points = []
+  /** @type {number[][][]} */
+  const lines = []
+  /** @type {number[][][][]} */
+  const polygons = []
+  for (const part of parts) {
+    if (part.type === 'Point') points.push(part.coordinates)
+    else if (part.type === 'LineString') lines.push(part.coordinates)
+    else polygons.push(part.coordinates)
+  }
+  if (parts.length) {
+    if (points.length === parts.length) return { type: 'MultiPoint', coordinates: points }
+    if (lines.length === parts.length) return { type: 'MultiLineString', coordinates: lines }
+    if (polygons.length === parts.length) return { type: 'MultiPolygon', coordinates: polygons }
+  }
+  return { type: 'GeometryCollection', geometries: parts }
+}
+
+/**
+ * The envelope of a bounding box: a polygon, or a point for an empty box.
+ *
+ * @param {BoundingBox} box
+ * @returns {Geometry}
+ */
+function envelope({ minX, minY, maxX, maxY }) {
+  if (minX === maxX && minY === maxY) return { type: 'Point', coordinates: [minX, minY] }
+  return {
+    type: 'Polygon',
+    coordinates: [[[minX, minY], [maxX, minY], [maxX, maxY], [minX, maxY], [minX, minY]]],
+  }
+}
+
+/**
+ * @param {SimpleGeometry} part
+ * @returns {number[][]}
+ */
+function vertices(part) {
+  if (part.type === 'Point') return [part.coordinates]
+  if (part.type === 'LineString') return part.coordinates
+  return part.coordinates.flat()
+}
+
+/**
+ * Count the vertices of a geometry, including the closing vertex of each ring.
+ *
+ * @param {Geometry} geom
+ * @returns {number}
+ */
+function countPoints(geom) {
+  let count = 0
+  for (const part of decompose(geom)) {
+    count += vertices(part).length
+  }
+  return count
+}
+
+/** @type {WeakMap<Uint8Array, Geometry | null>} */
+const wkbCache = new WeakMap()
+
+/**
+ * Normalize a geometry value. Accepts GeoJSON objects and WKB bytes.
+ * Parsed WKB is cached per byte array, so repeated calls on the same value
+ * return the same geometry object.
  * Returns null if the value is not a valid geometry.
  *
  * @param {SqlPrimitive} val
  * @returns {Geometry | null}
  */
 function toGeometry(val) {
+  if (val instanceof Uint8Array) {
+    let geom = wkbCache.get(val)
+    if (geom === undefined) {
+      geom = parseWkb(val)
+      wkbCache.set(val, geom)
+    }
+    return geom
+  }
   if (typeof val === 'object' && val != null && 'type' in val) {
     if (val.type === 'GeometryCollection' && Array.isArray(val.geometries)) {
       // eslint-disable-next-line no-extra-parens
@@ -109,6 +353,42 @@ function toGeometry(val) {
   return null
 }
 
+/**
+ * Read a geohash precision argument, a number of characters from 1 to 12.
+ *
+ * @param {FunctionNode} node
+ * @param {SqlPrimitive} val
+ * @param {number} [rowIndex]
+ * @returns {number}
+ */
+function geohashPrecision(node, val, rowIndex) {
+  const precision = Number(val)
+  if (Number.isInteger(precision) && precision >= 1 && precision <= 12) return precision
+  const arg = node.args[1]
+  throw new ArgValueError({
+    funcName: node.funcName,
+    message: `precision must be an integer from 1 to 12, got ${val}`,
+    positionStart: arg.positionStart,
+    positionEnd: arg.positionEnd,
+    rowIndex,
+  })
+}
+
+/**
+ * Copy a geometry with only its GeoJSON geometry members, dropping any
+ * other properties of the original object.
+ *
+ * @param {Geometry} geom
+ * @returns {Geometry}
+ */
+function geoJsonGeometry(geom) {
+  if (geom.type === 'GeometryCollection') {
+    return { type: geom.type, geometries: geom.geometries.map(geoJsonGeometry) }
+  }
+  // eslint-disable-next-line no-extra-parens
+  return /** @type {Geometry} */ ({ type: geom.type, coordinates: geom.coordinates })
+}
+
 /**
  * Get all line segments from a geometry.
  *
@@ -142,8 +422,7 @@ function getSegments(geoms) {
 
 /**
  * Test whether two geometries are within a given distance of each other.
- * Intersecting geometries have distance 0. For non-intersecting geometries,
- * the minimum distance is always at an endpoint, so point-to-segment suffices.
+ * Intersecting geometries have distance 0.
  *
  * @param {SimpleGeometry[]} a
  * @param {SimpleGeometry[]} b
@@ -153,31 +432,58 @@ function getSegments(geoms) {
 function stDWithin(a, b, distance) {
   if (distance < 0) return false
   if (intersects(a, b)) return true
-
   const distanceSq = distance * distance
+  return minDistanceSq(a, b, distanceSq) <= distanceSq
+}
+
+/**
+ * Minimum planar distance between two geometries, 0 if they intersect.
+ * Returns null if either geometry is empty.
+ *
+ * @param {SimpleGeometry[]} a
+ * @param {SimpleGeometry[]} b
+ * @returns {number | null}
+ */
+function stDistance(a, b) {
+  if (intersects(a, b)) return 0
+  const minSq = minDistanceSq(a, b)
+  return minSq === Infinity ? null : Math.sqrt(minSq)
+}
+
+/**
+ * Squared minimum distance between two geometries that do not intersect.
+ * The minimum is always at a point of one of them, so point-to-point and
+ * point-to-segment distances suffice. Stops early at a distance within
+ * limitSq. Infinity if either geometry is empty.
+ *
+ * @param {SimpleGeometry[]} a
+ * @param {SimpleGeometry[]} b
+ * @param {number} [limitSq]
+ * @returns {number}
+ */
+function minDistanceSq(a, b, limitSq = 0) {
   const { points: ptsA, segments: segsA } = getSegments(a)
   const { points: ptsB, segments: segsB } = getSegments(b)
-
-  // Point-to-point
+  let minSq = Infinity
   for (const pa of ptsA) {
     for (const pb of ptsB) {
-      if (distSq(pa, pb) <= distanceSq) return true
+      minSq = Math.min(minSq, distSq(pa, pb))
+      if (minSq <= limitSq) return minSq
     }
   }
-
-  // Point-to-segment
   for (const pt of ptsA) {
     for (const [b1, b2] of segsB) {
-      if (pointToSegmentDistSq(pt, b1, b2) <= distanceSq) return true
+      minSq = Math.min(minSq, pointToSegmentDistSq(pt, b1, b2))
+      if (minSq <= limitSq) return minSq
     }
   }
   for (const pt of ptsB) {
     for (const [a1, a2] of segsA) {
-      if (pointToSegmentDistSq(pt, a1, a2) <= distanceSq) return true
+      minSq = Math.min(minSq, pointToSegmentDistSq(pt, a1, a2))
+      if (minSq <= limitSq) return minSq
     }
   }
-
-  return false
+  return minSq
 }
 
 /**
@@ -0,0 +1,28 @@
+// Mean earth radius in meters
+const EARTH_RADIUS = 6371008.8
+
+/**
+ * Great-circle distance in meters between two lon/lat points on a sphere,
+ * using the haversine formula.
+ *
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number}
+ */
+export function haversineDistance(a, b) {
+  const lat1 = toRadians(a[1])
+  const lat2 = toRadians(b[1])
+  const sinLat = Math.sin((lat2 - lat1) / 2)
+  const sinLon = Math.sin(toRadians(b[0] - a[0]) / 2)
+  const h = sinLat * sinLat + Math.cos(lat1) * Math.cos(lat2) * sinLon * sinLon
+  // clamp rounding error for antipodal points
+  return 2 * EARTH_RADIUS * Math.asin(Math.sqrt(Math.min(1, h)))
+}
+
+/**
+ * @param {number} degrees
+ * @returns {number}
+ */
+function toRadians(degrees) {
+  return degrees * Math.PI / 180
+}
@@ -0,0 +1,233 @@
+/**
+ * @import { Geometry } from './geometry.js'
+ */
+
+/** @type {Geometry['type'][]} */
+const WKB_TYPES = ['Point', 'LineString', 'Polygon', 'MultiPoint', 'MultiLineString', 'MultiPolygon', 'GeometryCollection']
+
+/**
+ * Parse WKB bytes into a GeoJSON geometry. Accepts ISO WKB and EWKB in either
+ * byte order. Z and M values are dropped, as in parseWkt.
+ * Returns null if the bytes are not a valid geometry, or are an empty point.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {Geometry | null}
+ */
+export function parseWkb(bytes) {
+  const reader = { view: new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength), offset: 0 }
+  try {
+    return readGeometry(reader)
+  } catch {
+    // reading past the end of the buffer
+    return null
+  }
+}
+
+/**
+ * Convert a GeoJSON geometry to little-endian ISO WKB.
+ *
+ * @param {Geometry} geom
+ * @returns {Uint8Array}
+ */
+export function geomToWkb(geom) {
+  const bytes = new Uint8Array(wkbSize(geom))
+  const writer = { view: new DataView(bytes.buffer), offset: 0 }
+  writeGeometry(writer, geom)
+  return bytes
+}
+
+/**
+ * @typedef {{ view: DataView, offset: number, littleEndian?: boolean }} Cursor
+ */
+
+/**
+ * @param {Cursor} reader
+ * @returns {Geometry | null}
+ */
+function readGeometry(reader) {
+  const { view } = reader
+  reader.littleEndian = view.getUint8(reader.offset) === 1
+  const code = view.getUint32(reader.offset + 1, reader.littleEndian)
+  reader.offset += 5
+
+  // EWKB flags in the high bits, ISO dimensions in the thousands
+  let dimensions = 2
+  if (code & 0x80000000) dimensions++
+  if (code & 0x40000000) dimensions++
+  if (code & 0x20000000) reader.offset += 4 // srid
+  const isoCode = code & 0x0fffffff
+  const iso = Math.floor(isoCode / 1000)
+  if (iso === 1 || iso === 2) dimensions++
+  if (iso === 3) dimensions += 2
+  const type = WKB_TYPES[isoCode % 1000 - 1]
+
+  switch (type) {
+  case 'Point': {
+    const coords = readPoint(reader, dimensions)
+    if (Number.isNaN(coords[0]) && Number.isNaN(coords[1])) return null // POINT EMPTY
+    return { type, coordinates: coords }
+  }
+  case 'LineString':
+    return { type, coordinates: readPoints(reader, dimensions) }
+  case 'Polygon':
+    return { type, coordinates: readRings(reader, dimensions) }
+  case 'MultiPoint':
+  case 'MultiLineString':
+  case 'MultiPolygon':
+  case 'GeometryCollection': {
+    const count = readCount(reader)
+    /** @type {Geometry[]} */
+    const geometries = []
+    for (let i = 0; i < count; i++) {
+      const child = readGeometry(reader)
+      if (child) geometries.push(child)
+    }
+    if (type === 'GeometryCollection') return { type, geometries }
+    // Multi* parts must be of the matching simple type
+    const partType = WKB_TYPES[WKB_TYPES.indexOf(type) - 3]
+    if (geometries.some(g => g.type !== partType)) return null
+    const coordinates = geometries.map(g => 'coordinates' in g ? g.coordinates : [])
+    // eslint-disable-next-line no-extra-parens
+    return /** @type {Geometry} */ ({ type, coordinates })
+  }
+  default:
+    return null
+  }
+}
+
+/**
+ * @param {Cursor} reader
+ * @returns {number}
+ */
+function readCount(reader) {
+  const count = reader.view.getUint32(reader.offset, reader.littleEndian)
+  reader.offset += 4
+  return count
+}
+
+/**
+ * @param {Cursor} reader
+ * @param {number} dimensions
+ * @returns {number[]}
+ */
+function readPoint(reader, dimensions) {
+  const x = reader.view.getFloat64(reader.offset, reader.littleEndian)
+  const y = reader.view.getFloat64(reader.offset + 8, reader.littleEndian)
+  reader.offset += 8 * dimensions
+  return [x, y]
+}
+
+/**
+ * @param {Cursor} reader
+ * @param {number} dimensions
+ * @returns {number[][]}
+ */
+function readPoints(reader, dimensions) {
+  const count = readCount(reader)
+  /** @type {number[][]} */
+  const points = []
+  for (let i = 0; i < count; i++) {
+    points.push(readPoint(reader, dimensions))
+  }
+  return points
+}
+
+/**
+ * @param {Cursor} reader
+ * @param {number} dimensions
+ * @returns {number[][][]}
+ */
+function readRings(reader, dimensions) {
+  const count = readCount(reader)
+  /** @type {number[][][]} */
+  const rings = []
+  for (let i = 0; i < count; i++) {
+    rings.push(readPoints(reader, dimensions))
+  }
+  return rings
+}
+
+/**
+ * Byte length of the WKB encoding of a geometry.
+ *
+ * @param {Geometry} geom
+ * @returns {number}
+ */
+function wkbSize(geom) {
+  switch (geom.type) {
+  case 'Point': return 21
+  case 'LineString': return 9 + 16 * geom.coordinates.length
+  case 'Polygon': return 9 + geom.coordinates.reduce((sum, ring) => sum + 4 + 16 * ring.length, 0)
+  case 'MultiPoint': return 9 + 21 * geom.coordinates.length
+  case 'MultiLineString': return 9 + geom.coordinates.reduce((sum, line) => sum + wkbSize({ type: 'LineString', coordinates: line }), 0)
+  case 'MultiPolygon': return 9 + geom.coordinates.reduce((sum, rings) => sum + wkbSize({ type: 'Polygon', coordinates: rings }), 0)
+  case 'GeometryCollection': return 9 + geom.geometries.reduce((sum, g) => sum + wkbSize(g), 0)
+  }
+}
+
+/**
+ * @param {Cursor} writer
+ * @param {Geometry} geom
+ */
+function writeGeometry(writer, geom) {
+  const { view } = writer
+  view.setUint8(writer.offset, 1)
+  view.setUint32(writer.offset + 1, WKB_TYPES.indexOf(geom.type) + 1, true)
+  writer.offset += 5
+  switch (geom.type) {
+  case 'Point':
+    writePoint(writer, geom.coordinates)
+    break
+  case 'LineString':
+    writePoints(writer, geom.coordinates)
+    break
+  case 'Polygon':
+    writeCount(writer, geom.coordinates.length)
+    for (const ring of geom.coordinates) writePoints(writer, ring)
+    break
+  case 'MultiPoint':
+    writeCount(writer, geom.coordinates.length)
+    for (const coordinates of geom.coordinates) writeGeometry(writer, { type: 'Point', coordinates })
+    break
+  case 'MultiLineString':
+    writeCount(writer, geom.coordinates.length)
+    for (const coordinates of geom.coordinates) writeGeometry(writer, { type: 'LineString', coordinates })
+    break
+  case 'MultiPolygon':
+    writeCount(writer, geom.coordinates.length)
+    for (const coordinates of geom.coordinates) writeGeometry(writer, { type: 'Polygon', coordinates })
+    break
+  case 'GeometryCollection':
+    writeCount(writer, geom.geometries.length)
+    for (const child of geom.geometries) writeGeometry(writer, child)
+    break
+  }
+}
+
+/**
+ * @param {Cursor} writer
+ * @param {number} count
+ */
+function writeCount(writer, count) {
+  writer.view.setUint32(writer.offset, count, true)
+  writer.offset += 4
+}
+
+/**
+ * @param {Cursor} writer
+ * @param {number[]} point
+ */
+function writePoint(writer, point) {
+  writer.view.setFloat64(writer.offset, point[0], true)
+  writer.view.setFloat64(writer.offset + 8, point[1], true)
+  writer.offset += 16
+}
+
+/**
+ * @param {Cursor} writer
+ * @param {number[][]} points
+ */
+function writePoints(writer, points) {
+  writeCount(writer, points.length)
+  for (const point of points) writePoint(writer, point)
+}
@@ -1,4 +1,4 @@
-import type { ExprNode, SqlPrimitive, Statement } from './ast.js'
+import type { ExplainStatement, ExprNode, SqlPrimitive, Statement } from './ast.js'
 import type { QueryPlan } from './plan/types.js'
 
 export * from './ast.js'
@@ -153,24 +153,59 @@ export interface PreparedScan {
 
 export type PrepareScan = (request: ScanRequest) => PreparedScan
 
+// Values for query placeholders: an array for positional `?` / `$1`
+// placeholders, or an object keyed by name for `:name` placeholders
+export type QueryParams = SqlPrimitive[] | Record<string, SqlPrimitive>
+
 // parseSql(options)
 export interface ParseSqlOptions {
   query: string
   functions?: Record<string, UserDefinedFunction>
+  // binds placeholders when given, otherwise they are left in the AST
+  params?: QueryParams
 }
 
 // executeSql(options)
 export interface ExecuteSqlOptions {
   tables: Record<string, Row | AsyncDataSource>
-  query: string | Statement
+  query: string | Statement | ExplainStatement
   functions?: Record<string, UserDefinedFunction>
+  params?: QueryParams
   signal?: AbortSignal
+  onEvent?: (event: ExecuteEvent) => void
+  // Recursive CTE limits: iterations of the recursive term (default 10000)
+  // and total rows produced per CTE (default 1000000)
+  maxRecursion?: number
+  maxRecursiveRows?: number
+  // IANA time zone for DATE_TRUNC, EXTRACT, CURRENT_DATE and TIMESTAMPTZ
+  // casts (default UTC)
+  timeZone?: string
+  // approximate bytes of rows a sort, hash join or GROUP BY may buffer before
+  // spilling to spillStore (default unlimited)
+  memoryBudget?: number
+  // rows (or groups) a sort, hash join or GROUP BY may buffer before
+  // spilling to spillStore (default unlimited)
+  rowBudget?: number
+  // where rows over the budget go (default memorySpillStore())
+  spillStore?: SpillStore
+}
+
+// Storage for rows spilled by operators over ExecuteSqlOptions.memoryBudget
+// or rowBudget, supplied by the host (e.g. backed by OPFS, IndexedDB or
+// files). A spill file is written in chunks of rows, read back once in the
+// order written, then deleted. Rows are arrays of values, which structured clone can store.
+export interface SpillStore {
+  // appends a chunk of rows to a file, creating the file on first write
+  write(file: string, rows: SqlPrimitive[][]): Promise<void>
+  read(file: string): AsyncIterable<SqlPrimitive[][]>
+  delete(file: string): Promise<void>
 }
 
 // planSql(options)
 export interface PlanSqlOptions {
-  query: string | Statement
+  query: string | Statement | ExplainStatement
   functions?: Record<string, UserDefinedFunction>
+  params?: QueryParams
   tables?: Record<string, AsyncDataSource>
   // Optional CTE plan/column maps populated during planning. Callers can pass
   // in Maps to capture the resolved CTEs for later reference (e.g. by
@@ -194,8 +229,52 @@ export interface ExecuteContext {
   // CTE references in subqueries re-planned during execution
   ctePlans?: Map<string, QueryPlan>
   cteColumns?: Map<string, string[]>
+  // rows of the previous iteration of each recursive CTE being executed
+  workTables?: Map<string, AsyncRow[]>
+  maxRecursion?: number
+  maxRecursiveRows?: number
+  // session time zone, from ExecuteSqlOptions.timeZone
+  timeZone?: string
+  // from ExecuteSqlOptions.memoryBudget, rowBudget and spillStore
+  memoryBudget?: number
+  rowBudget?: number
+  spillStore?: SpillStore
+  // when set, executePlan records what each plan node did (EXPLAIN ANALYZE)
+  planStats?: WeakMap<QueryPlan, PlanStats>
+  // called with progress events while the query runs, ending with a summary
+  onEvent?: (event: ExecuteEvent) => void
+  // totals for the summary event, created by the outermost executePlan
+  queryStats?: QueryStats
+}
+
+// Activity of one plan node during execution, summed over every time it ran
+export interface PlanStats {
+  loops: number // times the node's rows or batches were iterated
+  rows: number // rows yielded
+  cells: number // cell values its consumers read
+  columnCells: Record<string, number> // cells read, by column name
+  elapsed: number // milliseconds spent producing rows, including children
+}
+
+export interface NodeStats extends PlanStats {
+  plan: QueryPlan
+  rowsIn: number // rows yielded by the node's children
 }
 
+export interface QueryStats {
+  rows: number // rows returned by the query
+  elapsed: number // milliseconds spent producing them
+  nodes: NodeStats[] // executed plan nodes, parents before children
+  scans: Record<string, { batches: number, rows: number }> // batches read from prepareScan, by table
+  udfs: Record<string, { calls: number, elapsed: number }> // user-defined function calls, by name
+}
+
+export type ExecuteEvent =
+  | NodeStats & { type: 'node' } // a plan node finished iterating
+  | { type: 'scanBatch', table: string, rows: number } // a batch was read from a prepared scan
+  | { type: 'udf', name: string, elapsed: number } // a user-defined function call settled
+  | { type: 'summary', stats: QueryStats } // the query finished
+
 // AsyncRow represents a row with async cell values
 export interface AsyncRow {
   columns: string[]
@@ -284,15 +363,32 @@ export interface FunctionSignature {
   signature?: string
 }
 
-export interface UserDefinedFunction {
+export type UserDefinedFunction = ScalarUserDefinedFunction | AggregateUserDefinedFunction
+
+export interface ScalarUserDefinedFunction {
   apply: (...args: SqlPrimitive[]) => SqlPrimitive | Promise<SqlPrimitive>
   arguments: FunctionSignature
 }
 
-export type AggregateFunc = 'COUNT' | 'COUNTIF' | 'SUM' | 'AVG' | 'MIN' | 'MAX' | 'MIN_BY' | 'ARG_MIN' | 'MAX_BY' | 'ARG_MAX' | 'ANY_VALUE' | 'ARRAY_AGG' | 'LIST' | 'JSON_ARRAYAGG' | 'STDDEV_SAMP' | 'STDDEV_POP' | 'MEDIAN' | 'PERCENTILE_CONT' | 'APPROX_QUANTILE' | 'STRING_AGG'
+// Folds the rows of each group into a state: init() starts a group, update()
+// returns the state after one row's arguments (NULLs included), and
+// finalize() turns the state into the aggregate value. Any step may be async.
+// The optional merge() combines two states, letting async updates of a group
+// run concurrently on separate states.
+export interface AggregateUserDefinedFunction<State = unknown> {
+  init(): State | Promise<State>
+  update(state: State, ...args: SqlPrimitive[]): State | Promise<State>
+  merge?(left: State, right: State): State | Promise<State>
+  finalize(state: State): SqlPrimitive | Promise<SqlPrimitive>
+  arguments: FunctionSignature
+}
+
+export type AggregateFunc = 'COUNT' | 'COUNTIF' | 'SUM' | 'AVG' | 'MIN' | 'MAX' | 'MIN_BY' | 'ARG_MIN' | 'MAX_BY' | 'ARG_MAX' | 'ANY_VALUE' | 'ARRAY_AGG' | 'LIST' | 'JSON_ARRAYAGG' | 'STDDEV_SAMP' | 'STDDEV_POP' | 'VAR_SAMP' | 'VAR_POP' | 'VARIANCE' | 'SKEWNESS' | 'KURTOSIS' | 'CORR' | 'COVAR_SAMP' | 'COVAR_POP' | 'REGR_SLOPE' | 'REGR_INTERCEPT' | 'REGR_R2' | 'REGR_COUNT' | 'REGR_AVGX' | 'REGR_AVGY' | 'REGR_SXX' | 'REGR_SYY' | 'REGR_SXY' | 'MODE' | 'ENTROPY' | 'MEDIAN' | 'PERCENTILE_CONT' | 'PERCENTILE_DISC' | 'APPROX_QUANTILE' | 'APPROX_COUNT_DISTINCT' | 'APPROX_TOP_K' | 'STRING_AGG' | 'ST_UNION_AGG' | 'ST_EXTENT'
 
 export type RegExpFunction = 'REGEXP_SUBSTR' | 'REGEXP_EXTRACT' | 'REGEXP_REPLACE' | 'REGEXP_MATCHES' | 'REGEXP_LIKE'
 
+export type DateFormatFunc = 'STRFTIME' | 'STRPTIME' | 'TO_CHAR' | 'TO_TIMESTAMP' | 'MAKE_DATE' | 'MAKE_TIMESTAMP'
+
 export type MathFunc =
   | 'FLOOR'
   | 'CEIL'
@@ -354,3 +450,32 @@ export type SpatialFunc =
   | 'ST_GEOMFROMTEXT'
   | 'ST_MAKEENVELOPE'
   | 'ST_ASTEXT'
+  | 'ST_AREA'
+  | 'ST_LENGTH'
+  | 'ST_PERIMETER'
+  | 'ST_CENTROID'
+  | 'ST_DISTANCE'
+  | 'ST_POINT'
+  | 'ST_X'
+  | 'ST_Y'
+  | 'ST_GEOMETRYTYPE'
+  | 'ST_NUMPOINTS'
+  | 'ST_ENVELOPE'
+  | 'ST_XMIN'
+  | 'ST_XMAX'
+  | 'ST_YMIN'
+  | 'ST_YMAX'
+  | 'ST_GEOMFROMWKB'
+  | 'ST_ASWKB'
+  | 'ST_GEOMFROMGEOJSON'
+  | 'ST_ASGEOJSON'
+  | 'ST_INTERSECTION'
+  | 'ST_UNION'
+  | 'ST_DIFFERENCE'
+  | 'ST_BUFFER'
+  | 'ST_CONVEXHULL'
+  | 'ST_SIMPLIFY'
+  | 'ST_DISTANCE_SPHERE'
+  | 'ST_DWITHIN_SPHERE'
+  | 'ST_GEOHASH'
+  | 'ST_POINTFROMGEOHASH'
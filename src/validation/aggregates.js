@@ -2,7 +2,7 @@ import { isAggregateFunc } from './functions.js'
 import { ParseError } from './parseErrors.js'
 
 /**
- * @import { ExprNode, FunctionNode } from '../types.js'
+ * @import { ExprNode, FunctionNode, UserDefinedFunction } from '../types.js'
  */
 
 /**
@@ -10,46 +10,47 @@ import { ParseError } from './parseErrors.js'
  * Does not recurse into subqueries (they have their own aggregate scope).
  *
  * @param {ExprNode | undefined} expr
+ * @param {Record<string, UserDefinedFunction>} [functions] - to recognize aggregate UDFs
  * @returns {FunctionNode | undefined}
  */
-export function findAggregate(expr) {
+export function findAggregate(expr, functions) {
   if (!expr) return undefined
   if (expr.type === 'function') {
-    if (isAggregateFunc(expr.funcName.toUpperCase())) return expr
+    if (isAggregateFunc(expr.funcName.toUpperCase(), functions)) return expr
     for (const arg of expr.args) {
-      const found = findAggregate(arg)
+      const found = findAggregate(arg, functions)
       if (found) return found
     }
     return undefined
   }
   if (expr.type === 'binary') {
-    return findAggregate(expr.left) || findAggregate(expr.right)
+    return findAggregate(expr.left, functions) || findAggregate(expr.right, functions)
   }
   if (expr.type === 'unary') {
-    return findAggregate(expr.argument)
+    return findAggregate(expr.argument, functions)
   }
   if (expr.type === 'cast') {
-    return findAggregate(expr.expr)
+    return findAggregate(expr.expr, functions)
   }
   if (expr.type === 'subscript') {
-    return findAggregate(expr.expr) || findAggregate(expr.index)
+    return findAggregate(expr.expr, functions) || findAggregate(expr.index, functions)
   }
   if (expr.type === 'case') {
     if (expr.caseExpr) {
-      const found = findAggregate(expr.caseExpr)
+      const found = findAggregate(expr.caseExpr, functions)
       if (found) return found
     }
     for (const when of expr.whenClauses) {
-      const found = findAggregate(when.condition) || findAggregate(when.result)
+      const found = findAggregate(when.condition, functions) || findAggregate(when.result, functions)
       if (found) return found
     }
-    return findAggregate(expr.elseResult)
+    return findAggregate(expr.elseResult, functions)
   }
   if (expr.type === 'in valuelist') {
-    const found = findAggregate(expr.expr)
+    const found = findAggregate(expr.expr, functions)
     if (found) return found
     for (const val of expr.values) {
-      const found = findAggregate(val)
+      const found = findAggregate(val, functions)
       if (found) return found
     }
   }
@@ -62,9 +63,10 @@ export function findAggregate(expr) {
  *
  * @param {ExprNode | undefined} expr - The expression to check
  * @param {string} clause - The clause name (e.g., 'WHERE', 'JOIN ON', 'GROUP BY')
+ * @param {Record<string, UserDefinedFunction>} [functions] - to recognize aggregate UDFs
  */
-export function expectNoAggregate(expr, clause) {
-  const agg = findAggregate(expr)
+export function expectNoAggregate(expr, clause, functions) {
+  const agg = findAggregate(expr, functions)
   if (agg) {
     const hint = clause === 'WHERE' ? '. Use HAVING instead.' : ''
     throw new ParseError({
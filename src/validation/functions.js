@@ -1,17 +1,35 @@
+import { comomentAggregates, momentAggregates } from '../execute/moments.js'
 import { ParseError, UnknownFunctionError } from '../validation/parseErrors.js'
 
 /**
- * @import { AggregateFunc, BinaryOp, CastType, FunctionSignature, IntervalUnit, MathFunc, RegExpFunction, SpatialFunc, StringFunc, UserDefinedFunction } from '../types.js'
+ * @import { AggregateUserDefinedFunction, BinaryOp, CastType, DateFormatFunc, FunctionSignature, IntervalUnit, MathFunc, RegExpFunction, SpatialFunc, StringFunc, UserDefinedFunction } from '../types.js'
  */
 
 export const niladicFuncs = ['CURRENT_DATE', 'CURRENT_TIME', 'CURRENT_TIMESTAMP']
 
 /**
  * @param {string} name
- * @returns {name is AggregateFunc}
+ * @param {Record<string, UserDefinedFunction>} [functions] - user-defined functions, whose aggregates also match
+ * @returns {boolean}
+ */
+export function isAggregateFunc(name, functions) {
+  return ['COUNT', 'COUNTIF', 'SUM', 'AVG', 'MIN', 'MAX', 'MIN_BY', 'ARG_MIN', 'MAX_BY', 'ARG_MAX', 'ANY_VALUE', 'ARRAY_AGG', 'LIST', 'JSON_ARRAYAGG', ...momentAggregates, ...comomentAggregates, 'MODE', 'ENTROPY', 'MEDIAN', 'PERCENTILE_CONT', 'PERCENTILE_DISC', 'APPROX_QUANTILE', 'APPROX_COUNT_DISTINCT', 'APPROX_TOP_K', 'STRING_AGG', 'ST_UNION_AGG', 'ST_EXTENT', 'GROUPING'].includes(name) ||
+    aggregateUdf(name, functions) !== undefined
+}
+
+/**
+ * Looks up an aggregate user-defined function (case-insensitive). Built-in
+ * functions take precedence over UDFs of the same name.
+ *
+ * @param {string} name - upper-case function name
+ * @param {Record<string, UserDefinedFunction>} [functions]
+ * @returns {AggregateUserDefinedFunction | undefined}
  */
-export function isAggregateFunc(name) {
-  return ['COUNT', 'COUNTIF', 'SUM', 'AVG', 'MIN', 'MAX', 'MIN_BY', 'ARG_MIN', 'MAX_BY', 'ARG_MAX', 'ANY_VALUE', 'ARRAY_AGG', 'LIST', 'JSON_ARRAYAGG', 'STDDEV_SAMP', 'STDDEV_POP', 'MEDIAN', 'PERCENTILE_CONT', 'APPROX_QUANTILE', 'STRING_AGG'].includes(name)
+export function aggregateUdf(name, functions) {
+  if (!functions || FUNCTION_SIGNATURES[name]) return
+  const udfName = Object.keys(functions).find(k => k.toUpperCase() === name)
+  const udf = udfName === undefined ? undefined : functions[udfName]
+  if (udf && 'finalize' in udf) return udf
 }
 
 /**
@@ -27,11 +45,28 @@ export function isMathFunc(name) {
 }
 
 /**
+ * Functions that are only valid with an OVER clause.
+ *
  * @param {string} name
  * @returns {boolean}
  */
 export function isWindowFunc(name) {
-  return ['ROW_NUMBER', 'LAG', 'LEAD'].includes(name)
+  return [
+    'ROW_NUMBER', 'RANK', 'DENSE_RANK', 'PERCENT_RANK', 'CUME_DIST', 'NTILE',
+    'LAG', 'LEAD', 'FIRST_VALUE', 'LAST_VALUE', 'NTH_VALUE',
+  ].includes(name)
+}
+
+/**
+ * Aggregate functions that may also be used with an OVER clause.
+ *
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function isAggregateWindowFunc(name) {
+  return [
+    'COUNT', 'COUNTIF', 'SUM', 'AVG', 'MIN', 'MAX', ...momentAggregates, ...comomentAggregates, 'MODE', 'ENTROPY',
+  ].includes(name)
 }
 
 /**
@@ -42,6 +77,16 @@ export function isRegexpFunc(name) {
   return ['REGEXP_SUBSTR', 'REGEXP_EXTRACT', 'REGEXP_REPLACE', 'REGEXP_MATCHES', 'REGEXP_LIKE'].includes(name)
 }
 
+/**
+ * Date formatting, parsing and constructor functions.
+ *
+ * @param {string} name
+ * @returns {name is DateFormatFunc}
+ */
+export function isDateFormatFunc(name) {
+  return ['STRFTIME', 'STRPTIME', 'TO_CHAR', 'TO_TIMESTAMP', 'MAKE_DATE', 'MAKE_TIMESTAMP'].includes(name)
+}
+
 /**
  * Table-valued functions produce rows (used in FROM clause), not scalar values.
  *
@@ -49,7 +94,7 @@ export function isRegexpFunc(name) {
  * @returns {boolean}
  */
 export function isTableFunction(name) {
-  return ['UNNEST', 'EXPLODE', 'JSON_EACH'].includes(name)
+  return ['UNNEST', 'EXPLODE', 'JSON_EACH', 'GENERATE_SERIES', 'RANGE'].includes(name)
 }
 
 /**
@@ -62,6 +107,12 @@ export function isSpatialFunc(name) {
     'ST_OVERLAPS', 'ST_TOUCHES', 'ST_EQUALS', 'ST_CROSSES',
     'ST_COVERS', 'ST_COVEREDBY', 'ST_DWITHIN',
     'ST_GEOMFROMTEXT', 'ST_MAKEENVELOPE', 'ST_ASTEXT',
+    'ST_AREA', 'ST_LENGTH', 'ST_PERIMETER', 'ST_CENTROID', 'ST_DISTANCE',
+    'ST_POINT', 'ST_X', 'ST_Y', 'ST_GEOMETRYTYPE', 'ST_NUMPOINTS', 'ST_ENVELOPE',
+    'ST_XMIN', 'ST_XMAX', 'ST_YMIN', 'ST_YMAX',
+    'ST_GEOMFROMWKB', 'ST_ASWKB', 'ST_GEOMFROMGEOJSON', 'ST_ASGEOJSON',
+    'ST_INTERSECTION', 'ST_UNION', 'ST_DIFFERENCE', 'ST_BUFFER', 'ST_CONVEXHULL', 'ST_SIMPLIFY',
+    'ST_DISTANCE_SPHERE', 'ST_DWITHIN_SPHERE', 'ST_GEOHASH', 'ST_POINTFROMGEOHASH',
   ].includes(name)
 }
 
@@ -70,7 +121,7 @@ export function isSpatialFunc(name) {
  * @returns {name is IntervalUnit}
  */
 export function isIntervalUnit(name) {
-  return ['DAY', 'MONTH', 'YEAR', 'HOUR', 'MINUTE', 'SECOND'].includes(name)
+  return ['DAY', 'MONTH', 'YEAR', 'HOUR', 'MINUTE', 'SECOND', 'WEEK', 'QUARTER', 'MILLISECOND'].includes(name)
 }
 
 /**
@@ -78,7 +129,7 @@ export function isIntervalUnit(name) {
  * @returns {boolean}
  */
 export function isExtractField(name) {
-  return ['YEAR', 'MONTH', 'DAY', 'HOUR', 'MINUTE', 'SECOND', 'DOW', 'EPOCH'].includes(name)
+  return ['YEAR', 'QUARTER', 'MONTH', 'WEEK', 'DAY', 'HOUR', 'MINUTE', 'SECOND', 'MILLISECOND', 'DOW', 'EPOCH'].includes(name)
 }
 
 /**
@@ -86,7 +137,7 @@ export function isExtractField(name) {
  * @returns {name is CastType}
  */
 export function isCastType(name) {
-  return ['TEXT', 'STRING', 'VARCHAR', 'INTEGER', 'INT', 'BIGINT', 'FLOAT', 'REAL', 'DOUBLE', 'BOOLEAN', 'BOOL', 'TIMESTAMP'].includes(name)
+  return ['TEXT', 'STRING', 'VARCHAR', 'INTEGER', 'INT', 'BIGINT', 'FLOAT', 'REAL', 'DOUBLE', 'BOOLEAN', 'BOOL', 'TIMESTAMP', 'TIMESTAMPTZ'].includes(name)
 }
 
 /**
@@ -148,6 +199,15 @@ export const FUNCTION_SIGNATURES = {
   DATEDIFF: { min: 3, max: 3, signature: 'unit, start, end' },
   EXTRACT: { min: 2, max: 2, signature: 'field FROM date' },
   EPOCH: { min: 1, max: 1, signature: 'date' },
+  TIMEZONE: { min: 2, max: 2, signature: 'zone, timestamp' },
+  TIME_BUCKET: { min: 2, max: 3, signature: 'width, timestamp[, origin]' },
+  DATE_BIN: { min: 3, max: 3, signature: 'stride, timestamp, origin' },
+  STRFTIME: { min: 2, max: 2, signature: 'timestamp, format' },
+  STRPTIME: { min: 2, max: 2, signature: 'string, format' },
+  TO_CHAR: { min: 2, max: 2, signature: 'timestamp, format' },
+  TO_TIMESTAMP: { min: 1, max: 2, signature: 'seconds | string, format' },
+  MAKE_DATE: { min: 3, max: 3, signature: 'year, month, day' },
+  MAKE_TIMESTAMP: { min: 6, max: 6, signature: 'year, month, day, hour, minute, second' },
 
   // Math functions
   FLOOR: { min: 1, max: 1, signature: 'number' },
@@ -209,6 +269,8 @@ export const FUNCTION_SIGNATURES = {
   UNNEST: { min: 1, max: 1, signature: 'array' },
   EXPLODE: { min: 1, max: 1, signature: 'array' },
   JSON_EACH: { min: 1, max: 1, signature: 'value' },
+  GENERATE_SERIES: { min: 1, max: 3, signature: '[start, ]stop[, step]' },
+  RANGE: { min: 1, max: 3, signature: '[start, ]stop[, step]' },
 
   // Conditional functions
   COALESCE: { min: 1, signature: 'value1, value2[, ...]' },
@@ -230,15 +292,46 @@ export const FUNCTION_SIGNATURES = {
   ANY_VALUE: { min: 1, max: 1, signature: 'expression' },
   STDDEV_SAMP: { min: 1, max: 1, signature: 'expression' },
   STDDEV_POP: { min: 1, max: 1, signature: 'expression' },
+  VAR_SAMP: { min: 1, max: 1, signature: 'expression' },
+  VAR_POP: { min: 1, max: 1, signature: 'expression' },
+  VARIANCE: { min: 1, max: 1, signature: 'expression' },
+  SKEWNESS: { min: 1, max: 1, signature: 'expression' },
+  KURTOSIS: { min: 1, max: 1, signature: 'expression' },
+  CORR: { min: 2, max: 2, signature: 'y, x' },
+  COVAR_SAMP: { min: 2, max: 2, signature: 'y, x' },
+  COVAR_POP: { min: 2, max: 2, signature: 'y, x' },
+  REGR_SLOPE: { min: 2, max: 2, signature: 'y, x' },
+  REGR_INTERCEPT: { min: 2, max: 2, signature: 'y, x' },
+  REGR_R2: { min: 2, max: 2, signature: 'y, x' },
+  REGR_COUNT: { min: 2, max: 2, signature: 'y, x' },
+  REGR_AVGX: { min: 2, max: 2, signature: 'y, x' },
+  REGR_AVGY: { min: 2, max: 2, signature: 'y, x' },
+  REGR_SXX: { min: 2, max: 2, signature: 'y, x' },
+  REGR_SYY: { min: 2, max: 2, signature: 'y, x' },
+  REGR_SXY: { min: 2, max: 2, signature: 'y, x' },
+  MODE: { min: 1, max: 1, signature: 'expression' },
+  ENTROPY: { min: 1, max: 1, signature: 'expression' },
   MEDIAN: { min: 1, max: 1, signature: 'expression' },
   PERCENTILE_CONT: { min: 2, max: 2, signature: 'fraction, expression' },
+  PERCENTILE_DISC: { min: 2, max: 2, signature: 'fraction, expression' },
   APPROX_QUANTILE: { min: 2, max: 2, signature: 'expression, fraction' },
+  APPROX_COUNT_DISTINCT: { min: 1, max: 1, signature: 'expression' },
+  APPROX_TOP_K: { min: 2, max: 2, signature: 'expression, k' },
   STRING_AGG: { min: 2, max: 2, signature: 'expression, separator' },
+  GROUPING: { min: 1, signature: 'expression1[, expression2, ...]' },
 
   // Window functions
   ROW_NUMBER: { min: 0, max: 0, signature: '' },
+  RANK: { min: 0, max: 0, signature: '' },
+  DENSE_RANK: { min: 0, max: 0, signature: '' },
+  PERCENT_RANK: { min: 0, max: 0, signature: '' },
+  CUME_DIST: { min: 0, max: 0, signature: '' },
+  NTILE: { min: 1, max: 1, signature: 'buckets' },
   LAG: { min: 1, max: 3, signature: 'value[, offset[, default]]' },
   LEAD: { min: 1, max: 3, signature: 'value[, offset[, default]]' },
+  FIRST_VALUE: { min: 1, max: 1, signature: 'value' },
+  LAST_VALUE: { min: 1, max: 1, signature: 'value' },
+  NTH_VALUE: { min: 2, max: 2, signature: 'value, n' },
 
   // Spatial functions
   ST_INTERSECTS: { min: 2, max: 2, signature: 'geometry, geometry' },
@@ -255,6 +348,37 @@ export const FUNCTION_SIGNATURES = {
   ST_GEOMFROMTEXT: { min: 1, max: 1, signature: 'wkt' },
   ST_MAKEENVELOPE: { min: 4, max: 4, signature: 'xmin, ymin, xmax, ymax' },
   ST_ASTEXT: { min: 1, max: 1, signature: 'geometry' },
+  ST_AREA: { min: 1, max: 1, signature: 'geometry' },
+  ST_LENGTH: { min: 1, max: 1, signature: 'geometry' },
+  ST_PERIMETER: { min: 1, max: 1, signature: 'geometry' },
+  ST_CENTROID: { min: 1, max: 1, signature: 'geometry' },
+  ST_DISTANCE: { min: 2, max: 2, signature: 'geometry, geometry' },
+  ST_POINT: { min: 2, max: 2, signature: 'x, y' },
+  ST_X: { min: 1, max: 1, signature: 'point' },
+  ST_Y: { min: 1, max: 1, signature: 'point' },
+  ST_GEOMETRYTYPE: { min: 1, max: 1, signature: 'geometry' },
+  ST_NUMPOINTS: { min: 1, max: 1, signature: 'geometry' },
+  ST_ENVELOPE: { min: 1, max: 1, signature: 'geometry' },
+  ST_XMIN: { min: 1, max: 1, signature: 'geometry' },
+  ST_XMAX: { min: 1, max: 1, signature: 'geometry' },
+  ST_YMIN: { min: 1, max: 1, signature: 'geometry' },
+  ST_YMAX: { min: 1, max: 1, signature: 'geometry' },
+  ST_GEOMFROMWKB: { min: 1, max: 1, signature: 'wkb' },
+  ST_ASWKB: { min: 1, max: 1, signature: 'geometry' },
+  ST_GEOMFROMGEOJSON: { min: 1, max: 1, signature: 'geojson' },
+  ST_ASGEOJSON: { min: 1, max: 1, signature: 'geometry' },
+  ST_INTERSECTION: { min: 2, max: 2, signature: 'geometry, geometry' },
+  ST_UNION: { min: 2, max: 2, signature: 'geometry, geometry' },
+  ST_DIFFERENCE: { min: 2, max: 2, signature: 'geometry, geometry' },
+  ST_BUFFER: { min: 2, max: 3, signature: 'geometry, distance[, quad_segs]' },
+  ST_CONVEXHULL: { min: 1, max: 1, signature: 'geometry' },
+  ST_SIMPLIFY: { min: 2, max: 2, signature: 'geometry, tolerance' },
+  ST_DISTANCE_SPHERE: { min: 2, max: 2, signature: 'point, point' },
+  ST_DWITHIN_SPHERE: { min: 3, max: 3, signature: 'point, point, meters' },
+  ST_GEOHASH: { min: 1, max: 2, signature: 'geometry[, precision]' },
+  ST_POINTFROMGEOHASH: { min: 1, max: 2, signature: 'geohash[, precision]' },
+  ST_UNION_AGG: { min: 1, max: 1, signature: 'geometry' },
+  ST_EXTENT: { min: 1, max: 1, signature: 'geometry' },
 }
 
 /**
@@ -4,7 +4,7 @@ export const KEYWORDS = new Set([
   'DISTINCT', 'TRUE', 'FALSE', 'NULL', 'LIKE', 'IN', 'EXISTS', 'BETWEEN',
   'CASE', 'WHEN', 'THEN', 'ELSE', 'END', 'JOIN', 'INNER', 'LEFT', 'RIGHT',
   'FULL', 'OUTER', 'CROSS', 'POSITIONAL', 'LATERAL', 'VIEW', 'ON', 'USING', 'INTERVAL', 'DAY', 'MONTH', 'YEAR',
-  'HOUR', 'MINUTE', 'SECOND', 'FILTER', 'WITHIN',
+  'HOUR', 'MINUTE', 'SECOND', 'FILTER', 'WITHIN', 'QUALIFY',
   'UNION', 'INTERSECT', 'EXCEPT',
 ])
 
@@ -15,7 +15,7 @@ export const RESERVED_KEYWORDS = new Set([
   'AND', 'OR', 'NOT', 'IS', 'LIKE', 'IN', 'BETWEEN',
   'TRUE', 'FALSE', 'NULL',
   'EXISTS', 'CASE', 'WHEN', 'THEN', 'ELSE', 'END', 'INTERVAL',
-  'GROUP', 'BY', 'HAVING', 'ORDER', 'LIMIT', 'OFFSET',
+  'GROUP', 'BY', 'HAVING', 'QUALIFY', 'ORDER', 'LIMIT', 'OFFSET',
   'AS', 'ALL', 'DISTINCT',
   'JOIN', 'INNER', 'LEFT', 'RIGHT', 'FULL', 'OUTER', 'ON', 'USING',
   'UNION', 'INTERSECT', 'EXCEPT',
@@ -23,13 +23,13 @@ export const RESERVED_KEYWORDS = new Set([
 
 // Keywords that cannot be used as implicit aliases after a column
 export const RESERVED_AFTER_COLUMN = new Set([
-  'FROM', 'WHERE', 'GROUP', 'HAVING', 'ORDER', 'LIMIT', 'OFFSET',
+  'FROM', 'WHERE', 'GROUP', 'HAVING', 'QUALIFY', 'ORDER', 'LIMIT', 'OFFSET',
   'UNION', 'INTERSECT', 'EXCEPT',
 ])
 
 // Keywords that cannot be used as table aliases
 export const RESERVED_AFTER_TABLE = new Set([
-  'WHERE', 'GROUP', 'HAVING', 'ORDER', 'LIMIT', 'OFFSET', 'JOIN', 'INNER',
+  'WHERE', 'GROUP', 'HAVING', 'QUALIFY', 'ORDER', 'LIMIT', 'OFFSET', 'JOIN', 'INNER',
   'LEFT', 'RIGHT', 'FULL', 'CROSS', 'ON', 'USING', 'POSITIONAL', 'LATERAL',
-  'UNION', 'INTERSECT', 'EXCEPT',
+  'PIVOT', 'UNPIVOT', 'UNION', 'INTERSECT', 'EXCEPT',
 ])
@@ -0,0 +1,35 @@
+import { describe, expect, it } from 'vitest'
+import { memorySpillStore } from '../../src/backend/spillStore.js'
+
+/**
+ * @import { SpillStore, SqlPrimitive } from '../../src/types.js'
+ */
+
+/**
+ * @param {SpillStore} store
+ * @param {string} file
+ * @returns {Promise<SqlPrimitive[][][]>}
+ */
+async function readAll(store, file) {
+  const chunks = []
+  for await (const chunk of store.read(file)) chunks.push(chunk)
+  return chunks
+}
+
+describe('memorySpillStore', () => {
+  it('reads chunks back in the order they were written', async () => {
+    const store = memorySpillStore()
+    await store.write('a', [[1, 'x']])
+    await store.write('b', [[3, null]])
+    await store.write('a', [[2, 'y'], [2, 'z']])
+    expect(await readAll(store, 'a')).toEqual([[[1, 'x']], [[2, 'y'], [2, 'z']]])
+    expect(await readAll(store, 'b')).toEqual([[[3, null]]])
+  })
+
+  it('forgets deleted files', async () => {
+    const store = memorySpillStore()
+    await store.write('a', [[1]])
+    await store.delete('a')
+    expect(await readAll(store, 'a')).toEqual([])
+  })
+})
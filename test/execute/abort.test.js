@@ -170,6 +170,40 @@ describe('abort signal', () => {
     }, 60_000)
   })
 
+  describe('setTimeout abort during long spatial join', () => {
+    it('setTimeout abort fires while probe rows match nothing', async () => {
+      // No probe point is near the indexed zone, so the candidate loop that
+      // counts toward the yield interval never runs
+      const points = []
+      for (let i = 0; i < 200_000; i++) points.push({ id: i, geom: { type: 'Point', coordinates: [100 + i % 50, i % 40] } })
+      const zones = [{ geom: { type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1], [0, 1], [0, 0]]] } }]
+      const controller = new AbortController()
+      const timeoutMs = 100
+      const timer = setTimeout(() => controller.abort(new Error('timeout')), timeoutMs)
+      const start = performance.now()
+
+      /** @type {unknown} */
+      let error
+      try {
+        await collect(executeSql({
+          tables: { points: memorySource({ data: points }), zones: memorySource({ data: zones }) },
+          query: 'SELECT COUNT(*) AS n FROM points p JOIN zones z ON ST_Intersects(z.geom, p.geom)',
+          signal: controller.signal,
+        }))
+      } catch (e) {
+        error = e
+      } finally {
+        clearTimeout(timer)
+      }
+
+      const ms = performance.now() - start
+      expect(controller.signal.aborted).toBe(true)
+      // The abort must surface as a rejection, not a silently truncated result
+      expect(error).toBe(controller.signal.reason)
+      expect(ms).toBeLessThan(timeoutMs * 4)
+    }, 60_000)
+  })
+
   describe('setTimeout abort during long GROUP BY', () => {
     it('setTimeout abort fires while a hash aggregate runs', async () => {
       // 2M rows grouped into 100 buckets: the per-row group-key build loop in
@@ -559,6 +593,40 @@ describe('abort signal', () => {
     }, 60_000)
   })
 
+  describe('setTimeout abort during long GENERATE_SERIES', () => {
+    it('setTimeout abort fires while a series is generated', async () => {
+      // Series values need no source scan, so nothing else yields while a
+      // huge series streams into the consumer
+      const controller = new AbortController()
+      const timeoutMs = 100
+      const timer = setTimeout(() => controller.abort(new Error('timeout')), timeoutMs)
+      const start = performance.now()
+
+      /** @type {unknown} */
+      let error
+      let count = 0
+      try {
+        for await (const row of executeSql({
+          tables: {},
+          query: 'SELECT * FROM GENERATE_SERIES(1, 100000000)',
+          signal: controller.signal,
+        }).rows()) {
+          if (row) count++
+        }
+      } catch (e) {
+        error = e
+      } finally {
+        clearTimeout(timer)
+      }
+
+      const ms = performance.now() - start
+      expect(controller.signal.aborted).toBe(true)
+      expect(error).toBe(controller.signal.reason)
+      expect(count).toBeLessThan(100000000)
+      expect(ms).toBeLessThan(timeoutMs * 4)
+    }, 60_000)
+  })
+
   describe('scanColumn scalar aggregate abort', () => {
     it('should reject instead of finalizing partial scalar aggregate results', async () => {
       const controller = new AbortController()
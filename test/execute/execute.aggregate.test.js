@@ -307,6 +307,25 @@ describe('executeSql', () => {
       expect(result).toEqual([{ names: ['Alice', null, 'Charlie'] }])
     })
 
+    it('should order ARRAY_AGG by its ORDER BY clause', async () => {
+      const result = await collect(executeSql({
+        tables: { users },
+        query: 'SELECT city, ARRAY_AGG(name ORDER BY age DESC, name) AS names FROM users GROUP BY city ORDER BY city',
+      }))
+      expect(result).toEqual([
+        { city: 'LA', names: ['Diana', 'Bob'] },
+        { city: 'NYC', names: ['Charlie', 'Alice', 'Eve'] },
+      ])
+    })
+
+    it('should keep the first values of an ordered ARRAY_AGG with LIMIT', async () => {
+      const result = await collect(executeSql({
+        tables: { users },
+        query: 'SELECT ARRAY_AGG(name ORDER BY age LIMIT 2) AS youngest, ARRAY_AGG(DISTINCT city ORDER BY city DESC LIMIT 5) AS cities FROM users',
+      }))
+      expect(result).toEqual([{ youngest: ['Bob', 'Diana'], cities: ['NYC', 'LA'] }])
+    })
+
     it('should handle empty dataset for ARRAY_AGG', async () => {
       const result = await collect(executeSql({
         tables: { empty },
@@ -424,6 +443,101 @@ describe('executeSql', () => {
       expect(result[1].stddev).toBe(0)
     })
 
+    it('should calculate variance, skewness and kurtosis', async () => {
+      const data = [{ v: 1 }, { v: 2 }, { v: 3 }, { v: 4 }, { v: 10 }, { v: null }]
+      const result = await collect(executeSql({
+        tables: { data },
+        query: 'SELECT VAR_SAMP(v) AS vs, VARIANCE(v) AS var, VAR_POP(v) AS vp, SKEWNESS(v) AS skew, KURTOSIS(v) AS kurt FROM data',
+      }))
+      expect(result[0].vs).toBe(12.5)
+      expect(result[0].var).toBe(12.5)
+      expect(result[0].vp).toBe(10)
+      expect(result[0].skew).toBeCloseTo(1.6970562748477143)
+      expect(result[0].kurt).toBeCloseTo(3.152)
+    })
+
+    it('should keep variance precise for values far from zero', async () => {
+      const data = [{ v: 1e9 + 4 }, { v: 1e9 + 7 }, { v: 1e9 + 13 }, { v: 1e9 + 16 }]
+      const result = await collect(executeSql({
+        tables: { data },
+        query: 'SELECT VAR_SAMP(v) AS v FROM data',
+      }))
+      expect(result).toEqual([{ v: 30 }])
+    })
+
+    it('should return null statistics for too few values', async () => {
+      const data = [{ x: 1, y: 2 }, { x: 1, y: null }]
+      const result = await collect(executeSql({
+        tables: { data },
+        query: 'SELECT VAR_SAMP(x) AS vs, VAR_POP(y) AS vp, SKEWNESS(x) AS skew, CORR(y, x) AS r, COVAR_SAMP(y, x) AS cs, REGR_SLOPE(y, x) AS slope, REGR_COUNT(y, x) AS n, MODE(y) AS mode, ENTROPY(x) AS e FROM data',
+      }))
+      expect(result).toEqual([{ vs: 0, vp: 0, skew: null, r: null, cs: null, slope: null, n: 1, mode: 2, e: 0 }])
+    })
+
+    it('should calculate correlation, covariance and regression of (y, x) pairs', async () => {
+      const data = [
+        { x: 1, y: 2 }, { x: 2, y: 4 }, { x: 3, y: 5 }, { x: 4, y: 4 }, { x: 5, y: 5 },
+        { x: 6, y: null }, { x: null, y: 7 },
+      ]
+      const result = await collect(executeSql({
+        tables: { data },
+        query: `SELECT CORR(y, x) AS r, COVAR_SAMP(y, x) AS cs, COVAR_POP(y, x) AS cp,
+          REGR_SLOPE(y, x) AS slope, REGR_INTERCEPT(y, x) AS intercept, REGR_R2(y, x) AS r2,
+          REGR_COUNT(y, x) AS n, REGR_AVGX(y, x) AS ax, REGR_AVGY(y, x) AS ay,
+          REGR_SXX(y, x) AS sxx, REGR_SYY(y, x) AS syy, REGR_SXY(y, x) AS sxy FROM data`,
+      }))
+      const [row] = result
+      expect(row.r).toBeCloseTo(6 / Math.sqrt(60))
+      expect(row.cs).toBeCloseTo(1.5)
+      expect(row.cp).toBeCloseTo(1.2)
+      expect(row.slope).toBeCloseTo(0.6)
+      expect(row.intercept).toBeCloseTo(2.2)
+      expect(row.r2).toBeCloseTo(0.6)
+      expect({ n: row.n, ax: row.ax, ay: row.ay, sxx: row.sxx, syy: row.syy, sxy: row.sxy })
+        .toEqual({ n: 5, ax: 3, ay: 4, sxx: 10, syy: 6, sxy: 6 })
+    })
+
+    it('should calculate MODE and ENTROPY with GROUP BY', async () => {
+      const data = [
+        { g: 'a', v: 'x' }, { g: 'a', v: 'y' }, { g: 'a', v: 'y' }, { g: 'a', v: null },
+        { g: 'b', v: 'x' }, { g: 'b', v: 'x' }, { g: 'b', v: 'y' }, { g: 'b', v: 'z' },
+        { g: 'c', v: null },
+      ]
+      const result = await collect(executeSql({
+        tables: { data },
+        query: 'SELECT g, MODE(v) AS mode, ENTROPY(v) AS e FROM data GROUP BY g ORDER BY g',
+      }))
+      expect(result).toEqual([
+        { g: 'a', mode: 'y', e: expect.closeTo(0.9182958340544896) },
+        { g: 'b', mode: 'x', e: 1.5 },
+        { g: 'c', mode: null, e: null },
+      ])
+    })
+
+    it('should break MODE ties by the smallest value', async () => {
+      const data = [{ v: 3 }, { v: 1 }, { v: 3 }, { v: 1 }, { v: 2 }]
+      const query = 'SELECT MODE(v) AS mode FROM data'
+      // streamed, and buffered alongside MEDIAN
+      const streamed = await collect(executeSql({ tables: { data }, query }))
+      const buffered = await collect(executeSql({ tables: { data }, query: 'SELECT MODE(v) AS mode, MEDIAN(v) AS med FROM data' }))
+      expect(streamed).toEqual([{ mode: 1 }])
+      expect(buffered).toEqual([{ mode: 1, med: 2 }])
+    })
+
+    it('should skip repeated inputs of statistical aggregates with DISTINCT', async () => {
+      const data = [
+        { x: 1, y: 2 }, { x: 1, y: 2 }, { x: 1, y: 2 }, { x: 2, y: 4 }, { x: 3, y: 5 }, { x: 3, y: 3 },
+      ]
+      const aggregates = `VAR_POP(DISTINCT x) AS vp, STDDEV_SAMP(DISTINCT x) AS sd, COVAR_POP(DISTINCT y, x) AS cp,
+        REGR_COUNT(DISTINCT y, x) AS n, MODE(DISTINCT x) AS mode, ENTROPY(DISTINCT y) AS e`
+      const expected = { vp: 2 / 3, sd: 1, cp: 0.625, n: 4, mode: 1, e: 2 }
+      // streamed, and buffered alongside MEDIAN
+      const streamed = await collect(executeSql({ tables: { data }, query: `SELECT ${aggregates} FROM data` }))
+      const buffered = await collect(executeSql({ tables: { data }, query: `SELECT ${aggregates}, MEDIAN(x) AS med FROM data` }))
+      expect(streamed).toEqual([expected])
+      expect(buffered).toEqual([{ ...expected, med: 1.5 }])
+    })
+
     it('should calculate MEDIAN', async () => {
       // Odd count: 1, 2, 3, 4, 5 => median = 3
       const data = [{ v: 3 }, { v: 1 }, { v: 5 }, { v: 2 }, { v: 4 }]
@@ -527,7 +641,69 @@ describe('executeSql', () => {
       expect(() => executeSql({
         tables: { data: [{ v: 1 }] },
         query: 'SELECT SUM(v) WITHIN GROUP (ORDER BY v) FROM data',
-      })).toThrow('WITHIN GROUP is only supported for PERCENTILE_CONT, not "SUM"')
+      })).toThrow('WITHIN GROUP is only supported for PERCENTILE_CONT, PERCENTILE_DISC, MODE, not "SUM"')
+    })
+
+    it('should count PERCENTILE_CONT from the top for WITHIN GROUP DESC', async () => {
+      const data = [{ v: 1 }, { v: 2 }, { v: 3 }, { v: 4 }, { v: 5 }]
+      const result = await collect(executeSql({
+        tables: { data },
+        query: 'SELECT PERCENTILE_CONT(0.25) WITHIN GROUP (ORDER BY v DESC) AS p25 FROM data',
+      }))
+      expect(result).toEqual([{ p25: 4 }])
+    })
+
+    it('should calculate PERCENTILE_DISC without interpolating', async () => {
+      const data = [{ v: 1 }, { v: 2 }, { v: 3 }, { v: 4 }, { v: null }]
+      const result = await collect(executeSql({
+        tables: { data },
+        query: `SELECT
+          PERCENTILE_DISC(0.5) WITHIN GROUP (ORDER BY v) AS p50,
+          PERCENTILE_DISC(0.6, v) AS p60,
+          PERCENTILE_DISC(0) WITHIN GROUP (ORDER BY v) AS p0,
+          PERCENTILE_DISC(0.25) WITHIN GROUP (ORDER BY v DESC) AS top
+        FROM data`,
+      }))
+      expect(result).toEqual([{ p50: 2, p60: 3, p0: 1, top: 4 }])
+    })
+
+    it('should calculate PERCENTILE_DISC of strings per group', async () => {
+      const result = await collect(executeSql({
+        tables: { users },
+        query: 'SELECT city, PERCENTILE_DISC(0.5) WITHIN GROUP (ORDER BY name) AS mid FROM users GROUP BY city ORDER BY city',
+      }))
+      expect(result).toEqual([
+        { city: 'LA', mid: 'Bob' },
+        { city: 'NYC', mid: 'Charlie' },
+      ])
+    })
+
+    it('should return null for PERCENTILE_DISC of empty set', async () => {
+      const result = await collect(executeSql({
+        tables: { empty },
+        query: 'SELECT PERCENTILE_DISC(0.5) WITHIN GROUP (ORDER BY value) AS p50 FROM empty',
+      }))
+      expect(result).toEqual([{ p50: null }])
+    })
+
+    it('should reject PERCENTILE_DISC fraction out of range', async () => {
+      await expect(collect(executeSql({
+        tables: { data: [{ v: 1 }] },
+        query: 'SELECT PERCENTILE_DISC(1.5) WITHIN GROUP (ORDER BY v) FROM data',
+      }))).rejects.toThrow('PERCENTILE_DISC: fraction must be between 0 and 1, got 1.5')
+    })
+
+    it('should break MODE ties by the smallest value or the WITHIN GROUP order', async () => {
+      const data = [{ v: 3 }, { v: 1 }, { v: 3 }, { v: 1 }, { v: 2 }]
+      const result = await collect(executeSql({
+        tables: { data },
+        query: `SELECT
+          MODE(v) AS smallest,
+          MODE() WITHIN GROUP (ORDER BY v) AS lowest,
+          MODE() WITHIN GROUP (ORDER BY v DESC) AS highest
+        FROM data`,
+      }))
+      expect(result).toEqual([{ smallest: 1, lowest: 1, highest: 3 }])
     })
 
     it('should calculate APPROX_QUANTILE', async () => {
@@ -560,6 +736,59 @@ describe('executeSql', () => {
 
   })
 
+  describe('approximate aggregates', () => {
+    const data = [
+      { g: 'a', v: 1, tag: 'x' },
+      { g: 'a', v: 1, tag: 'y' },
+      { g: 'a', v: 2, tag: 'x' },
+      { g: 'b', v: null, tag: null },
+      { g: 'b', v: 3, tag: 'z' },
+    ]
+
+    it('should count distinct values with APPROX_COUNT_DISTINCT', async () => {
+      const result = await collect(executeSql({
+        tables: { data },
+        query: 'SELECT g, APPROX_COUNT_DISTINCT(v) AS d FROM data GROUP BY g ORDER BY g',
+      }))
+      expect(result).toEqual([{ g: 'a', d: 2 }, { g: 'b', d: 1 }])
+    })
+
+    it('should return the most frequent values with APPROX_TOP_K', async () => {
+      const result = await collect(executeSql({
+        tables: { data },
+        query: 'SELECT APPROX_TOP_K(tag, 2) AS top, APPROX_TOP_K(v, 5) FILTER (WHERE g = \'b\') AS b FROM data',
+      }))
+      expect(result).toEqual([{ top: ['x', 'y'], b: [3] }])
+    })
+
+    it('should match the streaming result on the buffered path', async () => {
+      const result = await collect(executeSql({
+        tables: { data },
+        query: 'SELECT APPROX_QUANTILE(v, 0.5) AS m, APPROX_COUNT_DISTINCT(tag) AS d, ARRAY_AGG(g) AS gs FROM data',
+      }))
+      expect(result).toEqual([{ m: 1.5, d: 3, gs: ['a', 'a', 'a', 'b', 'b'] }])
+    })
+
+    it('should return defaults for empty input', async () => {
+      const result = await collect(executeSql({
+        tables: { data },
+        query: 'SELECT APPROX_COUNT_DISTINCT(v) AS d, APPROX_QUANTILE(v, 0.5) AS m, APPROX_TOP_K(v, 1) AS top FROM data WHERE v > 10',
+      }))
+      expect(result).toEqual([{ d: 0, m: null, top: [] }])
+    })
+
+    it('should reject an invalid fraction or k', async () => {
+      await expect(collect(executeSql({
+        tables: { data },
+        query: 'SELECT APPROX_QUANTILE(v, 1.5) FROM data',
+      }))).rejects.toThrow('APPROX_QUANTILE(expression, fraction): fraction must be between 0 and 1, got 1.5')
+      await expect(collect(executeSql({
+        tables: { data },
+        query: 'SELECT APPROX_TOP_K(v, 2.5) FROM data',
+      }))).rejects.toThrow('APPROX_TOP_K(expression, k): k must be a positive integer, got 2.5')
+    })
+  })
+
   describe('STRING_AGG', () => {
     it('should aggregate strings with STRING_AGG', async () => {
       const result = await collect(executeSql({
@@ -621,6 +850,27 @@ describe('executeSql', () => {
       expect(result).toEqual([{ nyc_names: 'Alice, Charlie, Eve' }])
     })
 
+    it('should order STRING_AGG by its ORDER BY clause', async () => {
+      const result = await collect(executeSql({
+        tables: { users },
+        query: 'SELECT STRING_AGG(name, \',\' ORDER BY age DESC, id) AS names FROM users',
+      }))
+      expect(result).toEqual([{ names: 'Charlie,Alice,Eve,Diana,Bob' }])
+    })
+
+    it('should apply STRING_AGG LIMIT after skipping nulls', async () => {
+      const data = [
+        { id: 1, name: null },
+        { id: 2, name: 'Bob' },
+        { id: 3, name: 'Alice' },
+      ]
+      const result = await collect(executeSql({
+        tables: { data },
+        query: 'SELECT STRING_AGG(name, \'|\' ORDER BY name NULLS FIRST LIMIT 1) AS names FROM data',
+      }))
+      expect(result).toEqual([{ names: 'Alice' }])
+    })
+
     it('should throw for wrong argument count', async () => {
       await expect(async () => {
         await collect(executeSql({
@@ -1208,6 +1458,27 @@ describe('executeSql', () => {
       expect(result).toEqual([{ count_value: 3 }])
     })
 
+    it('should compute APPROX_COUNT_DISTINCT in the scanColumn fast path', async () => {
+      /** @type {AsyncDataSource} */
+      const source = {
+        columns: ['value'],
+        scan() {
+          throw new Error('scan should not be called')
+        },
+        scanColumn() {
+          return (async function* () {
+            yield ['a', 'b', null]
+            yield ['b', 'c', 1]
+          })()
+        },
+      }
+      const result = await collect(executeSql({
+        tables: { t: source },
+        query: 'SELECT APPROX_COUNT_DISTINCT(value) AS d FROM t',
+      }))
+      expect(result).toEqual([{ d: 4 }])
+    })
+
     it('should pushdown offset into scanColumn', async () => {
       /** @type {AsyncDataSource} */
       const source = {
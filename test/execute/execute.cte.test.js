@@ -453,4 +453,182 @@ describe('CTE execution', () => {
       expect(result).toHaveLength(0)
     })
   })
+
+  describe('CTE column list', () => {
+    it('should rename CTE columns positionally', async () => {
+      const result = await collect(executeSql({
+        tables: { users },
+        query: `
+          WITH people(person, years) AS (SELECT name, age FROM users)
+          SELECT person FROM people WHERE years > 28
+        `,
+      }))
+      expect(result).toEqual([{ person: 'Alice' }, { person: 'Charlie' }])
+    })
+
+    it('should throw when the column list length does not match', async () => {
+      await expect(async () => {
+        await collect(executeSql({
+          tables: { users },
+          query: 'WITH people(person) AS (SELECT name, age FROM users) SELECT * FROM people',
+        }))
+      }).rejects.toThrow('CTE "people" expects 1 columns but its query produces 2')
+    })
+  })
+
+  describe('WITH RECURSIVE', () => {
+    const messages = [
+      { id: 1, parent_id: null, text: 'hi' },
+      { id: 2, parent_id: 1, text: 'hello' },
+      { id: 3, parent_id: 2, text: 'how are you?' },
+      { id: 4, parent_id: 1, text: 'hey' },
+      { id: 5, parent_id: 3, text: 'fine' },
+    ]
+
+    it('should generate a sequence', async () => {
+      const result = await collect(executeSql({
+        tables: {},
+        query: `
+          WITH RECURSIVE nums(i) AS (
+            SELECT 1
+            UNION ALL
+            SELECT i + 1 FROM nums WHERE i < 5
+          )
+          SELECT i FROM nums
+        `,
+      }))
+      expect(result).toEqual([{ i: 1 }, { i: 2 }, { i: 3 }, { i: 4 }, { i: 5 }])
+    })
+
+    it('should walk a parent-id chain with a join', async () => {
+      const result = await collect(executeSql({
+        tables: { messages },
+        query: `
+          WITH RECURSIVE chain AS (
+            SELECT id, parent_id, 0 AS depth FROM messages WHERE id = 5
+            UNION ALL
+            SELECT m.id, m.parent_id, c.depth + 1
+            FROM messages m JOIN chain c ON m.id = c.parent_id
+          )
+          SELECT id, depth FROM chain
+        `,
+      }))
+      expect(result).toEqual([
+        { id: 5, depth: 0 },
+        { id: 3, depth: 1 },
+        { id: 2, depth: 2 },
+        { id: 1, depth: 3 },
+      ])
+    })
+
+    it('should walk a tree from its root', async () => {
+      const result = await collect(executeSql({
+        tables: { messages },
+        query: `
+          WITH RECURSIVE thread AS (
+            SELECT id, text, 0 AS depth FROM messages WHERE parent_id IS NULL
+            UNION ALL
+            SELECT messages.id, messages.text, thread.depth + 1
+            FROM thread JOIN messages ON messages.parent_id = thread.id
+          )
+          SELECT id, depth FROM thread ORDER BY id
+        `,
+      }))
+      expect(result).toEqual([
+        { id: 1, depth: 0 },
+        { id: 2, depth: 1 },
+        { id: 3, depth: 2 },
+        { id: 4, depth: 1 },
+        { id: 5, depth: 3 },
+      ])
+    })
+
+    it('should stop at a fixed point with UNION on cyclic data', async () => {
+      const edges = [
+        { src: 1, dst: 2 },
+        { src: 2, dst: 3 },
+        { src: 3, dst: 1 },
+      ]
+      const result = await collect(executeSql({
+        tables: { edges },
+        query: `
+          WITH RECURSIVE reachable(node) AS (
+            SELECT 1
+            UNION
+            SELECT edges.dst FROM reachable JOIN edges ON edges.src = reachable.node
+          )
+          SELECT node FROM reachable
+        `,
+      }))
+      expect(result).toEqual([{ node: 1 }, { node: 2 }, { node: 3 }])
+    })
+
+    it('should stop unbounded recursion at an outer LIMIT', async () => {
+      const result = await collect(executeSql({
+        tables: {},
+        query: `
+          WITH RECURSIVE nums(i) AS (SELECT 1 UNION ALL SELECT i + 1 FROM nums)
+          SELECT i FROM nums LIMIT 3
+        `,
+      }))
+      expect(result).toEqual([{ i: 1 }, { i: 2 }, { i: 3 }])
+    })
+
+    it('should aggregate over a recursive CTE', async () => {
+      const result = await collect(executeSql({
+        tables: {},
+        query: `
+          WITH RECURSIVE nums(i) AS (SELECT 1 UNION ALL SELECT i + 1 FROM nums WHERE i < 10)
+          SELECT COUNT(*) AS n, SUM(i) AS total FROM nums
+        `,
+      }))
+      expect(result).toEqual([{ n: 10, total: 55 }])
+    })
+
+    it('should throw when the iteration limit is exceeded', async () => {
+      await expect(async () => {
+        await collect(executeSql({
+          tables: {},
+          query: 'WITH RECURSIVE nums(i) AS (SELECT 1 UNION ALL SELECT i + 1 FROM nums) SELECT i FROM nums',
+          maxRecursion: 100,
+        }))
+      }).rejects.toThrow('Recursive CTE "nums" exceeded the limit of 100 iterations')
+    })
+
+    it('should throw when the row limit is exceeded', async () => {
+      await expect(async () => {
+        await collect(executeSql({
+          tables: {},
+          query: 'WITH RECURSIVE nums(i) AS (SELECT 1 UNION ALL SELECT i + 1 FROM nums) SELECT i FROM nums',
+          maxRecursiveRows: 100,
+        }))
+      }).rejects.toThrow('Recursive CTE "nums" exceeded the limit of 100 rows')
+    })
+
+    it('should stop iterating when aborted', async () => {
+      const controller = new AbortController()
+      let count = 0
+      async function run() {
+        for await (const row of executeSql({
+          tables: {},
+          query: 'WITH RECURSIVE nums(i) AS (SELECT 1 UNION ALL SELECT i + 1 FROM nums) SELECT i FROM nums',
+          signal: controller.signal,
+        }).rows()) {
+          await row.cells.i()
+          if (++count === 10) controller.abort()
+        }
+      }
+      await expect(run()).rejects.toThrow('This operation was aborted')
+      expect(count).toBe(10)
+    })
+
+    it('should reject a recursive CTE without an anchor query', async () => {
+      await expect(async () => {
+        await collect(executeSql({
+          tables: {},
+          query: 'WITH RECURSIVE nums(i) AS (SELECT i FROM nums) SELECT i FROM nums',
+        }))
+      }).rejects.toThrow('Recursive CTE "nums" must be a non-recursive query combined with a recursive query by UNION or UNION ALL')
+    })
+  })
 })
@@ -0,0 +1,210 @@
+import { describe, expect, it } from 'vitest'
+import { collect, executeSql } from '../../src/index.js'
+
+/** @type {null} */
+const NULL = null
+
+describe('date formatting and parsing', () => {
+  const events = [
+    { ts: '2026-03-05T09:07:03.045Z' },
+  ]
+
+  describe('STRFTIME', () => {
+    it('should format with strftime specifiers', async () => {
+      const result = await collect(executeSql({
+        tables: { events },
+        query: 'SELECT STRFTIME(ts, \'%Y-%m-%d %H:%M:%S.%g\') AS a, STRFTIME(ts, \'%A, %B %-d %Y %I:%M %p\') AS b FROM events',
+      }))
+      expect(result).toEqual([{ a: '2026-03-05 09:07:03.045', b: 'Thursday, March 5 2026 09:07 AM' }])
+    })
+
+    it('should format day of year, weekdays and ISO weeks', async () => {
+      const result = await collect(executeSql({
+        tables: { events },
+        query: 'SELECT STRFTIME(ts, \'%j %w %u %V %a %b %F %T %% %z\') AS a FROM events',
+      }))
+      expect(result[0].a).toBe('064 4 4 10 Thu Mar 2026-03-05 09:07:03 % +00')
+    })
+
+    it('should format Date values and return null for null input', async () => {
+      const data = [{ d: new Date('2024-12-25T18:30:00Z') }, { d: NULL }]
+      const result = await collect(executeSql({
+        tables: { data },
+        query: 'SELECT STRFTIME(d, \'%d/%m/%y\') AS a FROM data',
+      }))
+      expect(result).toEqual([{ a: '25/12/24' }, { a: null }])
+    })
+
+    it('should format timestamps in the session time zone', async () => {
+      const data = [{ ts: '2026-03-05T14:07:03Z', local: '2026-03-05T14:07:03' }]
+      const result = await collect(executeSql({
+        tables: { data },
+        query: `SELECT STRFTIME(ts, '%H %z %Z') AS a, EXTRACT(HOUR FROM ts) AS hour,
+          TO_CHAR(ts, 'YYYY-MM-DD HH24:MI OF') AS b, STRFTIME(local, '%H %z %Z') AS c FROM data`,
+        timeZone: 'Asia/Tokyo',
+      }))
+      expect(result).toEqual([{ a: '23 +09 Asia/Tokyo', hour: 23, b: '2026-03-05 23:07 +09', c: '14 +00 UTC' }])
+
+      const kolkata = await collect(executeSql({
+        tables: { data },
+        query: 'SELECT TO_CHAR(ts, \'HH24:MI OF TZ\') AS a FROM data',
+        timeZone: 'Asia/Kolkata',
+      }))
+      expect(kolkata).toEqual([{ a: '19:37 +05:30 Asia/Kolkata' }])
+    })
+
+    it('should reject unknown specifiers', async () => {
+      await expect(collect(executeSql({
+        tables: { events },
+        query: 'SELECT STRFTIME(ts, \'%Y-%Q\') FROM events',
+      }))).rejects.toThrow('STRFTIME(timestamp, format): unknown format specifier "%Q"')
+    })
+  })
+
+  describe('STRPTIME', () => {
+    it('should parse CSV style dates', async () => {
+      const data = [{ s: '03/15/2026 14:02' }, { s: '3/5/2026 9:07' }, { s: NULL }]
+      const result = await collect(executeSql({
+        tables: { data },
+        query: 'SELECT STRPTIME(s, \'%m/%d/%Y %H:%M\') AS t FROM data',
+      }))
+      expect(result).toEqual([
+        { t: new Date('2026-03-15T14:02:00Z') },
+        { t: new Date('2026-03-05T09:07:00Z') },
+        { t: null },
+      ])
+    })
+
+    it('should parse names, 12-hour times and two-digit years', async () => {
+      const result = await collect(executeSql({
+        tables: { events },
+        query: 'SELECT STRPTIME(\'Tue, 5 march 24 1:05:09 pm\', \'%a, %-d %B %y %I:%M:%S %p\') AS t FROM events',
+      }))
+      expect(result[0].t).toEqual(new Date('2024-03-05T13:05:09Z'))
+    })
+
+    it('should apply offsets and time zones', async () => {
+      const result = await collect(executeSql({
+        tables: { events },
+        query: `SELECT
+          STRPTIME('2024-03-10 02:30 +0530', '%Y-%m-%d %H:%M %z') AS a,
+          STRPTIME('2024-07-01 12:00 America/New_York', '%Y-%m-%d %H:%M %Z') AS b,
+          STRPTIME('2024-07-01 12:00 UTC', '%Y-%m-%d %H:%M %Z') AS c
+        FROM events`,
+      }))
+      expect(result).toEqual([{
+        a: new Date('2024-03-09T21:00:00Z'),
+        b: new Date('2024-07-01T16:00:00Z'),
+        c: new Date('2024-07-01T12:00:00Z'),
+      }])
+    })
+
+    it('should parse a day of the year', async () => {
+      const result = await collect(executeSql({
+        tables: { events },
+        query: 'SELECT STRPTIME(\'2024-060\', \'%Y-%j\') AS t FROM events',
+      }))
+      expect(result[0].t).toEqual(new Date('2024-02-29T00:00:00Z'))
+    })
+
+    it('should throw for strings that do not match', async () => {
+      const data = [{ s: '2026-03-15' }, { s: '2026-02-30' }]
+      await expect(collect(executeSql({
+        tables: { data },
+        query: 'SELECT STRPTIME(s, \'%Y-%m-%d\') AS t FROM data',
+      }))).rejects.toThrow('STRPTIME(string, format): could not parse "2026-02-30" with format "%Y-%m-%d" (row 2)')
+    })
+  })
+
+  describe('TO_CHAR', () => {
+    it('should format with Postgres template patterns', async () => {
+      const result = await collect(executeSql({
+        tables: { events },
+        query: 'SELECT TO_CHAR(ts, \'YYYY-MM-DD HH24:MI:SS.MS\') AS a, TO_CHAR(ts, \'FMDay, FMDD "of" FMMonth YYYY HH12:MI am\') AS b FROM events',
+      }))
+      expect(result).toEqual([{ a: '2026-03-05 09:07:03.045', b: 'Thursday, 5 of March 2026 09:07 am' }])
+    })
+
+    it('should pad names unless FM is given, and follow the case of the pattern', async () => {
+      const result = await collect(executeSql({
+        tables: { events },
+        query: 'SELECT TO_CHAR(ts, \'MONTH|Month|FMmonth|Mon|DY|Q|DDD|D|ID|IW\') AS a FROM events',
+      }))
+      expect(result[0].a).toBe('MARCH    |March    |march|Mar|THU|1|064|5|4|10')
+    })
+  })
+
+  describe('TO_TIMESTAMP', () => {
+    it('should convert epoch seconds', async () => {
+      const data = [{ e: 1700000000 }, { e: 1.5 }, { e: '86400' }, { e: NULL }]
+      const result = await collect(executeSql({
+        tables: { data },
+        query: 'SELECT TO_TIMESTAMP(e) AS t FROM data',
+      }))
+      expect(result).toEqual([
+        { t: new Date('2023-11-14T22:13:20Z') },
+        { t: new Date('1970-01-01T00:00:01.500Z') },
+        { t: new Date('1970-01-02T00:00:00Z') },
+        { t: null },
+      ])
+    })
+
+    it('should parse with Postgres template patterns', async () => {
+      const data = [{ s: '03/15/2026 14:02' }, { s: '15 Mar 2026 2:02:30.25 PM' }]
+      const result = await collect(executeSql({
+        tables: { data },
+        query: `SELECT
+          TO_TIMESTAMP(s, 'MM/DD/YYYY HH24:MI') AS a
+        FROM data WHERE s LIKE '%/%'
+        UNION ALL
+        SELECT
+          TO_TIMESTAMP(s, 'DD Mon YYYY HH12:MI:SS.MS AM') AS a
+        FROM data WHERE s NOT LIKE '%/%'`,
+      }))
+      expect(result).toEqual([
+        { a: new Date('2026-03-15T14:02:00Z') },
+        { a: new Date('2026-03-15T14:02:30.250Z') },
+      ])
+    })
+
+    it('should throw for values that are not epoch seconds', async () => {
+      await expect(collect(executeSql({
+        tables: { events },
+        query: 'SELECT TO_TIMESTAMP(ts) FROM events',
+      }))).rejects.toThrow('TO_TIMESTAMP(seconds | string, format): expected seconds since the epoch, got "2026-03-05T09:07:03.045Z"')
+    })
+  })
+
+  describe('MAKE_DATE and MAKE_TIMESTAMP', () => {
+    it('should build dates and timestamps from parts', async () => {
+      const data = [{ y: 2024, m: 2, d: 29 }, { y: 2024, m: NULL, d: 1 }]
+      const result = await collect(executeSql({
+        tables: { data },
+        query: 'SELECT MAKE_DATE(y, m, d) AS a, MAKE_TIMESTAMP(y, m, d, 13, 45, 30.5) AS b FROM data',
+      }))
+      expect(result).toEqual([
+        { a: '2024-02-29', b: new Date('2024-02-29T13:45:30.500Z') },
+        { a: null, b: null },
+      ])
+    })
+
+    it('should throw for invalid dates', async () => {
+      await expect(collect(executeSql({
+        tables: { events },
+        query: 'SELECT MAKE_DATE(2023, 2, 29) FROM events',
+      }))).rejects.toThrow('MAKE_DATE(year, month, day): invalid date (2023, 2, 29)')
+      await expect(collect(executeSql({
+        tables: { events },
+        query: 'SELECT MAKE_TIMESTAMP(2023, 1, 1, 24, 0, 0) FROM events',
+      }))).rejects.toThrow('MAKE_TIMESTAMP(year, month, day, hour, minute, second): invalid timestamp (2023, 1, 1, 24, 0, 0)')
+    })
+
+    it('should round-trip through STRFTIME', async () => {
+      const result = await collect(executeSql({
+        tables: { events },
+        query: 'SELECT STRFTIME(MAKE_TIMESTAMP(1999, 12, 31, 23, 59, 59), \'%Y-%m-%dT%H:%M:%S\') AS a FROM events',
+      }))
+      expect(result[0].a).toBe('1999-12-31T23:59:59')
+    })
+  })
+})
@@ -131,6 +131,23 @@ describe('date/time functions', () => {
       expect(result[0].e).toBe(new Date('2024-07-15T14:30:45.123Z').getTime() / 1000)
     })
 
+    it('should extract quarter, ISO week and millisecond', async () => {
+      const result = await collect(executeSql({
+        tables: { events },
+        query: 'SELECT EXTRACT(QUARTER FROM ts) AS q, EXTRACT(WEEK FROM ts) AS w, EXTRACT(MILLISECOND FROM ts) AS ms FROM events',
+      }))
+      expect(result).toEqual([{ q: 3, w: 29, ms: 45123 }])
+    })
+
+    it('should number weeks across year boundaries like ISO 8601', async () => {
+      const dates = [{ d: '2021-01-03' }, { d: '2021-01-04' }, { d: '2024-12-30' }]
+      const result = await collect(executeSql({
+        tables: { dates },
+        query: 'SELECT DATE_PART(\'week\', d) AS w FROM dates',
+      }))
+      expect(result).toEqual([{ w: 53 }, { w: 1 }, { w: 1 }])
+    })
+
     it('should work with date-only input', async () => {
       const dates = [{ d: '2024-07-15' }]
       const result = await collect(executeSql({
@@ -317,6 +334,24 @@ describe('date/time functions', () => {
       expect(result[0].t).toBe('2024-07-15T14:30:45.000Z')
     })
 
+    it('should truncate to quarter, week and millisecond', async () => {
+      const data = [{ ts: '2024-08-25T14:30:45.123Z' }]
+      const result = await collect(executeSql({
+        tables: { data },
+        query: `SELECT
+          DATE_TRUNC('quarter', ts) AS q,
+          DATE_TRUNC('week', ts) AS w,
+          DATE_TRUNC('millisecond', ts) AS ms
+        FROM data`,
+      }))
+      // 2024-08-25 is a Sunday, so its week started on Monday the 19th
+      expect(result).toEqual([{
+        q: '2024-07-01T00:00:00.000Z',
+        w: '2024-08-19T00:00:00.000Z',
+        ms: '2024-08-25T14:30:45.123Z',
+      }])
+    })
+
     it('should return date string for date-only input', async () => {
       const dates = [{ d: '2024-07-15' }]
       const result = await collect(executeSql({
@@ -370,6 +405,70 @@ describe('date/time functions', () => {
     })
   })
 
+  describe('TIME_BUCKET', () => {
+    const events = [
+      { ts: '2024-01-01T00:05:00Z' },
+      { ts: '2024-01-01T00:14:59Z' },
+      { ts: '2024-01-01T00:50:00Z' },
+    ]
+
+    it('should round down to fixed-width buckets', async () => {
+      const result = await collect(executeSql({
+        tables: { events },
+        query: 'SELECT TIME_BUCKET(INTERVAL \'15 minutes\', ts) AS b FROM events',
+      }))
+      expect(result).toEqual([
+        { b: '2024-01-01T00:00:00.000Z' },
+        { b: '2024-01-01T00:00:00.000Z' },
+        { b: '2024-01-01T00:45:00.000Z' },
+      ])
+    })
+
+    it('should offset buckets from an origin with DATE_BIN', async () => {
+      const result = await collect(executeSql({
+        tables: { events },
+        query: 'SELECT DATE_BIN(INTERVAL 15 MINUTE, ts, \'2024-01-01T00:10:00Z\') AS b FROM events',
+      }))
+      expect(result).toEqual([
+        { b: '2023-12-31T23:55:00.000Z' },
+        { b: '2024-01-01T00:10:00.000Z' },
+        { b: '2024-01-01T00:40:00.000Z' },
+      ])
+    })
+
+    it('should start weeks on Monday and count months from 2000-01-01', async () => {
+      const data = [{ d: '2024-01-07' }, { d: '1999-12-15' }]
+      const result = await collect(executeSql({
+        tables: { data },
+        query: 'SELECT TIME_BUCKET(INTERVAL 1 WEEK, d) AS w, TIME_BUCKET(INTERVAL 1 QUARTER, d) AS q FROM data',
+      }))
+      expect(result).toEqual([
+        { w: '2024-01-01', q: '2024-01-01' },
+        { w: '1999-12-13', q: '1999-10-01' },
+      ])
+    })
+
+    it('should bucket by local days in the session time zone', async () => {
+      const result = await collect(executeSql({
+        tables: { events },
+        query: 'SELECT TIME_BUCKET(INTERVAL 1 DAY, \'2024-03-10T05:30:00Z\') AS d',
+        timeZone: 'America/New_York',
+      }))
+      expect(result).toEqual([{ d: '2024-03-10T05:00:00.000Z' }])
+    })
+
+    it('should reject widths that are not positive intervals', async () => {
+      await expect(collect(executeSql({
+        tables: { events },
+        query: 'SELECT TIME_BUCKET(15, ts) FROM events',
+      }))).rejects.toThrow('TIME_BUCKET(width, timestamp[, origin]): bucket width must be a positive interval of months, or of days and times')
+      await expect(collect(executeSql({
+        tables: { events },
+        query: 'SELECT TIME_BUCKET(INTERVAL \'1 month 1 day\', ts) FROM events',
+      }))).rejects.toThrow('bucket width must be a positive interval')
+    })
+  })
+
   describe('DATE_DIFF', () => {
     const events = [
       { a: '2024-01-15T00:00:00.000Z', b: '2024-07-20T00:00:00.000Z' },
@@ -428,6 +527,36 @@ describe('date/time functions', () => {
       expect(result[0].d).toBe(30)
     })
 
+    it('should compute week, quarter and millisecond differences', async () => {
+      const data = [{ a: '2024-01-01T00:00:00Z', b: '2024-12-20T00:00:01.500Z' }]
+      const result = await collect(executeSql({
+        tables: { data },
+        query: 'SELECT DATE_DIFF(\'week\', a, b) AS w, DATE_DIFF(\'quarter\', a, b) AS q, DATE_DIFF(\'millisecond\', a, b) AS ms FROM data',
+      }))
+      expect(result).toEqual([{ w: 50, q: 3, ms: 30585601500 }])
+    })
+
+    it('should count whole calendar months', async () => {
+      const data = [
+        { a: '2024-01-15', b: '2024-02-14' },
+        { a: '2024-01-31', b: '2024-02-29' },
+        { a: '2024-02-29', b: '2024-01-31' },
+        { a: '2024-01-15T12:00:00Z', b: '2024-03-15T11:00:00Z' },
+        { a: '2020-02-29', b: '2024-02-28' },
+      ]
+      const result = await collect(executeSql({
+        tables: { data },
+        query: 'SELECT DATE_DIFF(\'month\', a, b) AS m, DATE_DIFF(\'year\', a, b) AS y FROM data',
+      }))
+      expect(result).toEqual([
+        { m: 0, y: 0 },
+        { m: 1, y: 0 },
+        { m: -1, y: 0 },
+        { m: 1, y: 0 },
+        { m: 47, y: 3 },
+      ])
+    })
+
     it('should return negative for end before start', async () => {
       const data = [{ a: '2024-07-20', b: '2024-01-15' }]
       const result = await collect(executeSql({
@@ -518,4 +647,165 @@ describe('date/time functions', () => {
       expect(result[0].ts).toBe(null)
     })
   })
+  describe('time zones', () => {
+    // 2024-03-10 is the start of daylight saving time in New York (07:00 UTC)
+    const events = [
+      { id: 1, ts: new Date('2024-03-10T03:30:00Z') },
+      { id: 2, ts: new Date('2024-03-10T06:59:00Z') },
+      { id: 3, ts: new Date('2024-03-10T07:30:00Z') },
+      { id: 4, ts: '2024-11-03T05:30:00Z' },
+    ]
+
+    it('should truncate and extract in the session time zone', async () => {
+      const result = await collect(executeSql({
+        tables: { events },
+        query: 'SELECT id, DATE_TRUNC(\'day\', ts) AS day, EXTRACT(HOUR FROM ts) AS hour, DATE_PART(\'day\', ts) AS dom FROM events',
+        timeZone: 'America/New_York',
+      }))
+      expect(result).toEqual([
+        { id: 1, day: new Date('2024-03-09T05:00:00Z'), hour: 22, dom: 9 },
+        { id: 2, day: new Date('2024-03-10T05:00:00Z'), hour: 1, dom: 10 },
+        { id: 3, day: new Date('2024-03-10T05:00:00Z'), hour: 3, dom: 10 },
+        { id: 4, day: '2024-11-03T04:00:00.000Z', hour: 1, dom: 3 },
+      ])
+    })
+
+    it('should group daily rollups by local day', async () => {
+      const result = await collect(executeSql({
+        tables: { events },
+        query: 'SELECT EXTRACT(DAY FROM ts) AS day, COUNT(*) AS n FROM events GROUP BY day ORDER BY day',
+        timeZone: 'Asia/Tokyo',
+      }))
+      expect(result).toEqual([{ day: 3, n: 1 }, { day: 10, n: 3 }])
+    })
+
+    it('should leave times without a UTC offset alone', async () => {
+      const data = [{ ts: '2024-03-10T03:30:00', d: '2024-03-10' }]
+      const result = await collect(executeSql({
+        tables: { data },
+        query: 'SELECT DATE_TRUNC(\'hour\', ts) AS hour, EXTRACT(HOUR FROM ts) AS h, DATE_TRUNC(\'month\', d) AS month FROM data',
+        timeZone: 'America/New_York',
+      }))
+      expect(result).toEqual([{ hour: '2024-03-10T03:00:00.000', h: 3, month: '2024-03-01' }])
+    })
+
+    it('should return the current date in the session time zone', async () => {
+      const utc = await collect(executeSql({ tables: { dummy }, query: 'SELECT CURRENT_DATE AS d FROM dummy' }))
+      const kiritimati = await collect(executeSql({ tables: { dummy }, query: 'SELECT CURRENT_DATE AS d FROM dummy', timeZone: 'Pacific/Kiritimati' }))
+      // UTC+14 is always a day ahead of UTC, except in the ten hours before UTC midnight
+      const ahead = new Date(Date.now() + 14 * 3600000).toISOString().split('T')[0]
+      expect(kiritimati[0].d).toBe(ahead)
+      expect(utc[0].d).toBe(new Date().toISOString().split('T')[0])
+    })
+
+    it('should convert timestamps to wall-clock times with AT TIME ZONE', async () => {
+      const result = await collect(executeSql({
+        tables: { events },
+        query: 'SELECT id, ts AT TIME ZONE \'America/New_York\' AS local FROM events',
+      }))
+      expect(result).toEqual([
+        { id: 1, local: '2024-03-09T22:30:00.000' },
+        { id: 2, local: '2024-03-10T01:59:00.000' },
+        { id: 3, local: '2024-03-10T03:30:00.000' },
+        { id: 4, local: '2024-11-03T01:30:00.000' },
+      ])
+    })
+
+    it('should convert wall-clock times to timestamps with AT TIME ZONE', async () => {
+      const result = await collect(executeSql({
+        tables: { dummy },
+        query: `SELECT '2024-01-01T09:00:00' AT TIME ZONE 'Asia/Tokyo' AS tokyo,
+          TIMESTAMP '2024-07-01T12:00:00Z' AT TIME ZONE 'UTC' AT TIME ZONE 'Asia/Kolkata' AS kolkata,
+          DATE_TRUNC('month', TIMESTAMP '2024-07-31T20:00:00Z' AT TIME ZONE 'Asia/Tokyo') AS month
+          FROM dummy`,
+      }))
+      expect(result).toEqual([{
+        tokyo: new Date('2024-01-01T00:00:00Z'),
+        kolkata: new Date('2024-07-01T06:30:00Z'),
+        month: '2024-08-01T00:00:00.000',
+      }])
+    })
+
+    it('should move wall-clock times in a daylight saving gap forward', async () => {
+      const result = await collect(executeSql({
+        tables: { dummy },
+        query: `SELECT '2024-03-10T02:30:00' AT TIME ZONE 'America/New_York' AS gap,
+          '2024-03-10T03:30:00' AT TIME ZONE 'America/New_York' AS after_gap,
+          '2024-03-31T02:30:00' AT TIME ZONE 'Europe/Berlin' AS berlin_gap,
+          '2024-11-03T01:30:00' AT TIME ZONE 'America/New_York' AS repeated
+          FROM dummy`,
+      }))
+      expect(result).toEqual([{
+        gap: new Date('2024-03-10T07:30:00Z'),
+        after_gap: new Date('2024-03-10T07:30:00Z'),
+        berlin_gap: new Date('2024-03-31T01:30:00Z'),
+        repeated: new Date('2024-11-03T05:30:00Z'),
+      }])
+    })
+
+    it('should reject unknown time zones', async () => {
+      await expect(collect(executeSql({
+        tables: { dummy },
+        query: 'SELECT CURRENT_TIMESTAMP AT TIME ZONE \'Mars/Olympus\' AS t FROM dummy',
+      }))).rejects.toThrow('TIMEZONE(zone, timestamp): unknown time zone "Mars/Olympus"')
+      expect(() => executeSql({ tables: { dummy }, query: 'SELECT 1', timeZone: 'Mars/Olympus' }))
+        .toThrow('Unknown time zone: Mars/Olympus')
+    })
+  })
+
+  describe('TIMESTAMPTZ', () => {
+    it('should read times without a UTC offset in the session time zone', async () => {
+      const result = await collect(executeSql({
+        tables: { dummy },
+        query: `SELECT CAST('2024-07-01 12:00:00' AS TIMESTAMPTZ) AS summer,
+          TIMESTAMPTZ '2024-01-01' AS winter,
+          TIMESTAMPTZ '2024-07-01T12:00:00Z' AS utc,
+          TIMESTAMP '2024-07-01 12:00:00' AS naive
+          FROM dummy`,
+        timeZone: 'America/New_York',
+      }))
+      expect(result).toEqual([{
+        summer: new Date('2024-07-01T16:00:00Z'),
+        winter: new Date('2024-01-01T05:00:00Z'),
+        utc: new Date('2024-07-01T12:00:00Z'),
+        naive: new Date('2024-07-01T12:00:00Z'),
+      }])
+    })
+
+    it('should read times as UTC without a session time zone', async () => {
+      const result = await collect(executeSql({
+        tables: { dummy },
+        query: 'SELECT CAST(\'2024-07-01T12:00:00\' AS TIMESTAMPTZ) AS ts FROM dummy',
+      }))
+      expect(result[0].ts).toEqual(new Date('2024-07-01T12:00:00Z'))
+    })
+
+    it('should add days and months in wall-clock time of the session time zone', async () => {
+      const result = await collect(executeSql({
+        tables: { dummy },
+        query: `SELECT TIMESTAMPTZ '2024-03-09 12:00' + INTERVAL '1 day' AS next_day,
+          TIMESTAMPTZ '2024-03-09 12:00' + INTERVAL '24 hours' AS next_24h,
+          TIMESTAMPTZ '2024-02-10 12:00' + INTERVAL 1 MONTH AS next_month,
+          TIMESTAMPTZ '2024-11-03 12:00' - INTERVAL '1 day' AS prev_day
+          FROM dummy`,
+        timeZone: 'America/New_York',
+      }))
+      expect(result).toEqual([{
+        next_day: new Date('2024-03-10T16:00:00Z'),
+        next_24h: new Date('2024-03-10T17:00:00Z'),
+        next_month: new Date('2024-03-10T16:00:00Z'),
+        prev_day: new Date('2024-11-02T16:00:00Z'),
+      }])
+    })
+
+    it('should add computed intervals in the session time zone', async () => {
+      const data = [{ ts: new Date('2024-03-09T17:00:00Z'), start: '2024-01-01', end: '2024-01-02' }]
+      const result = await collect(executeSql({
+        tables: { data },
+        query: 'SELECT ts + ("end" - start) AS next_day FROM data',
+        timeZone: 'America/New_York',
+      }))
+      expect(result).toEqual([{ next_day: new Date('2024-03-10T16:00:00Z') }])
+    })
+  })
 })
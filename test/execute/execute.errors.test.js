@@ -174,19 +174,23 @@ describe('executeSql error handling', () => {
   })
 
   describe('INTERVAL errors', () => {
-    it('should throw error for standalone INTERVAL', async () => {
-      await expect(collect(executeSql({
-        tables: { users },
-        query: 'SELECT INTERVAL 1 DAY FROM users',
-      }))).rejects.toThrow('INTERVAL can only be used with date arithmetic (+ or -')
-    })
-
     it('should throw error for invalid INTERVAL unit', () => {
       expect(() => executeSql({
         tables: { users },
         query: 'SELECT CURRENT_DATE + INTERVAL 1 FORTNIGHT FROM users',
       })).toThrow('Invalid interval unit FORTNIGHT at position 33. Valid values: DAY, MONTH, YEAR, HOUR, MINUTE, SECOND')
     })
+
+    it('should throw error for invalid quoted INTERVAL', () => {
+      expect(() => executeSql({
+        tables: { users },
+        query: 'SELECT CURRENT_DATE + INTERVAL \'1 day and then some\' FROM users',
+      })).toThrow('Invalid interval \'1 day and then some\' at position 31')
+      expect(() => executeSql({
+        tables: { users },
+        query: 'SELECT CURRENT_DATE + INTERVAL \'2 fortnights\' FROM users',
+      })).toThrow('Invalid interval unit fortnights at position 31. Valid values: DAY, MONTH, YEAR, HOUR, MINUTE, SECOND, WEEK, QUARTER, MILLISECOND')
+    })
   })
 
   describe('row number in errors', () => {
@@ -0,0 +1,70 @@
+import { describe, expect, it } from 'vitest'
+import { collect, executePlan, executeSql, explainPlan, planSql } from '../../src/index.js'
+import { memorySource } from '../../src/backend/dataSource.js'
+
+describe('executeSql - EXPLAIN', () => {
+  const users = [
+    { id: 1, name: 'Alice', age: 30 },
+    { id: 2, name: 'Bob', age: 20 },
+    { id: 3, name: 'Charlie', age: 40 },
+  ]
+
+  it('should return the plan as one row per line', async () => {
+    const result = executeSql({ tables: { users }, query: 'EXPLAIN SELECT name FROM users WHERE age > 21 ORDER BY age LIMIT 1' })
+    expect(result.columns).toEqual(['plan'])
+    expect(await collect(result)).toEqual([
+      { plan: 'Limit (limit: 1)' },
+      { plan: '  Project: name' },
+      { plan: '    Sort: age ASC (topK: 1)' },
+      { plan: '      Scan users (columns: name, age; where: age > 21)' },
+    ])
+  })
+
+  it('should not read the tables without ANALYZE', async () => {
+    let scans = 0
+    const source = memorySource({ data: users })
+    const { scan } = source
+    if (!scan) throw new Error('expected scan')
+    source.scan = options => {
+      scans++
+      return scan(options)
+    }
+    await collect(executeSql({ tables: { users: source }, query: 'EXPLAIN SELECT * FROM users' }))
+    expect(scans).toBe(0)
+  })
+
+  it('should report what each node did with ANALYZE', async () => {
+    const rows = await collect(executeSql({
+      tables: { users },
+      query: 'EXPLAIN ANALYZE SELECT name, age + 1 AS next FROM users WHERE age > 21',
+    }))
+    expect(rows).toHaveLength(2)
+    expect(rows[0].plan).toMatch(/^Project: name, age \+ 1 AS next \(actual rows=2, cells=4, time=\d+\.\d{3}ms\)$/)
+    expect(rows[1].plan).toMatch(/^ {2}Scan users \(columns: name, age; where: age > 21\) \(actual rows=2, cells=\d+, time=\d+\.\d{3}ms\)$/)
+  })
+
+  it('should count loops and unexecuted nodes', async () => {
+    const lists = [{ id: 1, arr: [1, 2] }, { id: 2, arr: [3] }]
+    const query = 'EXPLAIN ANALYZE SELECT t.id, x FROM t CROSS JOIN LATERAL UNNEST(t.arr) AS u(x)'
+    const rows = await collect(executeSql({ tables: { t: lists }, query }))
+    expect(rows[3].plan).toMatch(/^ {4}TableFunction: UNNEST\(t\.arr\) \(columns: x\) \(actual rows=3, cells=3, time=\d+\.\d{3}ms, loops=2\)$/)
+
+    const empty = await collect(executeSql({ tables: { t: memorySource({ data: [], columns: ['id', 'arr'] }) }, query }))
+    expect(empty[3].plan).toBe('    TableFunction: UNNEST(t.arr) (columns: x) (never executed)')
+  })
+
+  it('should bind parameters in the explained query', async () => {
+    const rows = await collect(executeSql({ tables: { users }, query: 'EXPLAIN SELECT * FROM users WHERE id = ?', params: [2] }))
+    expect(rows).toEqual([{ plan: 'Scan users (where: id = 2)' }])
+  })
+
+  it('should collect stats through ExecuteContext.planStats', async () => {
+    const plan = planSql({ query: 'SELECT id FROM users LIMIT 2', tables: { users: memorySource({ data: users }) } })
+    /** @type {WeakMap<import('../../src/types.js').QueryPlan, import('../../src/types.js').PlanStats>} */
+    const stats = new WeakMap()
+    const result = executePlan({ plan, context: { tables: { users: memorySource({ data: users }) }, planStats: stats } })
+    await collect(result)
+    expect(stats.get(plan)).toMatchObject({ loops: 1, rows: 2, cells: 2 })
+    expect(explainPlan({ plan, stats })).toMatch(/^Project: id \(actual rows=2, cells=2, time=\d+\.\d{3}ms\)\n {2}Scan users \(columns: id; limit: 2\) \(actual rows=2, cells=2, time=/)
+  })
+})
@@ -139,4 +139,118 @@ describe('executeSql - GROUP BY', () => {
       { a: 2, b: 3, count: 2 },
     ])
   })
+
+  describe('GROUPING SETS, ROLLUP and CUBE', () => {
+    const sales = [
+      { region: 'east', city: 'nyc', amount: 100 },
+      { region: 'east', city: 'bos', amount: 50 },
+      { region: 'east', city: 'nyc', amount: 25 },
+      { region: 'west', city: 'sf', amount: 200 },
+    ]
+
+    it('should add subtotal and grand total rows with ROLLUP', async () => {
+      const result = await collect(executeSql({
+        tables: { sales },
+        query: 'SELECT region, city, SUM(amount) AS total, GROUPING(region, city) AS g FROM sales GROUP BY ROLLUP(region, city)',
+      }))
+      expect(result).toEqual([
+        { region: 'east', city: 'nyc', total: 125, g: 0 },
+        { region: 'east', city: 'bos', total: 50, g: 0 },
+        { region: 'west', city: 'sf', total: 200, g: 0 },
+        { region: 'east', city: null, total: 175, g: 1 },
+        { region: 'west', city: null, total: 200, g: 1 },
+        { region: null, city: null, total: 375, g: 3 },
+      ])
+    })
+
+    it('should group by every combination with CUBE', async () => {
+      const result = await collect(executeSql({
+        tables: { sales },
+        query: 'SELECT region, city, COUNT(*) AS n FROM sales GROUP BY CUBE(region, city) ORDER BY GROUPING(region, city), region, city',
+      }))
+      expect(result).toEqual([
+        { region: 'east', city: 'bos', n: 1 },
+        { region: 'east', city: 'nyc', n: 2 },
+        { region: 'west', city: 'sf', n: 1 },
+        { region: 'east', city: null, n: 3 },
+        { region: 'west', city: null, n: 1 },
+        { region: null, city: 'bos', n: 1 },
+        { region: null, city: 'nyc', n: 2 },
+        { region: null, city: 'sf', n: 1 },
+        { region: null, city: null, n: 4 },
+      ])
+    })
+
+    it('should support GROUPING SETS with buffered aggregates', async () => {
+      const result = await collect(executeSql({
+        tables: { sales },
+        query: 'SELECT region, city, MEDIAN(amount) AS m FROM sales GROUP BY GROUPING SETS ((region), (city), ())',
+      }))
+      expect(result).toEqual([
+        { region: 'east', city: null, m: 50 },
+        { region: 'west', city: null, m: 200 },
+        { region: null, city: 'nyc', m: 62.5 },
+        { region: null, city: 'bos', m: 50 },
+        { region: null, city: 'sf', m: 200 },
+        { region: null, city: null, m: 75 },
+      ])
+    })
+
+    it('should tell subtotals from null keys in HAVING with GROUPING', async () => {
+      const data = [...sales, { region: null, city: 'la', amount: 10 }]
+      const result = await collect(executeSql({
+        tables: { sales: data },
+        query: 'SELECT region, SUM(amount) AS total FROM sales GROUP BY ROLLUP(region) HAVING GROUPING(region) = 1 OR region IS NULL',
+      }))
+      expect(result).toEqual([
+        { region: null, total: 10 },
+        { region: null, total: 385 },
+      ])
+    })
+
+    it('should resolve select aliases in ROLLUP', async () => {
+      const result = await collect(executeSql({
+        tables: { sales },
+        query: 'SELECT UPPER(region) AS r, COUNT(*) AS n FROM sales GROUP BY ROLLUP(r)',
+      }))
+      expect(result).toEqual([
+        { r: 'EAST', n: 3 },
+        { r: 'WEST', n: 1 },
+        { r: null, n: 4 },
+      ])
+    })
+
+    it('should return the grand total for empty input', async () => {
+      const result = await collect(executeSql({
+        tables: { sales },
+        query: 'SELECT region, COUNT(*) AS n, SUM(amount) AS total FROM sales WHERE amount > 1000 GROUP BY ROLLUP(region)',
+      }))
+      expect(result).toEqual([{ region: null, n: 0, total: null }])
+    })
+
+    it('should return 0 from GROUPING with a plain GROUP BY', async () => {
+      const result = await collect(executeSql({
+        tables: { sales },
+        query: 'SELECT region, GROUPING(region) AS g FROM sales GROUP BY region',
+      }))
+      expect(result).toEqual([
+        { region: 'east', g: 0 },
+        { region: 'west', g: 0 },
+      ])
+    })
+
+    it('should reject GROUPING of an expression that is not grouped', () => {
+      expect(() => executeSql({
+        tables: { sales },
+        query: 'SELECT region, GROUPING(city) FROM sales GROUP BY region',
+      })).toThrow('GROUPING() arguments must be GROUP BY expressions')
+    })
+
+    it('should reject GROUPING without GROUP BY', () => {
+      expect(() => executeSql({
+        tables: { sales },
+        query: 'SELECT GROUPING(region) FROM sales',
+      })).toThrow('GROUPING() arguments must be GROUP BY expressions')
+    })
+  })
 })
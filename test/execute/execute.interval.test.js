@@ -131,6 +131,174 @@ describe('INTERVAL date arithmetic', () => {
     })
   })
 
+  describe('WEEK, QUARTER and MILLISECOND units', () => {
+    it('should add weeks, quarters and milliseconds', async () => {
+      const result = await collect(executeSql({
+        tables: { events },
+        query: `SELECT
+          created_at + INTERVAL 2 WEEK AS weeks,
+          created_at - INTERVAL 1 quarter AS quarters,
+          created_at + INTERVAL 250 MILLISECOND AS ms
+        FROM events`,
+      }))
+      expect(result).toEqual([{
+        weeks: '2025-01-29T10:30:00.000Z',
+        quarters: '2024-10-15T10:30:00.000Z',
+        ms: '2025-01-15T10:30:00.250Z',
+      }])
+    })
+  })
+
+  describe('compound intervals', () => {
+    it('should add an interval with several units', async () => {
+      const result = await collect(executeSql({
+        tables: { events },
+        query: 'SELECT created_at + INTERVAL \'1 day 3 hours\' AS later, created_at - INTERVAL \'1 Year 2 MONTHS\' AS earlier FROM events',
+      }))
+      expect(result).toEqual([{ later: '2025-01-16T13:30:00.000Z', earlier: '2023-11-15T10:30:00.000Z' }])
+    })
+
+    it('should give a date a time when the interval has one', async () => {
+      const result = await collect(executeSql({
+        tables: { orders },
+        query: 'SELECT order_date + INTERVAL \'2 days 6 hours\' AS later FROM orders WHERE id = 1',
+      }))
+      expect(result[0].later).toBe('2025-01-17T06:00:00.000')
+    })
+  })
+
+  describe('calendar months', () => {
+    it('should stay within the month when adding months', async () => {
+      const data = [{ d: '2024-01-31' }, { d: '2023-01-31' }, { d: '2024-03-31' }]
+      const result = await collect(executeSql({
+        tables: { data },
+        query: 'SELECT d + INTERVAL 1 MONTH AS next, d - INTERVAL 1 MONTH AS prev FROM data',
+      }))
+      expect(result).toEqual([
+        { next: '2024-02-29', prev: '2023-12-31' },
+        { next: '2023-02-28', prev: '2022-12-31' },
+        { next: '2024-04-30', prev: '2024-02-29' },
+      ])
+    })
+  })
+
+  describe('interval values', () => {
+    it('should return a standalone interval as a value', async () => {
+      const result = await collect(executeSql({
+        tables: { dummy },
+        query: 'SELECT INTERVAL 1 DAY AS d, INTERVAL 1.5 MONTH AS m, INTERVAL \'1 day\' - INTERVAL \'1 hour\' AS diff FROM dummy',
+      }))
+      expect(result).toEqual([{
+        d: { months: 0, days: 1, milliseconds: 0 },
+        m: { months: 1, days: 15, milliseconds: 0 },
+        diff: { months: 0, days: 1, milliseconds: -3600000 },
+      }])
+    })
+
+    it('should subtract timestamps to an interval', async () => {
+      const data = [
+        { start: '2025-03-01T10:00:00Z', end: '2025-03-02T13:30:00Z' },
+        { start: '2025-03-01T10:00:00Z', end: '2025-03-01T09:00:00Z' },
+        { start: new Date('2025-03-01'), end: new Date('2025-03-11') },
+      ]
+      const result = await collect(executeSql({
+        tables: { data },
+        query: 'SELECT "end" - start AS elapsed FROM data',
+      }))
+      expect(result).toEqual([
+        { elapsed: { months: 0, days: 1, milliseconds: 12600000 } },
+        { elapsed: { months: 0, days: 0, milliseconds: -3600000 } },
+        { elapsed: { months: 0, days: 10, milliseconds: 0 } },
+      ])
+    })
+
+    it('should compare intervals', async () => {
+      const data = [
+        { id: 1, start: '2025-03-01T10:00:00Z', end: '2025-03-01T10:45:00Z' },
+        { id: 2, start: '2025-03-01T10:00:00Z', end: '2025-03-01T12:00:00Z' },
+        { id: 3, start: '2025-03-01T10:00:00Z', end: '2025-03-03T10:00:00Z' },
+      ]
+      const result = await collect(executeSql({
+        tables: { data },
+        query: 'SELECT id FROM data WHERE "end" - start > INTERVAL 1 HOUR AND "end" - start <= INTERVAL \'1 day 12 hours\'',
+      }))
+      expect(result).toEqual([{ id: 2 }])
+    })
+
+    it('should add an interval computed from timestamps', async () => {
+      const data = [{ start: '2025-03-01T10:00:00Z', end: '2025-03-01T12:30:00Z' }]
+      const result = await collect(executeSql({
+        tables: { data },
+        query: 'SELECT "end" + ("end" - start) AS next FROM data',
+      }))
+      expect(result[0].next).toBe('2025-03-01T15:00:00.000Z')
+    })
+
+    it('should not treat a struct with interval fields as an interval', async () => {
+      const data = [{ ts: '2025-03-01T10:00:00Z', s: { months: 1, days: 0, milliseconds: 0 } }]
+      const result = await collect(executeSql({
+        tables: { data },
+        query: 'SELECT s, ts + s AS later FROM data',
+      }))
+      expect(result[0].s).toEqual({ months: 1, days: 0, milliseconds: 0 })
+      expect(result[0].later).not.toBe('2025-04-01T10:00:00.000Z')
+      await expect(collect(executeSql({
+        tables: { data },
+        query: 'SELECT TIME_BUCKET(s, ts) AS bucket FROM data',
+      }))).rejects.toThrow('bucket width must be a positive interval')
+    })
+  })
+
+  describe('interval * and / numbers', () => {
+    it('should scale intervals by numbers', async () => {
+      const result = await collect(executeSql({
+        tables: { dummy },
+        query: `SELECT
+          INTERVAL '1 day' * 2 AS doubled,
+          3 * INTERVAL 1 HOUR AS tripled,
+          INTERVAL 1 MONTH * 1.5 AS month_and_half,
+          INTERVAL 1 MONTH / 3 AS third,
+          INTERVAL '1 day' / 4 AS quarter_day,
+          INTERVAL 1 DAY / 0 AS by_zero
+        FROM dummy`,
+      }))
+      expect(result).toEqual([{
+        doubled: { months: 0, days: 2, milliseconds: 0 },
+        tripled: { months: 0, days: 0, milliseconds: 10800000 },
+        month_and_half: { months: 1, days: 15, milliseconds: 0 },
+        third: { months: 0, days: 10, milliseconds: 0 },
+        quarter_day: { months: 0, days: 0, milliseconds: 21600000 },
+        by_zero: null,
+      }])
+    })
+
+    it('should add a scaled interval to a date', async () => {
+      const result = await collect(executeSql({
+        tables: { orders },
+        query: 'SELECT order_date + INTERVAL 1 WEEK * id AS due FROM orders',
+      }))
+      expect(result).toEqual([{ due: '2025-01-22' }, { due: '2025-07-04' }])
+    })
+  })
+
+  describe('date ± integer', () => {
+    it('should add and subtract days', async () => {
+      const result = await collect(executeSql({
+        tables: { dummy },
+        query: 'SELECT \'2024-01-02\' - 3 AS earlier, \'2024-02-27\' + 3 AS later, 1 + \'2024-12-31\' AS next FROM dummy',
+      }))
+      expect(result).toEqual([{ earlier: '2023-12-30', later: '2024-03-01', next: '2025-01-01' }])
+    })
+
+    it('should add a column of days', async () => {
+      const result = await collect(executeSql({
+        tables: { orders },
+        query: 'SELECT order_date + id AS shifted FROM orders',
+      }))
+      expect(result).toEqual([{ shifted: '2025-01-16' }, { shifted: '2025-06-22' }])
+    })
+  })
+
   describe('edge cases', () => {
     it('should handle null dates', async () => {
       const data = [{ id: 1, date: NULL }]
@@ -0,0 +1,82 @@
+import { describe, expect, it } from 'vitest'
+import { collect, executeSql, parseSql, planSql } from '../../src/index.js'
+
+describe('executeSql - parameters', () => {
+  const users = [
+    { id: 1, name: 'Alice', age: 30 },
+    { id: 2, name: 'Bob', age: 25 },
+    { id: 3, name: 'Charlie', age: 35 },
+  ]
+
+  it('should execute one parsed statement with different values', async () => {
+    const query = parseSql({ query: 'SELECT name FROM users WHERE age > ? ORDER BY id' })
+    expect(await collect(executeSql({ tables: { users }, query, params: [26] })))
+      .toEqual([{ name: 'Alice' }, { name: 'Charlie' }])
+    expect(await collect(executeSql({ tables: { users }, query, params: [31] })))
+      .toEqual([{ name: 'Charlie' }])
+  })
+
+  it('should bind $N placeholders by position, allowing reuse', async () => {
+    const result = await collect(executeSql({
+      tables: { users },
+      query: 'SELECT name FROM users WHERE age BETWEEN $1 AND $2 OR id = $1',
+      params: [1, 26],
+    }))
+    expect(result).toEqual([{ name: 'Alice' }, { name: 'Bob' }])
+  })
+
+  it('should bind named placeholders', async () => {
+    const result = await collect(executeSql({
+      tables: { users },
+      query: 'SELECT name, :bonus + age AS total FROM users WHERE name LIKE :pattern',
+      params: { pattern: 'C%', bonus: 5 },
+    }))
+    expect(result).toEqual([{ name: 'Charlie', total: 40 }])
+  })
+
+  it('should bind placeholders in subqueries and CTEs', async () => {
+    const result = await collect(executeSql({
+      tables: { users },
+      query: 'WITH old AS (SELECT * FROM users WHERE age >= :min) SELECT name FROM old WHERE id IN (SELECT id FROM users WHERE name <> :skip)',
+      params: { min: 30, skip: 'Alice' },
+    }))
+    expect(result).toEqual([{ name: 'Charlie' }])
+  })
+
+  it('should bind null values', async () => {
+    const result = await collect(executeSql({
+      tables: { users },
+      query: 'SELECT COALESCE(?, name) AS n FROM users WHERE id = 2',
+      params: [null],
+    }))
+    expect(result).toEqual([{ n: 'Bob' }])
+  })
+
+  it('should name unaliased columns after the placeholder', () => {
+    const query = parseSql({ query: 'SELECT upper(:name), :name AS n FROM users' })
+    expect(executeSql({ tables: { users }, query: 'SELECT ?, ? FROM users', params: [1, 2] }).columns)
+      .toEqual(['$1', '$2'])
+    expect(executeSql({ tables: { users }, query, params: { name: 'y' } }).columns)
+      .toEqual(['upper_:name', 'n'])
+  })
+
+  it('should require a value for every placeholder', () => {
+    expect(() => executeSql({ tables: { users }, query: 'SELECT * FROM users WHERE id = ? AND age > ?', params: [1] }))
+      .toThrow('Missing value for parameter $2 at position 43')
+    expect(() => executeSql({ tables: { users }, query: 'SELECT * FROM users WHERE name = :name' }))
+      .toThrow('Missing value for parameter :name at position 33')
+    expect(() => planSql({ query: 'SELECT :a', params: { a: undefined } }))
+      .toThrow('Missing value for parameter :a at position 7')
+    expect(() => executeSql({ tables: { users }, query: 'SELECT * FROM users WHERE id = :id', params: [1] }))
+      .toThrow('Missing value for parameter :id at position 31')
+  })
+
+  it('should reject values no placeholder uses', () => {
+    expect(() => executeSql({ tables: { users }, query: 'SELECT * FROM users WHERE id = ?', params: [1, 2] }))
+      .toThrow('Query has 1 positional parameters but 2 values were given')
+    expect(() => executeSql({ tables: { users }, query: 'SELECT * FROM users WHERE id = $3', params: [1, 2, 3, 4] }))
+      .toThrow('Query has 3 positional parameters but 4 values were given')
+    expect(() => executeSql({ tables: { users }, query: 'SELECT * FROM users WHERE id = :id', params: { id: 1, age: 2 } }))
+      .toThrow('Parameter :age is not used in the query')
+  })
+})
@@ -0,0 +1,130 @@
+import { describe, expect, it } from 'vitest'
+import { collect, executeSql } from '../../src/index.js'
+
+describe('executeSql - PIVOT and UNPIVOT', () => {
+  const sales = [
+    { region: 'east', month: 'jan', amount: 10 },
+    { region: 'east', month: 'feb', amount: 20 },
+    { region: 'west', month: 'jan', amount: 5 },
+    { region: 'west', month: 'jan', amount: 7 },
+    { region: 'east', month: 'jan', amount: 1 },
+  ]
+  /** @type {Record<string, number | null>[]} */
+  const metrics = [
+    { id: 1, jan: 3, feb: 4, mar: null },
+    { id: 2, jan: null, feb: 6, mar: 7 },
+  ]
+
+  it('should pivot one column per IN value', async () => {
+    const result = await collect(executeSql({
+      tables: { sales },
+      query: 'SELECT * FROM sales PIVOT (SUM(amount) FOR month IN (\'jan\', \'feb\', \'mar\'))',
+    }))
+    expect(result).toEqual([
+      { region: 'east', jan: 11, feb: 20, mar: null },
+      { region: 'west', jan: 12, feb: null, mar: null },
+    ])
+  })
+
+  it('should suffix value columns with aggregate names', async () => {
+    const result = await collect(executeSql({
+      tables: { sales },
+      query: 'SELECT * FROM sales PIVOT (SUM(amount) AS total, COUNT(*) AS n FOR month IN (\'jan\' AS j, \'feb\')) ORDER BY region DESC',
+    }))
+    expect(result).toEqual([
+      { region: 'west', j_total: 12, j_n: 2, feb_total: null, feb_n: 0 },
+      { region: 'east', j_total: 11, j_n: 2, feb_total: 20, feb_n: 1 },
+    ])
+  })
+
+  it('should combine the pivot filter with an aggregate FILTER', async () => {
+    const result = await collect(executeSql({
+      tables: { sales },
+      query: 'SELECT region, jan FROM sales PIVOT (COUNT(*) FILTER (WHERE amount > 6) FOR month IN (\'jan\')) ORDER BY region',
+    }))
+    expect(result).toEqual([
+      { region: 'east', jan: 1 },
+      { region: 'west', jan: 1 },
+    ])
+  })
+
+  it('should produce a single row when every column is consumed', async () => {
+    const result = await collect(executeSql({
+      tables: { sales },
+      query: 'SELECT * FROM (SELECT month, amount FROM sales) PIVOT (MAX(amount) FOR month IN (\'jan\', \'feb\'))',
+    }))
+    expect(result).toEqual([{ jan: 10, feb: 20 }])
+  })
+
+  it('should filter and join on pivoted columns', async () => {
+    const regions = [{ region: 'east', manager: 'Ann' }, { region: 'west', manager: 'Bo' }]
+    const result = await collect(executeSql({
+      tables: { sales, regions },
+      query: 'SELECT r.manager, p.jan FROM sales PIVOT (SUM(amount) FOR month IN (\'jan\', \'feb\')) p JOIN regions r ON p.region = r.region WHERE p.feb IS NULL',
+    }))
+    expect(result).toEqual([{ manager: 'Bo', jan: 12 }])
+  })
+
+  it('should report pivoted columns before reading rows', () => {
+    const result = executeSql({
+      tables: { sales },
+      query: 'SELECT * FROM sales PIVOT (SUM(amount) FOR month IN (\'jan\', \'feb\'))',
+    })
+    expect(result.columns).toEqual(['region', 'jan', 'feb'])
+  })
+
+  it('should unpivot columns into rows, skipping nulls', async () => {
+    const result = await collect(executeSql({
+      tables: { metrics },
+      query: 'SELECT * FROM metrics UNPIVOT (value FOR month IN (jan, feb AS \'February\', mar))',
+    }))
+    expect(result).toEqual([
+      { id: 1, month: 'jan', value: 3 },
+      { id: 1, month: 'February', value: 4 },
+      { id: 2, month: 'February', value: 6 },
+      { id: 2, month: 'mar', value: 7 },
+    ])
+  })
+
+  it('should keep nulls with INCLUDE NULLS', async () => {
+    const result = await collect(executeSql({
+      tables: { metrics },
+      query: 'SELECT id, v FROM metrics UNPIVOT INCLUDE NULLS (v FOR m IN (jan, mar)) WHERE id = 1',
+    }))
+    expect(result).toEqual([{ id: 1, v: 3 }, { id: 1, v: null }])
+  })
+
+  it('should round-trip PIVOT through UNPIVOT', async () => {
+    const result = await collect(executeSql({
+      tables: { sales },
+      query: 'SELECT region, m, v FROM sales PIVOT (SUM(amount) FOR month IN (\'jan\', \'feb\')) UNPIVOT (v FOR m IN (jan, feb)) ORDER BY region, m',
+    }))
+    expect(result).toEqual([
+      { region: 'east', m: 'feb', v: 20 },
+      { region: 'east', m: 'jan', v: 11 },
+      { region: 'west', m: 'jan', v: 12 },
+    ])
+  })
+
+  it('should reject unknown pivot and unpivot columns', () => {
+    expect(() => executeSql({
+      tables: { sales },
+      query: 'SELECT * FROM sales PIVOT (SUM(amount) FOR mon IN (\'jan\'))',
+    })).toThrow('Column "mon" not found. Available columns: region, month, amount')
+    expect(() => executeSql({
+      tables: { metrics },
+      query: 'SELECT * FROM metrics UNPIVOT (v FOR m IN (apr))',
+    })).toThrow('Column "apr" not found. Available columns: id, jan, feb, mar')
+    expect(() => executeSql({
+      tables: { sales },
+      query: 'SELECT feb FROM sales PIVOT (SUM(amount) FOR month IN (\'jan\'))',
+    })).toThrow('Column "feb" not found. Available columns: region, jan')
+  })
+
+  it('should reject duplicate output columns', () => {
+    expect(() => executeSql({
+      tables: { sales },
+      query: 'SELECT * FROM sales PIVOT (SUM(amount) FOR month IN (\'jan\', \'region\'))',
+    })).toThrow('PIVOT produces duplicate column "region"')
+  })
+})
@@ -0,0 +1,133 @@
+import { describe, expect, it } from 'vitest'
+import { collect, executeSql } from '../../src/index.js'
+
+describe('GENERATE_SERIES and RANGE', () => {
+  it('should generate numbers including stop', async () => {
+    const result = await collect(executeSql({
+      tables: {},
+      query: 'SELECT * FROM GENERATE_SERIES(1, 4)',
+    }))
+    expect(result).toEqual([
+      { generate_series: 1 },
+      { generate_series: 2 },
+      { generate_series: 3 },
+      { generate_series: 4 },
+    ])
+  })
+
+  it('should stop before stop for RANGE, starting at 0 by default', async () => {
+    const result = await collect(executeSql({
+      tables: {},
+      query: 'SELECT * FROM RANGE(3)',
+    }))
+    expect(result).toEqual([{ range: 0 }, { range: 1 }, { range: 2 }])
+  })
+
+  it('should follow negative and fractional steps', async () => {
+    const result = await collect(executeSql({
+      tables: {},
+      query: 'SELECT n FROM GENERATE_SERIES(10, 0, -3) AS s(n) UNION ALL SELECT n FROM RANGE(0, 1, 0.25) AS r(n)',
+    }))
+    expect(result.map(row => row.n)).toEqual([10, 7, 4, 1, 0, 0.25, 0.5, 0.75])
+  })
+
+  it('should generate timestamps with an interval step', async () => {
+    const result = await collect(executeSql({
+      tables: {},
+      query: `SELECT t FROM GENERATE_SERIES(
+        '2024-01-01T00:00:00Z', '2024-01-01T01:00:00Z', INTERVAL '20 minutes'
+      ) AS s(t)`,
+    }))
+    expect(result).toEqual([
+      { t: '2024-01-01T00:00:00.000Z' },
+      { t: '2024-01-01T00:20:00.000Z' },
+      { t: '2024-01-01T00:40:00.000Z' },
+      { t: '2024-01-01T01:00:00.000Z' },
+    ])
+  })
+
+  it('should keep month steps at the end of the month', async () => {
+    const result = await collect(executeSql({
+      tables: {},
+      query: 'SELECT d FROM RANGE(\'2024-01-31\', \'2024-05-31\', INTERVAL 1 MONTH) AS s(d)',
+    }))
+    expect(result).toEqual([
+      { d: '2024-01-31' },
+      { d: '2024-02-29' },
+      { d: '2024-03-31' },
+      { d: '2024-04-30' },
+    ])
+  })
+
+  it('should produce no rows for null arguments or an empty range', async () => {
+    const result = await collect(executeSql({
+      tables: {},
+      query: 'SELECT * FROM GENERATE_SERIES(1, NULL) UNION ALL SELECT * FROM GENERATE_SERIES(5, 1)',
+    }))
+    expect(result).toEqual([])
+  })
+
+  it('should generate rows lazily', async () => {
+    const result = await collect(executeSql({
+      tables: {},
+      query: 'SELECT * FROM GENERATE_SERIES(1, 1000000000) LIMIT 2',
+    }))
+    expect(result).toEqual([{ generate_series: 1 }, { generate_series: 2 }])
+  })
+
+  it('should throw for a zero step', async () => {
+    await expect(collect(executeSql({
+      tables: {},
+      query: 'SELECT * FROM GENERATE_SERIES(1, 5, 0)',
+    }))).rejects.toThrow('GENERATE_SERIES([start, ]stop[, step]): step must not be zero')
+  })
+
+  it('should throw for timestamps without an interval step', async () => {
+    await expect(collect(executeSql({
+      tables: {},
+      query: 'SELECT * FROM GENERATE_SERIES(\'2024-01-01\', \'2024-02-01\')',
+    }))).rejects.toThrow('GENERATE_SERIES([start, ]stop[, step]): arguments must be numbers, or timestamps with an interval step')
+  })
+
+  it('should throw when used as a scalar expression', () => {
+    expect(() => executeSql({
+      tables: {},
+      query: 'SELECT GENERATE_SERIES(1, 3)',
+    })).toThrow('GENERATE_SERIES is a table function and can only be used in FROM clauses at position 7')
+  })
+
+  it('should fill gaps in time buckets with a LEFT JOIN', async () => {
+    const events = [
+      { id: 1, ts: '2024-01-01T00:05:00Z' },
+      { id: 2, ts: '2024-01-01T00:14:59Z' },
+      { id: 3, ts: '2024-01-01T00:50:00Z' },
+    ]
+    const result = await collect(executeSql({
+      tables: { events },
+      query: `SELECT s.t AS bucket, COUNT(e.id) AS n
+        FROM GENERATE_SERIES('2024-01-01T00:00:00Z', '2024-01-01T00:45:00Z', INTERVAL '15 minutes') AS s(t)
+        LEFT JOIN (SELECT id, TIME_BUCKET(INTERVAL '15 minutes', ts) AS b FROM events) e ON e.b = s.t
+        GROUP BY s.t
+        ORDER BY bucket`,
+    }))
+    expect(result).toEqual([
+      { bucket: '2024-01-01T00:00:00.000Z', n: 2 },
+      { bucket: '2024-01-01T00:15:00.000Z', n: 0 },
+      { bucket: '2024-01-01T00:30:00.000Z', n: 0 },
+      { bucket: '2024-01-01T00:45:00.000Z', n: 1 },
+    ])
+  })
+
+  it('should expand a series per row with a lateral join', async () => {
+    const spans = [{ id: 1, n: 2 }, { id: 2, n: 0 }, { id: 3, n: 1 }]
+    const result = await collect(executeSql({
+      tables: { spans },
+      query: 'SELECT id, i FROM spans CROSS JOIN RANGE(spans.n) AS r(i)',
+    }))
+    expect(result).toEqual([
+      { id: 1, i: 0 },
+      { id: 1, i: 1 },
+      { id: 3, i: 0 },
+    ])
+  })
+})
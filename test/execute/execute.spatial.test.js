@@ -204,6 +204,119 @@ describe('spatial predicates', () => {
     })
   })
 
+  describe('ST_Point', () => {
+    it('should build points from coordinate columns', async () => {
+      const cities = [{ name: 'a', lon: -122.4, lat: 37.8 }, { name: 'b', lon: 2.35, lat: 48.86 }]
+      const result = await collect(executeSql({
+        tables: { cities },
+        query: 'SELECT name, ST_Point(lon, lat) AS geom FROM cities',
+      }))
+      expect(result).toEqual([
+        { name: 'a', geom: point(-122.4, 37.8) },
+        { name: 'b', geom: point(2.35, 48.86) },
+      ])
+    })
+
+    it('should work with predicates', async () => {
+      const cities = [{ name: 'in', lon: 3, lat: 4 }, { name: 'out', lon: 30, lat: 4 }]
+      const result = await collect(executeSql({
+        tables: { cities },
+        query: 'SELECT name FROM cities WHERE ST_Within(ST_Point(lon, lat), ST_MakeEnvelope(0, 0, 10, 10))',
+      }))
+      expect(result).toEqual([{ name: 'in' }])
+    })
+
+    it('should return null when either coordinate is null', async () => {
+      const data = [{ x: 1, y: NULL }]
+      const result = await collect(executeSql({
+        tables: { data },
+        query: 'SELECT ST_Point(x, y) AS geom FROM data',
+      }))
+      expect(result[0].geom).toBeNull()
+    })
+  })
+
+  describe('ST_X and ST_Y', () => {
+    it('should return point coordinates', async () => {
+      const data = [{ geom: point(3, 4) }]
+      const result = await collect(executeSql({
+        tables: { data },
+        query: 'SELECT ST_X(geom) AS x, ST_Y(geom) AS y, ST_X(ST_Point(1, 2)) AS x2 FROM data',
+      }))
+      expect(result).toEqual([{ x: 3, y: 4, x2: 1 }])
+    })
+
+    it('should return null for other geometries and null input', async () => {
+      const data = [{ geom: square }, { geom: NULL }]
+      const result = await collect(executeSql({
+        tables: { data },
+        query: 'SELECT ST_X(geom) AS x, ST_Y(geom) AS y FROM data',
+      }))
+      expect(result).toEqual([{ x: null, y: null }, { x: null, y: null }])
+    })
+  })
+
+  describe('ST_GeometryType and ST_NumPoints', () => {
+    it('should describe each geometry type', async () => {
+      const data = [
+        { geom: point(1, 2) },
+        { geom: lineString([0, 0], [1, 1], [2, 0]) },
+        { geom: polygon(square.coordinates[0], smallSquare.coordinates[0]) },
+        { geom: { type: 'MultiPoint', coordinates: [[0, 0], [1, 1]] } },
+        { geom: { type: 'GeometryCollection', geometries: [point(1, 2), lineString([0, 0], [1, 1])] } },
+        { geom: NULL },
+      ]
+      const result = await collect(executeSql({
+        tables: { data },
+        query: 'SELECT ST_GeometryType(geom) AS type, ST_NumPoints(geom) AS n FROM data',
+      }))
+      expect(result).toEqual([
+        { type: 'POINT', n: 1 },
+        { type: 'LINESTRING', n: 3 },
+        { type: 'POLYGON', n: 10 },
+        { type: 'MULTIPOINT', n: 2 },
+        { type: 'GEOMETRYCOLLECTION', n: 3 },
+        { type: null, n: null },
+      ])
+    })
+  })
+
+  describe('ST_Envelope and bounds', () => {
+    it('should return the bounding box of all parts', async () => {
+      const data = [{ geom: { type: 'MultiLineString', coordinates: [[[1, 5], [3, 2]], [[-1, 4], [0, 7]]] } }]
+      const result = await collect(executeSql({
+        tables: { data },
+        query: `SELECT ST_AsText(ST_Envelope(geom)) AS env,
+          ST_XMin(geom) AS xmin, ST_XMax(geom) AS xmax, ST_YMin(geom) AS ymin, ST_YMax(geom) AS ymax
+          FROM data`,
+      }))
+      expect(result).toEqual([{
+        env: 'POLYGON ((-1 2, 3 2, 3 7, -1 7, -1 2))',
+        xmin: -1, xmax: 3, ymin: 2, ymax: 7,
+      }])
+    })
+
+    it('should return a point envelope for a point', async () => {
+      const data = [{ geom: point(3, 4) }]
+      const result = await collect(executeSql({
+        tables: { data },
+        query: 'SELECT ST_Envelope(geom) AS env, ST_XMax(geom) AS xmax FROM data',
+      }))
+      expect(result).toEqual([{ env: point(3, 4), xmax: 3 }])
+    })
+
+    it('should return null for null and empty input', async () => {
+      /** @type {{ type: string, coordinates: number[] }[]} */
+      const geometries = []
+      const data = [{ geom: NULL }, { geom: { type: 'GeometryCollection', geometries } }]
+      const result = await collect(executeSql({
+        tables: { data },
+        query: 'SELECT ST_Envelope(geom) AS env, ST_YMin(geom) AS ymin FROM data',
+      }))
+      expect(result).toEqual([{ env: null, ymin: null }, { env: null, ymin: null }])
+    })
+  })
+
   describe('ST_AsText', () => {
     it('should convert point to WKT', async () => {
       const data = [{ id: 1, geom: point(3, 4) }]
@@ -259,6 +372,91 @@ describe('spatial predicates', () => {
     })
   })
 
+  describe('WKB input and output', () => {
+    // POINT (1 2) and POLYGON ((0 0, 10 0, 10 10, 0 10, 0 0)) as little endian WKB
+    const wkbPoint = Uint8Array.from([1, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 240, 63, 0, 0, 0, 0, 0, 0, 0, 64])
+    const wkbSquare = new Uint8Array(93)
+    const view = new DataView(wkbSquare.buffer)
+    view.setUint8(0, 1)
+    view.setUint32(1, 3, true)
+    view.setUint32(5, 1, true)
+    view.setUint32(9, 5, true)
+    square.coordinates[0].forEach(([x, y], i) => {
+      view.setFloat64(13 + i * 16, x, true)
+      view.setFloat64(21 + i * 16, y, true)
+    })
+
+    it('should parse WKB with ST_GeomFromWKB', async () => {
+      const data = [{ geom: wkbPoint }, { geom: NULL }, { geom: 'POINT (1 2)' }]
+      const result = await collect(executeSql({
+        tables: { data },
+        query: 'SELECT ST_GeomFromWKB(geom) AS geom FROM data',
+      }))
+      expect(result).toEqual([{ geom: point(1, 2) }, { geom: null }, { geom: null }])
+    })
+
+    it('should accept WKB in any spatial function', async () => {
+      const data = [{ pt: wkbPoint, region: wkbSquare }]
+      const result = await collect(executeSql({
+        tables: { data },
+        query: 'SELECT ST_Contains(region, pt) AS inside, ST_Area(region) AS area, ST_AsText(pt) AS wkt, ST_X(pt) AS x FROM data',
+      }))
+      expect(result).toEqual([{ inside: true, area: 100, wkt: 'POINT (1 2)', x: 1 }])
+    })
+
+    it('should round-trip through ST_AsWKB', async () => {
+      const data = [{ geom: square }]
+      const result = await collect(executeSql({
+        tables: { data },
+        query: 'SELECT ST_AsWKB(geom) AS wkb, ST_GeomFromWKB(ST_AsWKB(geom)) AS geom FROM data',
+      }))
+      expect(result[0].wkb).toEqual(wkbSquare)
+      expect(result[0].geom).toEqual(square)
+    })
+  })
+
+  describe('GeoJSON input and output', () => {
+    it('should parse GeoJSON strings with ST_GeomFromGeoJSON', async () => {
+      const data = [
+        { json: '{"type":"Point","coordinates":[3,4]}' },
+        { json: '{"type":"Feature"}' },
+        { json: 'not json' },
+        { json: NULL },
+      ]
+      const result = await collect(executeSql({
+        tables: { data },
+        query: 'SELECT ST_GeomFromGeoJSON(json) AS geom FROM data',
+      }))
+      expect(result.map(r => r.geom)).toEqual([point(3, 4), null, null, null])
+    })
+
+    it('should format geometries with ST_AsGeoJSON', async () => {
+      const data = [
+        { geom: { ...point(3, 4), properties: { name: 'x' } } },
+        { geom: { type: 'GeometryCollection', geometries: [point(1, 2)] } },
+        { geom: NULL },
+      ]
+      const result = await collect(executeSql({
+        tables: { data },
+        query: 'SELECT ST_AsGeoJSON(geom) AS json FROM data',
+      }))
+      expect(result.map(r => r.json)).toEqual([
+        '{"type":"Point","coordinates":[3,4]}',
+        '{"type":"GeometryCollection","geometries":[{"type":"Point","coordinates":[1,2]}]}',
+        null,
+      ])
+    })
+
+    it('should round-trip WKT through GeoJSON', async () => {
+      const data = [{ id: 1 }]
+      const result = await collect(executeSql({
+        tables: { data },
+        query: 'SELECT ST_AsText(ST_GeomFromGeoJSON(ST_AsGeoJSON(ST_GeomFromText(\'LINESTRING (0 0, 1 2)\')))) AS wkt FROM data',
+      }))
+      expect(result[0].wkt).toBe('LINESTRING (0 0, 1 2)')
+    })
+  })
+
   describe('ST_Intersects', () => {
     it('should return true for overlapping polygons', async () => {
       const data = [{ id: 1, a: square, b: offsetSquare }]
@@ -803,6 +1001,480 @@ describe('spatial predicates', () => {
     })
   })
 
+  describe('ST_Distance', () => {
+    it('should measure between points, lines and polygons', async () => {
+      const data = [
+        { a: point(0, 0), b: point(3, 4) },
+        { a: point(15, 5), b: square },
+        { a: lineString([0, 20], [10, 20]), b: square },
+        { a: farSquare, b: square },
+      ]
+      const result = await collect(executeSql({
+        tables: { data },
+        query: 'SELECT ST_Distance(a, b) AS d FROM data',
+      }))
+      expect(result.map(r => r.d)).toEqual([5, 5, 10, Math.sqrt(200)])
+    })
+
+    it('should return 0 for intersecting geometries', async () => {
+      const data = [{ a: point(5, 5), b: square }, { a: smallSquare, b: square }, { a: adjacentSquare, b: square }]
+      const result = await collect(executeSql({
+        tables: { data },
+        query: 'SELECT ST_Distance(a, b) AS d FROM data',
+      }))
+      expect(result.map(r => r.d)).toEqual([0, 0, 0])
+    })
+
+    it('should use the nearest part of multi geometries', async () => {
+      const data = [{ id: 1 }]
+      const result = await collect(executeSql({
+        tables: { data },
+        query: 'SELECT ST_Distance(ST_GeomFromText(\'MULTIPOINT ((100 100), (13 14))\'), ST_MakeEnvelope(0, 0, 10, 10)) AS d FROM data',
+      }))
+      expect(result[0].d).toBe(5)
+    })
+
+    it('should find the nearest point by ordering on distance', async () => {
+      const places = [
+        { name: 'a', geom: point(9, 9) },
+        { name: 'b', geom: point(1, 2) },
+        { name: 'c', geom: point(-3, 0) },
+      ]
+      const result = await collect(executeSql({
+        tables: { places },
+        query: 'SELECT name FROM places ORDER BY ST_Distance(geom, ST_GeomFromText(\'POINT (0 0)\')) LIMIT 1',
+      }))
+      expect(result).toEqual([{ name: 'b' }])
+    })
+
+    it('should return null when input is null', async () => {
+      const data = [{ a: NULL, b: point(3, 4) }]
+      const result = await collect(executeSql({
+        tables: { data },
+        query: 'SELECT ST_Distance(a, b) AS d FROM data',
+      }))
+      expect(result[0].d).toBeNull()
+    })
+  })
+
+  describe('ST_Area, ST_Length and ST_Perimeter', () => {
+    it('should measure polygons with holes', async () => {
+      const data = [{ id: 1 }]
+      const result = await collect(executeSql({
+        tables: { data },
+        query: `SELECT
+          ST_Area(g) AS area, ST_Perimeter(g) AS perimeter, ST_Length(g) AS length
+          FROM (SELECT ST_GeomFromText('POLYGON ((0 0, 10 0, 10 10, 0 10, 0 0), (2 2, 4 2, 4 4, 2 4, 2 2))') AS g FROM data)`,
+      }))
+      expect(result).toEqual([{ area: 96, perimeter: 48, length: 0 }])
+    })
+
+    it('should sum the parts of multi geometries', async () => {
+      const data = [
+        { geom: { type: 'MultiPolygon', coordinates: [square.coordinates, smallSquare.coordinates] } },
+        { geom: { type: 'MultiLineString', coordinates: [[[0, 0], [3, 4]], [[0, 0], [0, 2]]] } },
+        { geom: point(1, 1) },
+      ]
+      const result = await collect(executeSql({
+        tables: { data },
+        query: 'SELECT ST_Area(geom) AS area, ST_Length(geom) AS length, ST_Perimeter(geom) AS perimeter FROM data',
+      }))
+      expect(result).toEqual([
+        { area: 109, length: 0, perimeter: 52 },
+        { area: 0, length: 7, perimeter: 0 },
+        { area: 0, length: 0, perimeter: 0 },
+      ])
+    })
+
+    it('should rank parcels by area', async () => {
+      const parcels = [
+        { id: 1, geom: smallSquare },
+        { id: 2, geom: square },
+        { id: 3, geom: polygon([[0, 0], [4, 0], [0, 4], [0, 0]]) },
+      ]
+      const result = await collect(executeSql({
+        tables: { parcels },
+        query: 'SELECT id, ST_Area(geom) AS area FROM parcels ORDER BY area DESC',
+      }))
+      expect(result).toEqual([{ id: 2, area: 100 }, { id: 1, area: 9 }, { id: 3, area: 8 }])
+    })
+
+    it('should return null when input is null', async () => {
+      const data = [{ geom: NULL }]
+      const result = await collect(executeSql({
+        tables: { data },
+        query: 'SELECT ST_Area(geom) AS a, ST_Length(geom) AS l, ST_Perimeter(geom) AS p FROM data',
+      }))
+      expect(result).toEqual([{ a: null, l: null, p: null }])
+    })
+  })
+
+  describe('ST_Centroid', () => {
+    it('should return the centroid of a polygon', async () => {
+      const data = [{ geom: offsetSquare }]
+      const result = await collect(executeSql({
+        tables: { data },
+        query: 'SELECT ST_AsText(ST_Centroid(geom)) AS c FROM data',
+      }))
+      expect(result[0].c).toBe('POINT (10 10)')
+    })
+
+    it('should weight multipolygon parts by area', async () => {
+      const data = [{ geom: { type: 'MultiPolygon', coordinates: [square.coordinates, farSquare.coordinates] } }]
+      const result = await collect(executeSql({
+        tables: { data },
+        query: 'SELECT ST_Centroid(geom) AS c FROM data',
+      }))
+      expect(result[0].c).toEqual(point(15, 15))
+    })
+
+    it('should return the centroid of lines and points', async () => {
+      const data = [
+        { geom: lineString([0, 0], [10, 0]) },
+        { geom: { type: 'MultiPoint', coordinates: [[0, 0], [2, 0], [4, 6]] } },
+      ]
+      const result = await collect(executeSql({
+        tables: { data },
+        query: 'SELECT ST_Centroid(geom) AS c FROM data',
+      }))
+      expect(result.map(r => r.c)).toEqual([point(5, 0), point(2, 2)])
+    })
+
+    it('should return null when input is null', async () => {
+      const data = [{ geom: NULL }]
+      const result = await collect(executeSql({
+        tables: { data },
+        query: 'SELECT ST_Centroid(geom) AS c FROM data',
+      }))
+      expect(result[0].c).toBeNull()
+    })
+  })
+
+  describe('ST_Intersection, ST_Union and ST_Difference', () => {
+    it('should clip polygons to a region', async () => {
+      const parcels = [
+        { id: 1, geom: offsetSquare },
+        { id: 2, geom: smallSquare },
+        { id: 3, geom: farSquare },
+      ]
+      const result = await collect(executeSql({
+        tables: { parcels },
+        query: 'SELECT id, ST_Area(ST_Intersection(geom, ST_MakeEnvelope(0, 0, 10, 10))) AS area FROM parcels',
+      }))
+      expect(result).toEqual([{ id: 1, area: 25 }, { id: 2, area: 9 }, { id: 3, area: 0 }])
+    })
+
+    it('should return new geometries', async () => {
+      const data = [{ a: square, b: adjacentSquare, c: smallSquare }]
+      const result = await collect(executeSql({
+        tables: { data },
+        query: 'SELECT ST_AsText(ST_Union(a, b)) AS u, ST_AsText(ST_Intersection(a, b)) AS i, ST_Area(ST_Difference(a, c)) AS d FROM data',
+      }))
+      expect(result).toEqual([{
+        u: 'POLYGON ((0 0, 20 0, 20 10, 0 10, 0 0))',
+        i: 'LINESTRING (10 0, 10 10)',
+        d: 91,
+      }])
+    })
+
+    it('should return an empty collection for disjoint intersections', async () => {
+      const data = [{ a: square, b: farSquare }]
+      const result = await collect(executeSql({
+        tables: { data },
+        query: 'SELECT ST_Intersection(a, b) AS i, ST_GeometryType(ST_Union(a, b)) AS type FROM data',
+      }))
+      expect(result).toEqual([{ i: { type: 'GeometryCollection', geometries: [] }, type: 'MULTIPOLYGON' }])
+    })
+
+    it('should return null when input is null', async () => {
+      const data = [{ a: NULL, b: square }]
+      const result = await collect(executeSql({
+        tables: { data },
+        query: 'SELECT ST_Intersection(a, b) AS i, ST_Union(b, a) AS u, ST_Difference(a, b) AS d FROM data',
+      }))
+      expect(result).toEqual([{ i: null, u: null, d: null }])
+    })
+  })
+
+  describe('ST_Buffer', () => {
+    it('should buffer a point into a circle', async () => {
+      const data = [{ geom: point(1, 2) }]
+      const result = await collect(executeSql({
+        tables: { data },
+        query: 'SELECT ST_Buffer(geom, 2) AS b, ST_NumPoints(ST_Buffer(geom, 2, 2)) AS n FROM data',
+      }))
+      const { b: buffer, n } = result[0]
+      // eslint-disable-next-line no-extra-parens
+      const b = /** @type {{ type: string, coordinates: number[][][] }} */ (buffer)
+      expect(b.type).toBe('Polygon')
+      expect(b.coordinates[0]).toHaveLength(33)
+      expect(n).toBe(9)
+      for (const [x, y] of b.coordinates[0]) {
+        expect(Math.hypot(x - 1, y - 2)).toBeCloseTo(2)
+      }
+    })
+
+    it('should grow lines and polygons', async () => {
+      const data = [{ line: lineString([0, 0], [10, 0]), poly: square }]
+      const result = await collect(executeSql({
+        tables: { data },
+        query: 'SELECT ST_Area(ST_Buffer(line, 1)) AS line, ST_Area(ST_Buffer(poly, 1)) AS poly FROM data',
+      }))
+      // rectangle plus a circle of 32 segments
+      const circle = 16 * Math.sin(2 * Math.PI / 32)
+      expect(result[0].line).toBeCloseTo(20 + circle)
+      expect(result[0].poly).toBeCloseTo(140 + circle)
+    })
+
+    it('should close a hole buffered by half its width', async () => {
+      const data = [
+        { wkt: 'POLYGON ((0 0, 10 0, 10 10, 0 10, 0 0), (4 4, 6 4, 6 6, 4 6, 4 4))', d: 1 },
+        // capsules around the hole edges meet at vertices that differ by rounding
+        { wkt: 'POLYGON ((-3 79, 2 79, 2 84, -3 84, -3 79), (0 79.5, 1 79.5, 1 80.5, 0 80.5, 0 79.5))', d: 0.5 },
+      ]
+      const result = await collect(executeSql({
+        tables: { data },
+        query: 'SELECT ST_Area(ST_Buffer(ST_GeomFromText(wkt), d)) AS area FROM data',
+      }))
+      const circle = 16 * Math.sin(2 * Math.PI / 32)
+      expect(result[0].area).toBeCloseTo(140 + circle)
+      expect(result[1].area).toBeCloseTo(35 + circle / 4)
+    })
+
+    it('should shrink polygons for a negative distance', async () => {
+      const data = [{ geom: square }]
+      const result = await collect(executeSql({
+        tables: { data },
+        query: 'SELECT ST_AsText(ST_Buffer(geom, -1)) AS inner, ST_Buffer(geom, -6) AS gone, ST_Buffer(ST_Point(0, 0), 0) AS empty FROM data',
+      }))
+      expect(result).toEqual([{
+        inner: 'POLYGON ((9 1, 9 9, 1 9, 1 1, 9 1))',
+        gone: { type: 'GeometryCollection', geometries: [] },
+        empty: { type: 'GeometryCollection', geometries: [] },
+      }])
+    })
+
+    it('should return null when input is null', async () => {
+      const data = [{ geom: point(0, 0), d: NULL }]
+      const result = await collect(executeSql({
+        tables: { data },
+        query: 'SELECT ST_Buffer(geom, d) AS b FROM data',
+      }))
+      expect(result[0].b).toBeNull()
+    })
+  })
+
+  describe('ST_ConvexHull', () => {
+    it('should return the hull of a cluster of points', async () => {
+      const data = [{ id: 1 }]
+      const result = await collect(executeSql({
+        tables: { data },
+        query: 'SELECT ST_AsText(ST_ConvexHull(ST_GeomFromText(\'MULTIPOINT ((0 0), (4 0), (2 1), (4 4), (0 4), (2 2))\'))) AS hull FROM data',
+      }))
+      expect(result[0].hull).toBe('POLYGON ((0 0, 4 0, 4 4, 0 4, 0 0))')
+    })
+
+    it('should collapse to a line or point', async () => {
+      const data = [
+        { geom: { type: 'MultiPoint', coordinates: [[0, 0], [1, 1], [2, 2]] } },
+        { geom: point(3, 4) },
+        { geom: NULL },
+      ]
+      const result = await collect(executeSql({
+        tables: { data },
+        query: 'SELECT ST_ConvexHull(geom) AS hull FROM data',
+      }))
+      expect(result.map(r => r.hull)).toEqual([lineString([0, 0], [2, 2]), point(3, 4), null])
+    })
+  })
+
+  describe('ST_Simplify', () => {
+    it('should remove vertices within the tolerance', async () => {
+      const data = [{ geom: lineString([0, 0], [1, 0.1], [2, -0.1], [3, 5], [4, 6], [5, 7]) }]
+      const result = await collect(executeSql({
+        tables: { data },
+        query: 'SELECT ST_AsText(ST_Simplify(geom, 0.5)) AS simple, ST_AsText(ST_Simplify(geom, 0)) AS same FROM data',
+      }))
+      expect(result[0].simple).toBe('LINESTRING (0 0, 2 -0.1, 3 5, 5 7)')
+      // collinear vertices go even at zero tolerance
+      expect(result[0].same).toBe('LINESTRING (0 0, 1 0.1, 2 -0.1, 3 5, 5 7)')
+    })
+
+    it('should drop collapsed rings', async () => {
+      const data = [{ id: 1 }]
+      const result = await collect(executeSql({
+        tables: { data },
+        query: `SELECT ST_AsText(ST_Simplify(ST_GeomFromText(
+          'POLYGON ((0 0, 5 0.1, 10 0, 10 10, 0 10, 0 0), (4 4, 4.1 4.1, 4 4.2, 4 4))'
+        ), 1)) AS simple FROM data`,
+      }))
+      expect(result[0].simple).toBe('POLYGON ((0 0, 10 0, 10 10, 0 10, 0 0))')
+    })
+
+    it('should return null when a polygon collapses', async () => {
+      const triangle = { type: 'Polygon', coordinates: [[[0, 0], [10, 0], [5, 1], [0, 0]]] }
+      const data = [{ triangle, collection: { type: 'GeometryCollection', geometries: [point(1, 2), triangle] } }]
+      const result = await collect(executeSql({
+        tables: { data },
+        query: 'SELECT ST_Simplify(triangle, 5) AS polygon, ST_AsText(ST_Simplify(collection, 5)) AS collection FROM data',
+      }))
+      expect(result).toEqual([{ polygon: null, collection: 'GEOMETRYCOLLECTION (POINT (1 2))' }])
+    })
+  })
+
+  describe('ST_Union_Agg and ST_Extent', () => {
+    const zones = [
+      { region: 'a', geom: square },
+      { region: 'a', geom: adjacentSquare },
+      { region: 'b', geom: farSquare },
+      { region: 'b', geom: point(40, 40) },
+      { region: 'c', geom: NULL },
+    ]
+
+    it('should union the geometries of each group', async () => {
+      const result = await collect(executeSql({
+        tables: { zones },
+        query: 'SELECT region, ST_AsText(ST_Union_Agg(geom)) AS merged FROM zones GROUP BY region ORDER BY region',
+      }))
+      expect(result).toEqual([
+        { region: 'a', merged: 'POLYGON ((0 0, 20 0, 20 10, 0 10, 0 0))' },
+        { region: 'b', merged: 'GEOMETRYCOLLECTION (POLYGON ((20 20, 30 20, 30 30, 20 30, 20 20)), POINT (40 40))' },
+        { region: 'c', merged: null },
+      ])
+    })
+
+    it('should return the extent of each group', async () => {
+      const result = await collect(executeSql({
+        tables: { zones },
+        query: 'SELECT region, ST_AsText(ST_Extent(geom)) AS extent FROM zones GROUP BY region ORDER BY region',
+      }))
+      expect(result).toEqual([
+        { region: 'a', extent: 'POLYGON ((0 0, 20 0, 20 10, 0 10, 0 0))' },
+        { region: 'b', extent: 'POLYGON ((20 20, 40 20, 40 40, 20 40, 20 20))' },
+        { region: 'c', extent: null },
+      ])
+    })
+
+    it('should aggregate without GROUP BY', async () => {
+      const result = await collect(executeSql({
+        tables: { zones },
+        query: 'SELECT ST_Area(ST_Union_Agg(geom)) AS area, ST_XMax(ST_Extent(geom)) AS xmax FROM zones',
+      }))
+      expect(result).toEqual([{ area: 300, xmax: 40 }])
+    })
+  })
+
+  describe('ST_Distance_Sphere and ST_DWithin_Sphere', () => {
+    const paris = point(2.3522, 48.8566)
+    const london = point(-0.1276, 51.5072)
+
+    it('should measure great-circle distances in meters', async () => {
+      const data = [{ a: paris, b: london }]
+      const result = await collect(executeSql({
+        tables: { data },
+        query: `SELECT ST_Distance_Sphere(a, b) AS d, ST_Distance_Sphere(a, a) AS zero,
+          ST_Distance_Sphere(ST_Point(0, 0), ST_Point(180, 0)) AS half FROM data`,
+      }))
+      expect(Number(result[0].d) / 1000).toBeCloseTo(343.9, 0)
+      expect(result[0].zero).toBe(0)
+      expect(result[0].half).toBeCloseTo(Math.PI * 6371008.8)
+    })
+
+    it('should filter by distance in meters', async () => {
+      const data = [
+        { name: 'london', geom: london },
+        { name: 'near', geom: point(2.36, 48.86) },
+        { name: 'null', geom: NULL },
+      ]
+      const result = await collect(executeSql({
+        tables: { data },
+        query: 'SELECT name FROM data WHERE ST_DWithin_Sphere(geom, ST_Point(2.3522, 48.8566), 1000)',
+      }))
+      expect(result).toEqual([{ name: 'near' }])
+    })
+
+    it('should return null for non-point geometries', async () => {
+      const data = [{ geom: square }]
+      const result = await collect(executeSql({
+        tables: { data },
+        query: 'SELECT ST_Distance_Sphere(geom, ST_Point(0, 0)) AS d, ST_DWithin_Sphere(geom, ST_Point(0, 0), 1) AS w FROM data',
+      }))
+      expect(result).toEqual([{ d: NULL, w: NULL }])
+    })
+  })
+
+  describe('ST_GeoHash and ST_PointFromGeoHash', () => {
+    it('should encode points at a precision', async () => {
+      const data = [{ geom: point(10.40744, 57.64911) }]
+      const result = await collect(executeSql({
+        tables: { data },
+        query: 'SELECT ST_GeoHash(geom) AS full, ST_GeoHash(geom, 5) AS cell, ST_GeoHash(ST_Point(200, 0)) AS invalid FROM data',
+      }))
+      expect(result).toEqual([{ full: 'u4pruydqqvj8', cell: 'u4pru', invalid: NULL }])
+    })
+
+    it('should give the smallest cell containing other geometries, or null if none does', async () => {
+      const data = [{ id: 1 }]
+      const result = await collect(executeSql({
+        tables: { data },
+        query: `SELECT ST_GeoHash(ST_MakeEnvelope(10.4, 57.6, 10.41, 57.65)) AS small,
+          ST_GeoHash(ST_MakeEnvelope(-1, -1, 1, 1)) AS spanning FROM data`,
+      }))
+      expect(result).toEqual([{ small: 'u4pr', spanning: null }])
+    })
+
+    it('should bucket points by grid cell', async () => {
+      const data = [
+        { id: 1, geom: point(2.35, 48.85) },
+        { id: 2, geom: point(2.36, 48.86) },
+        { id: 3, geom: point(-0.12, 51.5) },
+      ]
+      const result = await collect(executeSql({
+        tables: { data },
+        query: 'SELECT ST_GeoHash(geom, 4) AS cell, COUNT(*) AS n FROM data GROUP BY cell ORDER BY cell',
+      }))
+      expect(result).toEqual([
+        { cell: 'gcpu', n: 1 },
+        { cell: 'u09t', n: 2 },
+      ])
+    })
+
+    it('should decode the center of a cell', async () => {
+      const data = [{ hash: 'ezs42' }, { hash: 'abc' }, { hash: NULL }]
+      const result = await collect(executeSql({
+        tables: { data },
+        query: 'SELECT ST_AsText(ST_PointFromGeoHash(hash)) AS center, ST_AsText(ST_PointFromGeoHash(hash, 1)) AS coarse FROM data',
+      }))
+      expect(result).toEqual([
+        { center: 'POINT (-5.60302734375 42.60498046875)', coarse: 'POINT (-22.5 22.5)' },
+        { center: NULL, coarse: NULL },
+        { center: NULL, coarse: NULL },
+      ])
+    })
+
+    for (const precision of ['0', '-3', '2.5', '13']) {
+      it(`should reject precision ${precision}`, async () => {
+        const data = [{ geom: point(10.40744, 57.64911) }]
+        const query = `SELECT ST_GeoHash(geom, ${precision}) AS cell FROM data`
+        const positionStart = query.indexOf(precision)
+        await expect(collect(executeSql({ tables: { data }, query }))).rejects.toMatchObject({
+          name: 'ArgValueError',
+          message: `ST_GeoHash(geometry[, precision]): precision must be an integer from 1 to 12, got ${precision} (row 1)`,
+          positionStart,
+          positionEnd: positionStart + precision.length,
+        })
+      })
+    }
+
+    it('should reject a fractional precision when decoding', async () => {
+      const data = [{ hash: 'ezs42' }]
+      await expect(collect(executeSql({
+        tables: { data },
+        query: 'SELECT ST_PointFromGeoHash(hash, 1.5) AS center FROM data',
+      }))).rejects.toThrow('ST_PointFromGeoHash(geohash[, precision]): precision must be an integer from 1 to 12, got 1.5')
+    })
+  })
+
   describe('wrong argument count', () => {
     it('should throw for ST_Intersects with wrong args', () => {
       const data = [{ id: 1, geom: square }]
@@ -838,4 +1510,100 @@ describe('spatial predicates', () => {
       ])
     })
   })
+
+  describe('spatial joins', () => {
+    const zones = [
+      { name: 'west', area: square },
+      { name: 'east', area: polygon([[20, 0], [30, 0], [30, 10], [20, 10], [20, 0]]) },
+      { name: 'nowhere', area: null },
+    ]
+    const stops = [
+      { id: 1, geom: point(5, 5) },
+      { id: 2, geom: point(25, 5) },
+      { id: 3, geom: point(15, 5) },
+      { id: 4, geom: point(8, 2) },
+      { id: 5, geom: null },
+    ]
+
+    it('should join points to the polygons that contain them', async () => {
+      const result = await collect(executeSql({
+        tables: { zones, stops },
+        query: 'SELECT s.id, z.name FROM stops s JOIN zones z ON ST_Contains(z.area, s.geom)',
+      }))
+      expect(result).toEqual([
+        { id: 1, name: 'west' },
+        { id: 2, name: 'east' },
+        { id: 4, name: 'west' },
+      ])
+    })
+
+    it('should keep unmatched rows of outer joins', async () => {
+      const result = await collect(executeSql({
+        tables: { zones, stops },
+        query: 'SELECT s.id, z.name FROM stops s LEFT JOIN zones z ON ST_Within(s.geom, z.area) ORDER BY s.id',
+      }))
+      expect(result).toEqual([
+        { id: 1, name: 'west' },
+        { id: 2, name: 'east' },
+        { id: 3, name: NULL },
+        { id: 4, name: 'west' },
+        { id: 5, name: NULL },
+      ])
+      const zoneCounts = await collect(executeSql({
+        tables: { zones, stops },
+        query: 'SELECT z.name, COUNT(s.id) AS n FROM stops s RIGHT JOIN zones z ON ST_Intersects(s.geom, z.area) GROUP BY z.name ORDER BY z.name',
+      }))
+      expect(zoneCounts).toEqual([
+        { name: 'east', n: 1 },
+        { name: 'nowhere', n: 0 },
+        { name: 'west', n: 2 },
+      ])
+    })
+
+    it('should expand the search by the ST_DWithin distance', async () => {
+      const result = await collect(executeSql({
+        tables: { zones, stops },
+        query: 'SELECT s.id, z.name FROM stops s JOIN zones z ON ST_DWithin(s.geom, z.area, 5) ORDER BY s.id, z.name',
+      }))
+      expect(result).toEqual([
+        { id: 1, name: 'west' },
+        { id: 2, name: 'east' },
+        { id: 3, name: 'east' },
+        { id: 3, name: 'west' },
+        { id: 4, name: 'west' },
+      ])
+    })
+
+    it('should apply the other conjuncts of the join condition', async () => {
+      const result = await collect(executeSql({
+        tables: { zones, stops },
+        query: 'SELECT s.id FROM stops s JOIN zones z ON ST_Contains(z.area, s.geom) AND s.id > 1 AND z.name = \'west\'',
+      }))
+      expect(result).toEqual([{ id: 4 }])
+    })
+
+    it('should match a nested loop join on many rows', async () => {
+      const cells = []
+      for (let x = 0; x < 100; x += 10) {
+        for (let y = 0; y < 100; y += 10) {
+          cells.push({ cell: `${x},${y}`, area: polygon([[x, y], [x + 10, y], [x + 10, y + 10], [x, y + 10], [x, y]]) })
+        }
+      }
+      const points = []
+      for (let i = 0; i < 500; i++) {
+        points.push({ id: i, geom: point(i * 7.3 % 105, i * 3.7 % 103) })
+      }
+      const indexed = await collect(executeSql({
+        tables: { cells, points },
+        query: 'SELECT p.id, c.cell FROM points p JOIN cells c ON ST_Intersects(c.area, p.geom) ORDER BY p.id, c.cell',
+      }))
+      // OR hides the predicate from the planner
+      const nested = await collect(executeSql({
+        tables: { cells, points },
+        query: 'SELECT p.id, c.cell FROM points p JOIN cells c ON ST_Intersects(c.area, p.geom) OR FALSE ORDER BY p.id, c.cell',
+      }))
+      expect(indexed.length).toBeGreaterThan(400)
+      expect(indexed).toEqual(nested)
+    })
+  })
 })
@@ -1,6 +1,10 @@
 import { describe, expect, it } from 'vitest'
 import { collect, executeSql } from '../../src/index.js'
 
+/**
+ * @import { AggregateUserDefinedFunction } from '../../src/index.js'
+ */
+
 describe('user-defined functions', () => {
   const users = [
     { id: 1, name: 'Alice', score: 10 },
@@ -190,4 +194,134 @@ describe('user-defined functions', () => {
       expect(result).toEqual([{ quadrupled: 40 }])
     })
   })
+
+  describe('aggregate UDF', () => {
+    const sales = [
+      { region: 'east', price: 10, qty: 1 },
+      { region: 'east', price: 20, qty: 3 },
+      { region: 'west', price: 5, qty: 2 },
+      { region: 'west', price: 5, qty: null },
+    ]
+
+    /** @type {AggregateUserDefinedFunction<{ sum: number, weight: number }>} */
+    const WAVG = {
+      init: () => ({ sum: 0, weight: 0 }),
+      update(state, value, weight) {
+        if (value == null || weight == null) return state
+        return { sum: state.sum + Number(value) * Number(weight), weight: state.weight + Number(weight) }
+      },
+      merge: (a, b) => ({ sum: a.sum + b.sum, weight: a.weight + b.weight }),
+      finalize: state => state.weight ? state.sum / state.weight : null,
+      arguments: { min: 2, max: 2 },
+    }
+
+    /** @type {AggregateUserDefinedFunction<string[]>} */
+    const ASYNC_CONCAT = {
+      init: () => Promise.resolve([]),
+      async update(state, value) {
+        await new Promise(resolve => setTimeout(resolve, 1))
+        return [...state, String(value)]
+      },
+      finalize: state => Promise.resolve(state.join(',')),
+      arguments: { min: 1, max: 1 },
+    }
+
+    const functions = { WAVG, ASYNC_CONCAT }
+
+    it('should aggregate groups with a multi-argument UDF', async () => {
+      const result = await collect(executeSql({
+        tables: { sales },
+        query: 'SELECT region, WAVG(price, qty) AS w FROM sales GROUP BY region ORDER BY region',
+        functions,
+      }))
+      expect(result).toEqual([
+        { region: 'east', w: 17.5 },
+        { region: 'west', w: 5 },
+      ])
+    })
+
+    it('should await async init, update and finalize in row order', async () => {
+      const result = await collect(executeSql({
+        tables: { sales },
+        query: 'SELECT ASYNC_CONCAT(price) AS prices, COUNT(*) AS n FROM sales',
+        functions,
+      }))
+      expect(result).toEqual([{ prices: '10,20,5,5', n: 4 }])
+    })
+
+    it('should support DISTINCT and FILTER', async () => {
+      const result = await collect(executeSql({
+        tables: { sales },
+        query: `SELECT region,
+          ASYNC_CONCAT(DISTINCT price) AS distinct_prices,
+          ASYNC_CONCAT(price) FILTER (WHERE qty > 1) AS bulk_prices
+          FROM sales GROUP BY region ORDER BY region`,
+        functions,
+      }))
+      expect(result).toEqual([
+        { region: 'east', distinct_prices: '10,20', bulk_prices: '20' },
+        { region: 'west', distinct_prices: '5', bulk_prices: '5' },
+      ])
+    })
+
+    it('should use aggregate UDFs in HAVING and expressions', async () => {
+      const result = await collect(executeSql({
+        tables: { sales },
+        query: 'SELECT region, ROUND(WAVG(price, qty)) + 1 AS w FROM sales GROUP BY region HAVING WAVG(price, qty) > 10',
+        functions,
+      }))
+      expect(result).toEqual([{ region: 'east', w: 19 }])
+    })
+
+    it('should combine aggregate UDFs with buffered aggregates', async () => {
+      const result = await collect(executeSql({
+        tables: { sales },
+        query: 'SELECT region, MEDIAN(price) AS m, ASYNC_CONCAT(DISTINCT qty) AS q FROM sales GROUP BY region ORDER BY region',
+        functions,
+      }))
+      expect(result).toEqual([
+        { region: 'east', m: 15, q: '1,3' },
+        { region: 'west', m: 5, q: '2,null' },
+      ])
+    })
+
+    it('should fold rows across chunk boundaries, overlapping async updates with merge', async () => {
+      const values = Array.from({ length: 10000 }, (_, i) => ({ g: i % 2, v: i }))
+      let pending = 0
+      let maxPending = 0
+      /** @type {AggregateUserDefinedFunction<number>} */
+      const SLOW_SUM = {
+        init: () => 0,
+        async update(state, value) {
+          maxPending = Math.max(maxPending, ++pending)
+          await Promise.resolve()
+          pending--
+          return state + Number(value)
+        },
+        merge: (a, b) => a + b,
+        finalize: state => state,
+        arguments: { min: 1, max: 1 },
+      }
+      const result = await collect(executeSql({
+        tables: { values },
+        query: 'SELECT g, SLOW_SUM(v) AS s FROM values GROUP BY g ORDER BY g',
+        functions: { SLOW_SUM },
+      }))
+      expect(result).toEqual([{ g: 0, s: 24995000 }, { g: 1, s: 25000000 }])
+      expect(maxPending).toBeGreaterThan(2)
+    })
+
+    it('should reject aggregate UDFs where aggregates are not allowed', () => {
+      expect(() => executeSql({
+        tables: { sales },
+        query: 'SELECT region FROM sales WHERE WAVG(price, qty) > 1',
+        functions,
+      })).toThrow('Aggregate function WAVG is not allowed in WHERE clause. Use HAVING instead.')
+      expect(() => executeSql({
+        tables: { sales },
+        query: 'SELECT WAVG(price, qty) OVER () FROM sales',
+        functions,
+      })).toThrow('Window functions are not supported: WAVG(...) OVER (...)')
+    })
+  })
 })
@@ -300,4 +300,402 @@ describe('window functions', () => {
       })).toThrow('LEAD() requires an OVER clause at position 7')
     })
   })
+
+  describe('aggregate window functions', () => {
+    it('should compute a running total with ORDER BY', async () => {
+      const result = await collect(executeSql({
+        tables: { sales },
+        query: 'SELECT id, SUM(amount) OVER (ORDER BY id) AS total FROM sales',
+      }))
+      expect(result).toEqual([
+        { id: 1, total: 100 },
+        { id: 2, total: 300 },
+        { id: 3, total: 450 },
+        { id: 4, total: 750 },
+        { id: 5, total: 800 },
+      ])
+    })
+
+    it('should aggregate the whole partition without ORDER BY', async () => {
+      const result = await collect(executeSql({
+        tables: { sales },
+        query: 'SELECT id, SUM(amount) OVER (PARTITION BY region) AS total, COUNT(*) OVER () AS n FROM sales',
+      }))
+      expect(result).toEqual([
+        { id: 1, total: 450, n: 5 },
+        { id: 2, total: 450, n: 5 },
+        { id: 3, total: 450, n: 5 },
+        { id: 4, total: 350, n: 5 },
+        { id: 5, total: 350, n: 5 },
+      ])
+    })
+
+    it('should include peers in the default RANGE frame', async () => {
+      const scores = [
+        { id: 1, score: 10 },
+        { id: 2, score: 20 },
+        { id: 3, score: 20 },
+        { id: 4, score: 30 },
+      ]
+      const result = await collect(executeSql({
+        tables: { scores },
+        query: `
+          SELECT id,
+            SUM(score) OVER (ORDER BY score) AS range_total,
+            SUM(score) OVER (ORDER BY score ROWS UNBOUNDED PRECEDING) AS rows_total
+          FROM scores
+        `,
+      }))
+      expect(result).toEqual([
+        { id: 1, range_total: 10, rows_total: 10 },
+        { id: 2, range_total: 50, rows_total: 30 },
+        { id: 3, range_total: 50, rows_total: 50 },
+        { id: 4, range_total: 80, rows_total: 80 },
+      ])
+    })
+
+    it('should compute a moving average over a ROWS frame', async () => {
+      const result = await collect(executeSql({
+        tables: { sales },
+        query: 'SELECT id, AVG(amount) OVER (PARTITION BY region ORDER BY id ROWS BETWEEN 1 PRECEDING AND CURRENT ROW) AS avg FROM sales',
+      }))
+      expect(result).toEqual([
+        { id: 1, avg: 100 },
+        { id: 2, avg: 150 },
+        { id: 3, avg: 175 },
+        { id: 4, avg: 300 },
+        { id: 5, avg: 175 },
+      ])
+    })
+
+    it('should slide MIN and MAX over a centered frame', async () => {
+      const result = await collect(executeSql({
+        tables: { sales },
+        query: `
+          SELECT id,
+            MIN(amount) OVER (ORDER BY id ROWS BETWEEN 1 PRECEDING AND 1 FOLLOWING) AS lo,
+            MAX(amount) OVER (ORDER BY id ROWS BETWEEN 1 PRECEDING AND 1 FOLLOWING) AS hi
+          FROM sales
+        `,
+      }))
+      expect(result).toEqual([
+        { id: 1, lo: 100, hi: 200 },
+        { id: 2, lo: 100, hi: 200 },
+        { id: 3, lo: 150, hi: 300 },
+        { id: 4, lo: 50, hi: 300 },
+        { id: 5, lo: 50, hi: 300 },
+      ])
+    })
+
+    it('should return null for empty frames', async () => {
+      const result = await collect(executeSql({
+        tables: { sales },
+        query: 'SELECT id, SUM(amount) OVER (ORDER BY id ROWS BETWEEN 1 FOLLOWING AND 2 FOLLOWING) AS next_two, COUNT(amount) OVER (ORDER BY id ROWS BETWEEN 1 FOLLOWING AND 2 FOLLOWING) AS n FROM sales',
+      }))
+      expect(result).toEqual([
+        { id: 1, next_two: 350, n: 2 },
+        { id: 2, next_two: 450, n: 2 },
+        { id: 3, next_two: 350, n: 2 },
+        { id: 4, next_two: 50, n: 1 },
+        { id: 5, next_two: null, n: 0 },
+      ])
+    })
+
+    it('should compare ORDER BY values for a RANGE offset frame', async () => {
+      const readings = [
+        { t: 1, v: 1 },
+        { t: 2, v: 2 },
+        { t: 4, v: 4 },
+        { t: 7, v: 8 },
+        { t: null, v: 16 },
+      ]
+      const result = await collect(executeSql({
+        tables: { readings },
+        query: 'SELECT t, SUM(v) OVER (ORDER BY t RANGE BETWEEN 2 PRECEDING AND CURRENT ROW) AS s FROM readings',
+      }))
+      expect(result).toEqual([
+        { t: 1, s: 1 },
+        { t: 2, s: 3 },
+        { t: 4, s: 6 },
+        { t: 7, s: 8 },
+        { t: null, s: 16 },
+      ])
+    })
+
+    it('should apply RANGE offsets in sort direction for DESC', async () => {
+      const readings = [
+        { t: 1, v: 1 },
+        { t: 2, v: 2 },
+        { t: 4, v: 4 },
+      ]
+      const result = await collect(executeSql({
+        tables: { readings },
+        query: 'SELECT t, SUM(v) OVER (ORDER BY t DESC RANGE BETWEEN 1 PRECEDING AND CURRENT ROW) AS s FROM readings',
+      }))
+      expect(result).toEqual([
+        { t: 1, s: 3 },
+        { t: 2, s: 2 },
+        { t: 4, s: 4 },
+      ])
+    })
+
+    it('should reject a RANGE offset over non-numeric values', async () => {
+      await expect(collect(executeSql({
+        tables: { sales },
+        query: 'SELECT SUM(amount) OVER (ORDER BY region RANGE 1 PRECEDING) AS s FROM sales',
+      }))).rejects.toThrow('RANGE frame offset requires a numeric ORDER BY value, got string')
+    })
+
+    it('should not push LIMIT below an aggregate window', async () => {
+      const data = Array.from({ length: 100 }, (_, i) => ({ id: i + 1 }))
+      const result = await collect(executeSql({
+        tables: { data },
+        query: 'SELECT id, COUNT(*) OVER () AS n FROM data LIMIT 2',
+      }))
+      expect(result).toEqual([
+        { id: 1, n: 100 },
+        { id: 2, n: 100 },
+      ])
+    })
+
+    it('should slide across partitions larger than the yield interval', async () => {
+      const data = Array.from({ length: 10000 }, (_, i) => ({ id: i, v: i % 7 }))
+      const result = await collect(executeSql({
+        tables: { data },
+        query: 'SELECT id, SUM(v) OVER (ORDER BY id ROWS BETWEEN 2 PRECEDING AND CURRENT ROW) AS s, MAX(v) OVER (ORDER BY id ROWS BETWEEN 3 PRECEDING AND CURRENT ROW) AS m FROM data',
+      }))
+      for (const row of result) {
+        const id = Number(row.id)
+        let sum = 0
+        let max = -Infinity
+        for (let j = Math.max(0, id - 3); j <= id; j++) {
+          if (j >= id - 2) sum += j % 7
+          max = Math.max(max, j % 7)
+        }
+        expect(row.s).toBe(sum)
+        expect(row.m).toBe(max)
+      }
+    })
+
+    it('should compute statistical aggregates over sliding frames', async () => {
+      const data = [
+        { id: 1, x: 1, y: 2, tag: 'a' },
+        { id: 2, x: 2, y: 4, tag: 'b' },
+        { id: 3, x: 1e12, y: null, tag: 'b' },
+        { id: 4, x: 4, y: 5, tag: null },
+        { id: 5, x: 5, y: 9, tag: 'a' },
+        { id: 6, x: 7, y: 13, tag: 'a' },
+      ]
+      const frame = 'OVER (ORDER BY id ROWS BETWEEN 2 PRECEDING AND CURRENT ROW)'
+      const result = await collect(executeSql({
+        tables: { data },
+        query: `SELECT id, VAR_SAMP(x) ${frame} AS v, REGR_SLOPE(y, x) ${frame} AS slope,
+          REGR_COUNT(y, x) ${frame} AS n, MODE(tag) ${frame} AS m FROM data`,
+      }))
+      expect(result.map(row => row.slope)).toEqual([null, 2, 2, 0.5, 4, expect.any(Number)])
+      expect(result[5].slope).toBeCloseTo(18 / 7)
+      expect(result.map(row => row.n)).toEqual([1, 2, 2, 2, 2, 3])
+      expect(result.map(row => row.m)).toEqual(['a', 'a', 'b', 'b', 'a', 'a'])
+      expect(result[0].v).toBeNull()
+      expect(result[1].v).toBe(0.5)
+      // once 1e12 leaves the frame, no rounding error from it remains
+      expect(result[5].v).toBeCloseTo(7 / 3, 10)
+    })
+
+    it('should break MODE ties in sliding frames by the smallest value', async () => {
+      const data = Array.from({ length: 6 }, (_, i) => ({ i, g: i % 2 }))
+      const result = await collect(executeSql({
+        tables: { data },
+        query: 'SELECT i, MODE(g) OVER (ORDER BY i ROWS 1 PRECEDING) AS m FROM data',
+      }))
+      expect(result.map(row => row.m)).toEqual([0, 0, 0, 0, 0, 0])
+    })
+  })
+
+  describe('ranking functions', () => {
+    const scores = [
+      { id: 1, team: 'a', score: 90 },
+      { id: 2, team: 'a', score: 80 },
+      { id: 3, team: 'a', score: 90 },
+      { id: 4, team: 'a', score: 70 },
+      { id: 5, team: 'b', score: 60 },
+    ]
+
+    it('should give ties the same RANK and skip the following ranks', async () => {
+      const result = await collect(executeSql({
+        tables: { scores },
+        query: 'SELECT id, RANK() OVER (PARTITION BY team ORDER BY score DESC) AS r, DENSE_RANK() OVER (PARTITION BY team ORDER BY score DESC) AS dr FROM scores',
+      }))
+      expect(result).toEqual([
+        { id: 1, r: 1, dr: 1 },
+        { id: 2, r: 3, dr: 2 },
+        { id: 3, r: 1, dr: 1 },
+        { id: 4, r: 4, dr: 3 },
+        { id: 5, r: 1, dr: 1 },
+      ])
+    })
+
+    it('should compare every ORDER BY term when finding ties', async () => {
+      const result = await collect(executeSql({
+        tables: { scores },
+        query: 'SELECT id, RANK() OVER (ORDER BY score DESC, id) AS r FROM scores',
+      }))
+      expect(result.map(r => r.r)).toEqual([1, 3, 2, 4, 5])
+    })
+
+    it('should rank every row first without ORDER BY', async () => {
+      const result = await collect(executeSql({
+        tables: { scores },
+        query: 'SELECT RANK() OVER () AS r, DENSE_RANK() OVER () AS dr, CUME_DIST() OVER () AS cd FROM scores',
+      }))
+      expect(result).toEqual(Array(5).fill({ r: 1, dr: 1, cd: 1 }))
+    })
+
+    it('should compute PERCENT_RANK and CUME_DIST over peer groups', async () => {
+      const result = await collect(executeSql({
+        tables: { scores },
+        query: 'SELECT id, PERCENT_RANK() OVER (PARTITION BY team ORDER BY score) AS pr, CUME_DIST() OVER (PARTITION BY team ORDER BY score) AS cd FROM scores',
+      }))
+      expect(result).toEqual([
+        { id: 1, pr: 2 / 3, cd: 1 },
+        { id: 2, pr: 1 / 3, cd: 0.5 },
+        { id: 3, pr: 2 / 3, cd: 1 },
+        { id: 4, pr: 0, cd: 0.25 },
+        { id: 5, pr: 0, cd: 1 },
+      ])
+    })
+
+    it('should put the extra rows of NTILE in the first buckets', async () => {
+      const data = Array.from({ length: 10 }, (_, i) => ({ id: i + 1 }))
+      const result = await collect(executeSql({
+        tables: { data },
+        query: 'SELECT NTILE(4) OVER (ORDER BY id) AS q FROM data',
+      }))
+      expect(result.map(r => r.q)).toEqual([1, 1, 1, 2, 2, 2, 3, 3, 4, 4])
+    })
+
+    it('should give each row its own bucket when NTILE exceeds the partition size', async () => {
+      const result = await collect(executeSql({
+        tables: { scores },
+        query: 'SELECT id, NTILE(3) OVER (PARTITION BY team ORDER BY id) AS q FROM scores',
+      }))
+      expect(result.map(r => r.q)).toEqual([1, 1, 2, 3, 1])
+    })
+
+    it('should reject a non-positive NTILE bucket count', async () => {
+      await expect(collect(executeSql({
+        tables: { scores },
+        query: 'SELECT NTILE(0) OVER (ORDER BY id) AS q FROM scores',
+      }))).rejects.toThrow('NTILE(buckets): expected a positive integer, got 0')
+    })
+  })
+
+  describe('value functions', () => {
+    it('should use the default frame for FIRST_VALUE and LAST_VALUE', async () => {
+      const result = await collect(executeSql({
+        tables: { sales },
+        query: 'SELECT id, FIRST_VALUE(amount) OVER (PARTITION BY region ORDER BY id) AS f, LAST_VALUE(amount) OVER (PARTITION BY region ORDER BY id) AS l FROM sales',
+      }))
+      expect(result).toEqual([
+        { id: 1, f: 100, l: 100 },
+        { id: 2, f: 100, l: 200 },
+        { id: 3, f: 100, l: 150 },
+        { id: 4, f: 300, l: 300 },
+        { id: 5, f: 300, l: 50 },
+      ])
+    })
+
+    it('should include peers in the default frame of LAST_VALUE', async () => {
+      const result = await collect(executeSql({
+        tables: { sales },
+        query: 'SELECT id, LAST_VALUE(id) OVER (ORDER BY region) AS l FROM sales',
+      }))
+      expect(result.map(r => r.l)).toEqual([3, 3, 3, 5, 5])
+    })
+
+    it('should respect an explicit frame', async () => {
+      const result = await collect(executeSql({
+        tables: { sales },
+        query: 'SELECT id, LAST_VALUE(amount) OVER (ORDER BY id ROWS BETWEEN CURRENT ROW AND UNBOUNDED FOLLOWING) AS l, FIRST_VALUE(amount) OVER (ORDER BY id ROWS BETWEEN 1 FOLLOWING AND 2 FOLLOWING) AS f FROM sales',
+      }))
+      expect(result).toEqual([
+        { id: 1, l: 50, f: 200 },
+        { id: 2, l: 50, f: 150 },
+        { id: 3, l: 50, f: 300 },
+        { id: 4, l: 50, f: 50 },
+        { id: 5, l: 50, f: null },
+      ])
+    })
+
+    it('should return NULL from NTH_VALUE until the frame is long enough', async () => {
+      const result = await collect(executeSql({
+        tables: { sales },
+        query: 'SELECT id, NTH_VALUE(amount, 2) OVER (ORDER BY id) AS v, NTH_VALUE(amount, 2) OVER (ORDER BY id ROWS BETWEEN UNBOUNDED PRECEDING AND UNBOUNDED FOLLOWING) AS w FROM sales',
+      }))
+      expect(result).toEqual([
+        { id: 1, v: null, w: 200 },
+        { id: 2, v: 200, w: 200 },
+        { id: 3, v: 200, w: 200 },
+        { id: 4, v: 200, w: 200 },
+        { id: 5, v: 200, w: 200 },
+      ])
+    })
+
+    it('should reject a non-positive NTH_VALUE position', async () => {
+      await expect(collect(executeSql({
+        tables: { sales },
+        query: 'SELECT NTH_VALUE(amount, 0) OVER (ORDER BY id) AS v FROM sales',
+      }))).rejects.toThrow('NTH_VALUE(value, n): expected a positive integer, got 0')
+    })
+  })
+
+  describe('QUALIFY', () => {
+    it('should keep the latest row per partition', async () => {
+      const result = await collect(executeSql({
+        tables: { sales },
+        query: 'SELECT * FROM sales QUALIFY ROW_NUMBER() OVER (PARTITION BY region ORDER BY id DESC) = 1',
+      }))
+      expect(result).toEqual([
+        { id: 3, region: 'east', amount: 150 },
+        { id: 5, region: 'west', amount: 50 },
+      ])
+    })
+
+    it('should filter on a window alias from the select list', async () => {
+      const result = await collect(executeSql({
+        tables: { sales },
+        query: 'SELECT id, RANK() OVER (ORDER BY amount DESC) AS r FROM sales QUALIFY r <= 2 ORDER BY r',
+      }))
+      expect(result).toEqual([
+        { id: 4, r: 1 },
+        { id: 2, r: 2 },
+      ])
+    })
+
+    it('should apply QUALIFY after WHERE and before LIMIT', async () => {
+      const result = await collect(executeSql({
+        tables: { sales },
+        query: 'SELECT id FROM sales WHERE amount > 50 QUALIFY SUM(amount) OVER (PARTITION BY region) > 300 LIMIT 2',
+      }))
+      expect(result).toEqual([{ id: 1 }, { id: 2 }])
+    })
+
+    it('should not expose window columns through SELECT *', async () => {
+      const result = await collect(executeSql({
+        tables: { sales },
+        query: 'SELECT *, ROW_NUMBER() OVER (ORDER BY id) AS rn FROM sales QUALIFY COUNT(*) OVER (PARTITION BY region) = 2',
+      }))
+      expect(result).toEqual([
+        { id: 4, region: 'west', amount: 300, rn: 4 },
+        { id: 5, region: 'west', amount: 50, rn: 5 },
+      ])
+    })
+
+    it('should reject QUALIFY in a query with aggregation', () => {
+      expect(() => executeSql({
+        tables: { sales },
+        query: 'SELECT region, SUM(amount) AS total FROM sales GROUP BY region QUALIFY total > 100',
+      })).toThrow('QUALIFY is not supported in queries with aggregation')
+    })
+  })
 })
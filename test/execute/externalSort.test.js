@@ -0,0 +1,118 @@
+import { describe, expect, it } from 'vitest'
+import { memorySource } from '../../src/backend/dataSource.js'
+import { executeSql } from '../../src/execute/execute.js'
+import { MERGE_FAN_IN } from '../../src/execute/sort.js'
+import { collect } from '../../src/index.js'
+import { trackingStore } from './trackingStore.js'
+
+const N = 5000
+/** @type {{ id: number, v: number, name: string | null }[]} */
+const data = []
+for (let i = 0; i < N; i++) {
+  data.push({ id: i, v: i * 7919 % N, name: i % 7 ? `row ${i}` : null })
+}
+const big = memorySource({ data })
+
+describe('external sort', () => {
+  it('spills sorted runs and merges them', async () => {
+    const spillStore = trackingStore()
+    const result = await collect(executeSql({
+      tables: { big },
+      query: 'SELECT id, v FROM big ORDER BY v DESC',
+      memoryBudget: 20000,
+      spillStore,
+    }))
+    expect(result).toEqual(data.map(({ id, v }) => ({ id, v })).sort((a, b) => b.v - a.v))
+    expect(spillStore.written.size).toBeGreaterThan(10)
+    expect(spillStore.deleted).toEqual(spillStore.written)
+  })
+
+  it('keeps ties in input order across runs', async () => {
+    const result = await collect(executeSql({
+      tables: { big },
+      query: 'SELECT id FROM big ORDER BY v % 3, name NULLS LAST',
+      memoryBudget: 20000,
+    }))
+    const expected = [...data]
+      .sort((a, b) => a.v % 3 - b.v % 3 ||
+        (a.name === null ? 1 : 0) - (b.name === null ? 1 : 0) ||
+        (a.name !== null && b.name !== null && a.name !== b.name ? a.name < b.name ? -1 : 1 : 0))
+      .map(({ id }) => ({ id }))
+    expect(result).toEqual(expected)
+  })
+
+  it('sorts in memory without spilling when the input fits', async () => {
+    const spillStore = trackingStore()
+    const result = await collect(executeSql({
+      tables: { big },
+      query: 'SELECT v FROM big WHERE id < 10 ORDER BY v',
+      memoryBudget: 1e6,
+      spillStore,
+    }))
+    expect(result).toEqual(data.slice(0, 10).map(({ v }) => ({ v })).sort((a, b) => a.v - b.v))
+    expect(spillStore.written.size).toBe(0)
+  })
+
+  it('reuses ORDER BY expressions from spilled rows', async () => {
+    const result = await collect(executeSql({
+      tables: { big },
+      query: 'SELECT id, v * 2 AS doubled FROM big ORDER BY v * 2',
+      memoryBudget: 20000,
+    }))
+    expect(result).toEqual(data.map(({ id, v }) => ({ id, doubled: v * 2 })).sort((a, b) => a.doubled - b.doubled))
+  })
+
+  it('deletes spilled runs when iteration stops early', async () => {
+    const spillStore = trackingStore()
+    const results = executeSql({
+      tables: { big },
+      query: 'SELECT id FROM big ORDER BY v',
+      memoryBudget: 20000,
+      spillStore,
+    })
+    const ids = []
+    for await (const row of results.rows()) {
+      ids.push(await row.cells.id())
+      if (ids.length === 3) break
+    }
+    expect(ids).toEqual([...data].sort((a, b) => a.v - b.v).slice(0, 3).map(({ id }) => id))
+    expect(spillStore.written.size).toBeGreaterThan(0)
+    expect(spillStore.deleted).toEqual(spillStore.written)
+  })
+
+  it('spills when the row budget is exceeded', async () => {
+    const spillStore = trackingStore()
+    const result = await collect(executeSql({
+      tables: { big },
+      query: 'SELECT id FROM big ORDER BY v',
+      rowBudget: 1000,
+      spillStore,
+    }))
+    expect(result).toEqual([...data].sort((a, b) => a.v - b.v).map(({ id }) => ({ id })))
+    expect(spillStore.written.size).toBe(5)
+    expect(spillStore.deleted).toEqual(spillStore.written)
+  })
+
+  it('merges many runs a few at a time', async () => {
+    /** @type {{ id: number, v: number }[]} */
+    const rows = []
+    for (let i = 0; i < 20000; i++) rows.push({ id: i, v: i * 7919 % 20000 })
+    const spillStore = trackingStore()
+    const result = await collect(executeSql({
+      tables: { rows: memorySource({ data: rows }) },
+      query: 'SELECT id, v FROM rows ORDER BY v % 100, id DESC',
+      memoryBudget: 4000,
+      spillStore,
+    }))
+    expect(result).toEqual([...rows].sort((a, b) => a.v % 100 - b.v % 100 || b.id - a.id))
+    expect(spillStore.written.size).toBeGreaterThan(MERGE_FAN_IN * MERGE_FAN_IN)
+    expect(spillStore.reads.maxOpen).toBe(MERGE_FAN_IN)
+    expect(spillStore.reads.open).toBe(0)
+    expect(spillStore.deleted).toEqual(spillStore.written)
+  })
+
+  it('rejects a memory budget that is not positive', () => {
+    expect(() => executeSql({ tables: { big }, query: 'SELECT id FROM big ORDER BY v', memoryBudget: 0 }))
+      .toThrow('memoryBudget must be a positive number of bytes, got 0')
+  })
+})
@@ -0,0 +1,35 @@
+import { describe, expect, it } from 'vitest'
+import { addToComoments, addToMoments, comomentsValue, mergeComoments, mergeMoments, momentsValue, newComoments, newMoments } from '../../src/execute/moments.js'
+
+describe('moments', () => {
+  it('merges disjoint sets to the same moments as one pass', () => {
+    const values = [3, 1, 4, 1, 5, 9, 2, 6, 5, 3]
+    const whole = newMoments()
+    const left = newMoments()
+    const right = newMoments()
+    values.forEach((v, i) => {
+      addToMoments(whole, v)
+      addToMoments(i < 4 ? left : right, v)
+    })
+    const merged = mergeMoments(left, right)
+    for (const funcName of ['VAR_SAMP', 'VAR_POP', 'SKEWNESS', 'KURTOSIS']) {
+      expect(momentsValue(funcName, merged)).toBeCloseTo(momentsValue(funcName, whole) ?? NaN, 12)
+    }
+    expect(mergeMoments(newMoments(), whole)).toEqual(whole)
+  })
+
+  it('merges disjoint sets of pairs to the same co-moments as one pass', () => {
+    const pairs = [[2, 1], [4, 2], [5, 3], [4, 4], [5, 5], [8, 6]]
+    const whole = newComoments()
+    const left = newComoments()
+    const right = newComoments()
+    pairs.forEach(([y, x], i) => {
+      addToComoments(whole, y, x)
+      addToComoments(i % 2 ? left : right, y, x)
+    })
+    const merged = mergeComoments(left, right)
+    for (const funcName of ['CORR', 'COVAR_SAMP', 'REGR_SLOPE', 'REGR_INTERCEPT', 'REGR_R2']) {
+      expect(comomentsValue(funcName, merged)).toBeCloseTo(comomentsValue(funcName, whole) ?? NaN, 12)
+    }
+  })
+})
@@ -0,0 +1,76 @@
+import { describe, expect, it } from 'vitest'
+import { addToHyperLogLog, addToQuantileSketch, addToTopK, estimateHyperLogLog, newHyperLogLog, newQuantileSketch, newTopK, quantileSketchValue, topKValues } from '../../src/execute/sketches.js'
+
+describe('HyperLogLog', () => {
+  it('counts small sets exactly', () => {
+    const hll = newHyperLogLog()
+    for (const key of [1, 2, 2, 3, '1', true]) addToHyperLogLog(hll, key)
+    expect(estimateHyperLogLog(hll)).toBe(5)
+  })
+
+  it('estimates large sets within a few percent in fixed memory', () => {
+    const hll = newHyperLogLog()
+    for (let i = 0; i < 100000; i++) addToHyperLogLog(hll, `key${i % 50000}`)
+    expect(hll.hashes).toBeNull()
+    expect(hll.registers?.length).toBe(4096)
+    expect(Math.abs(estimateHyperLogLog(hll) - 50000) / 50000).toBeLessThan(0.05)
+  })
+})
+
+describe('quantile sketch', () => {
+  it('interpolates exactly for small inputs', () => {
+    const sketch = newQuantileSketch()
+    for (const v of [5, 1, 4, 2, 3]) addToQuantileSketch(sketch, v)
+    expect(quantileSketchValue(sketch, 0.75)).toBe(4)
+    expect(quantileSketchValue(sketch, 0.1)).toBeCloseTo(1.4)
+  })
+
+  it('returns null when empty', () => {
+    expect(quantileSketchValue(newQuantileSketch(), 0.5)).toBeNull()
+  })
+
+  it('returns the exact extremes after compaction', () => {
+    const sketch = newQuantileSketch()
+    const n = 100000
+    for (let i = 0; i < n; i++) addToQuantileSketch(sketch, i)
+    expect(quantileSketchValue(sketch, 0)).toBe(0)
+    expect(quantileSketchValue(sketch, 1)).toBe(n - 1)
+    for (const fraction of [0.001, 0.999]) {
+      const value = quantileSketchValue(sketch, fraction) ?? NaN
+      expect(value).toBeGreaterThanOrEqual(0)
+      expect(value).toBeLessThanOrEqual(n - 1)
+    }
+  })
+
+  it('estimates ranks closely while keeping few items', () => {
+    const sketch = newQuantileSketch()
+    const n = 100000
+    for (let i = 0; i < n; i++) addToQuantileSketch(sketch, i * 7919 % n)
+    expect(sketch.count).toBe(n)
+    expect(sketch.levels.flat().length).toBeLessThan(1000)
+    for (const fraction of [0, 0.01, 0.5, 0.9, 0.99, 1]) {
+      const value = quantileSketchValue(sketch, fraction) ?? NaN
+      expect(Math.abs(value - fraction * (n - 1)) / n).toBeLessThan(0.02)
+    }
+  })
+})
+
+describe('top-k sketch', () => {
+  it('finds the most frequent values in order', () => {
+    const sketch = newTopK(2)
+    for (const v of ['a', 'b', 'b', 'c', 'b', 'a']) addToTopK(sketch, v)
+    expect(topKValues(sketch)).toEqual(['b', 'a'])
+  })
+
+  it('keeps heavy hitters among many distinct values with bounded counters', () => {
+    const sketch = newTopK(3)
+    for (let i = 0; i < 100000; i++) {
+      if (i % 5 === 0) addToTopK(sketch, 'x')
+      else if (i % 7 === 0) addToTopK(sketch, 'y')
+      else if (i % 11 === 0) addToTopK(sketch, 'z')
+      else addToTopK(sketch, i)
+    }
+    expect(sketch.counters.size).toBe(64)
+    expect(topKValues(sketch)).toEqual(['x', 'y', 'z'])
+  })
+})
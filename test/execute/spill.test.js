@@ -0,0 +1,211 @@
+import { describe, expect, it } from 'vitest'
+import { memorySource } from '../../src/backend/dataSource.js'
+import { executeSql } from '../../src/execute/execute.js'
+import { SPILL_PARTITIONS, partitionOf } from '../../src/execute/spill.js'
+import { collect } from '../../src/index.js'
+import { trackingStore } from './trackingStore.js'
+
+/**
+ * @import { ExecuteSqlOptions, SqlPrimitive } from '../../src/types.js'
+ */
+
+/** @type {{ id: number | null, g: number, name: string }[]} */
+const ordersData = []
+for (let i = 0; i < 3000; i++) {
+  ordersData.push({ id: i % 500 === 7 ? null : i, g: i % 1200, name: `order ${i}` })
+}
+/** @type {{ id: number | null, label: string }[]} */
+const itemsData = []
+for (let i = 0; i < 2500; i++) {
+  itemsData.push({ id: i % 600 === 3 ? null : i * 2, label: `item ${i}` })
+}
+const tables = {
+  orders: memorySource({ data: ordersData }),
+  items: memorySource({ data: itemsData }),
+}
+
+/**
+ * Runs a query with and without a budget, so spilled results can be
+ * compared with in-memory results. Row order is unspecified, so rows are
+ * compared as sorted JSON.
+ *
+ * @param {string} query
+ * @param {Partial<ExecuteSqlOptions>} budget
+ * @returns {Promise<{ expected: string[], actual: string[] }>}
+ */
+async function compareSpilled(query, budget) {
+  const expected = normalize(await collect(executeSql({ tables, query })))
+  const actual = normalize(await collect(executeSql({ tables, query, ...budget })))
+  return { expected, actual }
+}
+
+/**
+ * @param {Record<string, SqlPrimitive>[]} rows
+ * @returns {string[]}
+ */
+function normalize(rows) {
+  return rows.map(row => JSON.stringify(row)).sort()
+}
+
+describe('partitionOf', () => {
+  it('spreads keys across partitions and splits them again at the next level', () => {
+    const counts = new Array(SPILL_PARTITIONS).fill(0)
+    /** @type {Set<number>} */
+    const nextLevel = new Set()
+    for (let i = 0; i < 1600; i++) {
+      const partition = partitionOf(i, 0)
+      counts[partition]++
+      if (partition === 0) nextLevel.add(partitionOf(i, 1))
+    }
+    expect(Math.min(...counts)).toBeGreaterThan(50)
+    expect(nextLevel.size).toBe(SPILL_PARTITIONS)
+  })
+})
+
+describe('hash join spilling', () => {
+  for (const joinType of ['JOIN', 'LEFT JOIN', 'RIGHT JOIN', 'FULL JOIN']) {
+    it(`partitions both sides of a ${joinType}`, async () => {
+      const spillStore = trackingStore()
+      const { expected, actual } = await compareSpilled(
+        `SELECT o.id, o.name, i.label FROM orders o ${joinType} items i ON o.id = i.id`,
+        { rowBudget: 200, spillStore }
+      )
+      expect(actual).toEqual(expected)
+      expect(spillStore.written.size).toBeGreaterThan(SPILL_PARTITIONS)
+      expect(spillStore.deleted).toEqual(spillStore.written)
+    })
+  }
+
+  it('applies residual conditions within partitions', async () => {
+    const { expected, actual } = await compareSpilled(
+      'SELECT o.id, i.label FROM orders o LEFT JOIN items i ON o.id = i.id AND o.g < 600',
+      { memoryBudget: 20000 }
+    )
+    expect(actual).toEqual(expected)
+  })
+
+  it('joins in memory when the build side fits', async () => {
+    const spillStore = trackingStore()
+    const { expected, actual } = await compareSpilled(
+      'SELECT o.name, i.label FROM orders o JOIN items i ON o.id = i.id',
+      { memoryBudget: 1e8, spillStore }
+    )
+    expect(actual).toEqual(expected)
+    expect(spillStore.written.size).toBe(0)
+  })
+
+  it('deletes partitions when iteration stops early', async () => {
+    const spillStore = trackingStore()
+    const results = executeSql({
+      tables,
+      query: 'SELECT o.id FROM orders o JOIN items i ON o.id = i.id',
+      rowBudget: 200,
+      spillStore,
+    })
+    const ids = []
+    for await (const row of results.rows()) {
+      ids.push(await row.cells.id())
+      if (ids.length === 3) break
+    }
+    expect(ids).toHaveLength(3)
+    expect(spillStore.written.size).toBeGreaterThan(0)
+    expect(spillStore.deleted).toEqual(spillStore.written)
+  })
+})
+
+describe('GROUP BY spilling', () => {
+  it('spills rows of groups over the memory budget', async () => {
+    const spillStore = trackingStore()
+    const { expected, actual } = await compareSpilled(
+      'SELECT g, COUNT(*) AS n, SUM(id) AS total, MAX(name) AS last FROM orders GROUP BY g',
+      { memoryBudget: 20000, spillStore }
+    )
+    expect(actual).toHaveLength(1200)
+    expect(actual).toEqual(expected)
+    expect(spillStore.written.size).toBeGreaterThan(0)
+    expect(spillStore.deleted).toEqual(spillStore.written)
+  })
+
+  it('splits partitions whose groups still exceed the row budget', async () => {
+    const spillStore = trackingStore()
+    const { expected, actual } = await compareSpilled(
+      'SELECT g % 700 AS k, id IS NULL AS missing, AVG(id) AS mean FROM orders GROUP BY g % 700, id IS NULL',
+      { rowBudget: 20, spillStore }
+    )
+    expect(actual).toEqual(expected)
+    expect(spillStore.written.size).toBeGreaterThan(SPILL_PARTITIONS)
+    expect(spillStore.deleted).toEqual(spillStore.written)
+  })
+
+  it('keeps the first row of spilled groups', async () => {
+    const spillStore = trackingStore()
+    const { expected, actual } = await compareSpilled(
+      'SELECT g, name FROM orders GROUP BY g',
+      { rowBudget: 100, spillStore }
+    )
+    expect(actual).toEqual(expected)
+    expect(spillStore.written.size).toBeGreaterThan(0)
+  })
+
+  it('sorts groups from memory and from partitions together', async () => {
+    const query = 'SELECT g, COUNT(*) AS n FROM orders GROUP BY g HAVING COUNT(*) > 2 ORDER BY g DESC'
+    const spillStore = trackingStore()
+    const result = await collect(executeSql({ tables, query, rowBudget: 100, spillStore }))
+    expect(result).toEqual(await collect(executeSql({ tables, query })))
+    expect(result[0]).toEqual({ g: 599, n: 3 })
+    expect(spillStore.written.size).toBeGreaterThan(0)
+  })
+
+  it('spills sorted groups as sort runs', async () => {
+    const query = 'SELECT g, SUM(id) AS total FROM orders GROUP BY g ORDER BY SUM(id) DESC, g'
+    const spillStore = trackingStore()
+    const result = await collect(executeSql({ tables, query, rowBudget: 100, spillStore }))
+    expect(result).toEqual(await collect(executeSql({ tables, query })))
+    expect(result).toHaveLength(1200)
+    expect(result[0]).toEqual({ g: 599, total: 599 + 1799 + 2999 })
+    const runs = [...spillStore.written].filter(file => file.includes('-sort-'))
+    expect(runs.length).toBeGreaterThan(1)
+    expect(spillStore.deleted).toEqual(spillStore.written)
+  })
+
+  it('charges growing DISTINCT state to the memory budget', async () => {
+    /** @type {{ g: number, v: number }[]} */
+    const data = []
+    for (let i = 0; i < 10000; i++) data.push({ g: Math.floor(i / 500), v: i % 500 })
+    const query = 'SELECT g, COUNT(DISTINCT v) AS n, MODE(v) AS m FROM data GROUP BY g'
+    const spillStore = trackingStore()
+    const result = await collect(executeSql({ tables: { data }, query, memoryBudget: 50000, spillStore }))
+    expect(normalize(result)).toEqual(normalize(await collect(executeSql({ tables: { data }, query }))))
+    expect(result).toHaveLength(20)
+    expect(result.every(({ n }) => n === 500)).toBe(true)
+    // the groups alone fit, so only their DISTINCT values and frequencies spill them
+    expect(spillStore.written.size).toBeGreaterThan(0)
+  })
+
+  it('partitions the rows of aggregates that need every value', async () => {
+    const spillStore = trackingStore()
+    const { expected, actual } = await compareSpilled(
+      'SELECT g, MEDIAN(id) AS med, STRING_AGG(name, \', \' ORDER BY name DESC) AS names FROM orders GROUP BY g HAVING COUNT(*) > 2',
+      { rowBudget: 100, spillStore }
+    )
+    expect(actual).toHaveLength(600)
+    expect(actual).toEqual(expected)
+    expect([...spillStore.written].some(file => file.includes('-aggregate-'))).toBe(true)
+    expect(spillStore.deleted).toEqual(spillStore.written)
+  })
+
+  it('sorts partitioned groups by aggregates of their rows', async () => {
+    const query = 'SELECT g, ARRAY_AGG(id) AS ids FROM orders GROUP BY g ORDER BY MEDIAN(id) DESC, g'
+    const spillStore = trackingStore()
+    const result = await collect(executeSql({ tables, query, rowBudget: 100, spillStore }))
+    expect(result).toEqual(await collect(executeSql({ tables, query })))
+    expect(result[0]).toEqual({ g: 507, ids: [null, 1707, 2907] })
+    expect([...spillStore.written].some(file => file.includes('-sort-'))).toBe(true)
+    expect(spillStore.deleted).toEqual(spillStore.written)
+  })
+
+  it('rejects a row budget that is not a positive integer', () => {
+    expect(() => executeSql({ tables, query: 'SELECT g FROM orders GROUP BY g', rowBudget: 1.5 }))
+      .toThrow('rowBudget must be a positive integer, got 1.5')
+  })
+})
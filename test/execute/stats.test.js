@@ -0,0 +1,203 @@
+import { describe, expect, it } from 'vitest'
+import { collect, executePlan, executeSql, planSql } from '../../src/index.js'
+
+/**
+ * @import { AsyncDataSource, ExecuteEvent, QueryStats, RelationSchema, SqlPrimitive } from '../../src/types.js'
+ */
+
+describe('execution events', () => {
+  const users = [
+    { id: 1, name: 'Alice', age: 30 },
+    { id: 2, name: 'Bob', age: 20 },
+    { id: 3, name: 'Charlie', age: 40 },
+  ]
+  const functions = {
+    SHOUT: { apply: (/** @type {SqlPrimitive} */ s) => Promise.resolve(String(s).toUpperCase()), arguments: { min: 1, max: 1 } },
+  }
+
+  /**
+   * @param {ExecuteEvent[]} events
+   * @returns {QueryStats}
+   */
+  function summaryOf(events) {
+    const summaries = events.filter(event => event.type === 'summary')
+    expect(summaries).toHaveLength(1)
+    return summaries[0].stats
+  }
+
+  it('should report only the UDF calls that cells triggered', async () => {
+    /** @type {ExecuteEvent[]} */
+    const events = []
+    const result = await collect(executeSql({
+      tables: { users },
+      query: 'SELECT name, SHOUT(name) AS loud FROM users WHERE age > 21 LIMIT 1',
+      functions,
+      onEvent: event => events.push(event),
+    }))
+    expect(result).toEqual([{ name: 'Alice', loud: 'ALICE' }])
+
+    const udfEvents = events.filter(event => event.type === 'udf')
+    expect(udfEvents).toEqual([{ type: 'udf', name: 'SHOUT', elapsed: expect.any(Number) }])
+    // the summary comes last, after collect has read every cell
+    expect(events.at(-1)?.type).toBe('summary')
+    expect(summaryOf(events).udfs).toEqual({ SHOUT: { calls: 1, elapsed: udfEvents[0].elapsed } })
+  })
+
+  it('should summarize rows and cell reads per node', async () => {
+    /** @type {ExecuteEvent[]} */
+    const events = []
+    await collect(executeSql({
+      tables: { users },
+      query: 'SELECT name FROM users WHERE age > 21 ORDER BY age',
+      onEvent: event => events.push(event),
+    }))
+    const stats = summaryOf(events)
+    expect(stats.rows).toBe(2)
+    expect(stats.nodes.map(node => node.plan.type)).toEqual(['Project', 'Sort', 'Scan'])
+    expect(stats.nodes[0]).toMatchObject({ rowsIn: 2, rows: 2, loops: 1, cells: 2, columnCells: { name: 2 } })
+    expect(stats.nodes[2]).toMatchObject({ rowsIn: 0, rows: 2, loops: 1 })
+    expect(stats.nodes[2].columnCells.age).toBeGreaterThan(0)
+
+    const nodeEvents = events.filter(event => event.type === 'node')
+    expect(nodeEvents.map(event => event.plan.type)).toEqual(['Scan', 'Sort', 'Project'])
+  })
+
+  it('should report batches read from prepared scans', async () => {
+    /** @type {ExecuteEvent[]} */
+    const events = []
+    const result = await collect(executeSql({
+      tables: { nums: preparedNumbers([[1, 2, 3], [4, 5]]) },
+      query: 'SELECT n FROM nums',
+      onEvent: event => events.push(event),
+    }))
+    expect(result).toHaveLength(5)
+    expect(events.filter(event => event.type === 'scanBatch')).toEqual([
+      { type: 'scanBatch', table: 'nums', rows: 3 },
+      { type: 'scanBatch', table: 'nums', rows: 2 },
+    ])
+    expect(summaryOf(events).scans).toEqual({ nums: { batches: 2, rows: 5 } })
+  })
+
+  it('should summarize when iteration stops early', async () => {
+    /** @type {ExecuteEvent[]} */
+    const events = []
+    const { rows } = executeSql({
+      tables: { users },
+      query: 'SELECT id FROM users',
+      onEvent: event => events.push(event),
+    })
+    for await (const row of rows()) {
+      expect(await row.cells.id()).toBe(1)
+      break
+    }
+    const stats = summaryOf(events)
+    expect(stats.rows).toBe(1)
+    expect(stats.nodes.map(node => [node.plan.type, node.rows, node.cells])).toEqual([['Project', 1, 1], ['Scan', 1, 1]])
+  })
+
+  it('should summarize after cell reads started during iteration settle', async () => {
+    /** @type {ExecuteEvent[]} */
+    const events = []
+    const { rows } = executeSql({
+      tables: { users },
+      query: 'SELECT id, SLOW_SHOUT(name) AS loud FROM users',
+      functions: {
+        SLOW_SHOUT: {
+          apply: (/** @type {SqlPrimitive} */ s) => new Promise(resolve => setTimeout(() => resolve(String(s).toUpperCase()), 5)),
+          arguments: { min: 1, max: 1 },
+        },
+      },
+      onEvent: event => events.push(event),
+    })
+    /** @type {Promise<SqlPrimitive>[]} */
+    const reads = []
+    /** @type {(() => Promise<SqlPrimitive>)[]} */
+    const later = []
+    for await (const row of rows()) {
+      reads.push(row.cells.loud())
+      later.push(row.cells.id)
+    }
+    expect(events.some(event => event.type === 'summary')).toBe(false)
+    expect(await Promise.all(reads)).toEqual(['ALICE', 'BOB', 'CHARLIE'])
+    await new Promise(resolve => setTimeout(resolve, 0))
+    const stats = summaryOf(events)
+    expect(stats.udfs.SLOW_SHOUT.calls).toBe(3)
+    expect(stats.nodes[0]).toMatchObject({ cells: 3, columnCells: { loud: 3 } })
+
+    // cells first read after the summary are not in it
+    expect(await Promise.all(later.map(cell => cell()))).toEqual([1, 2, 3])
+    expect(stats.nodes[0].cells).toBe(3)
+  })
+
+  it('should accept onEvent in the context of executePlan', async () => {
+    /** @type {ExecuteEvent[]} */
+    const events = []
+    const plan = planSql({ query: 'SELECT COUNT(*) AS n FROM users' })
+    const result = await collect(executePlan({ plan, context: { tables: { users: preparedNumbers([[1, 2]]) }, onEvent: event => events.push(event) } }))
+    expect(result).toEqual([{ n: 2 }])
+    expect(summaryOf(events)).toMatchObject({ rows: 1, nodes: [{ plan }] })
+  })
+
+  it('should report aggregate UDF calls', async () => {
+    const aggregates = {
+      Total: {
+        init: () => 0,
+        update: (/** @type {number} */ state, /** @type {SqlPrimitive} */ value) => state + Number(value),
+        finalize: (/** @type {number} */ state) => state,
+        arguments: { min: 1, max: 1 },
+      },
+    }
+    // MEDIAN needs every value, so the second query buffers its rows
+    for (const query of ['SELECT TOTAL(age) AS t FROM users', 'SELECT TOTAL(age) AS t, MEDIAN(age) AS m FROM users']) {
+      /** @type {ExecuteEvent[]} */
+      const events = []
+      const result = await collect(executeSql({ tables: { users }, query, functions: aggregates, onEvent: event => events.push(event) }))
+      expect(result[0].t).toBe(90)
+      // one update per row and one finalize
+      expect(events.filter(event => event.type === 'udf')).toHaveLength(4)
+      expect(summaryOf(events).udfs.Total.calls).toBe(4)
+    }
+  })
+
+  it('should ignore exceptions thrown by onEvent', async () => {
+    let calls = 0
+    const result = await collect(executeSql({
+      tables: { users },
+      query: 'SELECT SHOUT(name) AS loud FROM users ORDER BY age',
+      functions,
+      onEvent() {
+        calls++
+        throw new Error('listener failed')
+      },
+    }))
+    expect(result).toEqual([{ loud: 'BOB' }, { loud: 'ALICE' }, { loud: 'CHARLIE' }])
+    expect(calls).toBeGreaterThan(3)
+  })
+})
+
+/**
+ * A single-column prepared source yielding one batch per array.
+ *
+ * @param {number[][]} batches
+ * @returns {AsyncDataSource}
+ */
+function preparedNumbers(batches) {
+  /** @type {RelationSchema} */
+  const schema = { fields: [{ id: 1, name: 'n', dataType: { type: 'number' }, nullable: false }] }
+  return {
+    schema,
+    prepareScan() {
+      return {
+        schema,
+        residual: {},
+        properties: {},
+        async *batches() {
+          for (const values of batches) {
+            const { length } = values
+            yield { selection: { type: 'all', length }, columns: [{ type: 'values', values, length }] }
+          }
+        },
+      }
+    },
+  }
+}
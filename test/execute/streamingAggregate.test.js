@@ -1,8 +1,9 @@
 import { describe, expect, it } from 'vitest'
 import { memorySource } from '../../src/backend/dataSource.js'
 import { executeSql } from '../../src/execute/execute.js'
-import { planStreamingAggregates } from '../../src/execute/streamingAggregate.js'
+import { planStreamingAggregates, planStreamingGroupingSets } from '../../src/execute/streamingAggregate.js'
 import { collect, planSql } from '../../src/index.js'
+import { trackingSource } from './trackingSource.js'
 
 /**
  * @import { UserDefinedFunction } from '../../src/index.js'
@@ -40,6 +41,27 @@ describe('streaming aggregates', () => {
     ])
   })
 
+  it('accumulates every grouping set in one pass across chunk boundaries', async () => {
+    const { source, getScanCount } = trackingSource(data)
+    const result = await collect(executeSql({
+      tables: { big: source },
+      query: 'SELECT g, v < 50 AS low, COUNT(*) AS n, SUM(v) AS s FROM big GROUP BY ROLLUP(g, v < 50) ORDER BY g, low',
+    }))
+    expect(getScanCount()).toBe(1)
+    expect(result).toEqual([
+      { g: null, low: null, n: 10000, s: 495000 },
+      { g: 'g0', low: null, n: 3334, s: 165033 },
+      { g: 'g0', low: false, n: 1667, s: 124200 },
+      { g: 'g0', low: true, n: 1667, s: 40833 },
+      { g: 'g1', low: null, n: 3333, s: 164967 },
+      { g: 'g1', low: false, n: 1666, s: 124117 },
+      { g: 'g1', low: true, n: 1667, s: 40850 },
+      { g: 'g2', low: null, n: 3333, s: 165000 },
+      { g: 'g2', low: false, n: 1667, s: 124183 },
+      { g: 'g2', low: true, n: 1666, s: 40817 },
+    ])
+  })
+
   it('accumulates scalar aggregates across chunk boundaries', async () => {
     const result = await collect(executeSql({
       tables: { big },
@@ -178,6 +200,36 @@ describe('streaming aggregates', () => {
     expect(result).toEqual([])
   })
 
+  it('accumulates approximate aggregates across chunk boundaries', async () => {
+    const result = await collect(executeSql({
+      tables: { big },
+      query: 'SELECT g, APPROX_COUNT_DISTINCT(v) AS d, APPROX_QUANTILE(v, 0.5) AS m, APPROX_TOP_K(v < 90, 1) AS top FROM big GROUP BY g ORDER BY g',
+    }))
+    expect(result.map(({ g, d, top }) => ({ g, d, top }))).toEqual([
+      { g: 'g0', d: 100, top: [true] },
+      { g: 'g1', d: 100, top: [true] },
+      { g: 'g2', d: 100, top: [true] },
+    ])
+    for (const { m } of result) {
+      expect(Math.abs(Number(m) - 49.5)).toBeLessThan(3)
+    }
+  })
+
+  it('accumulates statistical aggregates across chunk boundaries', async () => {
+    const result = await collect(executeSql({
+      tables: { big },
+      query: 'SELECT g, VAR_POP(v) AS var, CORR(v, v * 2) AS r, REGR_COUNT(v, v) AS n, MODE(v < 90) AS mode FROM big GROUP BY g ORDER BY g',
+    }))
+    expect(result.map(({ g, r, n, mode }) => ({ g, r, n, mode }))).toEqual([
+      { g: 'g0', r: expect.closeTo(1), n: 3334, mode: true },
+      { g: 'g1', r: expect.closeTo(1), n: 3333, mode: true },
+      { g: 'g2', r: expect.closeTo(1), n: 3333, mode: true },
+    ])
+    for (const { var: variance } of result) {
+      expect(Math.abs(Number(variance) - 833.25)).toBeLessThan(1)
+    }
+  })
+
   it('rejects when aborted during accumulation', async () => {
     const controller = new AbortController()
     /** @type {Record<string, UserDefinedFunction>} */
@@ -247,6 +299,15 @@ describe('streaming aggregate row retention', () => {
     expect(streaming?.keyRefs.size).toBe(1)
   })
 
+  it('shares aggregate specs across grouping sets', () => {
+    const plan = planSql({ query: 'SELECT region, product, sum(amount), GROUPING(region, product) FROM sales GROUP BY CUBE(region, product)', tables })
+    if (plan.type !== 'HashAggregate' || !plan.groupingSets) throw new Error('expected grouping sets')
+    const streaming = planStreamingGroupingSets({ ...plan, groupingSets: plan.groupingSets })
+    expect(streaming?.specs).toHaveLength(1)
+    expect(streaming?.needsRow).toBe(false)
+    expect(streaming?.setKeyRefs?.map(refs => refs.size)).toEqual([2, 1, 1, 0])
+  })
+
   it('does not stream non-star SELECT aggregates when HAVING can reject the group', () => {
     // HAVING can reject a group before its output cells are read, so the
     // buffered path may never evaluate sum(amount); star aggregates like the
@@ -289,6 +350,17 @@ describe('streaming aggregate row retention', () => {
     expect(streaming?.specs.length).toBe(1)
   })
 
+  it('streams aggregate UDFs', () => {
+    /** @type {Record<string, UserDefinedFunction>} */
+    const functions = {
+      TOTAL: { init: () => 0, update: (state, value) => Number(state) + Number(value), finalize: state => Number(state), arguments: { min: 1, max: 1 } },
+    }
+    const plan = planSql({ query: 'SELECT region, total(amount) FILTER (WHERE amount > 1) FROM sales GROUP BY region', tables, functions })
+    if (plan.type !== 'HashAggregate') throw new Error('expected aggregate plan')
+    const streaming = planStreamingAggregates(plan, undefined, functions)
+    expect(streaming?.specs.map(spec => [spec.funcName, spec.udf])).toEqual([['TOTAL', functions.TOTAL]])
+  })
+
   it('does not stream buffering aggregates like median', () => {
     expect(streamingPlan('SELECT region, median(amount) FROM sales GROUP BY region')).toBeUndefined()
   })
@@ -329,6 +401,27 @@ describe('streaming aggregate row retention', () => {
     expect(streaming?.specs.length).toBe(1)
   })
 
+  it('streams approximate aggregates with literal parameters', () => {
+    const streaming = streamingPlan('SELECT region, approx_count_distinct(product), approx_quantile(amount, 0.9), approx_top_k(product, 3) FROM sales GROUP BY region')
+    expect(streaming?.specs.map(spec => [spec.funcName, spec.param])).toEqual([
+      ['APPROX_COUNT_DISTINCT', undefined],
+      ['APPROX_QUANTILE', 0.9],
+      ['APPROX_TOP_K', 3],
+    ])
+  })
+
+  it('does not stream approximate aggregates with computed or invalid parameters', () => {
+    // the buffered path evaluates the parameter and reports invalid values
+    expect(streamingPlan('SELECT approx_quantile(amount, qty / 10) FROM sales')).toBeUndefined()
+    expect(streamingPlan('SELECT approx_top_k(product, 0) FROM sales')).toBeUndefined()
+  })
+
+  it('streams statistical aggregates', () => {
+    const streaming = streamingPlan('SELECT region, var_samp(amount), corr(amount, qty), regr_slope(amount, qty), mode(product), entropy(product) FROM sales GROUP BY region')
+    expect(streaming?.specs.map(spec => spec.funcName)).toEqual(['VAR_SAMP', 'CORR', 'REGR_SLOPE', 'MODE', 'ENTROPY'])
+    expect(streaming?.needsRow).toBe(false)
+  })
+
   it('does not stream array_agg', () => {
     expect(streamingPlan('SELECT array_agg(product) FROM sales')).toBeUndefined()
   })
@@ -0,0 +1,41 @@
+import { memorySpillStore } from '../../src/backend/spillStore.js'
+
+/**
+ * @import { SpillStore } from '../../src/types.js'
+ */
+
+/**
+ * Wraps the memory spill store to record which files are written and deleted,
+ * and how many are read at once.
+ *
+ * @returns {SpillStore & { written: Set<string>, deleted: Set<string>, reads: { open: number, maxOpen: number } }}
+ */
+export function trackingStore() {
+  const store = memorySpillStore()
+  /** @type {Set<string>} */
+  const written = new Set()
+  /** @type {Set<string>} */
+  const deleted = new Set()
+  const reads = { open: 0, maxOpen: 0 }
+  return {
+    written,
+    deleted,
+    reads,
+    write(file, rows) {
+      written.add(file)
+      return store.write(file, rows)
+    },
+    async *read(file) {
+      reads.maxOpen = Math.max(reads.maxOpen, ++reads.open)
+      try {
+        yield* store.read(file)
+      } finally {
+        reads.open--
+      }
+    },
+    delete(file) {
+      deleted.add(file)
+      return store.delete(file)
+    },
+  }
+}
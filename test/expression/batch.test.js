@@ -1,5 +1,6 @@
 import { describe, expect, it, vi } from 'vitest'
 import { compileBatchExpression } from '../../src/expression/batch.js'
+import { newInterval } from '../../src/expression/date.js'
 import { parseSql } from '../../src/parse/parse.js'
 
 /**
@@ -257,6 +258,42 @@ describe('batch expressions', () => {
     )
   })
 
+  it('compiles date format functions with literal formats', () => {
+    const compiled = compile('STRFTIME(STRPTIME(text, \'%m/%d/%Y %H:%M\'), \'%Y-%m-%d %H:%M\')')
+    if (!compiled) throw new Error('expected expression to compile')
+    const batch = loadedBatch([1, 2, 3], ['03/15/2026 14:02', null, '12/01/1999 00:00'])
+
+    expect(compiled.evaluate({ batch, selection: batch.selection })).toEqual({
+      type: 'values',
+      values: ['2026-03-15 14:02', null, '1999-12-01 00:00'],
+      length: 3,
+    })
+    expect(() => compiled.evaluate({ batch: loadedBatch([1], ['15/03/2026 14:02']), selection: { type: 'all', length: 1 }, rowOffset: 4 }))
+      .toThrow('STRPTIME(string, format): could not parse "15/03/2026 14:02" with format "%m/%d/%Y %H:%M" (row 5)')
+
+    const zoned = compileBatchExpression(expression('STRFTIME(text, \'%H:%M %z\')'), schema, 'Asia/Tokyo')
+    expect(zoned?.evaluate({ batch: loadedBatch([1], ['2026-03-15T14:02:00Z']), selection: { type: 'all', length: 1 } }))
+      .toEqual({ type: 'values', values: ['23:02 +09'], length: 1 })
+  })
+
+  it('adds intervals in the wall-clock time of the session time zone', () => {
+    const compiled = compileBatchExpression(expression('text + n'), schema, 'America/New_York')
+    if (!compiled) throw new Error('expected expression to compile')
+    // a day across the daylight saving change keeps the time of day
+    const batch = loadedBatch([newInterval(0, 1, 0), 2], ['2024-03-09T17:00:00Z', 3])
+
+    expect(compiled.evaluate({ batch, selection: batch.selection })).toEqual({
+      type: 'values',
+      values: ['2024-03-10T16:00:00.000Z', 5],
+      length: 2,
+    })
+    expect(compile('text + n')?.evaluate({ batch, selection: batch.selection })).toEqual({
+      type: 'values',
+      values: ['2024-03-10T17:00:00.000Z', 5],
+      length: 2,
+    })
+  })
+
   it('resolves qualified identifiers against a bare scan schema', () => {
     const compiled = compile('data.n + 1')
     if (!compiled) throw new Error('expected expression to compile')
@@ -85,6 +85,11 @@ describe('extractTables', () => {
       .toEqual(['users'])
   })
 
+  it('skips the self-reference of a recursive CTE', () => {
+    expect(tablesIn('WITH RECURSIVE t AS (SELECT id FROM nodes UNION ALL SELECT n.id FROM nodes n JOIN t ON n.parent = t.id) SELECT * FROM t'))
+      .toEqual(['nodes'])
+  })
+
   it('does not let a nested WITH leak its CTE names as tables', () => {
     expect(tablesIn('WITH outer_cte AS (WITH inner_cte AS (SELECT * FROM users) SELECT * FROM inner_cte) SELECT * FROM outer_cte'))
       .toEqual(['users'])
@@ -118,6 +123,11 @@ describe('extractTables', () => {
       .toEqual(['a', 'b'])
   })
 
+  it('walks aggregate ORDER BY terms', () => {
+    expect(tablesIn('SELECT ARRAY_AGG(id ORDER BY (SELECT MAX(x) FROM b)) FROM a'))
+      .toEqual(['a', 'b'])
+  })
+
   it('walks CAST expressions', () => {
     expect(tablesIn('SELECT CAST((SELECT x FROM b) AS INTEGER) FROM a'))
       .toEqual(['a', 'b'])
@@ -124,4 +124,65 @@ describe('parseSql', () => {
       ])
     })
   })
+
+  describe('ordered aggregates', () => {
+    it('should parse ORDER BY and LIMIT inside ARRAY_AGG', () => {
+      const select = parseSelect('SELECT ARRAY_AGG(x ORDER BY y DESC LIMIT 3) FROM t')
+      expect(select.columns[0]).toMatchObject({
+        type: 'derived',
+        expr: {
+          type: 'function',
+          funcName: 'ARRAY_AGG',
+          args: [{ type: 'identifier', name: 'x' }],
+          orderBy: [{ expr: { type: 'identifier', name: 'y' }, direction: 'DESC' }],
+          limit: 3,
+        },
+      })
+    })
+
+    it('should parse ORDER BY after the STRING_AGG separator', () => {
+      const select = parseSelect('SELECT STRING_AGG(x, \',\' ORDER BY y NULLS LAST) FROM t')
+      expect(select.columns[0]).toMatchObject({
+        expr: {
+          args: [{ type: 'identifier', name: 'x' }, { type: 'literal', value: ',' }],
+          orderBy: [{ expr: { type: 'identifier', name: 'y' }, direction: 'ASC', nulls: 'LAST' }],
+        },
+      })
+    })
+
+    it('should parse WITHIN GROUP as the value argument and its ordering', () => {
+      const select = parseSelect('SELECT PERCENTILE_DISC(0.9) WITHIN GROUP (ORDER BY x DESC), MODE() WITHIN GROUP (ORDER BY y) FROM t')
+      expect(select.columns[0]).toMatchObject({
+        expr: {
+          funcName: 'PERCENTILE_DISC',
+          args: [{ type: 'literal', value: 0.9 }, { type: 'identifier', name: 'x' }],
+          orderBy: [{ expr: { type: 'identifier', name: 'x' }, direction: 'DESC' }],
+          withinGroup: true,
+        },
+      })
+      expect(select.columns[1]).toMatchObject({
+        expr: {
+          funcName: 'MODE',
+          args: [{ type: 'identifier', name: 'y' }],
+          withinGroup: true,
+        },
+      })
+    })
+
+    it('should reject ORDER BY in an aggregate whose result does not depend on order', () => {
+      expect(() => parseSelect('SELECT SUM(x ORDER BY y) FROM t'))
+        .toThrow('ORDER BY is only supported in ARRAY_AGG, LIST, JSON_ARRAYAGG, STRING_AGG, not "SUM"')
+    })
+
+    it('should reject a negative or fractional LIMIT', () => {
+      expect(() => parseSelect('SELECT ARRAY_AGG(x LIMIT 1.5) FROM t')).toThrow('Expected non-negative integer LIMIT')
+      expect(() => parseSelect('SELECT ARRAY_AGG(x LIMIT -1) FROM t')).toThrow('Expected non-negative integer LIMIT')
+      expect(() => parseSelect('SELECT ARRAY_AGG(x LIMIT 0) FROM t')).not.toThrow()
+    })
+
+    it('should reject MODE with both an argument and WITHIN GROUP', () => {
+      expect(() => parseSelect('SELECT MODE(x) WITHIN GROUP (ORDER BY x) FROM t'))
+        .toThrow('MODE: cannot combine WITHIN GROUP with a value argument')
+    })
+  })
 })
@@ -260,10 +260,28 @@ describe('parseSql - CTE (WITH clause)', () => {
     }).toThrow('CTE "cte" is defined more than once at position 0')
   })
 
-  it('should throw a clear error for WITH RECURSIVE', () => {
+  it('should parse WITH RECURSIVE with a column list', () => {
+    const stmt = parseWith({
+      query: 'WITH RECURSIVE nums(i) AS (SELECT 1 UNION ALL SELECT i + 1 FROM nums WHERE i < 5) SELECT i FROM nums',
+    })
+    expect(stmt.recursive).toBe(true)
+    expect(stmt.ctes[0].name).toBe('nums')
+    expect(stmt.ctes[0].columns).toEqual(['i'])
+    expect(stmt.ctes[0].query.type).toBe('compound')
+  })
+
+  it('should parse a CTE column list without RECURSIVE', () => {
+    const stmt = parseWith({
+      query: 'WITH cte(a, b) AS (SELECT id, name FROM users) SELECT a FROM cte',
+    })
+    expect(stmt.recursive).toBeUndefined()
+    expect(stmt.ctes[0].columns).toEqual(['a', 'b'])
+  })
+
+  it('should throw error for duplicate CTE column names', () => {
     expect(() => {
-      parseSql({ query: 'WITH RECURSIVE nums(i) AS (SELECT 1 UNION ALL SELECT i + 1 FROM nums WHERE i < 5) SELECT i FROM nums' })
-    }).toThrow('WITH RECURSIVE is not supported at position 5')
+      parseSql({ query: 'WITH cte(a, A) AS (SELECT 1, 2) SELECT * FROM cte' })
+    }).toThrow('Column "A" is listed more than once for CTE "cte" at position 12')
   })
 
   it('should throw error for duplicate CTE names (case-insensitive)', () => {
@@ -168,24 +168,49 @@ describe('parseSql error handling', () => {
   })
 
   describe('window function errors', () => {
-    it('should throw error for COUNT with OVER', () => {
-      expect(() => parseSql({ query: 'SELECT COUNT(*) OVER () FROM t' }))
-        .toThrow('Window functions are not supported: COUNT(...) OVER (...)')
+    it('should throw error for MEDIAN with OVER', () => {
+      expect(() => parseSql({ query: 'SELECT MEDIAN(x) OVER () FROM t' }))
+        .toThrow('Window functions are not supported: MEDIAN(...) OVER (...)')
     })
 
-    it('should throw error for SUM with OVER', () => {
-      expect(() => parseSql({ query: 'SELECT SUM(x) OVER () FROM t' }))
-        .toThrow('Window functions are not supported: SUM(...) OVER (...)')
+    it('should throw error for OVER after FILTER', () => {
+      expect(() => parseSql({ query: 'SELECT COUNT(*) FILTER (WHERE x > 0) OVER () FROM t' }))
+        .toThrow('FILTER cannot be combined with OVER for "COUNT"')
     })
 
-    it('should throw error for AVG with OVER and PARTITION BY', () => {
-      expect(() => parseSql({ query: 'SELECT AVG(x) OVER (PARTITION BY y) FROM t' }))
-        .toThrow('Window functions are not supported: AVG(...) OVER (...)')
+    it('should throw error for OVER after WITHIN GROUP', () => {
+      expect(() => parseSql({ query: 'SELECT MODE() WITHIN GROUP (ORDER BY x) OVER () FROM t' }))
+        .toThrow('WITHIN GROUP cannot be combined with OVER for "MODE"')
     })
 
-    it('should throw error for OVER after FILTER', () => {
-      expect(() => parseSql({ query: 'SELECT COUNT(*) FILTER (WHERE x > 0) OVER () FROM t' }))
-        .toThrow('Window functions are not supported: COUNT(...) OVER (...)')
+    it('should throw error for DISTINCT with OVER', () => {
+      expect(() => parseSql({ query: 'SELECT COUNT(DISTINCT x) OVER () FROM t' }))
+        .toThrow('DISTINCT cannot be combined with OVER for "COUNT"')
+    })
+
+    it('should throw error for a frame that ends before it starts', () => {
+      expect(() => parseSql({ query: 'SELECT SUM(x) OVER (ORDER BY y ROWS BETWEEN CURRENT ROW AND 1 PRECEDING) FROM t' }))
+        .toThrow('Invalid window frame: cannot start at CURRENT ROW and end at PRECEDING')
+    })
+
+    it('should throw error for a frame starting at UNBOUNDED FOLLOWING', () => {
+      expect(() => parseSql({ query: 'SELECT SUM(x) OVER (ORDER BY y ROWS BETWEEN UNBOUNDED FOLLOWING AND UNBOUNDED FOLLOWING) FROM t' }))
+        .toThrow('Invalid window frame: cannot start at UNBOUNDED FOLLOWING and end at UNBOUNDED FOLLOWING')
+    })
+
+    it('should throw error for a fractional ROWS offset', () => {
+      expect(() => parseSql({ query: 'SELECT SUM(x) OVER (ORDER BY y ROWS 1.5 PRECEDING) FROM t' }))
+        .toThrow('ROWS frame offset must be a non-negative integer, got 1.5')
+    })
+
+    it('should throw error for RANGE offset without a single ORDER BY', () => {
+      expect(() => parseSql({ query: 'SELECT SUM(x) OVER (ORDER BY y, z RANGE 2 PRECEDING) FROM t' }))
+        .toThrow('RANGE with an offset requires exactly one ORDER BY expression')
+    })
+
+    it('should throw error for a frame bound without a direction', () => {
+      expect(() => parseSql({ query: 'SELECT SUM(x) OVER (ORDER BY y ROWS BETWEEN 2 AND CURRENT ROW) FROM t' }))
+        .toThrow('Expected PRECEDING or FOLLOWING')
     })
 
     it('should throw error for ROW_NUMBER without OVER', () => {
@@ -193,19 +218,19 @@ describe('parseSql error handling', () => {
         .toThrow('ROW_NUMBER() requires an OVER clause')
     })
 
-    it('should throw error for RANK window function', () => {
-      expect(() => parseSql({ query: 'SELECT RANK() OVER (ORDER BY id) FROM t' }))
-        .toThrow('Window function "RANK" is not supported')
+    it('should throw error for RANK without OVER', () => {
+      expect(() => parseSql({ query: 'SELECT RANK() FROM t' }))
+        .toThrow('RANK() requires an OVER clause')
     })
 
-    it('should throw error for DENSE_RANK window function', () => {
-      expect(() => parseSql({ query: 'SELECT DENSE_RANK() OVER (ORDER BY id) FROM t' }))
-        .toThrow('Window function "DENSE_RANK" is not supported')
+    it('should throw error for NTILE without a bucket count', () => {
+      expect(() => parseSql({ query: 'SELECT NTILE() OVER (ORDER BY id) FROM t' }))
+        .toThrow('NTILE(buckets) function requires 1 argument, got 0')
     })
 
-    it('should throw error for NTILE window function', () => {
-      expect(() => parseSql({ query: 'SELECT NTILE(4) OVER (ORDER BY id) FROM t' }))
-        .toThrow('Window function "NTILE" is not supported')
+    it('should throw error for NTH_VALUE with one argument', () => {
+      expect(() => parseSql({ query: 'SELECT NTH_VALUE(x) OVER (ORDER BY id) FROM t' }))
+        .toThrow('NTH_VALUE(value, n) function requires 2 arguments, got 1')
     })
   })
 
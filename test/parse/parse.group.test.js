@@ -81,4 +81,51 @@ describe('parseSql', () => {
       ])
     })
   })
+
+  describe('grouping sets', () => {
+    it('should leave groupingSets unset for a plain GROUP BY', () => {
+      const select = parseSelect('SELECT a, b FROM t GROUP BY a, b')
+      expect(select.groupingSets).toBeUndefined()
+    })
+
+    it('should expand ROLLUP into prefixes', () => {
+      const select = parseSelect('SELECT a, b, c FROM t GROUP BY ROLLUP(a, b, c)')
+      expect(select.groupBy.map(e => e.type === 'identifier' && e.name)).toEqual(['a', 'b', 'c'])
+      expect(select.groupingSets).toEqual([[0, 1, 2], [0, 1], [0], []])
+    })
+
+    it('should expand CUBE into every subset', () => {
+      const select = parseSelect('SELECT a, b FROM t GROUP BY CUBE(a, b)')
+      expect(select.groupingSets).toEqual([[0, 1], [0], [1], []])
+    })
+
+    it('should parse GROUPING SETS with an empty set', () => {
+      const select = parseSelect('SELECT a, b FROM t GROUP BY GROUPING SETS ((a, b), b, ())')
+      expect(select.groupingSets).toEqual([[0, 1], [1], []])
+    })
+
+    it('should cross plain keys with ROLLUP and list shared keys once', () => {
+      const select = parseSelect('SELECT a, b FROM t GROUP BY a, ROLLUP(a, b)')
+      expect(select.groupBy).toHaveLength(2)
+      expect(select.groupingSets).toEqual([[0, 1], [0], [0]])
+    })
+
+    it('should resolve positional references inside ROLLUP', () => {
+      const select = parseSelect('SELECT a, b, COUNT(*) FROM t GROUP BY ROLLUP(2, 1)')
+      expect(select.groupBy.map(e => e.type === 'identifier' && e.name)).toEqual(['b', 'a'])
+    })
+
+    it('should still parse rollup as a column name', () => {
+      const select = parseSelect('SELECT rollup FROM t GROUP BY rollup')
+      expect(select.groupBy).toEqual([
+        { type: 'identifier', name: 'rollup', positionStart: 30, positionEnd: 36 },
+      ])
+      expect(select.groupingSets).toBeUndefined()
+    })
+
+    it('should reject GROUPING in GROUP BY', () => {
+      expect(() => parseSelect('SELECT a FROM t GROUP BY GROUPING(a)'))
+        .toThrow('Aggregate function GROUPING is not allowed in GROUP BY clause')
+    })
+  })
 })
@@ -237,6 +237,43 @@ describe('INTERVAL parsing', () => {
     })
   })
 
+  describe('WEEK, QUARTER and MILLISECOND', () => {
+    it('should parse units that are not keywords', () => {
+      const select = parseSelect('SELECT INTERVAL 2 week, INTERVAL 1 QUARTER, INTERVAL 5 Millisecond FROM dummy')
+      expect(select.columns.map(col => col.type === 'derived' && col.expr)).toEqual([
+        { type: 'interval', value: 2, unit: 'WEEK', positionStart: 7, positionEnd: 22 },
+        { type: 'interval', value: 1, unit: 'QUARTER', positionStart: 24, positionEnd: 42 },
+        { type: 'interval', value: 5, unit: 'MILLISECOND', positionStart: 44, positionEnd: 66 },
+      ])
+    })
+  })
+
+  describe('compound intervals', () => {
+    it('should parse a quoted interval with units as a sum', () => {
+      const select = parseSelect('SELECT INTERVAL \'1 day 3 hours\' FROM dummy')
+      expect(select.columns).toEqual([{
+        type: 'derived',
+        expr: {
+          type: 'binary',
+          op: '+',
+          left: { type: 'interval', value: 1, unit: 'DAY', positionStart: 7, positionEnd: 31 },
+          right: { type: 'interval', value: 3, unit: 'HOUR', positionStart: 7, positionEnd: 31 },
+          positionStart: 7,
+          positionEnd: 31,
+        },
+        positionStart: 7,
+        positionEnd: 31,
+      }])
+    })
+
+    it('should parse a quoted interval with a single unit', () => {
+      const select = parseSelect('SELECT INTERVAL \'-2.5 Minutes\' FROM dummy')
+      expect(select.columns[0]).toMatchObject({
+        expr: { type: 'interval', value: -2.5, unit: 'MINUTE' },
+      })
+    })
+  })
+
   describe('negative intervals', () => {
     it('should parse negative INTERVAL value', () => {
       const select = parseSelect('SELECT INTERVAL -1 DAY FROM dummy')
@@ -0,0 +1,51 @@
+import { describe, expect, it } from 'vitest'
+import { parseSql } from '../../src/parse/parse.js'
+import { parseSelect } from '../helpers.js'
+
+describe('parseSql', () => {
+  describe('parameters', () => {
+    it('should parse positional and named placeholders', () => {
+      const select = parseSelect('SELECT ? AS a, ? AS b FROM users WHERE age > :min_age')
+      expect(select.columns).toEqual([
+        { type: 'derived', expr: { type: 'param', index: 1, positionStart: 7, positionEnd: 8 }, alias: 'a', positionStart: 7, positionEnd: 13 },
+        { type: 'derived', expr: { type: 'param', index: 2, positionStart: 15, positionEnd: 16 }, alias: 'b', positionStart: 15, positionEnd: 21 },
+      ])
+      expect(select.where).toEqual({
+        type: 'binary',
+        op: '>',
+        left: { type: 'identifier', name: 'age', positionStart: 39, positionEnd: 42 },
+        right: { type: 'param', name: 'min_age', positionStart: 45, positionEnd: 53 },
+        positionStart: 39,
+        positionEnd: 53,
+      })
+      expect(parseSelect('SELECT $3 AS c').columns[0]).toMatchObject({ expr: { type: 'param', index: 3, positionStart: 7, positionEnd: 9 } })
+    })
+
+    it('should bind params to literals when given', () => {
+      const stmt = parseSql({ query: 'SELECT name, :x + 1 FROM users WHERE id IN (:id, 2)', params: { x: 10, id: 'a' } })
+      if (stmt.type !== 'select') throw new Error('expected select')
+      expect(stmt.columns[1]).toMatchObject({
+        expr: { type: 'binary', left: { type: 'literal', value: 10, positionStart: 13, positionEnd: 15 } },
+        alias: ':x_+_1',
+      })
+      expect(stmt.where).toMatchObject({ type: 'in valuelist', values: [{ type: 'literal', value: 'a' }, { type: 'literal', value: 2 }] })
+    })
+
+    it('should leave the statement untouched without placeholders', () => {
+      const stmt = parseSql({ query: 'SELECT * FROM users' })
+      expect(parseSql({ query: 'SELECT * FROM users', params: [] })).toEqual(stmt)
+    })
+
+    it('should reject $0', () => {
+      expect(() => parseSql({ query: 'SELECT $0' }))
+        .toThrow('Invalid parameter $0 at position 7, positional parameters start at $1')
+    })
+
+    it('should reject mixing ? and $n placeholders', () => {
+      expect(() => parseSql({ query: 'SELECT ?, $2' }))
+        .toThrow('Cannot mix ? and $n placeholders, found $2 at position 10')
+      expect(() => parseSql({ query: 'SELECT $1, ?' }))
+        .toThrow('Cannot mix ? and $n placeholders, found ? at position 11')
+    })
+  })
+})
@@ -0,0 +1,105 @@
+import { describe, expect, it } from 'vitest'
+import { parseSql } from '../../src/parse/parse.js'
+import { parseSelect } from '../helpers.js'
+
+describe('parseSql', () => {
+  describe('PIVOT', () => {
+    it('should parse PIVOT with aliased aggregates and values', () => {
+      const select = parseSelect('SELECT * FROM sales PIVOT (SUM(amount) AS total FOR month IN (\'jan\' AS j, 2)) p')
+      expect(select.from).toEqual({
+        type: 'pivot',
+        source: { type: 'table', table: 'sales', positionStart: 14, positionEnd: 19 },
+        aggregates: [{
+          type: 'derived',
+          expr: {
+            type: 'function',
+            funcName: 'SUM',
+            args: [{ type: 'identifier', name: 'amount', positionStart: 31, positionEnd: 37 }],
+            positionStart: 27,
+            positionEnd: 38,
+          },
+          alias: 'total',
+          positionStart: 27,
+          positionEnd: 47,
+        }],
+        column: 'month',
+        values: [
+          { value: 'jan', alias: 'j', positionStart: 62, positionEnd: 72 },
+          { value: 2, positionStart: 74, positionEnd: 75 },
+        ],
+        alias: 'p',
+        positionStart: 20,
+        positionEnd: 79,
+      })
+    })
+
+    it('should parse PIVOT with several aggregates after a subquery', () => {
+      const select = parseSelect('SELECT * FROM (SELECT * FROM sales) s PIVOT (SUM(amount), COUNT(*) FOR region IN (\'east\')) WHERE east_count > 1')
+      if (select.from?.type !== 'pivot') throw new Error('expected pivot')
+      expect(select.from.source.type).toBe('subquery')
+      expect(select.from.source.alias).toBe('s')
+      expect(select.from.aggregates.map(agg => agg.expr.type === 'function' && agg.expr.funcName)).toEqual(['SUM', 'COUNT'])
+      expect(select.from.alias).toBeUndefined()
+      expect(select.where?.type).toBe('binary')
+    })
+
+    it('should reject a PIVOT without an aggregate', () => {
+      expect(() => parseSql({ query: 'SELECT * FROM sales PIVOT (amount FOR month IN (\'jan\'))' }))
+        .toThrow('PIVOT requires an aggregate function like SUM or COUNT at position 27')
+    })
+
+    it('should reject non-literal PIVOT IN values', () => {
+      expect(() => parseSql({ query: 'SELECT * FROM sales PIVOT (SUM(amount) FOR month IN (region))' }))
+        .toThrow('PIVOT IN values must be literals at position 53')
+    })
+
+    it('should require FOR in PIVOT', () => {
+      expect(() => parseSql({ query: 'SELECT * FROM sales PIVOT (SUM(amount) AS total IN (\'jan\'))' }))
+        .toThrow('Expected FOR after "total" but found "IN" at position 48')
+    })
+
+    it('should still allow pivot as a column name', () => {
+      const select = parseSelect('SELECT pivot FROM t')
+      expect(select.columns[0]).toMatchObject({ expr: { type: 'identifier', name: 'pivot' } })
+    })
+  })
+
+  describe('UNPIVOT', () => {
+    it('should parse UNPIVOT with INCLUDE NULLS and labels', () => {
+      const select = parseSelect('SELECT * FROM t UNPIVOT INCLUDE NULLS (v FOR m IN (jan, feb AS \'February\'))')
+      expect(select.from).toEqual({
+        type: 'unpivot',
+        source: { type: 'table', table: 't', positionStart: 14, positionEnd: 15 },
+        valueColumn: 'v',
+        nameColumn: 'm',
+        columns: [
+          { name: 'jan', positionStart: 51, positionEnd: 54 },
+          { name: 'feb', label: 'February', positionStart: 56, positionEnd: 73 },
+        ],
+        includeNulls: true,
+        positionStart: 16,
+        positionEnd: 75,
+      })
+    })
+
+    it('should accept non-reserved keywords as column names', () => {
+      const select = parseSelect('SELECT * FROM t UNPIVOT EXCLUDE NULLS (value FOR month IN (day, year))')
+      expect(select.from).toMatchObject({
+        type: 'unpivot',
+        valueColumn: 'value',
+        nameColumn: 'month',
+        columns: [{ name: 'day' }, { name: 'year' }],
+        includeNulls: false,
+      })
+    })
+
+    it('should parse UNPIVOT chained after PIVOT', () => {
+      const select = parseSelect('SELECT * FROM sales PIVOT (SUM(amount) FOR month IN (\'jan\')) UNPIVOT (v FOR m IN (jan)) u')
+      expect(select.from).toMatchObject({
+        type: 'unpivot',
+        alias: 'u',
+        source: { type: 'pivot', source: { type: 'table', table: 'sales' } },
+      })
+    })
+  })
+})
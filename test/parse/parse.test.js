@@ -1,4 +1,5 @@
 import { describe, expect, it } from 'vitest'
+import { parseSql } from '../../src/parse/parse.js'
 import { parseSelect } from '../helpers.js'
 
 describe('parseSql', () => {
@@ -493,6 +494,37 @@ describe('parseSql', () => {
       ])
     })
 
+    it('should parse AT TIME ZONE as a TIMEZONE call', () => {
+      const select = parseSelect('SELECT ts AT TIME ZONE \'UTC\' at time zone tz AS local FROM events')
+      expect(select.columns).toEqual([
+        {
+          type: 'derived',
+          expr: {
+            type: 'function',
+            funcName: 'TIMEZONE',
+            args: [
+              { type: 'identifier', name: 'tz', positionStart: 42, positionEnd: 44 },
+              {
+                type: 'function',
+                funcName: 'TIMEZONE',
+                args: [
+                  { type: 'literal', value: 'UTC', positionStart: 23, positionEnd: 28 },
+                  { type: 'identifier', name: 'ts', positionStart: 7, positionEnd: 9 },
+                ],
+                positionStart: 7,
+                positionEnd: 28,
+              },
+            ],
+            positionStart: 7,
+            positionEnd: 44,
+          },
+          alias: 'local',
+          positionStart: 7,
+          positionEnd: 53,
+        },
+      ])
+    })
+
     it('should parse subquery in FROM clause with AS', () => {
       const select = parseSelect('SELECT name FROM (SELECT * FROM users WHERE active = 1) AS u')
       expect(select.columns).toEqual([
@@ -736,4 +768,25 @@ describe('parseSql', () => {
       })
     })
   })
+  describe('EXPLAIN', () => {
+    it('should parse EXPLAIN and EXPLAIN ANALYZE around a statement', () => {
+      expect(parseSql({ query: 'EXPLAIN SELECT 1' })).toMatchObject({
+        type: 'explain',
+        analyze: false,
+        query: { type: 'select', columns: [{ expr: { type: 'literal', value: 1 } }] },
+        positionStart: 0,
+        positionEnd: 16,
+      })
+      expect(parseSql({ query: 'explain analyze WITH t AS (SELECT 1) SELECT * FROM t' })).toMatchObject({
+        type: 'explain',
+        analyze: true,
+        query: { type: 'with' },
+      })
+    })
+
+    it('should only allow EXPLAIN as the outermost statement', () => {
+      expect(() => parseSql({ query: 'SELECT * FROM (EXPLAIN SELECT 1)' }))
+        .toThrow('Expected SELECT after "(" but found "EXPLAIN" at position 15')
+    })
+  })
 })
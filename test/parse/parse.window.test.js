@@ -39,4 +39,67 @@ describe('parseSql window functions', () => {
     expect(col.expr.partitionBy.length).toBe(2)
     expect(col.expr.orderBy.length).toBe(1)
   })
+
+  it('should parse an aggregate with OVER', () => {
+    const select = parseSelect('SELECT SUM(x) OVER (PARTITION BY g ORDER BY id) FROM t')
+    const col = select.columns[0]
+    if (col.type !== 'derived' || col.expr.type !== 'window') throw new Error('expected window node')
+    expect(col.expr.funcName).toBe('SUM')
+    expect(col.expr.args.length).toBe(1)
+    expect(col.expr.frame).toBeUndefined()
+  })
+
+  it('should parse a ROWS BETWEEN frame', () => {
+    const select = parseSelect('SELECT AVG(x) OVER (ORDER BY id ROWS BETWEEN 2 PRECEDING AND 1 FOLLOWING) FROM t')
+    const col = select.columns[0]
+    if (col.type !== 'derived' || col.expr.type !== 'window') throw new Error('expected window node')
+    expect(col.expr.frame).toEqual({
+      mode: 'ROWS',
+      start: { type: 'PRECEDING', offset: 2 },
+      end: { type: 'FOLLOWING', offset: 1 },
+    })
+  })
+
+  it('should parse a RANGE frame with unbounded bounds', () => {
+    const select = parseSelect('SELECT COUNT(*) OVER (ORDER BY id RANGE BETWEEN UNBOUNDED PRECEDING AND UNBOUNDED FOLLOWING) FROM t')
+    const col = select.columns[0]
+    if (col.type !== 'derived' || col.expr.type !== 'window') throw new Error('expected window node')
+    expect(col.expr.frame).toEqual({
+      mode: 'RANGE',
+      start: { type: 'UNBOUNDED PRECEDING' },
+      end: { type: 'UNBOUNDED FOLLOWING' },
+    })
+  })
+
+  it('should parse a frame with only a start bound', () => {
+    const select = parseSelect('SELECT MAX(x) OVER (ORDER BY id ROWS 3 PRECEDING) FROM t')
+    const col = select.columns[0]
+    if (col.type !== 'derived' || col.expr.type !== 'window') throw new Error('expected window node')
+    expect(col.expr.frame).toEqual({
+      mode: 'ROWS',
+      start: { type: 'PRECEDING', offset: 3 },
+      end: { type: 'CURRENT ROW' },
+    })
+  })
+
+  it('should parse a QUALIFY clause between WHERE and ORDER BY', () => {
+    const select = parseSelect('SELECT * FROM t WHERE x > 1 QUALIFY ROW_NUMBER() OVER (PARTITION BY a ORDER BY ts DESC) = 1 ORDER BY a')
+    expect(select.where?.type).toBe('binary')
+    const { qualify } = select
+    if (qualify?.type !== 'binary') throw new Error('expected binary node')
+    expect(qualify.op).toBe('=')
+    expect(qualify.left.type).toBe('window')
+    expect(select.orderBy.length).toBe(1)
+  })
+
+  it('should not treat QUALIFY as a table alias', () => {
+    const select = parseSelect('SELECT * FROM t QUALIFY rn = 1')
+    expect(select.from).toMatchObject({ type: 'table', table: 't', alias: undefined })
+    expect(select.qualify?.type).toBe('binary')
+  })
+
+  it('should reject an aggregate in QUALIFY', () => {
+    expect(() => parseSelect('SELECT x FROM t QUALIFY SUM(x) > 1'))
+      .toThrow('Aggregate function SUM is not allowed in QUALIFY clause')
+  })
 })
@@ -400,4 +400,29 @@ describe('tokenize', () => {
       { type: 'eof' },
     ])
   })
+
+  it('should tokenize parameter placeholders', () => {
+    const tokens = tokenizeSql('SELECT ? + :n, :min_age, ? FROM t WHERE x = -? -1')
+    expect(tokens).toMatchObject([
+      { type: 'keyword', value: 'SELECT' },
+      { type: 'param', value: '1', originalValue: '?', positionStart: 7, positionEnd: 8 },
+      { type: 'operator', value: '+' },
+      { type: 'param', value: 'n', originalValue: ':n', positionStart: 11, positionEnd: 13 },
+      { type: 'comma' },
+      { type: 'param', value: 'min_age', originalValue: ':min_age', positionStart: 15, positionEnd: 23 },
+      { type: 'comma' },
+      { type: 'param', value: '2', originalValue: '?' },
+      { type: 'keyword', value: 'FROM' },
+      { type: 'identifier', value: 't' },
+      { type: 'keyword', value: 'WHERE' },
+      { type: 'identifier', value: 'x' },
+      { type: 'operator', value: '=' },
+      { type: 'operator', value: '-' },
+      { type: 'param', value: '3', originalValue: '?' },
+      { type: 'operator', value: '-' },
+      { type: 'number', value: '1', numericValue: 1 },
+      { type: 'eof' },
+    ])
+    expect(tokenizeSql('SELECT $12')[1]).toMatchObject({ type: 'param', value: '12', originalValue: '$12', positionStart: 7, positionEnd: 10 })
+  })
 })
@@ -0,0 +1,83 @@
+import { describe, expect, it } from 'vitest'
+import { memorySource } from '../../src/backend/dataSource.js'
+import { explainPlan } from '../../src/plan/explain.js'
+import { planSql } from '../../src/plan/plan.js'
+
+describe('explainPlan', () => {
+  const tables = {
+    users: memorySource({ data: [{ id: 1, name: 'Alice', age: 30, home: null }] }),
+    orders: memorySource({ data: [{ user_id: 1, total: 5, location: null }] }),
+  }
+
+  /**
+   * @param {string} query
+   * @returns {string}
+   */
+  function explain(query) {
+    return explainPlan({ plan: planSql({ query, tables }) })
+  }
+
+  it('should render scan hints and sort topK', () => {
+    expect(explain('SELECT name FROM users WHERE age > 21 ORDER BY age DESC NULLS LAST LIMIT 2 OFFSET 1')).toBe([
+      'Limit (limit: 2; offset: 1)',
+      '  Project: name',
+      '    Sort: age DESC NULLS LAST (topK: 3)',
+      '      Scan users (columns: name, age; where: age > 21)',
+    ].join('\n'))
+  })
+
+  it('should render the scan limit when nothing runs above it', () => {
+    expect(explain('SELECT * FROM users LIMIT 5')).toBe('Scan users (limit: 5)')
+  })
+
+  it('should render join strategies with their keys', () => {
+    expect(explain('SELECT u.name, o.total FROM users u JOIN orders o ON u.id = o.user_id AND o.total > u.age')).toBe([
+      'Project: u.name, o.total',
+      '  HashJoin INNER (keys: u.id = o.user_id; residual: o.total > u.age)',
+      '    Scan users AS u (columns: name, id, age)',
+      '    Scan orders AS o (columns: total, user_id)',
+    ].join('\n'))
+    expect(explain('SELECT * FROM users u LEFT JOIN orders o ON o.total < u.age')).toBe([
+      'Project: *',
+      '  NestedLoopJoin LEFT (on: o.total < u.age)',
+      '    Scan users AS u',
+      '    Scan orders AS o',
+    ].join('\n'))
+    expect(explain('SELECT u.name FROM users u JOIN orders o ON ST_DWithin(u.home, o.location, 5)')).toBe([
+      'Project: u.name',
+      '  SpatialJoin INNER (on: ST_DWithin(u.home, o.location, 5))',
+      '    Scan users AS u (columns: name, home)',
+      '    Scan orders AS o (columns: location)',
+    ].join('\n'))
+  })
+
+  it('should render aggregates and set operations', () => {
+    expect(explain('SELECT age, COUNT(DISTINCT name) AS n FROM users GROUP BY ROLLUP (age) HAVING COUNT(*) > 1 UNION ALL SELECT 1 AS age, 2 AS n')).toBe([
+      'SetOperation UNION ALL',
+      '  HashAggregate: age, COUNT(DISTINCT name) AS n (group by: age; grouping sets: (age), (); having: COUNT(*) > 1)',
+      '    Scan users (columns: age, name)',
+      '  Project: 1 AS age, 2 AS n',
+      '    SingleRow',
+    ].join('\n'))
+  })
+
+  it('should render ordered aggregates', () => {
+    expect(explain('SELECT ARRAY_AGG(name ORDER BY age DESC NULLS LAST LIMIT 2) AS a, PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY age) AS p FROM users')).toBe([
+      'ScalarAggregate: ARRAY_AGG(name ORDER BY age DESC NULLS LAST LIMIT 2) AS a, PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY age ASC) AS p',
+      '  Scan users (columns: name, age)',
+    ].join('\n'))
+  })
+
+  it('should render expressions with the parentheses they need', () => {
+    expect(explain('SELECT (age - (1 - 2)) * 3, -(age + 1), CAST(id AS TEXT), CASE WHEN name LIKE \'O\'\'%\' THEN TRUE ELSE NULL END FROM users WHERE NOT (id = 1 OR id IN (2, 3)) AND EXISTS (SELECT 1)'))
+      .toBe([
+        'Project: (age - (1 - 2)) * 3, -(age + 1), CAST(id AS TEXT), CASE WHEN name LIKE \'O\'\'%\' THEN TRUE ELSE NULL END',
+        '  Scan users (columns: age, id, name; where: NOT (id = 1 OR id IN (2, 3)) AND EXISTS (subquery))',
+      ].join('\n'))
+  })
+
+  it('should mark nodes without stats as never executed', () => {
+    const plan = planSql({ query: 'SELECT * FROM users', tables })
+    expect(explainPlan({ plan, stats: new WeakMap() })).toBe('Scan users (never executed)')
+  })
+})
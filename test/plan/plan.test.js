@@ -1,4 +1,5 @@
 import { describe, expect, it } from 'vitest'
+import { memorySource } from '../../src/backend/dataSource.js'
 import { planSql } from '../../src/plan/plan.js'
 
 describe('planSql', () => {
@@ -572,6 +573,37 @@ describe('planSql', () => {
     })
   })
 
+  describe('PIVOT and UNPIVOT', () => {
+    const tables = { sales: memorySource({ data: [{ region: 'east', month: 'jan', amount: 1 }] }) }
+
+    it('plan for PIVOT resolves its output columns', () => {
+      const plan = planSql({ query: 'SELECT * FROM sales PIVOT (SUM(amount) AS total FOR month IN (\'jan\', \'feb\'))', tables })
+      expect(plan).toMatchObject({
+        type: 'Pivot',
+        groupBy: ['region'],
+        column: 'month',
+        values: ['jan', 'feb'],
+        valueColumns: ['jan_total', 'feb_total'],
+        child: { type: 'Scan', table: 'sales' },
+      })
+    })
+
+    it('plan for UNPIVOT carries the other columns through', () => {
+      const plan = planSql({ query: 'SELECT region FROM sales UNPIVOT (v FOR k IN (month AS \'m\', amount))', tables })
+      expect(plan).toMatchObject({
+        type: 'Project',
+        child: {
+          type: 'Unpivot',
+          passthrough: ['region'],
+          unpivot: [{ column: 'month', label: 'm' }, { column: 'amount', label: 'amount' }],
+          nameColumn: 'k',
+          valueColumn: 'v',
+          includeNulls: false,
+        },
+      })
+    })
+  })
+
   describe('CTE resolution', () => {
     it('should resolve CTE references to inline plans', () => {
       const plan = planSql({ query: 'WITH active AS (SELECT id FROM users WHERE age > 21) SELECT * FROM active' })
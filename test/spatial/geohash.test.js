@@ -0,0 +1,41 @@
+import { describe, expect, it } from 'vitest'
+import { decodeGeohash, encodeGeohash } from '../../src/spatial/geohash.js'
+
+describe('encodeGeohash', () => {
+  it('encodes lon/lat points', () => {
+    expect(encodeGeohash([10.40744, 57.64911], 11)).toBe('u4pruydqqvj')
+    expect(encodeGeohash([-5.6, 42.6], 5)).toBe('ezs42')
+    expect(encodeGeohash([0, 0], 4)).toBe('s000')
+    expect(encodeGeohash([180, 90], 3)).toBe('zzz')
+  })
+
+  it('returns null for coordinates out of range', () => {
+    expect(encodeGeohash([181, 0], 5)).toBeNull()
+    expect(encodeGeohash([0, -90.5], 5)).toBeNull()
+    expect(encodeGeohash([NaN, 0], 5)).toBeNull()
+  })
+})
+
+describe('decodeGeohash', () => {
+  it('decodes the cell bounds', () => {
+    expect(decodeGeohash('s')).toEqual({ minX: 0, minY: 0, maxX: 45, maxY: 45 })
+    const box = decodeGeohash('EZS42')
+    expect(box?.minX).toBeCloseTo(-5.625)
+    expect(box?.maxX).toBeCloseTo(-5.581)
+    expect(box?.minY).toBeCloseTo(42.583)
+    expect(box?.maxY).toBeCloseTo(42.627)
+  })
+
+  it('round trips with encodeGeohash', () => {
+    const box = decodeGeohash(encodeGeohash([139.6917, 35.6895], 9) ?? '')
+    expect(box?.minX).toBeLessThanOrEqual(139.6917)
+    expect(box?.maxX).toBeGreaterThan(139.6917)
+    expect(box?.minY).toBeLessThanOrEqual(35.6895)
+    expect(box?.maxY).toBeGreaterThan(35.6895)
+  })
+
+  it('returns null for invalid hashes', () => {
+    expect(decodeGeohash('')).toBeNull()
+    expect(decodeGeohash('u4pa')).toBeNull()
+  })
+})
@@ -0,0 +1,93 @@
+import { describe, expect, it } from 'vitest'
+import { geometryArea, geometryCentroid, geometryLength, geometryPerimeter } from '../../src/spatial/measures.js'
+
+/**
+ * @import { SimpleGeometry } from '../../src/spatial/geometry.js'
+ */
+
+const square = [[0, 0], [10, 0], [10, 10], [0, 10], [0, 0]]
+const hole = [[2, 2], [2, 4], [4, 4], [4, 2], [2, 2]]
+
+/** @type {SimpleGeometry} */
+const squarePolygon = { type: 'Polygon', coordinates: [square] }
+/** @type {SimpleGeometry} */
+const squareWithHole = { type: 'Polygon', coordinates: [square, hole] }
+/** @type {SimpleGeometry} */
+const line = { type: 'LineString', coordinates: [[0, 0], [3, 4], [3, 10]] }
+
+describe('geometryArea', () => {
+  it('subtracts holes regardless of ring orientation', () => {
+    expect(geometryArea([squarePolygon])).toBe(100)
+    expect(geometryArea([squareWithHole])).toBe(96)
+    const clockwise = [...square].reverse()
+    expect(geometryArea([{ type: 'Polygon', coordinates: [clockwise, hole] }])).toBe(96)
+  })
+
+  it('sums polygon parts and ignores points and lines', () => {
+    expect(geometryArea([squarePolygon, squareWithHole, line, { type: 'Point', coordinates: [1, 1] }])).toBe(196)
+  })
+})
+
+describe('geometryLength', () => {
+  it('sums linestrings and ignores polygon boundaries', () => {
+    expect(geometryLength([line, line, squarePolygon])).toBe(22)
+  })
+})
+
+describe('geometryPerimeter', () => {
+  it('includes hole boundaries', () => {
+    expect(geometryPerimeter([squarePolygon])).toBe(40)
+    expect(geometryPerimeter([squareWithHole, line])).toBe(48)
+  })
+})
+
+describe('geometryCentroid', () => {
+  it('weights polygons by area and accounts for holes', () => {
+    expect(geometryCentroid([squarePolygon])).toEqual({ type: 'Point', coordinates: [5, 5] })
+    const [x, y] = geometryCentroid([squareWithHole])?.coordinates ?? []
+    // 100 * 5 - 4 * 3 = 96 * x
+    expect(x).toBeCloseTo(488 / 96)
+    expect(y).toBeCloseTo(488 / 96)
+  })
+
+  it('uses only the highest dimension parts', () => {
+    /** @type {SimpleGeometry} */
+    const far = { type: 'Point', coordinates: [100, 100] }
+    expect(geometryCentroid([squarePolygon, line, far])).toEqual({ type: 'Point', coordinates: [5, 5] })
+    const [x, y] = geometryCentroid([line, far])?.coordinates ?? []
+    // segment midpoints (1.5, 2) and (3, 7) with lengths 5 and 6
+    expect(x).toBeCloseTo(25.5 / 11)
+    expect(y).toBeCloseTo(52 / 11)
+  })
+
+  it('weights lines by length', () => {
+    /** @type {SimpleGeometry[]} */
+    const lines = [
+      { type: 'LineString', coordinates: [[0, 0], [4, 0]] },
+      { type: 'LineString', coordinates: [[10, 0], [10, 0]] },
+      { type: 'LineString', coordinates: [[0, 2], [0, 4]] },
+    ]
+    const [x, y] = geometryCentroid(lines)?.coordinates ?? []
+    expect(x).toBeCloseTo(8 / 6)
+    expect(y).toBeCloseTo(6 / 6)
+  })
+
+  it('averages points', () => {
+    expect(geometryCentroid([
+      { type: 'Point', coordinates: [0, 0] },
+      { type: 'Point', coordinates: [4, 2] },
+      { type: 'Point', coordinates: [2, 4] },
+    ])).toEqual({ type: 'Point', coordinates: [2, 2] })
+  })
+
+  it('falls back to lower dimensions for degenerate parts', () => {
+    /** @type {SimpleGeometry} */
+    const flat = { type: 'Polygon', coordinates: [[[0, 0], [4, 0], [0, 0]]] }
+    expect(geometryCentroid([flat])).toEqual({ type: 'Point', coordinates: [2, 0] })
+    expect(geometryCentroid([{ type: 'LineString', coordinates: [[3, 3], [3, 3]] }])).toEqual({ type: 'Point', coordinates: [3, 3] })
+  })
+
+  it('returns null for empty geometries', () => {
+    expect(geometryCentroid([])).toBeNull()
+  })
+})
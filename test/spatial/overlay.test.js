@@ -0,0 +1,122 @@
+import { describe, expect, it } from 'vitest'
+import { geometryArea } from '../../src/spatial/measures.js'
+import { geometryDifference, geometryIntersection, geometryUnion, unionAll } from '../../src/spatial/overlay.js'
+
+/**
+ * @import { Polygon, SimpleGeometry } from '../../src/spatial/geometry.js'
+ */
+
+/**
+ * @param {number} x0
+ * @param {number} y0
+ * @param {number} x1
+ * @param {number} y1
+ * @returns {Polygon}
+ */
+function box(x0, y0, x1, y1) {
+  return { type: 'Polygon', coordinates: [[[x0, y0], [x1, y0], [x1, y1], [x0, y1], [x0, y0]]] }
+}
+
+const square = box(0, 0, 10, 10)
+const offset = box(5, 5, 15, 15)
+/** @type {SimpleGeometry} */
+const squareWithHole = {
+  type: 'Polygon',
+  coordinates: [square.coordinates[0], [[2, 2], [2, 8], [8, 8], [8, 2], [2, 2]]],
+}
+
+describe('polygon overlay', () => {
+  it('intersects, unions and subtracts overlapping polygons', () => {
+    expect(geometryIntersection([square], [offset])).toEqual([
+      { type: 'Polygon', coordinates: [[[10, 5], [10, 10], [5, 10], [5, 5], [10, 5]]] },
+    ])
+    expect(geometryArea(geometryUnion([square], [offset]))).toBe(175)
+    expect(geometryArea(geometryDifference([square], [offset]))).toBe(75)
+    expect(geometryArea(geometryDifference([offset], [square]))).toBe(75)
+  })
+
+  it('handles identical and disjoint polygons', () => {
+    expect(geometryIntersection([square], [square])).toEqual([square])
+    expect(geometryUnion([square], [square])).toEqual([square])
+    expect(geometryDifference([square], [square])).toEqual([])
+    expect(geometryIntersection([square], [box(20, 20, 30, 30)])).toEqual([])
+    expect(geometryUnion([square], [box(20, 20, 30, 30)])).toHaveLength(2)
+  })
+
+  it('ignores ring orientation', () => {
+    const clockwise = { type: 'Polygon', coordinates: [[...offset.coordinates[0]].reverse()] }
+    // eslint-disable-next-line no-extra-parens
+    expect(geometryArea(geometryIntersection([square], [/** @type {SimpleGeometry} */ (clockwise)]))).toBe(25)
+  })
+
+  it('dissolves shared edges and reports edge and corner contacts', () => {
+    expect(geometryUnion([square], [box(10, 0, 20, 10)])).toEqual([box(0, 0, 20, 10)])
+    expect(geometryIntersection([square], [box(10, 0, 20, 10)])).toEqual([
+      { type: 'LineString', coordinates: [[10, 0], [10, 10]] },
+    ])
+    expect(geometryIntersection([square], [box(10, 10, 20, 20)])).toEqual([
+      { type: 'Point', coordinates: [10, 10] },
+    ])
+  })
+
+  it('keeps and creates holes', () => {
+    expect(geometryArea(geometryDifference([square], [box(2, 2, 8, 8)]))).toBe(64)
+    expect(geometryDifference([square], [box(2, 2, 8, 8)])[0].coordinates).toHaveLength(2)
+    expect(geometryArea(geometryIntersection([squareWithHole], [offset]))).toBe(16)
+    // island inside the hole stays a separate polygon
+    const union = geometryUnion([squareWithHole], [box(4, 4, 6, 6)])
+    expect(union).toHaveLength(2)
+    expect(geometryArea(union)).toBe(68)
+    // filling the hole removes it
+    expect(geometryUnion([squareWithHole], [box(1, 1, 9, 9)])).toEqual([square])
+  })
+
+  it('unions many polygons', () => {
+    const tiles = []
+    for (let x = 0; x < 4; x++) {
+      for (let y = 0; y < 3; y++) tiles.push([box(x, y, x + 1, y + 1)])
+    }
+    expect(unionAll(tiles)).toEqual([box(0, 0, 4, 3)])
+    expect(unionAll([])).toEqual([])
+  })
+})
+
+describe('line and point overlay', () => {
+  /** @type {SimpleGeometry} */
+  const line = { type: 'LineString', coordinates: [[-5, 5], [15, 5]] }
+
+  it('clips lines to polygons', () => {
+    expect(geometryIntersection([line], [squareWithHole])).toEqual([
+      { type: 'LineString', coordinates: [[0, 5], [2, 5]] },
+      { type: 'LineString', coordinates: [[8, 5], [10, 5]] },
+    ])
+    expect(geometryDifference([line], [square])).toEqual([
+      { type: 'LineString', coordinates: [[-5, 5], [0, 5]] },
+      { type: 'LineString', coordinates: [[10, 5], [15, 5]] },
+    ])
+  })
+
+  it('intersects lines at crossings and overlaps', () => {
+    expect(geometryIntersection([line], [{ type: 'LineString', coordinates: [[0, 0], [10, 10]] }])).toEqual([
+      { type: 'Point', coordinates: [5, 5] },
+    ])
+    expect(geometryIntersection([line], [{ type: 'LineString', coordinates: [[0, 5], [20, 5]] }])).toEqual([
+      { type: 'LineString', coordinates: [[0, 5], [15, 5]] },
+    ])
+  })
+
+  it('drops points and lines covered by the other geometry', () => {
+    /** @type {SimpleGeometry} */
+    const inside = { type: 'Point', coordinates: [1, 1] }
+    /** @type {SimpleGeometry} */
+    const outside = { type: 'Point', coordinates: [20, 1] }
+    expect(geometryUnion([inside, outside], [square])).toEqual([square, outside])
+    expect(geometryIntersection([inside, outside], [square])).toEqual([inside])
+    expect(geometryDifference([inside, outside], [square])).toEqual([outside])
+    expect(geometryUnion([line], [square])).toEqual([
+      square,
+      { type: 'LineString', coordinates: [[-5, 5], [0, 5]] },
+      { type: 'LineString', coordinates: [[10, 5], [15, 5]] },
+    ])
+  })
+})
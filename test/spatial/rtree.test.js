@@ -0,0 +1,51 @@
+import { describe, expect, it } from 'vitest'
+import { buildRTree, searchRTree } from '../../src/spatial/rtree.js'
+
+/**
+ * @import { BoundingBox } from '../../src/spatial/geometry.js'
+ */
+
+/**
+ * @param {number} minX
+ * @param {number} minY
+ * @param {number} maxX
+ * @param {number} maxY
+ * @returns {BoundingBox}
+ */
+function box(minX, minY, maxX, maxY) {
+  return { minX, minY, maxX, maxY }
+}
+
+describe('R-tree', () => {
+  it('finds overlapping boxes, including touching edges', () => {
+    const index = buildRTree([
+      { box: box(0, 0, 1, 1), value: 0 },
+      { box: box(2, 2, 3, 3), value: 1 },
+      { box: box(5, 5, 5, 5), value: 2 },
+    ])
+    expect(searchRTree(index, box(1, 1, 2, 2)).sort()).toEqual([0, 1])
+    expect(searchRTree(index, box(4, 4, 6, 6))).toEqual([2])
+    expect(searchRTree(index, box(3.5, 0, 4, 1))).toEqual([])
+  })
+
+  it('returns nothing for an empty index', () => {
+    expect(buildRTree([])).toBeUndefined()
+    expect(searchRTree(undefined, box(0, 0, 1, 1))).toEqual([])
+  })
+
+  it('matches a linear scan over many boxes', () => {
+    const entries = []
+    for (let i = 0; i < 1000; i++) {
+      const x = i * 37 % 101
+      const y = i * 53 % 97
+      entries.push({ box: box(x, y, x + i % 5, y + i % 3), value: i })
+    }
+    const index = buildRTree(entries)
+    for (const query of [box(10, 10, 20, 20), box(-5, 50, 3, 60), box(90, 0, 200, 200), box(50, 50, 50, 50)]) {
+      const expected = entries
+        .filter(e => e.box.minX <= query.maxX && e.box.maxX >= query.minX && e.box.minY <= query.maxY && e.box.maxY >= query.minY)
+        .map(e => e.value)
+      expect(searchRTree(index, query).sort((a, b) => a - b)).toEqual(expected)
+    }
+  })
+})
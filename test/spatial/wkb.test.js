@@ -0,0 +1,74 @@
+import { describe, expect, it } from 'vitest'
+import { geomToWkb, parseWkb } from '../../src/spatial/wkb.js'
+
+/**
+ * @import { Geometry } from '../../src/spatial/geometry.js'
+ */
+
+/**
+ * @param {string} hex
+ * @returns {Uint8Array}
+ */
+function fromHex(hex) {
+  return Uint8Array.from(hex.match(/../g) ?? [], byte => parseInt(byte, 16))
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function toHex(bytes) {
+  return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('').toUpperCase()
+}
+
+describe('parseWkb', () => {
+  it('should parse little and big endian points', () => {
+    expect(parseWkb(fromHex('0101000000000000000000F03F0000000000000040'))).toEqual({ type: 'Point', coordinates: [1, 2] })
+    expect(parseWkb(fromHex('00000000013FF00000000000004000000000000000'))).toEqual({ type: 'Point', coordinates: [1, 2] })
+  })
+
+  it('should drop Z and M values from ISO WKB and EWKB', () => {
+    // ISO POINT Z (1 2 3)
+    expect(parseWkb(fromHex('01E9030000000000000000F03F00000000000000400000000000000840'))).toEqual({ type: 'Point', coordinates: [1, 2] })
+    // EWKB SRID=4326;POINT Z (1 2 3)
+    expect(parseWkb(fromHex('01010000A0E6100000000000000000F03F00000000000000400000000000000840'))).toEqual({ type: 'Point', coordinates: [1, 2] })
+    // ISO LINESTRING ZM (0 0 0 0, 1 1 1 1)
+    const line = fromHex('01BA0B0000020000000000000000000000000000000000000000000000000000000000000000000000000000000000F03F000000000000F03F000000000000F03F000000000000F03F')
+    expect(parseWkb(line)).toEqual({ type: 'LineString', coordinates: [[0, 0], [1, 1]] })
+  })
+
+  it('should read from a view into a larger buffer', () => {
+    const bytes = fromHex('FFFF0101000000000000000000F03F0000000000000040')
+    expect(parseWkb(bytes.subarray(2))).toEqual({ type: 'Point', coordinates: [1, 2] })
+  })
+
+  it('should return null for empty points and invalid bytes', () => {
+    expect(parseWkb(fromHex('0101000000000000000000F87F000000000000F87F'))).toBeNull()
+    expect(parseWkb(fromHex('0101000000000000000000F03F'))).toBeNull()
+    expect(parseWkb(fromHex('0109000000'))).toBeNull()
+    expect(parseWkb(new Uint8Array())).toBeNull()
+    // MULTIPOINT containing a linestring
+    expect(parseWkb(fromHex('010400000001000000010200000000000000'))).toBeNull()
+  })
+})
+
+describe('geomToWkb', () => {
+  it('should write little endian ISO WKB', () => {
+    expect(toHex(geomToWkb({ type: 'Point', coordinates: [1, 2] }))).toBe('0101000000000000000000F03F0000000000000040')
+  })
+
+  /** @type {Geometry[]} */
+  const geometries = [
+    { type: 'LineString', coordinates: [[0, 0], [1.5, -2], [3, 4]] },
+    { type: 'Polygon', coordinates: [[[0, 0], [10, 0], [10, 10], [0, 0]], [[1, 1], [2, 1], [2, 2], [1, 1]]] },
+    { type: 'MultiPoint', coordinates: [[1, 2], [3, 4]] },
+    { type: 'MultiLineString', coordinates: [[[0, 0], [1, 1]], [[2, 2], [3, 3], [4, 4]]] },
+    { type: 'MultiPolygon', coordinates: [[[[0, 0], [1, 0], [1, 1], [0, 0]]], [[[5, 5], [6, 5], [6, 6], [5, 5]]]] },
+    { type: 'GeometryCollection', geometries: [{ type: 'Point', coordinates: [1, 2] }, { type: 'LineString', coordinates: [[0, 0], [1, 1]] }] },
+  ]
+  for (const geom of geometries) {
+    it(`should round-trip ${geom.type}`, () => {
+      expect(parseWkb(geomToWkb(geom))).toEqual(geom)
+    })
+  }
+})